@@ -5,12 +5,26 @@
 
 import { HALO_PINS, COVERS } from './order-config.js';
 
-// Top-level fields the player consumes. Author-only fields (e.g. `released`, used only
-// to derive order) are absent here and so drop from the payload. Each entry keeps its
-// source key order; song objects (name/range/theme) ride inside `songs` untouched.
+// Top-level fields the player consumes. Author-only fields are absent here and so drop
+// from the payload. Each entry keeps its source key order.
 // Exported so a test can assert every source field is either shipped here or an
 // acknowledged author-only field — a new field would otherwise be dropped silently.
-export const RUNTIME_FIELDS = { videoId: true, name: true, songs: true, memberOnly: true };
+// `gain` is a loudness correction in dB (see getGainLevel in player-core). `released`
+// derives the order here and also weights the Newer Streams shuffle, which can't go by
+// position since pins and covers break the newest-first order.
+export const RUNTIME_FIELDS = {
+  videoId: true, name: true, songs: true, memberOnly: true, src: true, gain: true, released: true,
+};
+
+// Same contract one level down, for the objects inside `songs`. Everything past
+// name/range/theme is optional structured metadata (see getSongMeta in search-helpers).
+export const RUNTIME_SONG_FIELDS = {
+  name: true, range: true, theme: true,
+  title: true, artist: true, originalArtist: true, language: true, tags: true, duet: true,
+  gain: true,
+};
+
+const pick = (obj, fields) => Object.fromEntries(Object.entries(obj).filter(([k]) => k in fields));
 
 export function transformSegments(source) {
   const byId = new Map();
@@ -43,6 +57,10 @@ export function transformSegments(source) {
   // Integrity: every source entry present exactly once.
   if (out.length !== source.length) throw new Error(`internal: composed ${out.length} != ${source.length} entries`);
 
-  // Strip to runtime fields, preserving each entry's source key order.
-  return out.map((e) => Object.fromEntries(Object.entries(e).filter(([k]) => k in RUNTIME_FIELDS)));
+  // Strip to runtime fields, preserving each entry's (and song's) source key order.
+  return out.map((e) => {
+    const entry = pick(e, RUNTIME_FIELDS);
+    if (Array.isArray(entry.songs)) entry.songs = entry.songs.map((s) => pick(s, RUNTIME_SONG_FIELDS));
+    return entry;
+  });
 }
@@ -1,4 +1,18 @@
-import { PlayerCore } from './player-core.js';
+import {
+    PlayerCore,
+    resolveRIdx,
+    LOOP_NONE,
+    LOOP_STREAM,
+    LOOP_AB,
+    LOOP_SELECTION,
+    PLAYBACK_RATES,
+    SHUFFLE_UNIFORM,
+    SHUFFLE_SONGS,
+    SHUFFLE_LEAST_RECENT,
+    SHUFFLE_FAVORITES,
+    SHUFFLE_NEWER,
+    SHUFFLE_STRATEGIES,
+} from './player-core.js';
 import segmentsData from 'virtual:roxy-segments';
 import messagesData from './data/messages.json';
 import { createMessageBarController } from './message-bar-ui.js';
@@ -6,10 +20,54 @@ import { initWantedPoster } from './wanted-poster.js';
 import { createSearchController } from './search-modal.js';
 import { createStatusPanelController } from './status-panel.js';
 import { createImportAndMoreController } from './import-ui.js';
+import { createCommandPaletteController } from './command-palette.js';
+import { createKeymap, formatCombo } from './keymap.js';
+import { createShortcutsModalController } from './shortcuts-modal.js';
 import { createQueueModalController } from './queue-modal.js';
+import { createSavedQueuesModalController } from './saved-queues-modal.js';
+import { createSavedQueueStore } from './saved-queues.js';
+import { createCatalogueModalController } from './catalogue-modal.js';
+import { createBlocklistModalController } from './blocklist-modal.js';
+import { createHistoryModalController } from './history-modal.js';
+import { createStatsModalController } from './stats-modal.js';
+import { createSleepModalController } from './sleep-modal.js';
+import { createSleepTimer, formatSleepCountdown } from './sleep-timer.js';
 import { createPlaybackController } from './playback.js';
+import {
+    PLAYER_STATE, BACKEND_YOUTUBE, BACKEND_MEDIA,
+    getBackendKind, createYouTubeBackend, createMediaElementBackend,
+} from './playback-backends.js';
 import { validateSegmentData } from './import-helpers.js';
 import { flashEnqueue } from './enqueue-flash.js';
+import { attachLongPress } from './long-press-arm.js';
+import { createMediaSessionController } from './media-session.js';
+import { createSegmentEditorController } from './segment-editor-ui.js';
+import { formatTimestamp } from './segment-editor.js';
+import { createSongStore, songKey } from './song-store.js';
+import { setFavoriteButtonState } from './favorite-button.js';
+import { createUndoHistory } from './undo-history.js';
+import { createUndoToastController } from './undo-toast.js';
+import {
+    AUTO_DJ_OFF,
+    AUTO_DJ_POLICIES,
+    AUTO_DJ_LABELS,
+    AUTO_DJ_MIN_QUEUE,
+    normalizeAutoDjPolicy,
+    buildAutoDjCandidates,
+} from './auto-dj.js';
+import {
+    parseRadioFilter,
+    nextRadioFilter,
+    matchesRadioFilter,
+    formatRadioFilter,
+    getRadioArtist,
+} from './radio-filter.js';
+import {
+    createIndexedDbBackend,
+    createMemoryBackend,
+    createListenHistory,
+    createPlayTracker,
+} from './listen-history.js';
 
 // ======== CONFIG ========
 const TICK_MS = 200;
@@ -17,23 +75,58 @@ const TITLE_REFRESH_MS = 2000;
 const YAP_TOGGLE_DEBOUNCE_MS = 300;
 const VIDEO_LOAD_DEBOUNCE_MS = 300;
 const THEME_NAMES = [null, 'starry-night', 'forest-meadow'];
+const SHUFFLE_STRATEGY_LABELS = {
+    [SHUFFLE_UNIFORM]: 'Uniform',
+    [SHUFFLE_SONGS]: 'Radio',
+    [SHUFFLE_LEAST_RECENT]: 'Least Recent',
+    [SHUFFLE_FAVORITES]: 'Favorites',
+    [SHUFFLE_NEWER]: 'Newer Streams',
+};
+// Song fade lengths (seconds) the More button cycles through; 0 is off.
+const SEGMENT_FADE_OPTIONS = [0, 1, 2, 3];
 
 // ======== STATE ========
-let player = null;
-let isReady = false;
+// One backend per kind (see playback-backends.js); each stream picks its own.
+// YouTube is created once the iframe API loads, the media element up front.
+const backends = { [BACKEND_YOUTUBE]: null, [BACKEND_MEDIA]: null };
 let playlistReady = false;
 let pendingStart = false;
 let yapToggleTime = 0;
 
+// Songs radio mode draws from: {kind, artist} (see radio-filter.js).
+let radioFilter = parseRadioFilter(localStorage.getItem('roxy_radioFilter'));
+
+// Fade songs in and out over this many seconds in Yap Off (0: hard cuts).
+let segmentFadeSeconds = Number(localStorage.getItem('roxy_segmentFade'));
+if (!SEGMENT_FADE_OPTIONS.includes(segmentFadeSeconds)) segmentFadeSeconds = 0;
+
+// Whether sleep fades the volume out before pausing.
+let sleepFade = localStorage.getItem('roxy_sleepFade') === 'true';
+let lastSleepLabel = null;
+
+// Auto-DJ policy (AUTO_DJ_OFF when off).
+let autoDjPolicy = normalizeAutoDjPolicy(localStorage.getItem('roxy_autoDj'));
+// When each song was last heard (songKey → ms), read from the listening
+// history for the "fresh" Auto-DJ policy and least-recent shuffle.
+const lastPlayedAt = new Map();
+let lastPlayedLoaded = false;
+
 // URL parameter override (YouTube-style ?v= and ?t= params)
 let urlOverride = null;
 
 // Active segment source — defaults to built-in, overridden by import
 let activeSegments = segmentsData;
 
-const loopLabels = ['None', 'Track', 'Stream'];
-const loopIcons = ['./loop.png', './loop-active-track.png', './loop-active.png'];
-const loopAlts = ['Loop off', 'Loop track', 'Loop stream'];
+// Editor mode (?editor=1): segment authoring for community timestampers.
+// `editorStream` is the video the editor last loaded; while it is the one in the
+// player, the editor owns the tick instead of the core (see editorOwnsPlayback).
+const EDITOR_MODE = new URLSearchParams(window.location.search).get('editor') === '1';
+let editorStream = null;
+
+// Indexed by loop mode; the selection label is built from its song count.
+const loopLabels = ['None', 'Track', 'Stream', 'A-B', 'Songs'];
+const loopIcons = ['./loop.png', './loop-active-track.png', './loop-active.png', './loop-active-track.png', './loop-active.png'];
+const loopAlts = ['Loop off', 'Loop track', 'Loop stream', 'Loop A-B', 'Loop selected songs'];
 
 // Cache DOM elements
 const overlay = document.getElementById('overlay');
@@ -55,10 +148,13 @@ const statusEl = document.getElementById('status');
 const statusTextEl = document.getElementById('status-text');
 const statusPanel = document.getElementById('status-panel');
 const statusSongList = document.getElementById('status-song-list');
+const statusEnqueueAllBtn = document.getElementById('status-enqueue-all-btn');
+const statusLoopSelectBtn = document.getElementById('status-loop-select-btn');
 
 const modal = document.getElementById('modal-overlay');
 const searchInput = document.getElementById('search-input');
 const resultsContainer = document.getElementById('search-results');
+const searchEnqueueAllBtn = document.getElementById('search-enqueue-all-btn');
 
 const importModal = document.getElementById('import-overlay');
 const importReplaceBtn = document.getElementById('import-replace-btn');
@@ -71,18 +167,78 @@ const moreMemberBtn = document.getElementById('more-member-btn');
 const moreImportBtn = document.getElementById('more-import-btn');
 const moreCopyBtn = document.getElementById('more-copy-btn');
 const moreCloseBtn = document.getElementById('more-close-btn');
+const moreCatalogueBtn = document.getElementById('more-catalogue-btn');
+const moreFavoritesBtn = document.getElementById('more-favorites-btn');
+const moreShuffleBtn = document.getElementById('more-shuffle-btn');
+const moreRadioBtn = document.getElementById('more-radio-btn');
+const moreSleepBtn = document.getElementById('more-sleep-btn');
+const moreFadeBtn = document.getElementById('more-fade-btn');
+const moreAbBtn = document.getElementById('more-ab-btn');
+const moreSpeedBtn = document.getElementById('more-speed-btn');
+const moreKeysBtn = document.getElementById('more-keys-btn');
+const moreBlocklistBtn = document.getElementById('more-blocklist-btn');
+const moreHistoryBtn = document.getElementById('more-history-btn');
+const moreStatsBtn = document.getElementById('more-stats-btn');
 
 const queueOverlay = document.getElementById('queue-overlay');
 const queueListEl = document.getElementById('queue-list');
 const queueClearBtn = document.getElementById('queue-clear-btn');
+const queueSavedBtn = document.getElementById('queue-saved-btn');
+const queueAutoDjBtn = document.getElementById('queue-autodj-btn');
+const savedQueuesOverlay = document.getElementById('saved-queues-overlay');
+const savedQueuesListEl = document.getElementById('saved-queues-list');
+const savedQueuesNameInput = document.getElementById('saved-queues-name-input');
+const savedQueuesSaveBtn = document.getElementById('saved-queues-save-btn');
 const queueSearchInput = document.getElementById('queue-search-input');
 const queueCell = document.getElementById('queue-cell');
 const mobileQueueBtn = document.getElementById('mobile-queue-btn');
 const moreCell = document.getElementById('more-cell');
+const favCell = document.getElementById('fav-cell');
+const ratingCell = document.getElementById('rating-cell');
+const sleepCell = document.getElementById('sleep-cell');
+
+const catalogueOverlay = document.getElementById('catalogue-overlay');
+const catalogueListEl = document.getElementById('catalogue-list');
+const catalogueSearchInput = document.getElementById('catalogue-search-input');
+const blocklistOverlay = document.getElementById('blocklist-overlay');
+const blocklistListEl = document.getElementById('blocklist-list');
+const historyOverlay = document.getElementById('history-overlay');
+const historyListEl = document.getElementById('history-list');
+const historyRecordBtn = document.getElementById('history-record-btn');
+const historyClearBtn = document.getElementById('history-clear-btn');
+const statsOverlay = document.getElementById('stats-overlay');
+const statsContent = document.getElementById('stats-content');
+const statsExportBtn = document.getElementById('stats-export-btn');
+const sleepOverlay = document.getElementById('sleep-overlay');
+const paletteOverlay = document.getElementById('palette-overlay');
+const paletteInput = document.getElementById('palette-input');
+const shortcutsOverlay = document.getElementById('shortcuts-overlay');
+
+backends[BACKEND_MEDIA] = createMediaElementBackend({
+    container: document.getElementById('player-container'),
+    onStateChange: (state) => onStateChange(backends[BACKEND_MEDIA], state),
+    onError: (code) => {
+        playbackCtrl.resetLoadedVideoId();
+        setStatus('Media error: ' + code);
+    },
+});
+
+function getBackend(stream = getPlayingStream()) {
+    return backends[getBackendKind(stream)];
+}
+
+function editorOwnsPlayback() {
+    return !!editorStream && playbackCtrl.getCurrentLoadedVideoId() === editorStream.videoId;
+}
+
+function getPlayingStream() {
+    return editorOwnsPlayback() ? editorStream : core.getCurrentStream();
+}
 
 let lastStatusText = '';
 let lastTitleText = document.title;
 let lastAppliedTheme = 0;
+let lastFavoriteCellKey = '';
 
 // Core Logic Instance
 const core = new PlayerCore({
@@ -117,18 +273,84 @@ const core = new PlayerCore({
         return s;
     },
     now: () => Date.now(),
-    onStatus: () => updateStatus()
+    onStatus: () => updateStatus(),
+    isBlocked: (videoId, rIdx) => songStore.isBlocked(videoId, rIdx),
+    beforeQueueEdit: (kind) => recordUndo(QUEUE_EDIT_LABELS[kind] || 'Queue edited',
+        { toast: TOASTED_QUEUE_EDITS.has(kind) }),
+    getAutoDjCandidates: (seed) => getAutoDjCandidates(seed),
+    isFavorite: (videoId, rIdx) => songStore.isFavorite(videoId, rIdx),
+    getLastPlayed: (videoId, rIdx) => getLastPlayed(videoId, rIdx),
+    isRadioCandidate: (stream, rIdx) => matchesRadioFilter(radioFilter, stream, rIdx, songStore),
+    onSleep: () => sleepNow(),
+});
+
+const songStore = createSongStore({
+    load: () => localStorage.getItem('roxy_favorites'),
+    save: (json) => localStorage.setItem('roxy_favorites', json),
 });
 
+const savedQueueStore = createSavedQueueStore({
+    load: () => localStorage.getItem('roxy_savedQueues'),
+    save: (json) => localStorage.setItem('roxy_savedQueues', json),
+});
+
+const keymap = createKeymap({
+    load: () => localStorage.getItem('roxy_keymap'),
+    save: (json) => {
+        if (json === null) localStorage.removeItem('roxy_keymap');
+        else localStorage.setItem('roxy_keymap', json);
+    },
+});
+
+const undoHistory = createUndoHistory({
+    capture: (like) => captureUndoState({ playlist: !!like && 'customSegments' in like }),
+    restore: (state) => restoreUndoState(state),
+    load: () => localStorage.getItem('roxy_undo'),
+    save: (json) => {
+        if (json === null) localStorage.removeItem('roxy_undo');
+        else localStorage.setItem('roxy_undo', json);
+    },
+});
+const undoToast = createUndoToastController({
+    toast: document.getElementById('undo-toast'),
+    message: document.getElementById('undo-toast-message'),
+    actionBtn: document.getElementById('undo-toast-btn'),
+});
+
+// Listening history is opt-in; nothing is observed until it's switched on.
+const listenHistory = createListenHistory({
+    backend: createIndexedDbBackend() || createMemoryBackend(),
+});
+let historyRecording = localStorage.getItem('roxy_listenHistory') === 'on';
+const playTracker = createPlayTracker({
+    onPlayEnd: (entry) => {
+        lastPlayedAt.set(songKey(entry.videoId, entry.rIdx), entry.startedAt);
+        listenHistory.record(entry).catch(err => console.warn('[History] Failed to record play:', err && err.message));
+    },
+    getPlaybackRate: () => core.playbackRate,
+});
+if (historyRecording) {
+    listenHistory.prune().catch(err => console.warn('[History] Failed to prune:', err && err.message));
+}
+
 // ======== CONTROLLERS ========
 
 const playbackCtrl = createPlaybackController({
-    getPlayer: () => player,
+    getBackend: (stream) => getBackend(stream),
     getCurrentStream: () => core.getCurrentStream(),
     sanitizeStartTime: (time, stream) => core.sanitizeStartTime(time, stream),
     isYapMode: () => core.yapMode,
     onTick: (t) => {
         updateStatus(t);
+        if (editorOwnsPlayback()) {
+            playbackCtrl.setVolumeFactor('fade', 1);
+            playbackCtrl.setVolumeFactor('gain', 1);
+            editorCtrl.onTick(t);
+            return;
+        }
+        playbackCtrl.setVolumeFactor('gain', core.getGainLevel(t));
+        playbackCtrl.setVolumeFactor('fade', core.getSegmentFadeLevel(t, segmentFadeSeconds));
+        updateSleepFade(t);
         core.checkTick(t);
     },
     onSeek: (t) => {
@@ -156,10 +378,19 @@ const searchCtrl = createSearchController({
             updateButtons();
         }
     },
+    onPlayNextResult: (vIdx, rIdx) => playNext(core.playlist[vIdx]?.videoId, rIdx),
+    enqueueAllBtn: searchEnqueueAllBtn,
+    onEnqueueAllResults: (items) => enqueueAll(items.map(({ streamId, songId }) => ({
+        videoId: core.playlist[streamId]?.videoId,
+        rIdx: songId,
+    })).filter(item => item.videoId)),
     isResultQueued: (vIdx, rIdx) => {
         const stream = core.playlist[vIdx];
         return !!stream && core.isQueued(stream.videoId, rIdx);
     },
+    onToggleFavoriteResult: (vIdx, rIdx) => toggleFavorite(core.playlist[vIdx]?.videoId, rIdx),
+    isResultFavorite: (vIdx, rIdx) => !!core.playlist[vIdx] && songStore.isFavorite(core.playlist[vIdx].videoId, rIdx),
+    getResultRating: (vIdx, rIdx) => (core.playlist[vIdx] ? songStore.getRating(core.playlist[vIdx].videoId, rIdx) : 0),
 });
 
 const statusCtrl = createStatusPanelController({
@@ -168,16 +399,27 @@ const statusCtrl = createStatusPanelController({
     getCurrentStreamIdx: () => core.vIdx,
     getCoreRIdx: () => core.rIdx,
     getStreamDefaultStart: (stream) => core.getStreamDefaultStart(stream),
-    getPlayerTime: () => player && typeof player.getCurrentTime === 'function'
-        ? player.getCurrentTime()
-        : undefined,
+    getPlayerTime: () => {
+        const backend = getBackend();
+        return backend ? backend.getTime() : undefined;
+    },
     isPlaylistReady: () => playlistReady,
     onEnqueueSong: (videoId, rIdx) => {
         core.enqueue(videoId, rIdx);
         updateQueueIndicator();
         updateButtons();
     },
+    onPlayNextSong: (videoId, rIdx) => playNext(videoId, rIdx),
+    enqueueAllBtn: statusEnqueueAllBtn,
+    onEnqueueAll: (items) => enqueueAll(items),
     isSongQueued: (videoId, rIdx) => core.isQueued(videoId, rIdx),
+    onToggleFavorite: (videoId, rIdx) => toggleFavorite(videoId, rIdx),
+    isSongFavorite: (videoId, rIdx) => songStore.isFavorite(videoId, rIdx),
+    getSongRating: (videoId, rIdx) => songStore.getRating(videoId, rIdx),
+    isSongBlocked: (videoId, rIdx) => songStore.isBlocked(videoId, rIdx),
+    loopSelectBtn: statusLoopSelectBtn,
+    getLoopSelection: () => core.getLoopSelection(),
+    onLoopSelection: (rIdxs) => loopSelectedSongs(rIdxs),
     onSongPick: (safeIdx) => {
         const stream = core.getCurrentStream();
         if (!stream) return;
@@ -205,6 +447,7 @@ const importCtrl = createImportAndMoreController({
     importReplaceBtn, importAppendBtn,
     importResetBtn: document.getElementById('import-reset-btn'),
     onImportReplace: (data) => {
+        const before = captureUndoState({ playlist: true });
         core.init(data);
         if (!core.playlist.length) {
             importCtrl.setImportStatus('Import produced an empty playlist', 'error');
@@ -217,6 +460,7 @@ const importCtrl = createImportAndMoreController({
         activeSegments = data;
         persistCustomSegments(data);
         localStorage.setItem('roxy_segmentsMode', 'replaced');
+        recordUndo('Playlist replaced', { before });
 
         core.vIdx = 0;
         core.rIdx = 0;
@@ -232,6 +476,7 @@ const importCtrl = createImportAndMoreController({
         const kept = activeSegments.filter(entry => !importedIds.has(entry.videoId));
         const merged = [...kept, ...data];
 
+        const before = captureUndoState({ playlist: true });
         core.init(merged);
         if (!core.playlist.length) {
             importCtrl.setImportStatus('Merge produced an empty playlist', 'error');
@@ -246,6 +491,7 @@ const importCtrl = createImportAndMoreController({
         const defaultIds = new Set(segmentsData.map(e => e.videoId));
         persistCustomSegments(merged.filter(e => !defaultIds.has(e.videoId)));
         localStorage.removeItem('roxy_segmentsMode');
+        recordUndo('Playlist extended', { before });
 
         core.vIdx = 0;
         core.rIdx = 0;
@@ -255,36 +501,14 @@ const importCtrl = createImportAndMoreController({
         importCtrl.setImportStatus(`Extended - ${core.playlist.length} streams total`, 'ok');
         console.log(`[Import] Appended ${data.length} streams (${importedIds.size} unique), total ${core.playlist.length}`);
     },
-    onImportReset: () => {
-        activeSegments = segmentsData;
-        localStorage.removeItem('roxy_customSegments');
-        localStorage.removeItem('roxy_segmentsMode');
-
-        core.init(activeSegments);
-        core.vIdx = 0;
-        core.rIdx = 0;
-        rebuildPlaylistDerivedState();
-        updateButtons();
-        loadCurrentContent(true);
-        importCtrl.setImportStatus(`Reset - ${core.playlist.length} default streams restored`, 'ok');
-        importCtrl.toggleImportModal();
-        console.log(`[Import] Reset to default playlist (${core.playlist.length} streams)`);
-    },
+    onImportReset: () => resetPlaylist(),
     onMemberToggle: () => performMemberModeToggle(),
     onCopyShareUrl: (buttonEl) => {
-        const stream = core.getCurrentStream();
-        if (stream && stream.videoId) {
-            const currentTime = playbackCtrl.getSafeCurrentTime();
-            const timeParam = Math.floor(currentTime);
-            const shareUrl = `${window.location.origin}${window.location.pathname}?v=${stream.videoId}&t=${timeParam}`;
-            navigator.clipboard.writeText(shareUrl).then(() => {
-                const original = buttonEl.textContent;
-                buttonEl.textContent = 'Copied!';
-                setTimeout(() => { buttonEl.textContent = original; }, 1500);
-            }).catch(err => {
-                console.error('[Share] Failed to copy URL to clipboard', err);
-            });
-        }
+        copyShareUrl(() => {
+            const original = buttonEl.textContent;
+            buttonEl.textContent = 'Copied!';
+            setTimeout(() => { buttonEl.textContent = original; }, 1500);
+        });
     },
     isMemberMode: () => core.memberMode,
 });
@@ -308,6 +532,10 @@ const queueCtrl = createQueueModalController({
         queueCtrl.toggle();
         loadCurrentContent(true);
     },
+    onMoveItem: (from, to) => {
+        core.moveQueueItem(from, to);
+        updateButtons();
+    },
     onClearAll: () => {
         core.clearQueue();
         queueCtrl.render();
@@ -316,6 +544,40 @@ const queueCtrl = createQueueModalController({
     },
 });
 
+const savedQueuesCtrl = createSavedQueuesModalController({
+    overlay: savedQueuesOverlay,
+    list: savedQueuesListEl,
+    nameInput: savedQueuesNameInput,
+    saveBtn: savedQueuesSaveBtn,
+    getSaved: () => savedQueueStore.list(),
+    getQueueLength: () => core.getQueue().length,
+    onSave: (name) => savedQueueStore.saveAs(name, core.getQueue()),
+    onLoad: (id, { append }) => {
+        const entry = savedQueueStore.get(id);
+        if (!entry) return;
+        core.loadQueue(entry.items, { append });
+        updateQueueIndicator();
+        updateButtons();
+        // Show the result in the queue manager.
+        closeOtherModals('queue');
+        queueCtrl.toggle();
+    },
+    onRename: (id, name) => savedQueueStore.rename(id, name),
+    onDuplicate: (id) => savedQueueStore.duplicate(id),
+    onDelete: (id) => savedQueueStore.remove(id),
+});
+
+if (queueAutoDjBtn) {
+    queueAutoDjBtn.addEventListener('click', () => cycleAutoDjPolicy());
+}
+
+if (queueSavedBtn) {
+    queueSavedBtn.addEventListener('click', () => {
+        closeOtherModals('savedQueues');
+        savedQueuesCtrl.toggle();
+    });
+}
+
 if (queueCell) {
     queueCell.addEventListener('click', () => {
         closeOtherModals('queue');
@@ -330,6 +592,227 @@ if (mobileQueueBtn) {
     });
 }
 
+const catalogueCtrl = createCatalogueModalController({
+    overlay: catalogueOverlay,
+    list: catalogueListEl,
+    searchInput: catalogueSearchInput,
+    getPlaylist: () => core.playlist,
+    onPlay: (vIdx, rIdx) => {
+        catalogueCtrl.toggle();
+        core.vIdx = vIdx;
+        core.rIdx = rIdx;
+        loadCurrentContent(true);
+    },
+    onEnqueue: (items) => {
+        // A bulk add (whole artist or song) skips what's already queued; a single
+        // performance enqueues like the search modal's + does.
+        const targets = items
+            .map(({ streamId, songId }) => ({ videoId: core.playlist[streamId]?.videoId, rIdx: songId }))
+            .filter(item => item.videoId);
+        if (items.length > 1) {
+            enqueueAll(targets);
+            return;
+        }
+        for (const { videoId, rIdx } of targets) core.enqueue(videoId, rIdx);
+        updateQueueIndicator();
+        updateButtons();
+    },
+    isQueued: (vIdx, rIdx) => {
+        const stream = core.playlist[vIdx];
+        return !!stream && core.isQueued(stream.videoId, rIdx);
+    },
+});
+
+if (moreCatalogueBtn) {
+    moreCatalogueBtn.addEventListener('click', () => {
+        closeOtherModals('catalogue');
+        catalogueCtrl.toggle();
+    });
+}
+
+const blocklistCtrl = createBlocklistModalController({
+    overlay: blocklistOverlay,
+    list: blocklistListEl,
+    getEntries: () => songStore.getBlocked({ includeOrphaned: true }),
+    onUnblock: ({ videoId, rIdx }) => toggleBlocked(videoId, rIdx),
+    onPlay: ({ videoId, rIdx }) => {
+        const vIdx = core.playlist.findIndex(p => p.videoId === videoId);
+        if (vIdx === -1) return;
+        blocklistCtrl.toggle();
+        core.vIdx = vIdx;
+        core.rIdx = rIdx;
+        loadCurrentContent(true);
+    },
+});
+
+const historyCtrl = createHistoryModalController({
+    overlay: historyOverlay,
+    list: historyListEl,
+    recordBtn: historyRecordBtn,
+    clearBtn: historyClearBtn,
+    getEntries: () => listenHistory.getRecent(),
+    getPlaylist: () => core.playlist,
+    isRecording: () => historyRecording,
+    onSetRecording: (on) => setHistoryRecording(on),
+    onClear: () => {
+        lastPlayedAt.clear();
+        return listenHistory.clear();
+    },
+    onPlay: (videoId, rIdx) => {
+        const vIdx = core.playlist.findIndex(p => p.videoId === videoId);
+        if (vIdx === -1) return;
+        historyCtrl.toggle();
+        core.vIdx = vIdx;
+        core.rIdx = rIdx;
+        loadCurrentContent(true);
+    },
+    onEnqueue: (videoId, rIdx) => {
+        core.enqueue(videoId, rIdx);
+        updateQueueIndicator();
+        updateButtons();
+    },
+    isQueued: (videoId, rIdx) => core.isQueued(videoId, rIdx),
+});
+
+const statsCtrl = createStatsModalController({
+    overlay: statsOverlay,
+    content: statsContent,
+    periodButtons: statsOverlay ? [...statsOverlay.querySelectorAll('[data-period]')] : [],
+    exportBtn: statsExportBtn,
+    getEntries: () => listenHistory.getRecent(),
+    getPlaylist: () => core.playlist,
+});
+
+const sleepTimer = createSleepTimer({
+    setLevel: (level) => playbackCtrl.setVolumeFactor('sleep', level),
+    onExpire: () => sleepNow(),
+    onChange: () => updateSleepIndicator(),
+});
+
+const sleepCtrl = createSleepModalController({
+    overlay: sleepOverlay,
+    optionButtons: sleepOverlay ? [...sleepOverlay.querySelectorAll('[data-sleep-minutes], [data-sleep-after]')] : [],
+    minutesInput: document.getElementById('sleep-minutes-input'),
+    minutesBtn: document.getElementById('sleep-minutes-btn'),
+    songsInput: document.getElementById('sleep-songs-input'),
+    songsBtn: document.getElementById('sleep-songs-btn'),
+    fadeInput: document.getElementById('sleep-fade-input'),
+    currentLabel: document.getElementById('sleep-current'),
+    offBtn: document.getElementById('sleep-off-btn'),
+    getState: () => ({ label: describeSleep(), fade: sleepFade }),
+    onChoose: (choice, { fade }) => setSleep(choice, fade),
+    onFadeChange: (fade) => {
+        sleepFade = fade;
+        localStorage.setItem('roxy_sleepFade', String(fade));
+    },
+});
+
+[moreSleepBtn, sleepCell].forEach((btn) => {
+    if (!btn) return;
+    btn.addEventListener('click', () => {
+        closeOtherModals('sleep');
+        sleepCtrl.toggle();
+    });
+});
+
+const shortcutsCtrl = createShortcutsModalController({
+    overlay: shortcutsOverlay,
+    list: document.getElementById('shortcuts-list'),
+    editBtn: document.getElementById('shortcuts-edit-btn'),
+    resetAllBtn: document.getElementById('shortcuts-reset-btn'),
+    message: document.getElementById('shortcuts-message'),
+    keymap,
+});
+
+if (moreKeysBtn) {
+    moreKeysBtn.addEventListener('click', () => openShortcutSettings());
+}
+
+const paletteCtrl = createCommandPaletteController({
+    overlay: paletteOverlay,
+    input: paletteInput,
+    list: document.getElementById('palette-list'),
+    getCommands: () => getPaletteCommands(),
+    getPlaylist: () => core.playlist,
+    getCurrentStream: () => core.getCurrentStream(),
+    onSeek: (seconds) => {
+        if (editorOwnsPlayback()) return;
+        core.syncToTime(seconds);
+        playbackCtrl.seekToSafe(seconds);
+    },
+    onPlaySong: (rIdx) => {
+        core.rIdx = rIdx;
+        loadCurrentContent(true);
+    },
+    onPlayStream: (vIdx) => {
+        core.vIdx = vIdx;
+        core.rIdx = 0;
+        loadCurrentContent(true);
+    },
+});
+
+if (moreStatsBtn) {
+    moreStatsBtn.addEventListener('click', () => {
+        closeOtherModals('stats');
+        statsCtrl.toggle();
+    });
+}
+
+if (moreHistoryBtn) {
+    moreHistoryBtn.addEventListener('click', () => {
+        closeOtherModals('history');
+        historyCtrl.toggle();
+    });
+}
+
+if (moreBlocklistBtn) {
+    moreBlocklistBtn.addEventListener('click', () => {
+        closeOtherModals('blocklist');
+        blocklistCtrl.toggle();
+    });
+}
+
+if (favCell) {
+    favCell.addEventListener('click', () => {
+        const stream = core.getCurrentStream();
+        if (stream) toggleFavorite(stream.videoId, core.rIdx);
+    });
+}
+
+if (ratingCell) {
+    ratingCell.addEventListener('click', () => {
+        const stream = core.getCurrentStream();
+        if (stream) cycleRating(stream.videoId, core.rIdx);
+    });
+}
+
+if (moreFavoritesBtn) {
+    moreFavoritesBtn.addEventListener('click', () => {
+        if (importCtrl.isMoreOpen()) importCtrl.toggleMoreOverlay();
+        playFavorites();
+    });
+}
+
+if (moreShuffleBtn) {
+    moreShuffleBtn.addEventListener('click', () => cycleShuffleStrategy());
+}
+
+if (moreRadioBtn) {
+    moreRadioBtn.addEventListener('click', () => cycleRadioFilter());
+}
+
+if (moreFadeBtn) {
+    moreFadeBtn.addEventListener('click', () => cycleSegmentFade());
+}
+
+if (moreAbBtn) {
+    moreAbBtn.addEventListener('click', () => markAbLoop());
+}
+
+if (moreSpeedBtn) {
+    moreSpeedBtn.addEventListener('click', () => stepSpeed(1, true));
+}
+
 if (moreCell) {
     moreCell.addEventListener('click', () => {
         closeOtherModals('more');
@@ -344,6 +827,51 @@ const messageBarCtrl = createMessageBarController({
     messagesData,
 });
 
+// Media keys mirror the song buttons; stream navigation stays on its own buttons.
+const mediaSessionCtrl = createMediaSessionController({
+    onPlay: () => { const backend = getBackend(); if (backend) backend.play(); },
+    onPause: () => { const backend = getBackend(); if (backend) backend.pause(); },
+    onNextSong: () => goNextSong(),
+    onPrevSong: () => goPrevSong(),
+    onSeekBy: (delta) => {
+        if (editorOwnsPlayback()) return;
+        const time = Math.max(0, playbackCtrl.getSafeCurrentTime() + delta);
+        core.syncToTime(time);
+        playbackCtrl.seekToSafe(time);
+    },
+    onSeekTo: (offset) => {
+        const song = core.getCurrentSong();
+        if (song && song.range) playbackCtrl.seekToSafe(song.range[0] + offset);
+    },
+});
+mediaSessionCtrl.init();
+
+const editorCtrl = EDITOR_MODE ? createSegmentEditorController({
+    panel: document.getElementById('editor-panel'),
+    getTime: () => {
+        const backend = playbackCtrl.getActiveBackend();
+        return backend ? backend.getTime() : 0;
+    },
+    getLoadedVideoId: () => playbackCtrl.getCurrentLoadedVideoId(),
+    findStream: (videoId) => activeSegments.find(e => e.videoId === videoId) || null,
+    onLoadVideo: (videoId) => playEditorVideo(videoId),
+    seek: (time) => playbackCtrl.seekToSafe(time, editorStream),
+    play: () => { const backend = playbackCtrl.getActiveBackend(); if (backend) backend.play(); },
+    pause: () => { const backend = playbackCtrl.getActiveBackend(); if (backend) backend.pause(); },
+    copyText: (text) => navigator.clipboard.writeText(text),
+    saveDraft: (data) => {
+        if (data) localStorage.setItem('roxy_editorDraft', JSON.stringify(data));
+        else localStorage.removeItem('roxy_editorDraft');
+    },
+    loadDraft: () => {
+        try {
+            return JSON.parse(localStorage.getItem('roxy_editorDraft'));
+        } catch {
+            return null;
+        }
+    },
+}) : null;
+
 initWantedPoster({
     boltTrigger: document.getElementById('bolt-trigger'),
     wantedOverlay: document.getElementById('wanted-overlay'),
@@ -354,10 +882,14 @@ initWantedPoster({
 playbackCtrl.ensureTitleRefreshLoop((t) => updateStatus(t));
 
 window.addEventListener('beforeunload', () => {
+    if (historyRecording) playTracker.finish();
+    // The editor's video isn't the core's stream; keep the last saved resume point.
+    if (editorOwnsPlayback()) return;
     let time = playbackCtrl.getLastKnownTime();
-    if (player && typeof player.getCurrentTime === 'function') {
+    const backend = getBackend();
+    if (backend) {
         try {
-            const live = player.getCurrentTime();
+            const live = backend.getTime();
             if (Number.isFinite(live)) time = live;
         } catch (err) {
             console.warn('Failed to read current time on unload', err);
@@ -367,7 +899,7 @@ window.addEventListener('beforeunload', () => {
 });
 
 // ======== URL PARAMETER PARSING ========
-const PERMITTED_URL_PARAMS = ['v', 't'];
+const PERMITTED_URL_PARAMS = ['v', 't', 'editor'];
 
 function stripInvalidParams() {
     try {
@@ -404,6 +936,9 @@ function parseUrlParams() {
 
         if (!videoId) return null;
 
+        // In editor mode ?v= names the video to timestamp, not a radio stream.
+        if (EDITOR_MODE) return null;
+
         const streamIdx = core.playlist.findIndex(s => s.videoId === videoId);
         if (streamIdx === -1) {
             console.log(`[URL] v=${videoId} not found in playlist, ignoring`);
@@ -441,10 +976,276 @@ function parseUrlParams() {
 
 // ======== LOAD SEGMENTS ========
 initializePlaylist();
+if (editorCtrl) editorCtrl.init(new URLSearchParams(window.location.search).get('v'));
+applyAutoDjPolicy();
+if (core.shuffleStrategy === SHUFFLE_LEAST_RECENT) loadLastPlayed();
 
 function rebuildPlaylistDerivedState() {
     searchCtrl.rebuild(core.playlist);
+    songStore.reconcile(core.playlist);
     statusCtrl.refresh(true);
+    refreshFavoriteViews();
+}
+
+// Back to the bundled segments.json. Also reachable from the command
+// palette, with the import modal closed.
+function resetPlaylist() {
+    recordUndo('Playlist reset', { playlist: true });
+    activeSegments = segmentsData;
+    localStorage.removeItem('roxy_customSegments');
+    localStorage.removeItem('roxy_segmentsMode');
+
+    core.init(activeSegments);
+    core.vIdx = 0;
+    core.rIdx = 0;
+    rebuildPlaylistDerivedState();
+    updateButtons();
+    loadCurrentContent(true);
+    importCtrl.setImportStatus(`Reset - ${core.playlist.length} default streams restored`, 'ok');
+    if (importCtrl.isImportOpen()) importCtrl.toggleImportModal();
+    console.log(`[Import] Reset to default playlist (${core.playlist.length} streams)`);
+}
+
+// ======== UNDO ========
+
+const QUEUE_EDIT_LABELS = {
+    enqueue: 'Added to queue',
+    playNext: 'Added to play next',
+    enqueueMany: 'Queued all',
+    move: 'Moved in queue',
+    remove: 'Removed from queue',
+    clear: 'Queue cleared',
+    replace: 'Queue replaced',
+    append: 'Saved queue appended',
+};
+// Edits that lose something get an Undo toast; additions are a Ctrl+Z away.
+const TOASTED_QUEUE_EDITS = new Set(['remove', 'clear', 'replace']);
+
+// Everything an undo can put back: the queue with its cycle position, member
+// mode and what was playing, plus with `playlist` the playlist source saved by
+// imports. Only imports and reset take that: it can run to megabytes, too much
+// to copy and persist on every queue edit.
+function captureUndoState({ playlist = false } = {}) {
+    const stream = core.getCurrentStream();
+    const state = {
+        queue: core.getQueueSnapshot(),
+        memberMode: core.memberMode,
+        videoId: stream ? stream.videoId : null,
+        rIdx: core.rIdx,
+    };
+    if (playlist) {
+        state.customSegments = localStorage.getItem('roxy_customSegments');
+        state.segmentsMode = localStorage.getItem('roxy_segmentsMode');
+    }
+    return state;
+}
+
+function setStoredItem(key, value) {
+    if (value === null || value === undefined) localStorage.removeItem(key);
+    else localStorage.setItem(key, value);
+}
+
+function restoreUndoState(state) {
+    const playingId = core.getCurrentStream()?.videoId;
+    const hasPlaylist = 'customSegments' in state;
+    const playlistChanged = state.memberMode !== core.memberMode || (hasPlaylist
+        && (state.customSegments !== localStorage.getItem('roxy_customSegments')
+            || state.segmentsMode !== localStorage.getItem('roxy_segmentsMode')));
+
+    if (playlistChanged) {
+        if (hasPlaylist) {
+            setStoredItem('roxy_customSegments', state.customSegments);
+            setStoredItem('roxy_segmentsMode', state.segmentsMode);
+            activeSegments = loadActiveSegments();
+        }
+        if (state.memberMode !== core.memberMode) core.toggleMemberMode();
+        core.init(activeSegments);
+        // Keep playing if the current stream survived; otherwise go back to
+        // what was playing when the snapshot was taken.
+        if (core.getCurrentStream()?.videoId !== playingId) {
+            const idx = core.playlist.findIndex(p => p.videoId === state.videoId);
+            core.vIdx = Math.max(idx, 0);
+            core.rIdx = idx === -1 ? 0 : resolveRIdx(core.playlist[idx], state.rIdx);
+        }
+    }
+    core.restoreQueueSnapshot(state.queue);
+
+    if (playlistChanged) rebuildPlaylistDerivedState();
+    updateQueueIndicator();
+    updateButtons();
+    if (queueCtrl.isOpen()) queueCtrl.render();
+    if (savedQueuesCtrl.isOpen()) savedQueuesCtrl.render();
+    if (importCtrl.isMoreOpen()) importCtrl.updateMoreMemberBtn();
+    if (playlistChanged && core.getCurrentStream()?.videoId !== playingId) loadCurrentContent(true);
+}
+
+/**
+ * Snapshot the state before a change so Ctrl+Z can take it back.
+ * @param {string} label
+ * @param {{playlist?: boolean, before?: object, toast?: boolean}} [options]
+ *        `playlist` for changes to the playlist source; `before` when the
+ *        snapshot had to be taken before the change was known to succeed
+ */
+function recordUndo(label, { playlist = false, before = captureUndoState({ playlist }), toast = true } = {}) {
+    undoHistory.record(label, before);
+    if (toast) undoToast.show(label, { label: 'Undo', run: () => undoLastChange() });
+}
+
+function undoLastChange() {
+    const label = undoHistory.undo();
+    if (label) undoToast.show(`Undid: ${label}`, { label: 'Redo', run: () => redoLastChange() });
+    else undoToast.show('Nothing to undo');
+}
+
+function redoLastChange() {
+    const label = undoHistory.redo();
+    if (label) undoToast.show(`Redid: ${label}`, { label: 'Undo', run: () => undoLastChange() });
+    else undoToast.show('Nothing to redo');
+}
+
+// ======== FAVORITES & RATINGS ========
+
+function toggleFavorite(videoId, rIdx) {
+    if (!videoId) return false;
+    const favorite = songStore.toggleFavorite(videoId, rIdx, core.playlist.find(p => p.videoId === videoId));
+    refreshFavoriteViews();
+    return favorite;
+}
+
+function cycleRating(videoId, rIdx) {
+    if (!videoId) return 0;
+    const rating = songStore.cycleRating(videoId, rIdx, core.playlist.find(p => p.videoId === videoId));
+    refreshFavoriteViews();
+    return rating;
+}
+
+function toggleBlocked(videoId, rIdx) {
+    if (!videoId) return false;
+    const blocked = songStore.toggleBlocked(videoId, rIdx, core.playlist.find(p => p.videoId === videoId));
+    refreshFavoriteViews();
+    if (blocklistCtrl.isOpen()) blocklistCtrl.render();
+    return blocked;
+}
+
+function enqueueAll(items) {
+    const result = core.enqueueMany(items);
+    updateQueueIndicator();
+    updateButtons();
+    return result;
+}
+
+function playNext(videoId, rIdx) {
+    if (!videoId) return;
+    core.enqueueNext(videoId, rIdx);
+    updateQueueIndicator();
+    updateButtons();
+}
+
+// The song a Shift+F / Shift+R / Shift+X / Shift+N applies to: the highlighted search
+// result or song-list row when one of those is open, else the current song.
+function getSongMarkTarget() {
+    if (searchCtrl.isOpen()) {
+        const item = searchCtrl.enqueueHighlighted();
+        const stream = item ? core.playlist[item.streamId] : null;
+        return stream ? { videoId: stream.videoId, rIdx: item.songId } : null;
+    }
+    if (statusCtrl.isOpen()) return statusCtrl.enqueueHighlighted();
+    const stream = core.getCurrentStream();
+    return stream ? { videoId: stream.videoId, rIdx: core.rIdx } : null;
+}
+
+function updateFavoriteCells(force = false) {
+    const stream = core.getCurrentStream();
+    const favorite = !!stream && songStore.isFavorite(stream.videoId, core.rIdx);
+    const rating = stream ? songStore.getRating(stream.videoId, core.rIdx) : 0;
+    const blocked = !!stream && songStore.isBlocked(stream.videoId, core.rIdx);
+    // Runs on every status tick; only touch the DOM when something changed.
+    const key = `${stream ? stream.videoId : ''}:${core.rIdx}:${favorite}:${rating}:${blocked}`;
+    if (!force && key === lastFavoriteCellKey) return;
+    lastFavoriteCellKey = key;
+    setFavoriteButtonState(favCell, favorite, 0);
+    if (statusEl) statusEl.classList.toggle('song-blocked', blocked);
+    if (ratingCell) {
+        ratingCell.textContent = rating > 0 ? `${'★'.repeat(rating)}` : '☆';
+        ratingCell.title = `Rate this song (Shift+R)${rating > 0 ? ` — ${rating}/5` : ''}`;
+    }
+}
+
+function updateFavoritesButton() {
+    if (!moreFavoritesBtn) return;
+    const playable = songStore.getFavorites().length;
+    const orphaned = songStore.getFavorites({ includeOrphaned: true }).length - playable;
+    moreFavoritesBtn.textContent = `Play Favorites (${playable})`;
+    moreFavoritesBtn.disabled = playable === 0;
+    moreFavoritesBtn.title = orphaned > 0
+        ? `${orphaned} favorite(s) belong to streams not in the current playlist`
+        : 'Play your favorites like a stream';
+}
+
+function updateBlocklistButton() {
+    if (!moreBlocklistBtn) return;
+    moreBlocklistBtn.textContent = `Blocked Songs (${songStore.getBlocked({ includeOrphaned: true }).length})`;
+}
+
+function refreshFavoriteViews() {
+    updateFavoriteCells(true);
+    updateFavoritesButton();
+    updateBlocklistButton();
+    statusCtrl.refreshFavorites();
+    searchCtrl.refreshFavorites();
+}
+
+function playFavorites() {
+    if (!core.startSmartList('Favorites', songStore.getFavorites())) return;
+    updateButtons();
+    loadCurrentContent(true);
+}
+
+// ======== LISTENING HISTORY ========
+
+function setHistoryRecording(on) {
+    // Close out the song in progress so it's logged (or not) as it was heard.
+    if (historyRecording && !on) playTracker.finish();
+    historyRecording = on;
+    localStorage.setItem('roxy_listenHistory', on ? 'on' : 'off');
+}
+
+// Read once; plays that end afterwards are added as they're recorded.
+function loadLastPlayed() {
+    if (lastPlayedLoaded || !historyRecording) return Promise.resolve();
+    lastPlayedLoaded = true;
+    return listenHistory.getRecent()
+        .then((entries) => {
+            // Newest first, so the first play seen per song is its last one.
+            for (const entry of entries) {
+                const key = songKey(entry.videoId, entry.rIdx);
+                if (!lastPlayedAt.has(key)) lastPlayedAt.set(key, entry.startedAt);
+            }
+        })
+        .catch(err => console.warn('[History] Failed to read last plays:', err && err.message));
+}
+
+// rIdx null: the latest play of any song of the stream.
+function getLastPlayed(videoId, rIdx) {
+    if (rIdx !== null) return lastPlayedAt.get(songKey(videoId, rIdx)) || 0;
+    const stream = core.playlist.find(p => p.videoId === videoId);
+    const songCount = stream && stream.songs ? stream.songs.length : 1;
+    let latest = 0;
+    for (let i = 0; i < songCount; i++) latest = Math.max(latest, lastPlayedAt.get(songKey(videoId, i)) || 0);
+    return latest;
+}
+
+function getPlayTrack() {
+    const stream = core.getCurrentStream();
+    const song = core.getCurrentSong();
+    if (!stream || !song) return null;
+    return {
+        videoId: stream.videoId,
+        rIdx: core.rIdx,
+        range: song.range,
+        name: song.name,
+        streamName: stream.name || stream.title || '',
+    };
 }
 
 function persistCustomSegments(data) {
@@ -455,33 +1256,39 @@ function persistCustomSegments(data) {
     }
 }
 
-function initializePlaylist() {
-    try {
-        // Restore custom playlist from localStorage if present
-        const savedSegments = localStorage.getItem('roxy_customSegments');
-        if (savedSegments) {
-            try {
-                const parsed = JSON.parse(savedSegments);
-                if (validateSegmentData(parsed)) {
-                    if (localStorage.getItem('roxy_segmentsMode') === 'replaced') {
-                        activeSegments = parsed;
-                        console.log(`[Import] Restored ${parsed.length} replaced streams from localStorage`);
-                    } else {
-                        // Defaults always load fresh. Append non-default custom entries
-                        const defaultIds = new Set(segmentsData.map(e => e.videoId));
-                        const customOnly = parsed.filter(e => !defaultIds.has(e.videoId));
-                        activeSegments = [...segmentsData, ...customOnly];
-                        console.log(`[Import] Loaded defaults + ${customOnly.length} custom stream(s) from localStorage`);
-                    }
+// The playlist source saved by imports: defaults, defaults plus custom
+// streams (Extend), or a full replacement. Bad saved data is dropped.
+function loadActiveSegments() {
+    const savedSegments = localStorage.getItem('roxy_customSegments');
+    if (savedSegments) {
+        try {
+            const parsed = JSON.parse(savedSegments);
+            if (validateSegmentData(parsed)) {
+                if (localStorage.getItem('roxy_segmentsMode') === 'replaced') {
+                    console.log(`[Import] Restored ${parsed.length} replaced streams from localStorage`);
+                    return parsed;
                 } else {
-                    localStorage.removeItem('roxy_customSegments');
+                    // Defaults always load fresh. Append non-default custom entries
+                    const defaultIds = new Set(segmentsData.map(e => e.videoId));
+                    const customOnly = parsed.filter(e => !defaultIds.has(e.videoId));
+                    console.log(`[Import] Loaded defaults + ${customOnly.length} custom stream(s) from localStorage`);
+                    return [...segmentsData, ...customOnly];
                 }
-            } catch {
+            } else {
                 localStorage.removeItem('roxy_customSegments');
             }
+        } catch {
+            localStorage.removeItem('roxy_customSegments');
         }
+    }
+    return segmentsData;
+}
 
+function initializePlaylist() {
+    try {
+        activeSegments = loadActiveSegments();
         core.init(activeSegments);
+        playbackCtrl.setPlaybackRate(core.playbackRate);
 
         if (!core.playlist.length) throw new Error('Empty playlist');
 
@@ -506,11 +1313,173 @@ function initializePlaylist() {
     }
 }
 
+// ======== SHUFFLE STRATEGY ========
+
+function cycleShuffleStrategy() {
+    const next = SHUFFLE_STRATEGIES[(SHUFFLE_STRATEGIES.indexOf(core.shuffleStrategy) + 1) % SHUFFLE_STRATEGIES.length];
+    core.setShuffleStrategy(next);
+    if (next === SHUFFLE_LEAST_RECENT) loadLastPlayed();
+    updateButtons();
+}
+
+// All songs → favorites → rated → the current song's artist → all songs.
+function cycleRadioFilter() {
+    radioFilter = nextRadioFilter(radioFilter, getRadioArtist(core.getCurrentStream(), core.rIdx));
+    localStorage.setItem('roxy_radioFilter', JSON.stringify(radioFilter));
+    updateButtons();
+}
+
+// ======== SONG FADES ========
+
+// Off → 1s → 2s → 3s → Off, applied right away rather than on the next tick.
+function cycleSegmentFade() {
+    segmentFadeSeconds = SEGMENT_FADE_OPTIONS[(SEGMENT_FADE_OPTIONS.indexOf(segmentFadeSeconds) + 1) % SEGMENT_FADE_OPTIONS.length];
+    localStorage.setItem('roxy_segmentFade', String(segmentFadeSeconds));
+    playbackCtrl.setVolumeFactor('fade', core.getSegmentFadeLevel(playbackCtrl.getSafeCurrentTime(), segmentFadeSeconds));
+    updateButtons();
+}
+
+// ======== PLAYBACK SPEED ========
+
+// One PLAYBACK_RATES step up or down; the More button wraps around, the
+// shortcuts stop at either end.
+function stepSpeed(step, wrap = false) {
+    const idx = PLAYBACK_RATES.indexOf(core.playbackRate);
+    let next = idx + step;
+    if (wrap) next = (next + PLAYBACK_RATES.length) % PLAYBACK_RATES.length;
+    if (next < 0 || next >= PLAYBACK_RATES.length) return;
+    playbackCtrl.setPlaybackRate(core.setPlaybackRate(PLAYBACK_RATES[next]));
+    updateButtons();
+    updateStatus();
+}
+
+// ======== A-B LOOP & LOOP SELECTION ========
+
+// Play the current song 2–5 times, then carry on; the status line counts down.
+function cycleRepeatCount() {
+    if (editorOwnsPlayback()) return;
+    core.cycleRepeat();
+    updateStatus();
+}
+
+// A, then B (which starts looping), then off.
+function markAbLoop() {
+    if (editorOwnsPlayback()) return;
+    core.markAbLoop(playbackCtrl.getSafeCurrentTime());
+    updateButtons();
+}
+
+// Loop the songs picked in the song list; playback moves to the first pick
+// unless it's already on one.
+function loopSelectedSongs(rIdxs) {
+    const picked = core.setLoopSelection(rIdxs);
+    if (picked.length && !picked.includes(core.rIdx)) {
+        core.rIdx = picked[0];
+        loadCurrentContent(true);
+    }
+    updateButtons();
+}
+
+// ======== SLEEP TIMER ========
+
+// Timed sleep runs in sleepTimer, the song/stream counts in the core; setting
+// one replaces the other.
+function setSleep(choice, fade) {
+    sleepFade = fade;
+    localStorage.setItem('roxy_sleepFade', String(fade));
+    sleepTimer.cancel();
+    core.setSleepAfter(null);
+    if (choice && choice.minutes) sleepTimer.start(choice.minutes, { fade });
+    else if (choice) core.setSleepAfter(choice);
+    updateSleepIndicator();
+}
+
+// "in 29:59", "after 3 songs", "after this stream"; null when off.
+function describeSleep() {
+    const remaining = sleepTimer.getRemainingMs();
+    if (remaining !== null) return `in ${formatSleepCountdown(remaining)}`;
+    const after = core.getSleepAfter();
+    if (!after) return null;
+    if (after.songs) return after.songs === 1 ? 'after this song' : `after ${after.songs} songs`;
+    return 'after this stream';
+}
+
+function updateSleepIndicator() {
+    const label = describeSleep();
+    if (label === lastSleepLabel) return;
+    lastSleepLabel = label;
+    if (sleepCell) {
+        sleepCell.hidden = !label;
+        sleepCell.textContent = label ? `☾ ${label}` : '';
+    }
+    updateButtonLabel(moreSleepBtn, `Sleep Timer: ${label ? label : 'Off'}`, !!label);
+    if (sleepCtrl.isOpen()) sleepCtrl.render();
+}
+
+// Runs on every playback tick: catches a throttled timed sleep up with the
+// clock, and fades end-of-song/stream sleep toward the boundary it stops at.
+function updateSleepFade(t) {
+    sleepTimer.check();
+    if (sleepTimer.isActive()) return;
+    const boundary = sleepFade ? core.getSleepBoundaryTime() : null;
+    if (boundary === null || !Number.isFinite(t)) sleepTimer.restoreVolume();
+    else sleepTimer.fadeTo((boundary - t) * 1000 / core.playbackRate);
+    updateSleepIndicator();
+}
+
+// Time's up: pause where we are. The tick loop stops at once so the boundary
+// that got us here can't auto-advance again before the pause lands.
+function sleepNow() {
+    const backend = playbackCtrl.getActiveBackend();
+    if (backend) backend.pause();
+    playbackCtrl.stopTickLoop();
+    sleepTimer.restoreVolume();
+    core.setSleepAfter(null);
+    updateSleepIndicator();
+}
+
+// ======== AUTO-DJ ========
+
+function getAutoDjCandidates(seed) {
+    return buildAutoDjCandidates(core.playlist, autoDjPolicy, {
+        seed,
+        isAvailable: (videoId, rIdx) => !core.isQueued(videoId, rIdx) && !songStore.isBlocked(videoId, rIdx),
+        isFavorite: (videoId, rIdx) => songStore.isFavorite(videoId, rIdx),
+        getRating: (videoId, rIdx) => songStore.getRating(videoId, rIdx),
+        lastPlayed: lastPlayedAt,
+    });
+}
+
+function updateAutoDjButton() {
+    updateButtonLabel(queueAutoDjBtn, `Auto-DJ: ${AUTO_DJ_LABELS[autoDjPolicy]}`, autoDjPolicy !== AUTO_DJ_OFF);
+}
+
+// Hand the current policy to the core, which tops the queue up right away.
+function applyAutoDjPolicy() {
+    updateAutoDjButton();
+    const policy = autoDjPolicy;
+    const ready = policy === 'fresh' ? loadLastPlayed() : Promise.resolve();
+    return ready.then(() => {
+        if (policy !== autoDjPolicy) return; // changed again while loading
+        core.setAutoDj(policy === AUTO_DJ_OFF ? null : { minQueue: AUTO_DJ_MIN_QUEUE });
+        updateQueueIndicator();
+        updateButtons();
+        if (queueCtrl.isOpen()) queueCtrl.render();
+    });
+}
+
+// Off → each policy in turn → Off.
+function cycleAutoDjPolicy() {
+    const order = [AUTO_DJ_OFF, ...AUTO_DJ_POLICIES];
+    autoDjPolicy = order[(order.indexOf(autoDjPolicy) + 1) % order.length];
+    localStorage.setItem('roxy_autoDj', autoDjPolicy);
+    return applyAutoDjPolicy();
+}
+
 // ======== YT API READY HOOK ========
 window.onYouTubeIframeAPIReady = function () {
-    player = new YT.Player('player', {
-        videoId: '',
-        host: 'https://www.youtube.com',
+    backends[BACKEND_YOUTUBE] = createYouTubeBackend({
+        elementId: 'player',
         playerVars: {
             controls: 1,
             disablekb: 0,
@@ -522,26 +1491,23 @@ window.onYouTubeIframeAPIReady = function () {
             widget_referrer: window.location.href,
             autoplay: 1
         },
-        events: {
-            onReady: onPlayerReady,
-            onStateChange: onStateChange,
-            onError: (e) => {
-                playbackCtrl.resetLoadedVideoId();
-                setStatus('YouTube error: ' + e.data);
-            }
-        }
+        onReady: onPlayerReady,
+        onStateChange: (state) => onStateChange(backends[BACKEND_YOUTUBE], state),
+        onError: (code) => {
+            playbackCtrl.resetLoadedVideoId();
+            setStatus('YouTube error: ' + code);
+        },
     });
 };
 
 // Handle case where API loads before script
 if (window.YT && window.YT.Player) {
     setTimeout(() => {
-        if (!player) window.onYouTubeIframeAPIReady();
+        if (!backends[BACKEND_YOUTUBE]) window.onYouTubeIframeAPIReady();
     }, 0);
 }
 
 function onPlayerReady() {
-    isReady = true;
     setStatus('Player ready.');
     requestStartPlayback();
 }
@@ -560,8 +1526,14 @@ function syncTheme() {
 }
 
 function updateStatus(forcedTime) {
-    if (!player || !player.getCurrentTime) return;
-    const t = Number.isFinite(forcedTime) ? forcedTime : player.getCurrentTime();
+    const backend = getBackend();
+    if (!backend) return;
+    const t = Number.isFinite(forcedTime) ? forcedTime : backend.getTime();
+    if (editorOwnsPlayback()) {
+        setStatus(`Editing ${editorCtrl.getStreamName() || editorStream.videoId} @ ${formatTimestamp(t)}`);
+        return;
+    }
+    if (historyRecording) playTracker.observe(getPlayTrack(), t);
     const msg = core.getStatusText(t);
     setStatus(msg);
 
@@ -572,7 +1544,17 @@ function updateStatus(forcedTime) {
         document.title = newTitle;
     }
 
+    const song = core.getCurrentSong();
+    mediaSessionCtrl.update({
+        stream: core.getCurrentStream(),
+        songName: activeName || (song && song.name) || msg,
+        range: song ? song.range : undefined,
+        currentTime: t,
+        playbackRate: core.playbackRate,
+    });
+
     syncTheme();
+    updateFavoriteCells();
     searchCtrl.updateDuplicateButton();
     statusCtrl.syncActiveState(t);
 }
@@ -603,8 +1585,9 @@ if (import.meta.env.DEV) {
 
         if (debugBtn) {
             debugBtn.addEventListener('click', () => {
-                if (player && typeof player.getCurrentTime === 'function') {
-                    const t = player.getCurrentTime();
+                const backend = getBackend();
+                if (backend) {
+                    const t = backend.getTime();
                     const val = Math.ceil(t).toString();
                     navigator.clipboard.writeText(val).then(() => {
                         const originalText = debugBtn.textContent;
@@ -646,6 +1629,7 @@ function performMemberModeToggle() {
         }
     }
 
+    recordUndo(deactivating ? 'Member streams hidden' : 'Member streams shown');
     core.toggleMemberMode();
     core.init(activeSegments);
 
@@ -675,14 +1659,32 @@ function updateButtons() {
     btnYap.title = queueActive ? queueDisabledTitle : 'Toggle Yap Mode';
 
     // Loop button — third state label changes when queue is active
+    const abLoop = core.getAbLoop(); // drops a loop left behind on another stream
     const loopMode = core.loopMode;
-    const loopLabel = (loopMode === 2 && queueActive) ? 'Queue' : loopLabels[loopMode];
-    updateButtonLabel(btnLoop, `Loop: ${loopLabel}`, loopMode !== 0);
+    let loopLabel = (loopMode === LOOP_STREAM && queueActive) ? 'Queue' : loopLabels[loopMode];
+    if (loopMode === LOOP_SELECTION) {
+        const count = core.getLoopSelection().length;
+        loopLabel = `${count} Song${count === 1 ? '' : 's'}`;
+    }
+    updateButtonLabel(btnLoop, `Loop: ${loopLabel}`, loopMode !== LOOP_NONE);
     updateButtonIcon(iconLoop, loopIcons[loopMode], loopAlts[loopMode]);
+    btnLoop.title = loopMode === LOOP_AB
+        ? `Looping ${formatTimestamp(abLoop.a)}–${formatTimestamp(abLoop.b)} (click to stop)`
+        : `Loop Mode: ${loopLabel} (Shift+O: repeat this song)`;
+    let abLabel = 'Set A';
+    if (abLoop) abLabel = abLoop.b === null ? `Set B (A ${formatTimestamp(abLoop.a)})` : 'Clear';
+    updateButtonLabel(moreAbBtn, `A-B Loop: ${abLabel}`, !!abLoop);
+    updateButtonLabel(moreSpeedBtn, `Speed: ${core.playbackRate}x`, core.playbackRate !== 1);
+    statusCtrl.renderLoopPicks();
 
     // Shuffle button
     const shuffleOn = core.shuffleMode;
     updateButtonLabel(btnShuffle, `Shuffle: ${shuffleOn ? 'On' : 'Off'}`, shuffleOn);
+    updateButtonLabel(moreShuffleBtn, `Shuffle Style: ${SHUFFLE_STRATEGY_LABELS[core.shuffleStrategy]}`,
+        core.shuffleStrategy !== SHUFFLE_UNIFORM);
+    updateButtonLabel(moreRadioBtn, `Radio Songs: ${formatRadioFilter(radioFilter)}`, radioFilter.kind !== 'all');
+    if (moreRadioBtn) moreRadioBtn.hidden = core.shuffleStrategy !== SHUFFLE_SONGS;
+    updateButtonLabel(moreFadeBtn, `Song Fades: ${segmentFadeSeconds ? `${segmentFadeSeconds}s` : 'Off'}`, segmentFadeSeconds > 0);
 
     // Next/prev stream — disabled while queue is active (queue overrides stream nav)
     btnPrevStream.disabled = queueActive;
@@ -716,9 +1718,17 @@ function updateQueueIndicator() {
 function closeOtherModals(except) {
     if (except !== 'search' && searchCtrl.isOpen()) searchCtrl.toggle();
     if (except !== 'queue' && queueCtrl.isOpen()) queueCtrl.toggle();
+    if (except !== 'savedQueues' && savedQueuesCtrl.isOpen()) savedQueuesCtrl.toggle();
+    if (except !== 'catalogue' && catalogueCtrl.isOpen()) catalogueCtrl.toggle();
+    if (except !== 'blocklist' && blocklistCtrl.isOpen()) blocklistCtrl.toggle();
+    if (except !== 'history' && historyCtrl.isOpen()) historyCtrl.toggle();
+    if (except !== 'stats' && statsCtrl.isOpen()) statsCtrl.toggle();
+    if (except !== 'sleep' && sleepCtrl.isOpen()) sleepCtrl.toggle();
     if (except !== 'status' && statusCtrl.isOpen()) statusCtrl.close();
     if (except !== 'import' && importCtrl.isImportOpen()) importCtrl.toggleImportModal();
     if (except !== 'more' && importCtrl.isMoreOpen()) importCtrl.toggleMoreOverlay();
+    if (except !== 'palette' && paletteCtrl.isOpen()) paletteCtrl.toggle();
+    if (except !== 'shortcuts' && shortcutsCtrl.isOpen()) shortcutsCtrl.toggle();
 }
 
 // Intercept clicks on internally-wired modal triggers so we close others first.
@@ -734,7 +1744,9 @@ function requestStartPlayback() {
 
 function maybeStartPlayback() {
     if (!pendingStart) return;
-    if (!playlistReady || !core.playlist.length || !player || !isReady) return;
+    if (!playlistReady || !core.playlist.length) return;
+    const backend = getBackend();
+    if (!backend || !backend.isReady()) return;
     pendingStart = false;
     startPlaybackInternal();
 }
@@ -742,6 +1754,12 @@ function maybeStartPlayback() {
 function startPlaybackInternal() {
     overlay.style.display = 'none';
 
+    // Editor mode starts on the video being timestamped rather than the radio.
+    if (editorCtrl && editorCtrl.getVideoId()) {
+        playEditorVideo(editorCtrl.getVideoId());
+        return;
+    }
+
     let startTime = null;
 
     if (urlOverride) {
@@ -761,26 +1779,42 @@ function startPlaybackInternal() {
     playbackCtrl.evaluateTickLoop();
 }
 
-function onStateChange(ev) {
-    if (ev.data === YT.PlayerState.ENDED) {
+function onStateChange(backend, state) {
+    // Events from a backend the current stream doesn't use (e.g. the pause sent
+    // to the outgoing one on a switch) must not drive the core.
+    if (backend !== getBackend()) return;
+
+    if (state === PLAYER_STATE.PLAYING) {
+        mediaSessionCtrl.setPlaybackState('playing');
+    } else if (state === PLAYER_STATE.PAUSED) {
+        mediaSessionCtrl.setPlaybackState('paused');
+    }
+
+    // The editor's video plays unsegmented: no auto-advance, no Rule 0 enrichment.
+    if (editorOwnsPlayback()) {
+        playbackCtrl.evaluateTickLoop();
+        return;
+    }
+
+    if (state === PLAYER_STATE.ENDED) {
         core.onVideoEnded();
-    } else if (ev.data === YT.PlayerState.PLAYING) {
+    } else if (state === PLAYER_STATE.PLAYING) {
         // Rule 0: If no segments, get duration now if not set
         const stream = core.getCurrentStream();
         if (stream && !stream.songs && !core.getDuration(stream.videoId)) {
-            const d = player.getDuration();
+            const d = backend.getDuration();
             if (d) {
                 core.setDuration(stream.videoId, d);
                 if (stream.title === stream.videoId) {
-                    const data = player.getVideoData();
-                    if (data && data.title) {
-                        stream.title = data.title;
+                    const mediaTitle = backend.getTitle();
+                    if (mediaTitle) {
+                        stream.title = mediaTitle;
                         // Enrich bare imports so they appear in search
                         if (!stream.name) {
-                            stream.name = data.title;
+                            stream.name = mediaTitle;
                             const seg = activeSegments.find(s => s.videoId === stream.videoId);
                             if (seg && !seg.name) {
-                                seg.name = data.title;
+                                seg.name = mediaTitle;
                                 if (activeSegments !== segmentsData) {
                                     if (localStorage.getItem('roxy_segmentsMode') === 'replaced') {
                                         persistCustomSegments(activeSegments);
@@ -801,6 +1835,19 @@ function onStateChange(ev) {
     playbackCtrl.evaluateTickLoop();
 }
 
+// Load a video into the player for the editor. Existing streams keep their
+// entry (and so their backend); anything else plays as a bare YouTube video.
+function playEditorVideo(videoId) {
+    editorStream = core.playlist.find(s => s.videoId === videoId) || { videoId };
+    const backend = getBackend(editorStream);
+    if (!backend || !backend.isReady()) return false;
+    pendingStart = false;
+    overlay.style.display = 'none';
+    playbackCtrl.playVideoAt(editorStream, 0, undefined, true);
+    playbackCtrl.evaluateTickLoop();
+    return true;
+}
+
 function loadCurrentContent(autoplay, startTimeOverride = null) {
     const stream = core.getCurrentStream();
     const song = core.getCurrentSong();
@@ -839,16 +1886,18 @@ function loadCurrentContent(autoplay, startTimeOverride = null) {
     if (queueCtrl.isOpen()) queueCtrl.refreshNowPlaying();
 }
 
-// ======== UI WIRES ========
-btnPrevStream.addEventListener('click', (event) => {
-    if (core.prevStream({ skipHistory: event.shiftKey })) loadCurrentContent(true);
-});
+// ======== NAVIGATION ========
+// Shared by the control buttons and the media keys.
 
-btnNextStream.addEventListener('click', () => {
+function goPrevStream(skipHistory = false) {
+    if (core.prevStream({ skipHistory })) loadCurrentContent(true);
+}
+
+function goNextStream() {
     if (core.nextStream()) loadCurrentContent(true);
-});
+}
 
-btnPrevSong.addEventListener('click', () => {
+function goPrevSong() {
     const curTime = playbackCtrl.getSafeCurrentTime();
     const action = core.prevSong(curTime);
     if (action.type === 'load') {
@@ -859,14 +1908,27 @@ btnPrevSong.addEventListener('click', () => {
             loadCurrentContent(true);
         }
     }
-});
+}
 
-btnNextSong.addEventListener('click', () => {
+function goNextSong() {
     const curTime = playbackCtrl.getSafeCurrentTime();
     const action = core.nextSong(curTime);
     if (action.type === 'load') loadCurrentContent(true);
     if (action.type === 'seek') core.cb.seekTo(action.time);
-});
+}
+
+// ======== UI WIRES ========
+btnPrevStream.addEventListener('click', (event) => goPrevStream(event.shiftKey));
+
+btnNextStream.addEventListener('click', () => goNextStream());
+
+btnPrevSong.addEventListener('click', () => goPrevSong());
+
+btnNextSong.addEventListener('click', () => goNextSong());
+
+// Touch: long-press sets a repeat count (Shift+O on a keyboard). Attached
+// first so the press's trailing click doesn't also toggle the loop.
+attachLongPress(btnLoop, () => cycleRepeatCount());
 
 btnLoop.addEventListener('click', () => {
     core.toggleLoop();
@@ -922,20 +1984,260 @@ function setStatus(msg) {
 }
 
 document.addEventListener('visibilitychange', () => {
+    sleepTimer.check();
     playbackCtrl.evaluateTickLoop();
     if (!document.hidden) {
         updateStatus();
     }
 });
 
+// ======== COMMAND PALETTE ========
+
+// Copy a link to the current stream at the current time.
+function copyShareUrl(onCopied = () => {}) {
+    const stream = core.getCurrentStream();
+    if (!stream || !stream.videoId) return;
+    const timeParam = Math.floor(playbackCtrl.getSafeCurrentTime());
+    const shareUrl = `${window.location.origin}${window.location.pathname}?v=${stream.videoId}&t=${timeParam}`;
+    navigator.clipboard.writeText(shareUrl).then(() => {
+        console.log(`[Share] Copied URL to clipboard: ${shareUrl}`);
+        onCopied();
+    }).catch(err => {
+        console.error('[Share] Failed to copy URL to clipboard', err);
+    });
+}
+
+// The shortcuts overlay, straight into rebinding.
+function openShortcutSettings() {
+    closeOtherModals('shortcuts');
+    if (!shortcutsCtrl.isOpen()) shortcutsCtrl.toggle({ edit: true });
+}
+
+// Toggle a modal the way its shortcut does, closing any other first.
+function toggleModal(name, ctrl) {
+    closeOtherModals(name);
+    ctrl.toggle();
+}
+
+// Everything the palette lists. Song actions apply to the current song: the
+// palette closed every other modal on the way in.
+function getPaletteCommands() {
+    const onCurrentSong = (fn) => () => {
+        const target = getSongMarkTarget();
+        if (target) fn(target.videoId, target.rIdx);
+    };
+    const keyFor = (id) => {
+        const combo = keymap.getCombo(id);
+        return combo ? formatCombo(combo) : undefined;
+    };
+    return [
+        { label: 'Next Song', run: () => goNextSong() },
+        { label: 'Previous Song', run: () => goPrevSong() },
+        { label: 'Next Stream', run: () => goNextStream() },
+        { label: 'Previous Stream', run: () => goPrevStream() },
+        { label: 'Cycle Loop Mode', keywords: 'repeat track stream', run: () => btnLoop.click() },
+        { label: 'Toggle Shuffle', keywords: 'random', run: () => btnShuffle.click() },
+        { label: 'Toggle Yap Mode', keywords: 'talk gaps', run: () => btnYap.click() },
+        { label: 'Repeat This Song', shortcut: keyFor('repeat'), keywords: 'count times', run: () => cycleRepeatCount() },
+        { label: 'Mark A-B Loop Point', shortcut: keyFor('abLoop'), keywords: 'practice', run: () => markAbLoop() },
+        { label: 'Play Faster', shortcut: keyFor('faster'), keywords: 'speed rate', run: () => stepSpeed(1) },
+        { label: 'Play Slower', shortcut: keyFor('slower'), keywords: 'speed rate', run: () => stepSpeed(-1) },
+        { label: 'Cycle Song Fades', keywords: 'crossfade', run: () => cycleSegmentFade() },
+        { label: 'Cycle Shuffle Style', keywords: 'strategy', run: () => cycleShuffleStrategy() },
+        { label: 'Cycle Radio Songs', keywords: 'filter artist', run: () => cycleRadioFilter() },
+        { label: 'Play Favorites', run: () => playFavorites() },
+        { label: 'Add Current Song to Queue', shortcut: keyFor('enqueue'), keywords: 'enqueue',
+            run: onCurrentSong((videoId, rIdx) => {
+                core.enqueue(videoId, rIdx);
+                updateQueueIndicator();
+                updateButtons();
+            }) },
+        { label: 'Play Current Song Next', shortcut: keyFor('playNext'), run: onCurrentSong(playNext) },
+        { label: 'Toggle Favorite', shortcut: keyFor('favorite'), keywords: 'heart', run: onCurrentSong(toggleFavorite) },
+        { label: 'Cycle Rating', shortcut: keyFor('rating'), keywords: 'stars', run: onCurrentSong(cycleRating) },
+        { label: 'Block / Unblock Song', shortcut: keyFor('block'), keywords: 'blocklist skip', run: onCurrentSong(toggleBlocked) },
+        { label: 'Search Songs', shortcut: keyFor('search'), keywords: 'find', run: () => toggleModal('search', searchCtrl) },
+        { label: 'Song List', shortcut: keyFor('songList'), keywords: 'setlist', run: () => toggleModal('status', statusCtrl) },
+        { label: 'Queue Manager', shortcut: keyFor('queue'), run: () => toggleModal('queue', queueCtrl) },
+        { label: 'Saved Queues', run: () => toggleModal('savedQueues', savedQueuesCtrl) },
+        { label: 'Browse by Artist', shortcut: keyFor('catalogue'), keywords: 'catalogue', run: () => toggleModal('catalogue', catalogueCtrl) },
+        { label: 'Listening History', shortcut: keyFor('history'), run: () => toggleModal('history', historyCtrl) },
+        { label: 'Listening Stats', shortcut: keyFor('stats'), keywords: 'wrapped', run: () => toggleModal('stats', statsCtrl) },
+        { label: 'Sleep Timer', shortcut: keyFor('sleep'), run: () => toggleModal('sleep', sleepCtrl) },
+        { label: 'Blocked Songs', run: () => toggleModal('blocklist', blocklistCtrl) },
+        { label: 'Toggle Member Mode', shortcut: keyFor('memberMode'), keywords: 'members only', run: () => performMemberModeToggle() },
+        { label: 'Copy Stream URL', shortcut: keyFor('copyUrl'), keywords: 'share link', run: () => copyShareUrl() },
+        { label: 'Import Playlist', shortcut: keyFor('import'), run: () => toggleModal('import', { toggle: importCtrl.toggleImportModal }) },
+        { label: 'Reset Playlist to Defaults', keywords: 'import', run: () => resetPlaylist() },
+        { label: 'More Options', run: () => toggleModal('more', { toggle: importCtrl.toggleMoreOverlay }) },
+        { label: 'Keyboard Shortcuts', shortcut: keyFor('help'), keywords: 'keys help', run: () => toggleModal('shortcuts', shortcutsCtrl) },
+        { label: 'Customize Keyboard Shortcuts', keywords: 'keys rebind', run: () => openShortcutSettings() },
+        { label: 'Undo', shortcut: 'Ctrl+Z', run: () => undoLastChange() },
+        { label: 'Redo', shortcut: 'Ctrl+Shift+Z', run: () => redoLastChange() },
+    ];
+}
+
+// ======== KEYBOARD SHORTCUTS ========
+
+function isTextField(el) {
+    return !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.isContentEditable);
+}
+
+// What each keymap action does (see keymap.js for the keys). A handler
+// returning false passes on the key, e.g. Shift+F while a list modal that
+// doesn't take song marks is open.
+const shortcutHandlers = {
+    search: () => toggleModal('search', searchCtrl),
+    searchAlt: () => toggleModal('search', searchCtrl),
+    songList: () => toggleModal('status', statusCtrl),
+    queue: () => toggleModal('queue', queueCtrl),
+    catalogue: () => toggleModal('catalogue', catalogueCtrl),
+    history: () => toggleModal('history', historyCtrl),
+    stats: () => toggleModal('stats', statsCtrl),
+    sleep: () => toggleModal('sleep', sleepCtrl),
+    import: () => toggleModal('import', { toggle: importCtrl.toggleImportModal }),
+    help: () => toggleModal('shortcuts', shortcutsCtrl),
+    abLoop: () => markAbLoop(),
+    repeat: () => cycleRepeatCount(),
+    faster: () => stepSpeed(1),
+    slower: () => stepSpeed(-1),
+    enqueue: (open) => {
+        if (open.search) {
+            const rows = resultsContainer.querySelectorAll('.result-item');
+            const btn = rows.length ? rows[0]?.querySelector('.enqueue-btn') : null;
+            if (btn && btn.classList.contains('enqueue-ok')) return;
+            const item = searchCtrl.enqueueHighlighted();
+            if (item) {
+                const stream = core.playlist[item.streamId];
+                if (stream) {
+                    core.enqueue(stream.videoId, item.songId);
+                    updateQueueIndicator();
+                    updateButtons();
+                    // Flash the highlighted row's button
+                    const selRow = resultsContainer.querySelectorAll('.result-item.selected')[0];
+                    if (selRow) flashEnqueue(selRow.querySelector('.enqueue-btn'));
+                }
+            }
+        } else if (open.catalogue) {
+            catalogueCtrl.enqueueHighlighted();
+        } else if (open.history) {
+            historyCtrl.enqueueHighlighted();
+        } else if (statusCtrl.isOpen()) {
+            const selRow = statusSongList.querySelector('.status-song.nav-focus, .status-song.active');
+            const btn = selRow ? selRow.querySelector('.enqueue-btn') : null;
+            if (btn && btn.classList.contains('enqueue-ok')) return;
+            const item = statusCtrl.enqueueHighlighted();
+            if (item) {
+                core.enqueue(item.videoId, item.rIdx);
+                updateQueueIndicator();
+                updateButtons();
+                if (btn) flashEnqueue(btn);
+            }
+        } else {
+            // No modal open — enqueue currently playing song
+            const stream = core.getCurrentStream();
+            if (stream) {
+                core.enqueue(stream.videoId, core.rIdx);
+                updateQueueIndicator();
+                updateButtons();
+            }
+        }
+    },
+    playNext: (open) => {
+        if (open.queue || open.catalogue) return false;
+        const target = getSongMarkTarget();
+        if (target) {
+            playNext(target.videoId, target.rIdx);
+            let selRow = null;
+            if (open.search) selRow = resultsContainer.querySelector('.result-item.selected');
+            else if (statusCtrl.isOpen()) selRow = statusSongList.querySelector('.status-song.nav-focus, .status-song.active');
+            if (selRow) flashEnqueue(selRow.querySelector('.enqueue-btn'));
+        }
+    },
+    favorite: (open) => {
+        if (open.queue || open.catalogue) return false;
+        const target = getSongMarkTarget();
+        if (target) toggleFavorite(target.videoId, target.rIdx);
+    },
+    rating: (open) => {
+        if (open.queue || open.catalogue) return false;
+        const target = getSongMarkTarget();
+        if (target) cycleRating(target.videoId, target.rIdx);
+    },
+    block: (open) => {
+        if (open.queue || open.catalogue || open.blocklist) return false;
+        const target = getSongMarkTarget();
+        if (target) toggleBlocked(target.videoId, target.rIdx);
+    },
+    memberMode: (open) => {
+        if (open.search || open.queue || open.catalogue) return false;
+        performMemberModeToggle();
+    },
+    copyUrl: (open) => {
+        if (open.search || open.queue || open.catalogue) return false;
+        copyShareUrl();
+    },
+};
+
 // ======== KEYBOARD DISPATCHER ========
 document.addEventListener('keydown', (e) => {
     const modalOpen = searchCtrl.isOpen();
     const importOpen = importCtrl.isImportOpen();
     const moreOpen = importCtrl.isMoreOpen();
     const queueOpen = queueCtrl.isOpen();
+    const savedQueuesOpen = savedQueuesCtrl.isOpen();
+    const catalogueOpen = catalogueCtrl.isOpen();
+    const blocklistOpen = blocklistCtrl.isOpen();
+    const historyOpen = historyCtrl.isOpen();
+    const statsOpen = statsCtrl.isOpen();
+    const sleepOpen = sleepCtrl.isOpen();
+    const shortcutsOpen = shortcutsCtrl.isOpen();
+    // Any of the list-style modals; the song-list panel and editor stand down.
+    const listModalOpen = queueOpen || savedQueuesOpen || catalogueOpen || blocklistOpen || historyOpen || statsOpen
+        || sleepOpen || shortcutsOpen;
+
+    // Typing a song name must not fire Shift+letter shortcuts or double-Shift search.
+    if (editorCtrl && editorCtrl.isTyping()) return;
+
+    // A shortcut being rebound takes whatever is pressed next, Escape included.
+    if (shortcutsCtrl.handleKeyEvent(e)) return;
+
+    // Ctrl+Z / Ctrl+Shift+Z (⌘ on macOS). Inside a text box they stay the
+    // browser's own text undo.
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z') {
+        if (!isTextField(e.target)) {
+            e.preventDefault();
+            if (e.shiftKey) redoLastChange();
+            else undoLastChange();
+        }
+        return;
+    }
+
+    // Ctrl+K / ⌘K: the command palette, from anywhere (even a text box).
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        closeOtherModals('palette');
+        paletteCtrl.toggle();
+        return;
+    }
+
+    // The palette sits above everything else: its box owns the keyboard.
+    if (paletteCtrl.isOpen()) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            paletteCtrl.toggle();
+            return;
+        }
+        if (paletteCtrl.handleKeyEvent(e)) return;
+        if (document.activeElement === paletteInput) return;
+    }
 
     if (e.key === 'Escape') {
+        if (shortcutsOpen) {
+            e.preventDefault();
+            shortcutsCtrl.toggle();
+            return;
+        }
         if (moreOpen) {
             e.preventDefault();
             importCtrl.toggleMoreOverlay();
@@ -951,6 +2253,36 @@ document.addEventListener('keydown', (e) => {
             queueCtrl.toggle();
             return;
         }
+        if (savedQueuesOpen) {
+            e.preventDefault();
+            savedQueuesCtrl.toggle();
+            return;
+        }
+        if (catalogueOpen) {
+            e.preventDefault();
+            catalogueCtrl.toggle();
+            return;
+        }
+        if (blocklistOpen) {
+            e.preventDefault();
+            blocklistCtrl.toggle();
+            return;
+        }
+        if (historyOpen) {
+            e.preventDefault();
+            historyCtrl.toggle();
+            return;
+        }
+        if (statsOpen) {
+            e.preventDefault();
+            statsCtrl.toggle();
+            return;
+        }
+        if (sleepOpen) {
+            e.preventDefault();
+            sleepCtrl.toggle();
+            return;
+        }
         if (modalOpen) {
             e.preventDefault();
             searchCtrl.toggle();
@@ -974,104 +2306,40 @@ document.addEventListener('keydown', (e) => {
         if (document.activeElement === queueSearchInput) return;
     }
 
-    if (!modalOpen && !queueOpen && statusCtrl.isOpen()) {
-        if (statusCtrl.handleKeyEvent(e)) {
-            return;
-        }
+    // Saved queues: the name box and an in-progress rename own the keyboard.
+    if (savedQueuesOpen) {
+        if (savedQueuesCtrl.handleKeyEvent(e)) return;
+        if (e.target instanceof HTMLInputElement && savedQueuesOverlay.contains(e.target)) return;
     }
 
-    if (e.key === 'S' && e.shiftKey) {
-        e.preventDefault();
-        closeOtherModals('search');
-        searchCtrl.toggle();
-        return;
+    // Catalogue modal: same arrangement as the queue modal above.
+    if (catalogueOpen) {
+        if (catalogueCtrl.handleKeyEvent(e)) return;
+        if (document.activeElement === catalogueSearchInput) return;
     }
 
-    if (e.key === 'Q' && e.shiftKey) {
-        e.preventDefault();
-        closeOtherModals('queue');
-        queueCtrl.toggle();
-        return;
-    }
+    if (blocklistOpen && blocklistCtrl.handleKeyEvent(e)) return;
+    if (historyOpen && historyCtrl.handleKeyEvent(e)) return;
+    if (statsOpen && statsCtrl.handleKeyEvent(e)) return;
+    // The sleep picker's number boxes own the keyboard while focused.
+    if (sleepOpen && e.target instanceof HTMLInputElement && sleepOverlay.contains(e.target)) return;
 
-    if (e.key === 'E' && e.shiftKey) {
-        e.preventDefault();
-        if (modalOpen) {
-            const rows = resultsContainer.querySelectorAll('.result-item');
-            const btn = rows.length ? rows[0]?.querySelector('.enqueue-btn') : null;
-            if (btn && btn.classList.contains('enqueue-ok')) return;
-            const item = searchCtrl.enqueueHighlighted();
-            if (item) {
-                const stream = core.playlist[item.streamId];
-                if (stream) {
-                    core.enqueue(stream.videoId, item.songId);
-                    updateQueueIndicator();
-                    updateButtons();
-                    // Flash the highlighted row's button
-                    const selRow = resultsContainer.querySelectorAll('.result-item.selected')[0];
-                    if (selRow) flashEnqueue(selRow.querySelector('.enqueue-btn'));
-                }
-            }
-        } else if (statusCtrl.isOpen()) {
-            const selRow = statusSongList.querySelector('.status-song.nav-focus, .status-song.active');
-            const btn = selRow ? selRow.querySelector('.enqueue-btn') : null;
-            if (btn && btn.classList.contains('enqueue-ok')) return;
-            const item = statusCtrl.enqueueHighlighted();
-            if (item) {
-                core.enqueue(item.videoId, item.rIdx);
-                updateQueueIndicator();
-                updateButtons();
-                if (btn) flashEnqueue(btn);
-            }
-        } else {
-            // No modal open — enqueue currently playing song
-            const stream = core.getCurrentStream();
-            if (stream) {
-                core.enqueue(stream.videoId, core.rIdx);
-                updateQueueIndicator();
-                updateButtons();
-            }
+    if (!modalOpen && !listModalOpen && statusCtrl.isOpen()) {
+        if (statusCtrl.handleKeyEvent(e)) {
+            return;
         }
-        return;
     }
 
-    if (e.key === 'A' && e.shiftKey) {
-        e.preventDefault();
-        closeOtherModals('status');
-        statusCtrl.toggle();
-        return;
-    }
-
-    if (e.key === 'M' && e.shiftKey && !modalOpen && !queueOpen) {
-        e.preventDefault();
-        performMemberModeToggle();
-        return;
-    }
+    if (editorCtrl && !modalOpen && !listModalOpen && editorCtrl.handleKeyEvent(e)) return;
 
-    if (e.key === 'I' && e.shiftKey) {
+    const open = { search: modalOpen, queue: queueOpen, catalogue: catalogueOpen, blocklist: blocklistOpen, history: historyOpen };
+    const action = keymap.match(e, { typing: isTextField(e.target) });
+    if (action && shortcutHandlers[action](open) !== false) {
         e.preventDefault();
-        closeOtherModals('import');
-        importCtrl.toggleImportModal();
-        return;
-    }
-
-    if (e.key === 'C' && e.shiftKey && !modalOpen && !queueOpen) {
-        e.preventDefault();
-        const stream = core.getCurrentStream();
-        if (stream && stream.videoId) {
-            const currentTime = playbackCtrl.getSafeCurrentTime();
-            const timeParam = Math.floor(currentTime);
-            const shareUrl = `${window.location.origin}${window.location.pathname}?v=${stream.videoId}&t=${timeParam}`;
-            navigator.clipboard.writeText(shareUrl).then(() => {
-                console.log(`[Share] Copied URL to clipboard: ${shareUrl}`);
-            }).catch(err => {
-                console.error('[Share] Failed to copy URL to clipboard', err);
-            });
-        }
         return;
     }
 
-    // Search nav (arrow keys, enter) and double-shift toggle
+    // Search nav (arrow keys, enter)
     searchCtrl.handleKeyEvent(e);
 });
 
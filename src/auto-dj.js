@@ -0,0 +1,117 @@
+import { getSongMeta, normalizeSongBaseName } from './search-helpers.js';
+import { songKey } from './song-store.js';
+
+// Auto-DJ keeps the queue topped up with songs chosen by a policy. This module
+// only builds the candidate list for the next pick; PlayerCore decides when to
+// pick and does the anti-repeat selection (the same one shuffle uses).
+
+export const AUTO_DJ_OFF = 'off';
+export const AUTO_DJ_POLICIES = ['favorites', 'fresh', 'similar', 'mood'];
+// favorites: weighted toward favorites and high ratings; fresh: not played in
+// the last AUTO_DJ_FRESH_DAYS days; similar: same artist or a shared tag as the
+// song before; mood: alternates songs tagged energetic and ballad.
+export const AUTO_DJ_LABELS = {
+    [AUTO_DJ_OFF]: 'Off',
+    favorites: 'Favorites',
+    fresh: 'Fresh',
+    similar: 'Similar',
+    mood: 'Mood Swing',
+};
+// Top up whenever fewer than this many songs are queued.
+export const AUTO_DJ_MIN_QUEUE = 3;
+// "Not played lately" means not in the listening history for this many days.
+export const AUTO_DJ_FRESH_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MOOD_TAGS = ['energetic', 'ballad'];
+// Favorites count as this many extra draws, each rating star as one more.
+const FAVORITE_WEIGHT = 3;
+
+/**
+ * @param {unknown} value
+ * @returns {string} one of AUTO_DJ_POLICIES, or AUTO_DJ_OFF
+ */
+export function normalizeAutoDjPolicy(value) {
+    return AUTO_DJ_POLICIES.includes(value) ? value : AUTO_DJ_OFF;
+}
+
+function describeTrack(stream, rIdx) {
+    const song = stream.songs ? stream.songs[rIdx] : { name: stream.title || stream.name };
+    const meta = getSongMeta(song);
+    return {
+        artist: normalizeSongBaseName(meta.artist).toLocaleLowerCase('en-US'),
+        tags: meta.tags.map(tag => tag.trim().toLocaleLowerCase('en-US')),
+    };
+}
+
+function listTracks(playlist) {
+    const tracks = [];
+    for (const stream of playlist) {
+        const count = stream.songs ? stream.songs.length : 1;
+        for (let rIdx = 0; rIdx < count; rIdx++) {
+            tracks.push({ videoId: stream.videoId, rIdx, ...describeTrack(stream, rIdx) });
+        }
+    }
+    return tracks;
+}
+
+// A policy narrows the pool, but never to nothing: with no match the pick
+// falls back to the next best pool, then the whole playlist.
+function firstNonEmpty(...pools) {
+    return pools.find(pool => pool.length > 0) || [];
+}
+
+/**
+ * Candidates for the next Auto-DJ pick. Favorites-weighted entries appear
+ * more than once; PlayerCore treats repeats as extra draws.
+ * @param {Array} playlist PlayerCore.playlist
+ * @param {string} policy one of AUTO_DJ_POLICIES
+ * @param {object} context
+ * @param {{videoId: string, rIdx: number}|null} context.seed the song the pick follows
+ * @param {(videoId: string, rIdx: number) => boolean} [context.isAvailable] false for
+ *        tracks that can't be picked (already queued, blocked), so a policy
+ *        whose matches are all taken falls back instead of coming up empty
+ * @param {(videoId: string, rIdx: number) => boolean} [context.isFavorite]
+ * @param {(videoId: string, rIdx: number) => number} [context.getRating] 0 when unrated
+ * @param {Map<string, number>} [context.lastPlayed] songKey → last play time (ms)
+ * @param {number} [context.now]
+ * @param {number} [context.freshDays]
+ * @returns {Array<{videoId: string, rIdx: number}>}
+ */
+export function buildAutoDjCandidates(playlist, policy, {
+    seed, isAvailable = () => true, isFavorite = () => false, getRating = () => 0,
+    lastPlayed = new Map(), now = Date.now(), freshDays = AUTO_DJ_FRESH_DAYS,
+} = {}) {
+    const tracks = listTracks(playlist).filter(t => isAvailable(t.videoId, t.rIdx));
+    const seedStream = seed ? playlist.find(p => p.videoId === seed.videoId) : null;
+    const seedInfo = seedStream ? describeTrack(seedStream, seed.rIdx) : { artist: '', tags: [] };
+    let pool = tracks;
+
+    if (policy === 'favorites') {
+        pool = [];
+        for (const track of tracks) {
+            const weight = 1 + (isFavorite(track.videoId, track.rIdx) ? FAVORITE_WEIGHT : 0)
+                + (getRating(track.videoId, track.rIdx) || 0);
+            for (let i = 0; i < weight; i++) pool.push(track);
+        }
+    } else if (policy === 'fresh') {
+        const cutoff = now - freshDays * DAY_MS;
+        const playedLately = (t) => (lastPlayed.get(songKey(t.videoId, t.rIdx)) || 0) >= cutoff;
+        pool = firstNonEmpty(tracks.filter(t => !playedLately(t)), tracks);
+    } else if (policy === 'similar') {
+        const sameArtist = seedInfo.artist ? tracks.filter(t => t.artist === seedInfo.artist) : [];
+        const sharedTag = tracks.filter(t => t.tags.some(tag => seedInfo.tags.includes(tag)));
+        pool = firstNonEmpty([...new Set([...sameArtist, ...sharedTag])], tracks);
+    } else if (policy === 'mood') {
+        // Follow a ballad with something energetic and vice versa; an untagged
+        // seed starts the swing on energetic.
+        const want = seedInfo.tags.includes('energetic') ? 'ballad' : 'energetic';
+        const other = MOOD_TAGS.find(tag => tag !== want);
+        pool = firstNonEmpty(
+            tracks.filter(t => t.tags.includes(want)),
+            tracks.filter(t => t.tags.includes(other)),
+            tracks);
+    }
+
+    return pool.map(({ videoId, rIdx }) => ({ videoId, rIdx }));
+}
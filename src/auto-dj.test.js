@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { buildAutoDjCandidates, normalizeAutoDjPolicy, AUTO_DJ_OFF } from './auto-dj.js';
+import { songKey } from './song-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLAYLIST = [
+    {
+        videoId: 'v1',
+        songs: [
+            { name: 'Fast One - Alice', tags: ['Energetic'] },
+            { name: 'Slow One - Alice', tags: ['ballad'] },
+        ],
+    },
+    {
+        videoId: 'v2',
+        songs: [
+            { name: 'Loud - Bob', tags: ['energetic', 'rock'] },
+            { name: 'Quiet - Carol', tags: ['rock'] },
+        ],
+    },
+    { videoId: 'v3', title: 'Zatsudan', songs: null },
+];
+
+const keys = (candidates) => candidates.map(c => songKey(c.videoId, c.rIdx));
+
+describe('normalizeAutoDjPolicy', () => {
+    it('keeps known policies and turns anything else off', () => {
+        expect(normalizeAutoDjPolicy('mood')).toBe('mood');
+        expect(normalizeAutoDjPolicy('nope')).toBe(AUTO_DJ_OFF);
+        expect(normalizeAutoDjPolicy(null)).toBe(AUTO_DJ_OFF);
+    });
+});
+
+describe('buildAutoDjCandidates', () => {
+    it('lists every track, Rule 0 streams as one', () => {
+        expect(keys(buildAutoDjCandidates(PLAYLIST, 'unknown'))).toEqual(['v1:0', 'v1:1', 'v2:0', 'v2:1', 'v3:0']);
+    });
+
+    it('leaves out unavailable tracks before applying the policy', () => {
+        const result = buildAutoDjCandidates(PLAYLIST, 'similar', {
+            seed: { videoId: 'v1', rIdx: 0 },
+            isAvailable: (videoId) => videoId !== 'v1',
+        });
+        // Alice's songs are taken; the pick falls back to the energetic tag match.
+        expect(keys(result)).toEqual(['v2:0']);
+    });
+
+    it('weights favorites and ratings as extra draws', () => {
+        const result = buildAutoDjCandidates(PLAYLIST, 'favorites', {
+            isFavorite: (videoId, rIdx) => videoId === 'v2' && rIdx === 1,
+            getRating: (videoId) => (videoId === 'v3' ? 2 : 0),
+        });
+        const counts = {};
+        for (const key of keys(result)) counts[key] = (counts[key] || 0) + 1;
+        expect(counts).toEqual({ 'v1:0': 1, 'v1:1': 1, 'v2:0': 1, 'v2:1': 4, 'v3:0': 3 });
+    });
+
+    it('prefers tracks not played within the last days, falling back to all', () => {
+        const now = 100 * DAY_MS;
+        const lastPlayed = new Map([
+            ['v1:0', now - DAY_MS],
+            ['v1:1', now - 30 * DAY_MS],
+            ['v2:0', now - 2 * DAY_MS],
+            ['v2:1', now],
+            ['v3:0', now - 13 * DAY_MS],
+        ]);
+        expect(keys(buildAutoDjCandidates(PLAYLIST, 'fresh', { lastPlayed, now, freshDays: 14 }))).toEqual(['v1:1']);
+
+        lastPlayed.set('v1:1', now);
+        expect(keys(buildAutoDjCandidates(PLAYLIST, 'fresh', { lastPlayed, now, freshDays: 14 }))).toHaveLength(5);
+    });
+
+    it('matches the seed by artist or shared tag', () => {
+        const result = buildAutoDjCandidates(PLAYLIST, 'similar', { seed: { videoId: 'v2', rIdx: 1 } });
+        expect(keys(result).sort()).toEqual(['v2:0', 'v2:1']);
+        expect(keys(buildAutoDjCandidates(PLAYLIST, 'similar', { seed: { videoId: 'v3', rIdx: 0 } }))).toHaveLength(5);
+    });
+
+    it('alternates energetic and ballad', () => {
+        expect(keys(buildAutoDjCandidates(PLAYLIST, 'mood', { seed: { videoId: 'v1', rIdx: 0 } }))).toEqual(['v1:1']);
+        expect(keys(buildAutoDjCandidates(PLAYLIST, 'mood', { seed: { videoId: 'v1', rIdx: 1 } }))).toEqual(['v1:0', 'v2:0']);
+        // An untagged seed starts on energetic.
+        expect(keys(buildAutoDjCandidates(PLAYLIST, 'mood', { seed: null }))).toEqual(['v1:0', 'v2:0']);
+    });
+});
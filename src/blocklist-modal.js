@@ -0,0 +1,145 @@
+import { resolveListNavigation, NAV_ACTION_MOVE, NAV_ACTION_SELECT } from './list-navigation.js';
+import { attachLongPress, arm, disarm } from './long-press-arm.js';
+
+/**
+ * Blocked Songs manager: lists the "never auto-play" performances so they can
+ * be reviewed, played by hand, or unblocked.
+ * @param {object} deps
+ * @param {HTMLElement} deps.overlay
+ * @param {HTMLElement} deps.list
+ * @param {() => Array<{videoId: string, rIdx: number, name: string, streamName: string, orphaned?: boolean}>} deps.getEntries
+ * @param {(entry: {videoId: string, rIdx: number}) => void} deps.onUnblock
+ * @param {(entry: {videoId: string, rIdx: number}) => void} deps.onPlay
+ *        only called for entries whose stream is in the playlist
+ */
+export function createBlocklistModalController({ overlay, list, getEntries, onUnblock, onPlay }) {
+    let entries = [];
+    let selIdx = 0;
+
+    function toggle() {
+        const wasOpen = overlay.classList.contains('open');
+        overlay.classList.toggle('open');
+        overlay.inert = wasOpen;
+        if (!wasOpen) {
+            selIdx = 0;
+            render();
+        }
+    }
+
+    function isOpen() {
+        return overlay.classList.contains('open');
+    }
+
+    function render() {
+        disarm();
+        entries = getEntries();
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'queue-empty';
+            empty.textContent = '(..◜ᴗ◝..)';
+            list.appendChild(empty);
+            return;
+        }
+
+        // Unblocking re-renders in place; keep the highlight on the same slot.
+        if (selIdx >= entries.length) selIdx = entries.length - 1;
+
+        entries.forEach((entry, idx) => {
+            const div = document.createElement('div');
+            div.className = 'queue-item blocklist-item';
+            if (idx === selIdx) div.classList.add('selected');
+            if (entry.orphaned) div.classList.add('orphaned');
+
+            div.innerHTML = `
+                <span class="queue-item-name">${entry.name || `Track ${entry.rIdx + 1}`}</span>
+                <span class="queue-item-stream">${entry.orphaned ? `${entry.streamName || entry.videoId} (not in playlist)` : entry.streamName}</span>
+            `;
+
+            const unblockBtn = document.createElement('button');
+            unblockBtn.className = 'queue-item-remove';
+            unblockBtn.textContent = '−';
+            unblockBtn.title = 'Unblock';
+            unblockBtn.setAttribute('aria-label', `Unblock ${entry.name}`);
+            unblockBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                _unblock(idx);
+            });
+            div.appendChild(unblockBtn);
+
+            // Coarse pointer: long-press reveals the unblock box, as in the queue modal.
+            attachLongPress(div, () => {
+                unblockBtn.textContent = '✕';
+                arm(div, { inQueue: false });
+            });
+
+            div.addEventListener('click', () => {
+                selIdx = idx;
+                _play(idx);
+            });
+
+            list.appendChild(div);
+        });
+    }
+
+    function _unblock(idx) {
+        const entry = entries[idx];
+        if (!entry) return;
+        disarm();
+        selIdx = idx;
+        onUnblock(entry);
+        render();
+    }
+
+    function _play(idx) {
+        const entry = entries[idx];
+        if (entry && !entry.orphaned) onPlay(entry);
+    }
+
+    function _updateSelection() {
+        list.querySelectorAll('.blocklist-item').forEach((r, i) => {
+            r.classList.toggle('selected', i === selIdx);
+            if (i === selIdx) r.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    function handleKeyEvent(e) {
+        if (!isOpen()) return false;
+
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            if (entries[selIdx]) {
+                e.preventDefault();
+                _unblock(selIdx);
+                return true;
+            }
+        }
+
+        const nav = resolveListNavigation(e.key, selIdx, entries.length);
+        if (!nav.handled) return false;
+
+        e.preventDefault();
+
+        if (nav.action === NAV_ACTION_MOVE) {
+            selIdx = nav.nextIndex;
+            _updateSelection();
+        } else if (nav.action === NAV_ACTION_SELECT) {
+            _play(selIdx);
+        }
+
+        return true;
+    }
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            toggle();
+        }
+    });
+
+    return {
+        toggle,
+        isOpen,
+        render,
+        handleKeyEvent,
+    };
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createBlocklistModalController } from './blocklist-modal.js';
+
+const key = (k) => new KeyboardEvent('keydown', { key: k });
+
+describe('Blocklist Modal Controller', () => {
+    let overlay, list, entries, ctrl, onPlay, onUnblock;
+
+    const rowNames = () => [...list.querySelectorAll('.queue-item-name')].map(el => el.textContent);
+    const rows = () => list.querySelectorAll('.blocklist-item');
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        overlay = document.createElement('div');
+        overlay.inert = true;
+        list = document.createElement('div');
+        overlay.appendChild(list);
+        document.body.appendChild(overlay);
+
+        entries = [
+            { videoId: 'v1', rIdx: 1, name: 'Beta', streamName: 'Stream 1' },
+            { videoId: 'gone', rIdx: 0, name: 'Lost', streamName: 'Old Stream', orphaned: true },
+        ];
+        onPlay = vi.fn();
+        onUnblock = vi.fn((entry) => { entries = entries.filter(e => e !== entry); });
+        ctrl = createBlocklistModalController({
+            overlay, list,
+            getEntries: () => entries,
+            onUnblock,
+            onPlay,
+        });
+        ctrl.toggle();
+    });
+
+    it('lists blocked songs and flags ones missing from the playlist', () => {
+        expect(ctrl.isOpen()).toBe(true);
+        expect(overlay.inert).toBe(false);
+        expect(rowNames()).toEqual(['Beta', 'Lost']);
+        expect(rows()[1].classList.contains('orphaned')).toBe(true);
+        expect(rows()[1].querySelector('.queue-item-stream').textContent).toBe('Old Stream (not in playlist)');
+    });
+
+    it('plays a row on click but not an orphaned one', () => {
+        rows()[1].click();
+        expect(onPlay).not.toHaveBeenCalled();
+        rows()[0].click();
+        expect(onPlay).toHaveBeenCalledWith(entries[0]);
+    });
+
+    it('unblocks with the − button and re-renders', () => {
+        rows()[0].querySelector('.queue-item-remove').click();
+        expect(onUnblock).toHaveBeenCalledWith(expect.objectContaining({ videoId: 'v1', rIdx: 1 }));
+        expect(rowNames()).toEqual(['Lost']);
+        expect(rows()[0].classList.contains('selected')).toBe(true);
+    });
+
+    it('navigates with the arrow keys, Enter plays and Delete unblocks', () => {
+        expect(ctrl.handleKeyEvent(key('Enter'))).toBe(true);
+        expect(onPlay).toHaveBeenCalledTimes(1);
+        ctrl.handleKeyEvent(key('ArrowDown'));
+        expect(rows()[1].classList.contains('selected')).toBe(true);
+        expect(ctrl.handleKeyEvent(key('Delete'))).toBe(true);
+        expect(rowNames()).toEqual(['Beta']);
+        expect(ctrl.handleKeyEvent(key('x'))).toBe(false);
+    });
+
+    it('shows the empty state and closes on a backdrop click', () => {
+        entries = [];
+        ctrl.render();
+        expect(list.querySelector('.queue-empty')).not.toBeNull();
+        overlay.click();
+        expect(ctrl.isOpen()).toBe(false);
+        expect(overlay.inert).toBe(true);
+    });
+});
@@ -0,0 +1,239 @@
+import { buildArtistCatalogue } from './search-helpers.js';
+import { resolveListNavigation, NAV_ACTION_MOVE, NAV_ACTION_SELECT } from './list-navigation.js';
+import { flashEnqueue } from './enqueue-flash.js';
+import { attachLongPress, arm, disarm } from './long-press-arm.js';
+
+/**
+ * Browse-by-artist catalogue. Artists expand into their songs; songs performed
+ * in more than one stream expand into the individual performances.
+ * @param {object} deps
+ * @param {HTMLElement} deps.overlay
+ * @param {HTMLElement} deps.list
+ * @param {HTMLInputElement} [deps.searchInput] optional in-modal filter box
+ * @param {() => Array} deps.getPlaylist
+ * @param {(vIdx: number, rIdx: number) => void} deps.onPlay
+ * @param {(items: Array<{streamId: number, songId: number}>) => void} deps.onEnqueue
+ * @param {(vIdx: number, rIdx: number) => boolean} [deps.isQueued]
+ */
+export function createCatalogueModalController({
+    overlay, list, searchInput = null,
+    getPlaylist, onPlay, onEnqueue, isQueued = () => false,
+}) {
+    let catalogue = [];
+    let rows = [];
+    let selIdx = 0;
+    let filterQuery = '';
+    const expanded = new Set();
+
+    function toggle() {
+        const wasOpen = overlay.classList.contains('open');
+        overlay.classList.toggle('open');
+        overlay.inert = wasOpen;
+        if (!wasOpen) {
+            // Rebuilt on every open so imports and member mode are picked up.
+            catalogue = buildArtistCatalogue(getPlaylist());
+            expanded.clear();
+            filterQuery = '';
+            if (searchInput) {
+                searchInput.value = '';
+                searchInput.focus();
+            }
+            selIdx = 0;
+            render();
+        }
+    }
+
+    function isOpen() {
+        return overlay.classList.contains('open');
+    }
+
+    const matches = (text, query) => text.toLocaleLowerCase('en-US').includes(query);
+
+    // Flatten the expanded tree into the visible rows. With a filter, artists are
+    // listed when their name or one of their song titles matches; songs only
+    // reached through the title match are listed already opened up.
+    function _buildRows() {
+        const query = filterQuery.trim().toLocaleLowerCase('en-US');
+        const out = [];
+        for (const artist of catalogue) {
+            let songs = artist.songs;
+            let open = expanded.has(artist.key);
+            if (query && !matches(artist.name, query)) {
+                songs = songs.filter(song => matches(song.title, query));
+                if (songs.length === 0) continue;
+                open = true;
+            }
+            const performances = artist.songs.flatMap(song => song.performances);
+            out.push({ type: 'artist', key: artist.key, artist, performances, open });
+            if (!open) continue;
+            for (const song of songs) {
+                const songKey = `${artist.key}\u0000${song.key}`;
+                const songOpen = song.count > 1 && expanded.has(songKey);
+                out.push({ type: 'song', key: songKey, song, performances: song.performances, open: songOpen });
+                if (songOpen) {
+                    for (const item of song.performances) {
+                        out.push({ type: 'performance', item, performances: [item] });
+                    }
+                }
+            }
+        }
+        return out;
+    }
+
+    function _rowLabel(row) {
+        if (row.type === 'artist') return row.artist.name;
+        if (row.type === 'song') return row.song.title;
+        return row.item.streamName;
+    }
+
+    function _renderRow(row, visIdx) {
+        const div = document.createElement('div');
+        div.className = `catalogue-item catalogue-${row.type}`;
+        if (visIdx === selIdx) div.classList.add('selected');
+
+        const label = _rowLabel(row);
+        let marker = '';
+        let detail = '';
+        if (row.type === 'artist') {
+            marker = row.open ? '▾' : '▸';
+            const songCount = row.artist.songs.length;
+            detail = `${songCount} song${songCount === 1 ? '' : 's'} · ${row.artist.performanceCount}×`;
+        } else if (row.type === 'song') {
+            if (row.song.count > 1) {
+                marker = row.open ? '▾' : '▸';
+                detail = `×${row.song.count}`;
+            } else {
+                detail = row.performances[0].streamName;
+            }
+        }
+
+        div.innerHTML = `
+            <span class="catalogue-item-marker">${marker}</span>
+            <span class="catalogue-item-name">${label}</span>
+            <span class="catalogue-item-detail">${detail}</span>
+        `;
+
+        const enqueueBtn = document.createElement('button');
+        enqueueBtn.className = 'enqueue-btn';
+        enqueueBtn.textContent = '+';
+        enqueueBtn.title = row.performances.length > 1 ? 'Add all to queue' : 'Add to queue';
+        enqueueBtn.setAttribute('aria-label', `Add ${label} to queue`);
+        enqueueBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            _enqueueRow(row, enqueueBtn);
+        });
+        div.appendChild(enqueueBtn);
+
+        // Coarse pointer: long-press reveals the + box, as in search results.
+        // Registered before the activate handler so it can cancel the trailing click.
+        attachLongPress(div, () => {
+            const single = row.performances.length === 1 ? row.performances[0] : null;
+            arm(div, { inQueue: !!single && isQueued(single.streamId, single.songId) });
+        });
+
+        div.addEventListener('click', () => {
+            selIdx = visIdx;
+            _activate(row);
+        });
+        return div;
+    }
+
+    function render() {
+        disarm();
+        rows = _buildRows();
+        list.innerHTML = '';
+
+        if (rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'queue-empty';
+            empty.textContent = catalogue.length ? '┐(￣ヘ￣)┌' : '(..◜ᴗ◝..)';
+            list.appendChild(empty);
+            return;
+        }
+
+        if (selIdx >= rows.length) selIdx = rows.length - 1;
+        rows.forEach((row, visIdx) => list.appendChild(_renderRow(row, visIdx)));
+    }
+
+    function _enqueueRow(row, btn) {
+        if (btn && btn.classList.contains('enqueue-ok')) return;
+        onEnqueue(row.performances);
+        flashEnqueue(btn, disarm);
+    }
+
+    // Artists and multi-performance songs open/close; anything that stands for a
+    // single performance plays it.
+    function _activate(row) {
+        if (row.performances.length === 1 && row.type !== 'artist') {
+            const { streamId, songId } = row.performances[0];
+            onPlay(streamId, songId);
+            return;
+        }
+        if (expanded.has(row.key)) expanded.delete(row.key);
+        else expanded.add(row.key);
+        render();
+    }
+
+    function _updateSelection() {
+        list.querySelectorAll('.catalogue-item').forEach((r, i) => {
+            r.classList.toggle('selected', i === selIdx);
+            if (i === selIdx) r.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    /**
+     * Enqueue whatever the highlighted row stands for (Shift+E).
+     * @returns {boolean} whether anything was enqueued
+     */
+    function enqueueHighlighted() {
+        const row = rows[selIdx];
+        if (!row) return false;
+        const rowEl = list.querySelectorAll('.catalogue-item')[selIdx];
+        const btn = rowEl ? rowEl.querySelector('.enqueue-btn') : null;
+        if (btn && btn.classList.contains('enqueue-ok')) return false;
+        _enqueueRow(row, btn);
+        return true;
+    }
+
+    function handleKeyEvent(e) {
+        if (!isOpen()) return false;
+
+        const nav = resolveListNavigation(e.key, selIdx, rows.length);
+        if (!nav.handled) return false;
+
+        e.preventDefault();
+
+        if (nav.action === NAV_ACTION_MOVE) {
+            // Same hand-off as the queue modal: the first Up/Down leaves the filter box.
+            if (searchInput && document.activeElement === searchInput) searchInput.blur();
+            selIdx = nav.nextIndex;
+            _updateSelection();
+        } else if (nav.action === NAV_ACTION_SELECT) {
+            if (rows[selIdx]) _activate(rows[selIdx]);
+        }
+
+        return true;
+    }
+
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            filterQuery = searchInput.value;
+            selIdx = 0;
+            render();
+        });
+    }
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            toggle();
+        }
+    });
+
+    return {
+        toggle,
+        isOpen,
+        render,
+        handleKeyEvent,
+        enqueueHighlighted,
+    };
+}
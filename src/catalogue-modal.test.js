@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createCatalogueModalController } from './catalogue-modal.js';
+
+function makeDOM() {
+    const overlay = document.createElement('div');
+    overlay.id = 'catalogue-overlay';
+    overlay.inert = true;
+
+    const searchInput = document.createElement('input');
+    searchInput.id = 'catalogue-search-input';
+
+    const list = document.createElement('div');
+    list.id = 'catalogue-list';
+
+    overlay.appendChild(searchInput);
+    overlay.appendChild(list);
+    document.body.appendChild(overlay);
+
+    return { overlay, list, searchInput };
+}
+
+const MOCK_PLAYLIST = [
+    { videoId: 'v1', name: 'Stream 1', songs: [
+        { name: 'Love Song - Zed', range: [0, 10] },
+        { name: 'Ballad - Abba', range: [20, 30] },
+    ] },
+    { videoId: 'v2', name: 'Stream 2', songs: [
+        { name: 'Love Song - Zed', range: [0, 10] },
+    ] },
+];
+
+const key = (k) => new KeyboardEvent('keydown', { key: k });
+
+describe('Catalogue Modal Controller', () => {
+    let dom, ctrl, onPlay, onEnqueue;
+
+    const rowNames = () => [...dom.list.querySelectorAll('.catalogue-item-name')].map(el => el.textContent);
+    const rows = () => dom.list.querySelectorAll('.catalogue-item');
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        dom = makeDOM();
+        onPlay = vi.fn();
+        onEnqueue = vi.fn();
+        ctrl = createCatalogueModalController({
+            overlay: dom.overlay,
+            list: dom.list,
+            searchInput: dom.searchInput,
+            getPlaylist: () => MOCK_PLAYLIST,
+            onPlay,
+            onEnqueue,
+        });
+        ctrl.toggle();
+    });
+
+    it('opens with collapsed artists and counts', () => {
+        expect(ctrl.isOpen()).toBe(true);
+        expect(dom.overlay.inert).toBe(false);
+        expect(rowNames()).toEqual(['Abba', 'Zed']);
+        expect(rows()[1].querySelector('.catalogue-item-detail').textContent).toBe('1 song · 2×');
+        expect(rows()[0].classList.contains('selected')).toBe(true);
+    });
+
+    it('expands an artist into songs and a repeated song into performances', () => {
+        rows()[1].click();
+        expect(rowNames()).toEqual(['Abba', 'Zed', 'Love Song']);
+        expect(rows()[2].querySelector('.catalogue-item-detail').textContent).toBe('×2');
+
+        rows()[2].click();
+        expect(rowNames()).toEqual(['Abba', 'Zed', 'Love Song', 'Stream 1', 'Stream 2']);
+
+        rows()[4].click();
+        expect(onPlay).toHaveBeenCalledWith(1, 0);
+    });
+
+    it('plays a single-performance song directly', () => {
+        rows()[0].click();
+        rows()[1].click();
+        expect(onPlay).toHaveBeenCalledWith(0, 1);
+    });
+
+    it('enqueues every performance of an artist at once', () => {
+        rows()[1].querySelector('.enqueue-btn').click();
+        expect(onEnqueue).toHaveBeenCalledTimes(1);
+        expect(onEnqueue.mock.calls[0][0].map(p => [p.streamId, p.songId])).toEqual([[0, 0], [1, 0]]);
+    });
+
+    it('navigates with the arrow keys and Enter', () => {
+        expect(ctrl.handleKeyEvent(key('ArrowDown'))).toBe(true);
+        expect(rows()[1].classList.contains('selected')).toBe(true);
+        ctrl.handleKeyEvent(key('Enter'));
+        expect(rowNames()).toEqual(['Abba', 'Zed', 'Love Song']);
+        expect(rows()[1].classList.contains('selected')).toBe(true);
+        expect(ctrl.handleKeyEvent(key('x'))).toBe(false);
+    });
+
+    it('enqueues the highlighted row', () => {
+        ctrl.handleKeyEvent(key('Enter'));
+        ctrl.handleKeyEvent(key('ArrowDown'));
+        expect(ctrl.enqueueHighlighted()).toBe(true);
+        expect(onEnqueue.mock.calls[0][0]).toHaveLength(1);
+        expect(onEnqueue.mock.calls[0][0][0]).toMatchObject({ streamId: 0, songId: 1 });
+    });
+
+    it('filters by song title, opening the matching artists', () => {
+        dom.searchInput.value = 'love';
+        dom.searchInput.dispatchEvent(new Event('input'));
+        expect(rowNames()).toEqual(['Zed', 'Love Song']);
+
+        dom.searchInput.value = 'nothing';
+        dom.searchInput.dispatchEvent(new Event('input'));
+        expect(rows()).toHaveLength(0);
+        expect(dom.list.querySelector('.queue-empty')).not.toBeNull();
+    });
+
+    it('closes on a backdrop click and resets on reopen', () => {
+        rows()[1].click();
+        dom.overlay.click();
+        expect(ctrl.isOpen()).toBe(false);
+        expect(dom.overlay.inert).toBe(true);
+        ctrl.toggle();
+        expect(rowNames()).toEqual(['Abba', 'Zed']);
+    });
+});
@@ -0,0 +1,217 @@
+import Fuse from 'fuse.js';
+import { resolveListNavigation, NAV_ACTION_MOVE, NAV_ACTION_SELECT } from './list-navigation.js';
+import { formatTimestamp } from './segment-editor.js';
+
+// Ctrl+K palette: every player action by name, plus a few typed commands that
+// take an argument ("seek 1:23:45", "song 5", "stream <name>").
+
+const COMMAND_FUSE_CONFIG = {
+    keys: [
+        { name: 'label', weight: 2 },
+        { name: 'keywords', weight: 1 },
+    ],
+    threshold: 0.4,
+    ignoreLocation: true,
+};
+
+const STREAM_FUSE_CONFIG = {
+    keys: ['title'],
+    threshold: 0.4,
+    ignoreLocation: true,
+};
+
+const MAX_STREAM_MATCHES = 8;
+
+/**
+ * Seconds from "1:23:45", "83:10" or "95"; null when it isn't a time.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseTimeInput(text) {
+    const parts = String(text).trim().split(':');
+    if (parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return null;
+    // Only the leading field may run past 59 ("90:00" is fine, "1:75" isn't).
+    if (parts.slice(1).some(p => Number(p) >= 60)) return null;
+    return parts.reduce((total, p) => total * 60 + Number(p), 0);
+}
+
+/**
+ * Recognize a typed command. The keyword must be followed by an argument, so
+ * "song" alone still fuzzy-matches the song actions.
+ * @param {string} query
+ * @returns {{type: 'seek', seconds: number}|{type: 'song', number: number}|{type: 'stream', name: string}|null}
+ */
+export function parseInlineCommand(query) {
+    const match = /^\s*(seek|song|stream)\s+(.+?)\s*$/i.exec(query);
+    if (!match) return null;
+    const [, keyword, arg] = match;
+    switch (keyword.toLowerCase()) {
+        case 'seek': {
+            const seconds = parseTimeInput(arg);
+            return seconds === null ? null : { type: 'seek', seconds };
+        }
+        case 'song': {
+            const number = Number(arg);
+            return Number.isInteger(number) && number >= 1 ? { type: 'song', number } : null;
+        }
+        default:
+            return { type: 'stream', name: arg };
+    }
+}
+
+/**
+ * @typedef {object} PaletteCommand
+ * @property {string} label e.g. "Next Song"
+ * @property {string} [shortcut] shown beside the label, e.g. "Shift+S"
+ * @property {string} [keywords] extra words to match on
+ * @property {() => void} run
+ */
+
+/**
+ * @param {object} deps
+ * @param {HTMLElement} deps.overlay
+ * @param {HTMLInputElement} deps.input
+ * @param {HTMLElement} deps.list
+ * @param {() => PaletteCommand[]} deps.getCommands read on every open, so
+ *        labels can reflect the current state
+ * @param {() => Array} deps.getPlaylist
+ * @param {() => object|null} deps.getCurrentStream
+ * @param {(seconds: number) => void} deps.onSeek
+ * @param {(rIdx: number) => void} deps.onPlaySong song in the current stream
+ * @param {(vIdx: number) => void} deps.onPlayStream
+ */
+export function createCommandPaletteController({
+    overlay, input, list, getCommands, getPlaylist, getCurrentStream,
+    onSeek, onPlaySong, onPlayStream,
+}) {
+    let commands = [];
+    let fuse = null;
+    let rows = [];
+    let selIdx = 0;
+
+    function toggle() {
+        const wasOpen = overlay.classList.contains('open');
+        overlay.classList.toggle('open');
+        overlay.inert = wasOpen;
+        if (!wasOpen) {
+            commands = getCommands();
+            fuse = new Fuse(commands, COMMAND_FUSE_CONFIG);
+            input.value = '';
+            render();
+            input.focus();
+        }
+    }
+
+    function isOpen() {
+        return overlay.classList.contains('open');
+    }
+
+    // Rows for a typed command; an empty list when its argument leads nowhere
+    // ("song 40" in a 12-song stream), so the fuzzy matches show instead.
+    function _inlineRows(command) {
+        if (command.type === 'seek') {
+            const { seconds } = command;
+            return [{ label: `Seek to ${formatTimestamp(seconds)}`, run: () => onSeek(seconds) }];
+        }
+        if (command.type === 'song') {
+            const stream = getCurrentStream();
+            const song = stream && stream.songs ? stream.songs[command.number - 1] : null;
+            if (!song) return [];
+            const rIdx = command.number - 1;
+            return [{ label: `Play Song ${command.number}: ${song.name}`, run: () => onPlaySong(rIdx) }];
+        }
+        const playlist = getPlaylist();
+        const streams = playlist.map((stream, vIdx) => ({ title: stream.title || stream.videoId, vIdx }));
+        return new Fuse(streams, STREAM_FUSE_CONFIG).search(command.name)
+            .slice(0, MAX_STREAM_MATCHES)
+            .map(({ item }) => ({ label: `Play Stream: ${item.title}`, run: () => onPlayStream(item.vIdx) }));
+    }
+
+    function _buildRows(query) {
+        const command = parseInlineCommand(query);
+        const inline = command ? _inlineRows(command) : [];
+        if (inline.length) return inline;
+        if (!query.trim()) return commands;
+        return fuse.search(query).map(result => result.item);
+    }
+
+    function render() {
+        rows = _buildRows(input.value);
+        selIdx = 0;
+        list.innerHTML = '';
+
+        if (rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'queue-empty';
+            empty.textContent = '┐(￣ヘ￣)┌';
+            list.appendChild(empty);
+            return;
+        }
+
+        rows.forEach((row, idx) => {
+            const div = document.createElement('div');
+            div.className = 'palette-item';
+            if (idx === 0) div.classList.add('selected');
+
+            const label = document.createElement('span');
+            label.className = 'palette-item-label';
+            label.textContent = row.label;
+            div.appendChild(label);
+
+            if (row.shortcut) {
+                const key = document.createElement('kbd');
+                key.className = 'palette-item-shortcut';
+                key.textContent = row.shortcut;
+                div.appendChild(key);
+            }
+
+            div.addEventListener('click', () => _run(row));
+            list.appendChild(div);
+        });
+    }
+
+    // Closed first: plenty of commands open a modal of their own.
+    function _run(row) {
+        if (isOpen()) toggle();
+        row.run();
+    }
+
+    function _updateSelection() {
+        list.querySelectorAll('.palette-item').forEach((r, i) => {
+            r.classList.toggle('selected', i === selIdx);
+            if (i === selIdx) r.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    function handleKeyEvent(e) {
+        if (!isOpen()) return false;
+
+        const nav = resolveListNavigation(e.key, selIdx, rows.length);
+        if (!nav.handled) return false;
+
+        e.preventDefault();
+
+        if (nav.action === NAV_ACTION_MOVE) {
+            selIdx = nav.nextIndex;
+            _updateSelection();
+        } else if (nav.action === NAV_ACTION_SELECT) {
+            if (rows[selIdx]) _run(rows[selIdx]);
+        }
+
+        return true;
+    }
+
+    input.addEventListener('input', () => render());
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            toggle();
+        }
+    });
+
+    return {
+        toggle,
+        isOpen,
+        handleKeyEvent,
+    };
+}
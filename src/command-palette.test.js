@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createCommandPaletteController, parseInlineCommand, parseTimeInput } from './command-palette.js';
+
+describe('parseTimeInput', () => {
+    it('reads h:mm:ss, m:ss and plain seconds', () => {
+        expect(parseTimeInput('1:23:45')).toBe(5025);
+        expect(parseTimeInput('83:10')).toBe(4990);
+        expect(parseTimeInput(' 95 ')).toBe(95);
+        expect(parseTimeInput('0:30.5')).toBe(30.5);
+    });
+
+    it('rejects anything else', () => {
+        expect(parseTimeInput('1:75')).toBeNull();
+        expect(parseTimeInput('1:2:3:4')).toBeNull();
+        expect(parseTimeInput('soon')).toBeNull();
+        expect(parseTimeInput('')).toBeNull();
+    });
+});
+
+describe('parseInlineCommand', () => {
+    it('recognizes seek, song and stream with an argument', () => {
+        expect(parseInlineCommand('seek 1:23:45')).toEqual({ type: 'seek', seconds: 5025 });
+        expect(parseInlineCommand('Song 5')).toEqual({ type: 'song', number: 5 });
+        expect(parseInlineCommand('stream  karaoke night ')).toEqual({ type: 'stream', name: 'karaoke night' });
+    });
+
+    it('leaves bare keywords and bad arguments to the fuzzy match', () => {
+        expect(parseInlineCommand('song')).toBeNull();
+        expect(parseInlineCommand('seek later')).toBeNull();
+        expect(parseInlineCommand('song 0')).toBeNull();
+        expect(parseInlineCommand('next song')).toBeNull();
+    });
+});
+
+describe('Command Palette Controller', () => {
+    let overlay, input, list, commands, playlist, onSeek, onPlaySong, onPlayStream, ctrl;
+
+    const labels = () => [...list.querySelectorAll('.palette-item-label')].map(el => el.textContent);
+    const type = (text) => {
+        input.value = text;
+        input.dispatchEvent(new Event('input'));
+    };
+    const key = (k) => ctrl.handleKeyEvent(new KeyboardEvent('keydown', { key: k }));
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="palette-overlay" inert>
+                <input id="palette-input">
+                <div id="palette-list"></div>
+            </div>`;
+        overlay = document.getElementById('palette-overlay');
+        input = document.getElementById('palette-input');
+        list = document.getElementById('palette-list');
+        commands = [
+            { label: 'Next Song', shortcut: 'Shift+→', run: vi.fn() },
+            { label: 'Toggle Member Mode', shortcut: 'Shift+M', run: vi.fn() },
+            { label: 'Copy Stream URL', keywords: 'share link', run: vi.fn() },
+        ];
+        playlist = [
+            { videoId: 'a', title: 'Karaoke Night', songs: [{ name: 'Opener', range: [0, 10] }, { name: 'Closer', range: [20, 30] }] },
+            { videoId: 'b', title: 'Morning Chat', songs: null },
+        ];
+        onSeek = vi.fn();
+        onPlaySong = vi.fn();
+        onPlayStream = vi.fn();
+        ctrl = createCommandPaletteController({
+            overlay, input, list,
+            getCommands: () => commands,
+            getPlaylist: () => playlist,
+            getCurrentStream: () => playlist[0],
+            onSeek, onPlaySong, onPlayStream,
+        });
+        ctrl.toggle();
+    });
+
+    it('lists every command with its shortcut when opened', () => {
+        expect(ctrl.isOpen()).toBe(true);
+        expect(overlay.inert).toBe(false);
+        expect(labels()).toEqual(['Next Song', 'Toggle Member Mode', 'Copy Stream URL']);
+        expect(list.querySelector('.palette-item-shortcut').textContent).toBe('Shift+→');
+    });
+
+    it('fuzzy-matches labels and keywords', () => {
+        type('membr');
+        expect(labels()).toEqual(['Toggle Member Mode']);
+        type('share');
+        expect(labels()).toEqual(['Copy Stream URL']);
+    });
+
+    it('runs the highlighted command after closing', () => {
+        commands[1].run.mockImplementation(() => expect(ctrl.isOpen()).toBe(false));
+        key('ArrowDown');
+        expect(list.querySelectorAll('.palette-item')[1].classList.contains('selected')).toBe(true);
+        key('Enter');
+        expect(commands[1].run).toHaveBeenCalledTimes(1);
+        expect(ctrl.isOpen()).toBe(false);
+    });
+
+    it('seeks and plays songs in the current stream', () => {
+        type('seek 1:02');
+        expect(labels()).toEqual(['Seek to 1:02']);
+        key('Enter');
+        expect(onSeek).toHaveBeenCalledWith(62);
+
+        ctrl.toggle();
+        type('song 2');
+        expect(labels()).toEqual(['Play Song 2: Closer']);
+        list.querySelector('.palette-item').click();
+        expect(onPlaySong).toHaveBeenCalledWith(1);
+    });
+
+    it('falls back to the fuzzy match for a song number that does not exist', () => {
+        type('song 9');
+        expect(labels()).toEqual(['Next Song']);
+    });
+
+    it('finds streams by name', () => {
+        type('stream morning');
+        expect(labels()).toEqual(['Play Stream: Morning Chat']);
+        key('Enter');
+        expect(onPlayStream).toHaveBeenCalledWith(1);
+    });
+
+    it('shows an empty state and closes on a backdrop click', () => {
+        type('zzzzzz');
+        expect(labels()).toEqual([]);
+        expect(list.querySelector('.queue-empty')).not.toBeNull();
+        expect(key('Enter')).toBe(false);
+        overlay.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        expect(ctrl.isOpen()).toBe(false);
+        expect(overlay.inert).toBe(true);
+    });
+});
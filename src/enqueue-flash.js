@@ -3,16 +3,46 @@ const FLASH_MS = 500;
 /**
  * Shows a checkmark on an enqueue button briefly, acting as both
  * visual feedback and a debounce guard against rapid clicks.
- * @param {HTMLElement} btn - The .enqueue-btn element
+ * @param {HTMLElement} btn - The .enqueue-btn (or .play-next-btn) element
  * @param {() => void} [onComplete] - Called after the flash reverts (e.g. to disarm).
  */
 export function flashEnqueue(btn, onComplete) {
     if (!btn || btn.classList.contains('enqueue-ok')) return;
+    const label = btn.textContent;
     btn.classList.add('enqueue-ok');
     btn.textContent = '✓';
     setTimeout(() => {
         btn.classList.remove('enqueue-ok');
-        btn.textContent = '+';
+        btn.textContent = label;
         if (typeof onComplete === 'function') onComplete();
     }, FLASH_MS);
 }
+
+const SUMMARY_FLASH_MS = 1800;
+
+/**
+ * "✓ 5 added · 2 already queued"
+ * @param {{added: number, skipped: number}} result
+ * @returns {string}
+ */
+export function formatEnqueueSummary({ added, skipped }) {
+    const text = `✓ ${added} added`;
+    return skipped > 0 ? `${text} · ${skipped} already queued` : text;
+}
+
+/**
+ * The bulk counterpart of flashEnqueue: shows how many items a "queue all"
+ * added versus skipped on its button, then restores the label.
+ * @param {HTMLElement} btn
+ * @param {{added: number, skipped: number}} result
+ */
+export function flashEnqueueSummary(btn, result) {
+    if (!btn || btn.classList.contains('enqueue-ok')) return;
+    const label = btn.textContent;
+    btn.classList.add('enqueue-ok');
+    btn.textContent = formatEnqueueSummary(result);
+    setTimeout(() => {
+        btn.classList.remove('enqueue-ok');
+        btn.textContent = label;
+    }, SUMMARY_FLASH_MS);
+}
@@ -0,0 +1,43 @@
+/**
+ * Paint a heart button: filled when favorited, with the rating (if any) as a
+ * small star count next to it.
+ * @param {HTMLElement} btn
+ * @param {boolean} favorite
+ * @param {number} rating 0 = unrated
+ */
+export function setFavoriteButtonState(btn, favorite, rating) {
+    if (!btn) return;
+    btn.classList.toggle('is-favorite', favorite);
+    btn.setAttribute('aria-pressed', favorite ? 'true' : 'false');
+    btn.textContent = favorite ? '♥' : '♡';
+    if (rating > 0) {
+        const stars = document.createElement('span');
+        stars.className = 'fav-rating';
+        stars.textContent = `${rating}★`;
+        btn.appendChild(stars);
+    }
+    btn.title = `${favorite ? 'Remove from' : 'Add to'} favorites${rating > 0 ? ` (rated ${rating}/5)` : ''}`;
+}
+
+/**
+ * Heart button for a song row. Clicks toggle the favorite without selecting
+ * the row underneath.
+ * @param {object} opts
+ * @param {string} opts.label song name, for the aria-label
+ * @param {boolean} opts.favorite
+ * @param {number} opts.rating
+ * @param {() => boolean} opts.onToggle returns the new favorite state
+ * @param {() => number} opts.getRating
+ * @returns {HTMLButtonElement}
+ */
+export function createFavoriteButton({ label, favorite, rating, onToggle, getRating }) {
+    const btn = document.createElement('button');
+    btn.className = 'fav-btn';
+    btn.setAttribute('aria-label', `Favorite ${label}`);
+    setFavoriteButtonState(btn, favorite, rating);
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setFavoriteButtonState(btn, onToggle(), getRating());
+    });
+    return btn;
+}
@@ -0,0 +1,242 @@
+import { resolveListNavigation, NAV_ACTION_MOVE, NAV_ACTION_SELECT } from './list-navigation.js';
+import { flashEnqueue } from './enqueue-flash.js';
+import { attachLongPress, arm, disarm } from './long-press-arm.js';
+import { formatTimestamp } from './segment-editor.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(ms) {
+    const d = new Date(ms);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+}
+
+function dayLabel(dayStart, todayStart) {
+    if (dayStart === todayStart) return 'Today';
+    // Rounded: a DST change makes one day 23 or 25 hours long.
+    if (Math.round((todayStart - dayStart) / DAY_MS) === 1) return 'Yesterday';
+    return new Date(dayStart).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Listening history: recent plays grouped by day, each replayable or enqueueable.
+ * @param {object} deps
+ * @param {HTMLElement} deps.overlay
+ * @param {HTMLElement} deps.list
+ * @param {HTMLButtonElement} [deps.recordBtn] turns recording on/off
+ * @param {HTMLButtonElement} [deps.clearBtn]
+ * @param {() => Promise<Array>} deps.getEntries plays, newest first
+ * @param {() => Array} deps.getPlaylist
+ * @param {() => boolean} deps.isRecording
+ * @param {(on: boolean) => void} deps.onSetRecording
+ * @param {() => Promise<void>} deps.onClear
+ * @param {(videoId: string, rIdx: number) => void} deps.onPlay
+ * @param {(videoId: string, rIdx: number) => void} deps.onEnqueue
+ * @param {(videoId: string, rIdx: number) => boolean} [deps.isQueued]
+ * @param {() => number} [deps.now]
+ */
+export function createHistoryModalController({
+    overlay, list, recordBtn = null, clearBtn = null,
+    getEntries, getPlaylist, isRecording, onSetRecording, onClear,
+    onPlay, onEnqueue, isQueued = () => false, now = () => Date.now(),
+}) {
+    let entries = [];
+    let selIdx = 0;
+    // Ignores a slow load that finishes after a newer one started.
+    let loadToken = 0;
+
+    function toggle() {
+        const wasOpen = overlay.classList.contains('open');
+        overlay.classList.toggle('open');
+        overlay.inert = wasOpen;
+        if (!wasOpen) {
+            selIdx = 0;
+            return refresh();
+        }
+        return Promise.resolve();
+    }
+
+    function isOpen() {
+        return overlay.classList.contains('open');
+    }
+
+    async function refresh() {
+        const token = ++loadToken;
+        _updateButtons();
+        let loaded;
+        try {
+            loaded = await getEntries();
+        } catch (err) {
+            console.warn('[History] Failed to load listening history:', err && err.message);
+            loaded = [];
+        }
+        if (token !== loadToken) return;
+        entries = loaded;
+        render();
+    }
+
+    function _updateButtons() {
+        if (recordBtn) {
+            const on = isRecording();
+            recordBtn.textContent = `Recording: ${on ? 'On' : 'Off'}`;
+            recordBtn.classList.toggle('active', on);
+            recordBtn.setAttribute('aria-pressed', on ? 'true' : 'false');
+        }
+    }
+
+    function _resolveNames(entry) {
+        const stream = getPlaylist().find(p => p.videoId === entry.videoId);
+        const song = stream && stream.songs ? stream.songs[entry.rIdx] : null;
+        const liveName = stream ? (song ? song.name : (stream.title || stream.name)) : '';
+        return {
+            available: !!stream,
+            songName: liveName || entry.name || `Track ${entry.rIdx + 1}`,
+            streamName: (stream && (stream.name || stream.title)) || entry.streamName || entry.videoId,
+        };
+    }
+
+    function _renderItem(entry, idx) {
+        const info = _resolveNames(entry);
+        const div = document.createElement('div');
+        div.className = 'queue-item history-item';
+        div.dataset.hidx = String(idx);
+        if (idx === selIdx) div.classList.add('selected');
+        if (!info.available) div.classList.add('orphaned');
+
+        const time = new Date(entry.startedAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        div.innerHTML = `
+            <span class="queue-item-index history-time">${time}</span>
+            <span class="queue-item-name">${info.songName}</span>
+            <span class="queue-item-stream">${info.streamName} · ${formatTimestamp(entry.heardSeconds)}${entry.skipped ? ' · skipped' : ''}</span>
+        `;
+
+        if (info.available) {
+            const enqueueBtn = document.createElement('button');
+            enqueueBtn.className = 'enqueue-btn';
+            enqueueBtn.textContent = '+';
+            enqueueBtn.title = 'Add to queue';
+            enqueueBtn.setAttribute('aria-label', `Add ${info.songName} to queue`);
+            enqueueBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                _enqueue(entry, enqueueBtn);
+            });
+            div.appendChild(enqueueBtn);
+
+            attachLongPress(div, () => arm(div, { inQueue: isQueued(entry.videoId, entry.rIdx) }));
+        }
+
+        div.addEventListener('click', () => {
+            selIdx = idx;
+            _play(entry);
+        });
+        return div;
+    }
+
+    function render() {
+        disarm();
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'queue-empty';
+            empty.textContent = isRecording() ? '(..◜ᴗ◝..)' : 'Turn recording on to keep a log of what you play.';
+            list.appendChild(empty);
+            return;
+        }
+
+        if (selIdx >= entries.length) selIdx = entries.length - 1;
+        const todayStart = startOfDay(now());
+        let lastDay = null;
+        entries.forEach((entry, idx) => {
+            const day = startOfDay(entry.startedAt);
+            if (day !== lastDay) {
+                lastDay = day;
+                const header = document.createElement('div');
+                header.className = 'history-day';
+                header.textContent = dayLabel(day, todayStart);
+                list.appendChild(header);
+            }
+            list.appendChild(_renderItem(entry, idx));
+        });
+    }
+
+    function _play(entry) {
+        if (_resolveNames(entry).available) onPlay(entry.videoId, entry.rIdx);
+    }
+
+    function _enqueue(entry, btn) {
+        if (btn && btn.classList.contains('enqueue-ok')) return;
+        onEnqueue(entry.videoId, entry.rIdx);
+        flashEnqueue(btn, disarm);
+    }
+
+    function _updateSelection() {
+        list.querySelectorAll('.history-item').forEach((r, i) => {
+            r.classList.toggle('selected', i === selIdx);
+            if (i === selIdx) r.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    /**
+     * Enqueue the highlighted play (Shift+E).
+     * @returns {boolean} whether anything was enqueued
+     */
+    function enqueueHighlighted() {
+        const entry = entries[selIdx];
+        if (!entry || !_resolveNames(entry).available) return false;
+        const rowEl = list.querySelectorAll('.history-item')[selIdx];
+        const btn = rowEl ? rowEl.querySelector('.enqueue-btn') : null;
+        if (btn && btn.classList.contains('enqueue-ok')) return false;
+        _enqueue(entry, btn);
+        return true;
+    }
+
+    function handleKeyEvent(e) {
+        if (!isOpen()) return false;
+
+        const nav = resolveListNavigation(e.key, selIdx, entries.length);
+        if (!nav.handled) return false;
+
+        e.preventDefault();
+
+        if (nav.action === NAV_ACTION_MOVE) {
+            selIdx = nav.nextIndex;
+            _updateSelection();
+        } else if (nav.action === NAV_ACTION_SELECT) {
+            if (entries[selIdx]) _play(entries[selIdx]);
+        }
+
+        return true;
+    }
+
+    if (recordBtn) {
+        recordBtn.addEventListener('click', () => {
+            onSetRecording(!isRecording());
+            _updateButtons();
+            if (entries.length === 0) render();
+        });
+    }
+
+    if (clearBtn) {
+        clearBtn.addEventListener('click', async () => {
+            await onClear();
+            entries = [];
+            selIdx = 0;
+            render();
+        });
+    }
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            toggle();
+        }
+    });
+
+    return {
+        toggle,
+        isOpen,
+        refresh,
+        handleKeyEvent,
+        enqueueHighlighted,
+    };
+}
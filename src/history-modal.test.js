@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createHistoryModalController } from './history-modal.js';
+
+const key = (k) => new KeyboardEvent('keydown', { key: k });
+
+const PLAYLIST = [
+    { videoId: 'v1', name: 'Stream 1', songs: [{ name: 'Alpha', range: [0, 10] }, { name: 'Beta', range: [20, 30] }] },
+];
+
+describe('History Modal Controller', () => {
+    const NOW = new Date(2026, 4, 10, 15, 0).getTime();
+    let overlay, list, recordBtn, clearBtn, entries, recording, ctrl, onPlay, onEnqueue, onClear;
+
+    const items = () => list.querySelectorAll('.history-item');
+    const days = () => [...list.querySelectorAll('.history-day')].map(el => el.textContent);
+
+    beforeEach(async () => {
+        document.body.innerHTML = '';
+        overlay = document.createElement('div');
+        overlay.inert = true;
+        list = document.createElement('div');
+        recordBtn = document.createElement('button');
+        clearBtn = document.createElement('button');
+        overlay.append(recordBtn, clearBtn, list);
+        document.body.appendChild(overlay);
+
+        entries = [
+            { videoId: 'v1', rIdx: 1, startedAt: NOW - 60 * 60 * 1000, heardSeconds: 75, skipped: false },
+            { videoId: 'v1', rIdx: 0, startedAt: new Date(2026, 4, 9, 20, 0).getTime(), heardSeconds: 12, skipped: true },
+            { videoId: 'gone', rIdx: 0, startedAt: new Date(2026, 4, 1, 20, 0).getTime(), heardSeconds: 30, skipped: false, name: 'Lost', streamName: 'Old' },
+        ];
+        recording = true;
+        onPlay = vi.fn();
+        onEnqueue = vi.fn();
+        onClear = vi.fn(async () => {});
+        ctrl = createHistoryModalController({
+            overlay, list, recordBtn, clearBtn,
+            getEntries: async () => entries,
+            getPlaylist: () => PLAYLIST,
+            isRecording: () => recording,
+            onSetRecording: (on) => { recording = on; },
+            onClear,
+            onPlay,
+            onEnqueue,
+            now: () => NOW,
+        });
+        await ctrl.toggle();
+    });
+
+    it('groups plays by day with names, heard time and skips', () => {
+        expect(ctrl.isOpen()).toBe(true);
+        expect(days()).toEqual(['Today', 'Yesterday', 'Fri, May 1']);
+        expect(items()[0].querySelector('.queue-item-name').textContent).toBe('Beta');
+        expect(items()[0].querySelector('.queue-item-stream').textContent).toBe('Stream 1 · 1:15');
+        expect(items()[1].querySelector('.queue-item-stream').textContent).toBe('Stream 1 · 0:12 · skipped');
+        // Names saved with the play stand in for a stream that's gone.
+        expect(items()[2].querySelector('.queue-item-name').textContent).toBe('Lost');
+        expect(items()[2].classList.contains('orphaned')).toBe(true);
+        expect(items()[2].querySelector('.enqueue-btn')).toBeNull();
+    });
+
+    it('replays on click and enqueues with +', () => {
+        items()[1].click();
+        expect(onPlay).toHaveBeenCalledWith('v1', 0);
+        items()[0].querySelector('.enqueue-btn').click();
+        expect(onEnqueue).toHaveBeenCalledWith('v1', 1);
+        items()[2].click();
+        expect(onPlay).toHaveBeenCalledTimes(1);
+    });
+
+    it('navigates with the keyboard and enqueues the highlight', () => {
+        ctrl.handleKeyEvent(key('ArrowDown'));
+        expect(items()[1].classList.contains('selected')).toBe(true);
+        expect(ctrl.enqueueHighlighted()).toBe(true);
+        expect(onEnqueue).toHaveBeenCalledWith('v1', 0);
+        ctrl.handleKeyEvent(key('Enter'));
+        expect(onPlay).toHaveBeenCalledWith('v1', 0);
+        expect(ctrl.handleKeyEvent(key('x'))).toBe(false);
+    });
+
+    it('toggles recording and clears the log', async () => {
+        expect(recordBtn.textContent).toBe('Recording: On');
+        recordBtn.click();
+        expect(recording).toBe(false);
+        expect(recordBtn.getAttribute('aria-pressed')).toBe('false');
+
+        clearBtn.click();
+        await vi.waitFor(() => expect(items()).toHaveLength(0));
+        expect(onClear).toHaveBeenCalled();
+        expect(list.querySelector('.queue-empty').textContent).toMatch(/Turn recording on/);
+    });
+});
@@ -44,6 +44,18 @@ function extractVideoId(url) {
     return null;
 }
 
+/**
+ * Resolves user input that is either a bare video ID or a YouTube URL.
+ * @param {string} text
+ * @returns {string|null} The 11-character video ID, or null if unrecognized
+ */
+export function parseVideoIdInput(text) {
+    if (typeof text !== 'string') return null;
+    const trimmed = text.trim();
+    if (VALID_ID.test(trimmed)) return trimmed;
+    return extractVideoId(trimmed);
+}
+
 /**
  * Parses raw text containing YouTube URLs into Rule 0 segment entries.
  * URLs may be separated by spaces, commas, semicolons, or newlines.
@@ -72,6 +84,36 @@ export function parseYouTubeUrls(text) {
         : null;
 }
 
+const SONG_TEXT_FIELDS = ['title', 'artist', 'originalArtist', 'language'];
+// Loudness corrections past this many dB either way are almost surely typos.
+const MAX_GAIN_DB = 24;
+
+/**
+ * Checks an optional `gain` (dB relative to the user's volume) on a stream or song.
+ * @param {*} gain
+ * @returns {boolean}
+ */
+function isValidGain(gain) {
+    return gain == null || (Number.isFinite(gain) && Math.abs(gain) <= MAX_GAIN_DB);
+}
+
+/**
+ * Checks the optional structured metadata on a song; absent (or null) fields pass.
+ * @param {object} song
+ * @returns {boolean}
+ */
+function isValidSongMeta(song) {
+    for (const key of SONG_TEXT_FIELDS) {
+        if (song[key] != null && typeof song[key] !== 'string') return false;
+    }
+    if (song.tags != null && !(Array.isArray(song.tags) && song.tags.every(t => typeof t === 'string'))) {
+        return false;
+    }
+    if (song.duet != null && typeof song.duet !== 'boolean') return false;
+    if (!isValidGain(song.gain)) return false;
+    return true;
+}
+
 /**
  * Validates that data conforms to the segment file format.
  * @param {*} data - The data to validate
@@ -81,12 +123,15 @@ export function validateSegmentData(data) {
     if (!Array.isArray(data) || data.length === 0) return false;
     return data.every(entry => {
         if (!entry || typeof entry.videoId !== 'string' || !entry.videoId) return false;
+        if (entry.src != null && (typeof entry.src !== 'string' || !entry.src)) return false;
+        if (!isValidGain(entry.gain)) return false;
         if (entry.songs != null) {
             if (!Array.isArray(entry.songs)) return false;
             if (!entry.songs.every(s =>
                 s && typeof s.name === 'string' &&
                 Array.isArray(s.range) && s.range.length === 2 &&
-                Number.isFinite(s.range[0]) && Number.isFinite(s.range[1])
+                Number.isFinite(s.range[0]) && Number.isFinite(s.range[1]) &&
+                isValidSongMeta(s)
             )) return false;
         }
         return true;
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { validateSegmentData, parseYouTubeUrls } from './import-helpers.js';
+import { validateSegmentData, parseYouTubeUrls, parseVideoIdInput } from './import-helpers.js';
 import { PlayerCore } from './player-core.js';
 import { clearStorage } from './test-setup.js';
 
@@ -176,6 +176,29 @@ describe('validateSegmentData', () => {
                 { videoId: 'bad', songs: [{ name: 42, range: [0, 10] }] }
             ])).toBe(false);
         });
+
+        it('rejects malformed song metadata', () => {
+            const withSong = (extra) => [{ videoId: 'x', songs: [{ name: 'S', range: [0, 10], ...extra }] }];
+            expect(validateSegmentData(withSong({ artist: 42 }))).toBe(false);
+            expect(validateSegmentData(withSong({ title: ['T'] }))).toBe(false);
+            expect(validateSegmentData(withSong({ tags: 'rock' }))).toBe(false);
+            expect(validateSegmentData(withSong({ tags: ['rock', 1] }))).toBe(false);
+            expect(validateSegmentData(withSong({ duet: 'yes' }))).toBe(false);
+        });
+
+        it('rejects a non-string or empty media src', () => {
+            expect(validateSegmentData([{ videoId: 'x', src: 42 }])).toBe(false);
+            expect(validateSegmentData([{ videoId: 'x', src: '' }])).toBe(false);
+        });
+
+        it('rejects a non-numeric or out-of-range gain', () => {
+            expect(validateSegmentData([{ videoId: 'x', gain: '-3' }])).toBe(false);
+            expect(validateSegmentData([{ videoId: 'x', gain: NaN }])).toBe(false);
+            expect(validateSegmentData([{ videoId: 'x', gain: 60 }])).toBe(false);
+            expect(validateSegmentData([
+                { videoId: 'x', songs: [{ name: 'S', range: [0, 10], gain: -40 }] }
+            ])).toBe(false);
+        });
     });
 
     describe('Accepts valid data', () => {
@@ -225,6 +248,30 @@ describe('validateSegmentData', () => {
                   songs: [{ name: 'Song', range: [0, 10], theme: 1, extra: 'data' }] }
             ])).toBe(true);
         });
+
+        it('accepts structured song metadata', () => {
+            expect(validateSegmentData([
+                { videoId: 'x', songs: [{
+                    name: 'Is this Love - Whitesnake', range: [0, 10],
+                    title: 'Is this Love', artist: 'Whitesnake', originalArtist: null,
+                    language: 'en', tags: ['rock', '80s'], duet: false,
+                }] }
+            ])).toBe(true);
+        });
+
+        it('accepts a self-hosted media src (and an explicit null)', () => {
+            expect(validateSegmentData([
+                { videoId: 'x', src: 'https://example.com/rip.mp4' },
+                { videoId: 'y', src: null },
+            ])).toBe(true);
+        });
+
+        it('accepts a loudness gain in dB on streams and songs', () => {
+            expect(validateSegmentData([
+                { videoId: 'x', gain: -6, songs: [{ name: 'S', range: [0, 10], gain: 2.5 }] },
+                { videoId: 'y', gain: null },
+            ])).toBe(true);
+        });
     });
 });
 
@@ -553,6 +600,23 @@ describe('Import Persistence', () => {
 // URL PARSING: parseYouTubeUrls
 // ============================================================================
 
+describe('parseVideoIdInput', () => {
+    it('accepts a bare video ID', () => {
+        expect(parseVideoIdInput('  dQw4w9WgXcQ ')).toBe('dQw4w9WgXcQ');
+    });
+
+    it('extracts the ID from a URL', () => {
+        expect(parseVideoIdInput('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42')).toBe('dQw4w9WgXcQ');
+        expect(parseVideoIdInput('https://youtu.be/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+    });
+
+    it('returns null for anything else', () => {
+        expect(parseVideoIdInput('dQw4w9WgXc')).toBeNull();
+        expect(parseVideoIdInput('https://example.com/watch?v=dQw4w9WgXcQ')).toBeNull();
+        expect(parseVideoIdInput(null)).toBeNull();
+    });
+});
+
 describe('parseYouTubeUrls', () => {
 
     describe('Returns null for non-URL input', () => {
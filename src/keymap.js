@@ -0,0 +1,232 @@
+// The player's keyboard shortcuts: which action each key runs, with the
+// user's own bindings (kept in localStorage) laid over the defaults.
+//
+// A combo is the string a keydown produces in comboFromEvent: modifiers in
+// Ctrl, Alt, Meta, Shift order, then the key ("Shift+S", "Ctrl+K", "?"). Keys
+// are taken from e.key, the character the user's layout types, so a binding
+// recorded on any layout matches there. For symbols the character already
+// says whether Shift was held, so Shift isn't part of the combo: "?" is "?"
+// whichever key makes it.
+
+export const DOUBLE_SHIFT = 'Shift Shift';
+export const DOUBLE_SHIFT_MS = 300;
+
+/**
+ * Every rebindable action, in the order the help overlay lists them. A null
+ * combo ships unbound.
+ * @type {Array<{id: string, label: string, combo: string|null}>}
+ */
+export const SHORTCUT_ACTIONS = [
+    { id: 'search', label: 'Open / close search', combo: 'Shift+S' },
+    { id: 'searchAlt', label: 'Open / close search (alternative)', combo: DOUBLE_SHIFT },
+    { id: 'songList', label: 'Open / close song list panel', combo: 'Shift+A' },
+    { id: 'copyUrl', label: 'Copy shareable URL to clipboard', combo: 'Shift+C' },
+    { id: 'memberMode', label: 'Toggle member-only streams', combo: 'Shift+M' },
+    { id: 'import', label: 'Open / close playlist import', combo: 'Shift+I' },
+    { id: 'queue', label: 'Open / close queue manager', combo: 'Shift+Q' },
+    { id: 'catalogue', label: 'Open / close the browse-by-artist catalogue', combo: 'Shift+B' },
+    { id: 'favorite', label: 'Toggle favorite', combo: 'Shift+F' },
+    { id: 'rating', label: 'Cycle star rating', combo: 'Shift+R' },
+    { id: 'block', label: 'Block / unblock from auto-play', combo: 'Shift+X' },
+    { id: 'history', label: 'Open / close listening history', combo: 'Shift+H' },
+    { id: 'stats', label: 'Open / close listening stats', combo: 'Shift+W' },
+    { id: 'sleep', label: 'Open / close the sleep timer', combo: 'Shift+T' },
+    { id: 'abLoop', label: 'Mark A-B loop point', combo: 'Shift+L' },
+    { id: 'repeat', label: 'Repeat the current song 2–5 times', combo: 'Shift+O' },
+    { id: 'faster', label: 'Play faster', combo: '>' },
+    { id: 'slower', label: 'Play slower', combo: '<' },
+    { id: 'enqueue', label: 'Add to queue', combo: 'Shift+E' },
+    { id: 'playNext', label: 'Play next', combo: 'Shift+N' },
+    { id: 'help', label: 'Show keyboard shortcuts', combo: '?' },
+];
+
+/**
+ * Keys the player owns outright. Listed in the help overlay, and can't be
+ * given to an action.
+ */
+export const FIXED_SHORTCUTS = [
+    { label: 'Open / close the command palette', keys: 'Ctrl+K / ⌘K', combos: ['Ctrl+K', 'Meta+K'] },
+    { label: 'Close the topmost open panel or modal', keys: 'Escape', combos: ['Escape'] },
+    { label: 'Navigate search results or lists', keys: 'Arrow Up / Down', combos: ['ArrowUp', 'ArrowDown'] },
+    { label: 'Select the highlighted item', keys: 'Enter', combos: ['Enter'] },
+    { label: 'Move the highlighted item in the queue manager', keys: 'Alt+Arrow Up / Down', combos: ['Alt+ArrowUp', 'Alt+ArrowDown'] },
+    { label: 'Remove the highlighted item (queue, saved queues, blocked songs)', keys: 'Delete / Backspace', combos: ['Delete', 'Backspace'] },
+    { label: 'Undo the last queue, playlist or member-mode change', keys: 'Ctrl+Z', combos: ['Ctrl+Z', 'Meta+Z'] },
+    { label: 'Redo', keys: 'Ctrl+Shift+Z', combos: ['Ctrl+Shift+Z', 'Meta+Shift+Z'] },
+];
+
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Dead']);
+const FIXED_COMBOS = new Set(FIXED_SHORTCUTS.flatMap(s => s.combos));
+const ACTION_IDS = new Set(SHORTCUT_ACTIONS.map(a => a.id));
+
+const isLetter = (key) => key.toLowerCase() !== key.toUpperCase();
+
+/**
+ * The combo a keydown stands for; null for a modifier on its own.
+ * @param {KeyboardEvent} e
+ * @returns {string|null}
+ */
+export function comboFromEvent(e) {
+    if (!e.key || MODIFIER_KEYS.has(e.key)) return null;
+    let key = e.key === ' ' ? 'Space' : e.key;
+    const printable = key.length === 1;
+    if (printable) key = key.toUpperCase();
+    const parts = [];
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.metaKey) parts.push('Meta');
+    if (e.shiftKey && (!printable || isLetter(key))) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * A combo as the help overlay shows it.
+ * @param {string|null} combo
+ * @returns {string}
+ */
+export function formatCombo(combo) {
+    if (!combo) return '—';
+    if (combo === DOUBLE_SHIFT) return 'Double-tap Shift';
+    return combo.replace(/\bMeta\+/g, '⌘');
+}
+
+// A bare key types text, so it only fires outside text boxes; Shift+letter
+// combos and anything with Ctrl/Alt/⌘ work from inside them too, as the
+// search box's Shift+E has always done.
+function firesWhileTyping(combo) {
+    return combo === DOUBLE_SHIFT || combo.includes('+');
+}
+
+/**
+ * @param {object} deps
+ * @param {() => string|null} deps.load raw JSON previously passed to save
+ * @param {(json: string|null) => void} deps.save null when back to the defaults
+ * @param {() => number} [deps.now]
+ */
+export function createKeymap({ load, save, now = () => Date.now() }) {
+    // {actionId: combo|null}, only where it differs from the default
+    let overrides = {};
+    let lastShiftAt = -Infinity;
+
+    try {
+        const parsed = JSON.parse(load() || '{}');
+        if (parsed && typeof parsed === 'object') {
+            for (const [id, combo] of Object.entries(parsed)) {
+                if (ACTION_IDS.has(id) && (combo === null || (typeof combo === 'string' && !FIXED_COMBOS.has(combo)))) {
+                    overrides[id] = combo;
+                }
+            }
+        }
+    } catch {
+        overrides = {};
+    }
+
+    function persist() {
+        save(Object.keys(overrides).length ? JSON.stringify(overrides) : null);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {string|null} null when unbound
+     */
+    function getCombo(id) {
+        if (Object.hasOwn(overrides, id)) return overrides[id];
+        const action = SHORTCUT_ACTIONS.find(a => a.id === id);
+        return action ? action.combo : null;
+    }
+
+    /**
+     * Every action with its current combo, in registry order.
+     * @returns {Array<{id: string, label: string, combo: string|null, isDefault: boolean}>}
+     */
+    function list() {
+        return SHORTCUT_ACTIONS.map(({ id, label, combo }) => ({
+            id, label, combo: getCombo(id), isDefault: getCombo(id) === combo,
+        }));
+    }
+
+    /**
+     * Who else has `combo`: a fixed key's label or another action's id.
+     * @param {string} combo
+     * @param {string} [exceptId]
+     * @returns {{fixed: string}|{id: string}|null}
+     */
+    function findConflict(combo, exceptId) {
+        const fixed = FIXED_SHORTCUTS.find(s => s.combos.includes(combo));
+        if (fixed) return { fixed: fixed.label };
+        const other = SHORTCUT_ACTIONS.find(a => a.id !== exceptId && getCombo(a.id) === combo);
+        return other ? { id: other.id } : null;
+    }
+
+    /**
+     * Bind `combo` to `id`, unless something else already has it.
+     * @param {string} id
+     * @param {string|null} combo null unbinds
+     * @returns {{fixed: string}|{id: string}|null} the conflict, when refused
+     */
+    function setCombo(id, combo) {
+        if (!ACTION_IDS.has(id)) return null;
+        if (combo !== null) {
+            const conflict = findConflict(combo, id);
+            if (conflict) return conflict;
+        }
+        const fallback = SHORTCUT_ACTIONS.find(a => a.id === id).combo;
+        if (combo === fallback) delete overrides[id];
+        else overrides[id] = combo;
+        persist();
+        return null;
+    }
+
+    /**
+     * Back to the default, unless another action took that key meanwhile.
+     * @param {string} id
+     * @returns {{fixed: string}|{id: string}|null}
+     */
+    function resetCombo(id) {
+        const action = SHORTCUT_ACTIONS.find(a => a.id === id);
+        return action ? setCombo(id, action.combo) : null;
+    }
+
+    function resetAll() {
+        overrides = {};
+        persist();
+    }
+
+    /**
+     * The action a keydown triggers, if any. Tracks Shift taps for
+     * DOUBLE_SHIFT, so it must see every keydown, Shift included.
+     * @param {KeyboardEvent} e
+     * @param {{typing?: boolean}} [context] focus is in a text box
+     * @returns {string|null} action id
+     */
+    function match(e, { typing = false } = {}) {
+        let combo;
+        if (e.key === 'Shift') {
+            if (e.repeat) return null;
+            const t = now();
+            if (t - lastShiftAt >= DOUBLE_SHIFT_MS) {
+                lastShiftAt = t;
+                return null;
+            }
+            lastShiftAt = -Infinity;
+            combo = DOUBLE_SHIFT;
+        } else {
+            lastShiftAt = -Infinity;
+            combo = comboFromEvent(e);
+        }
+        if (!combo || (typing && !firesWhileTyping(combo))) return null;
+        const action = SHORTCUT_ACTIONS.find(a => getCombo(a.id) === combo);
+        return action ? action.id : null;
+    }
+
+    return {
+        getCombo,
+        list,
+        findConflict,
+        setCombo,
+        resetCombo,
+        resetAll,
+        match,
+    };
+}
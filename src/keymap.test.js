@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createKeymap, comboFromEvent, formatCombo, DOUBLE_SHIFT, SHORTCUT_ACTIONS } from './keymap.js';
+
+const keydown = (key, mods = {}) => new KeyboardEvent('keydown', { key, ...mods });
+
+describe('comboFromEvent', () => {
+    it('puts modifiers in a fixed order and upper-cases letters', () => {
+        expect(comboFromEvent(keydown('S', { shiftKey: true }))).toBe('Shift+S');
+        expect(comboFromEvent(keydown('k', { ctrlKey: true }))).toBe('Ctrl+K');
+        expect(comboFromEvent(keydown('J', { metaKey: true, altKey: true, shiftKey: true }))).toBe('Alt+Meta+Shift+J');
+        expect(comboFromEvent(keydown(' ', { shiftKey: true }))).toBe('Shift+Space');
+        expect(comboFromEvent(keydown('F2', { shiftKey: true }))).toBe('Shift+F2');
+    });
+
+    it('leaves Shift out of symbols, whichever layout types them', () => {
+        expect(comboFromEvent(keydown('?', { shiftKey: true }))).toBe('?');
+        expect(comboFromEvent(keydown('<'))).toBe('<');
+        expect(comboFromEvent(keydown('Ä', { shiftKey: true }))).toBe('Shift+Ä');
+    });
+
+    it('ignores modifiers pressed on their own', () => {
+        expect(comboFromEvent(keydown('Shift', { shiftKey: true }))).toBeNull();
+        expect(comboFromEvent(keydown('Control', { ctrlKey: true }))).toBeNull();
+    });
+});
+
+describe('formatCombo', () => {
+    it('spells out double Shift, ⌘ and unbound actions', () => {
+        expect(formatCombo(DOUBLE_SHIFT)).toBe('Double-tap Shift');
+        expect(formatCombo('Meta+Shift+P')).toBe('⌘Shift+P');
+        expect(formatCombo(null)).toBe('—');
+    });
+});
+
+describe('createKeymap', () => {
+    let stored, clock, keymap;
+
+    function makeKeymap() {
+        return createKeymap({
+            load: () => stored,
+            save: (json) => { stored = json; },
+            now: () => clock,
+        });
+    }
+
+    beforeEach(() => {
+        stored = null;
+        clock = 1000;
+        keymap = makeKeymap();
+    });
+
+    it('starts from the defaults, with every combo unique', () => {
+        const combos = SHORTCUT_ACTIONS.map(a => a.combo).filter(Boolean);
+        expect(new Set(combos).size).toBe(combos.length);
+        expect(keymap.getCombo('search')).toBe('Shift+S');
+        expect(keymap.list().every(a => a.isDefault)).toBe(true);
+        expect(keymap.match(keydown('S', { shiftKey: true }))).toBe('search');
+        expect(keymap.match(keydown('?', { shiftKey: true }))).toBe('help');
+        expect(keymap.match(keydown('Z', { shiftKey: true }))).toBeNull();
+    });
+
+    it('rebinds, persists only the changes, and reloads them', () => {
+        expect(keymap.setCombo('search', 'Ctrl+Alt+F')).toBeNull();
+        expect(keymap.match(keydown('S', { shiftKey: true }))).toBeNull();
+        expect(keymap.match(keydown('f', { ctrlKey: true, altKey: true }))).toBe('search');
+        expect(JSON.parse(stored)).toEqual({ search: 'Ctrl+Alt+F' });
+
+        keymap = makeKeymap();
+        expect(keymap.getCombo('search')).toBe('Ctrl+Alt+F');
+        expect(keymap.list().find(a => a.id === 'search').isDefault).toBe(false);
+
+        keymap.resetCombo('search');
+        expect(stored).toBeNull();
+    });
+
+    it('refuses a combo another action or a fixed key already has', () => {
+        expect(keymap.setCombo('search', 'Shift+Q')).toEqual({ id: 'queue' });
+        expect(keymap.setCombo('search', 'Ctrl+K')).toEqual({ fixed: 'Open / close the command palette' });
+        expect(keymap.getCombo('search')).toBe('Shift+S');
+        expect(stored).toBeNull();
+    });
+
+    it('frees a key by unbinding its action', () => {
+        keymap.setCombo('queue', null);
+        expect(keymap.match(keydown('Q', { shiftKey: true }))).toBeNull();
+        expect(keymap.setCombo('search', 'Shift+Q')).toBeNull();
+        expect(keymap.resetCombo('queue')).toEqual({ id: 'search' });
+        keymap.resetAll();
+        expect(keymap.getCombo('queue')).toBe('Shift+Q');
+        expect(stored).toBeNull();
+    });
+
+    it('treats two quick Shift taps as one binding', () => {
+        expect(keymap.match(keydown('Shift', { shiftKey: true }))).toBeNull();
+        clock += 200;
+        expect(keymap.match(keydown('Shift', { shiftKey: true }))).toBe('searchAlt');
+        clock += 200;
+        expect(keymap.match(keydown('Shift', { shiftKey: true }))).toBeNull(); // starts a new pair
+
+        clock += 1000;
+        keymap.match(keydown('Shift', { shiftKey: true }));
+        clock += 400;
+        expect(keymap.match(keydown('Shift', { shiftKey: true }))).toBeNull(); // too slow
+
+        clock += 1000;
+        keymap.match(keydown('Shift', { shiftKey: true }));
+        keymap.match(keydown('A', { shiftKey: true }));
+        expect(keymap.match(keydown('Shift', { shiftKey: true }))).toBeNull(); // Shift+A, then Shift
+    });
+
+    it('makes double Shift available to any action', () => {
+        keymap.setCombo('searchAlt', null);
+        expect(keymap.setCombo('queue', DOUBLE_SHIFT)).toBeNull();
+        keymap.match(keydown('Shift', { shiftKey: true }));
+        expect(keymap.match(keydown('Shift', { shiftKey: true }))).toBe('queue');
+    });
+
+    it('keeps bare keys for typing while a text box has focus', () => {
+        expect(keymap.match(keydown('?'), { typing: true })).toBeNull();
+        expect(keymap.match(keydown('E', { shiftKey: true }), { typing: true })).toBe('enqueue');
+    });
+
+    it('drops stored bindings it cannot use', () => {
+        stored = JSON.stringify({ search: 'Ctrl+K', queue: 42, nope: 'Shift+P', stats: 'Shift+P' });
+        keymap = makeKeymap();
+        expect(keymap.getCombo('search')).toBe('Shift+S');
+        expect(keymap.getCombo('queue')).toBe('Shift+Q');
+        expect(keymap.getCombo('stats')).toBe('Shift+P');
+
+        stored = '{not json';
+        expect(makeKeymap().getCombo('stats')).toBe('Shift+W');
+    });
+});
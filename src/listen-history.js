@@ -0,0 +1,206 @@
+// Opt-in listening log that outlives the tab: one entry per song actually
+// played, with how much of it was heard and whether it was skipped. Entries
+// live in IndexedDB behind a small backend interface (an in-memory one stands
+// in for tests and for browsers without IndexedDB). This is a record of what
+// was heard, not navigation state — PlayerCore.history, the Prev stack, stays
+// session-only and is never read from here.
+
+// A little over a year, so the yearly and 12-month stats see every play.
+export const HISTORY_RETENTION_DAYS = 400;
+
+// A song passed through for less than this isn't logged at all.
+export const MIN_HEARD_SECONDS = 5;
+// Leaving a song before its last SKIP_TAIL_SECONDS marks the play as skipped.
+export const SKIP_TAIL_SECONDS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STORE_NAME = 'plays';
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB storage for play entries. Entries get an auto-increment `id`.
+ * @param {object} [options]
+ * @param {IDBFactory} [options.indexedDB]
+ * @param {string} [options.dbName]
+ * @returns {object|null} null when IndexedDB is unavailable
+ */
+export function createIndexedDbBackend({ indexedDB = globalThis.indexedDB, dbName = 'roxy_history' } = {}) {
+    if (!indexedDB) return null;
+    let dbPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            dbPromise = requestToPromise(request);
+        }
+        return dbPromise;
+    }
+
+    async function withStore(mode, fn) {
+        const db = await open();
+        const tx = db.transaction(STORE_NAME, mode);
+        const result = fn(tx.objectStore(STORE_NAME));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return result ? result.result : undefined;
+    }
+
+    return {
+        add: (entry) => withStore('readwrite', store => store.add(entry)),
+        getAll: () => withStore('readonly', store => store.getAll()),
+        remove: (ids) => withStore('readwrite', (store) => { ids.forEach(id => store.delete(id)); }),
+        clear: () => withStore('readwrite', store => store.clear()),
+    };
+}
+
+/**
+ * Same interface as createIndexedDbBackend, kept in memory.
+ */
+export function createMemoryBackend() {
+    let rows = [];
+    let nextId = 1;
+    return {
+        add: async (entry) => {
+            const id = nextId++;
+            rows.push({ ...entry, id });
+            return id;
+        },
+        getAll: async () => rows.map(row => ({ ...row })),
+        remove: async (ids) => {
+            const drop = new Set(ids);
+            rows = rows.filter(row => !drop.has(row.id));
+        },
+        clear: async () => {
+            rows = [];
+        },
+    };
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.backend createIndexedDbBackend() or createMemoryBackend()
+ * @param {() => number} [deps.now]
+ * @param {number} [deps.retentionDays]
+ */
+export function createListenHistory({ backend, now = () => Date.now(), retentionDays = HISTORY_RETENTION_DAYS }) {
+    /**
+     * @param {{videoId: string, rIdx: number, startedAt: number, heardSeconds: number,
+     *          skipped: boolean, name?: string, streamName?: string}} entry
+     */
+    function record(entry) {
+        return backend.add(entry);
+    }
+
+    /**
+     * Plays newest first.
+     * @param {number} [limit]
+     * @returns {Promise<Array>}
+     */
+    async function getRecent(limit = Infinity) {
+        const rows = await backend.getAll();
+        rows.sort((a, b) => b.startedAt - a.startedAt || b.id - a.id);
+        return rows.slice(0, limit);
+    }
+
+    /**
+     * Drop plays past the retention window. There is no count cap: the stats
+     * need every play in the window.
+     * @returns {Promise<number>} how many were removed
+     */
+    async function prune() {
+        const rows = await backend.getAll();
+        const cutoff = now() - retentionDays * DAY_MS;
+        const stale = rows.filter(row => row.startedAt < cutoff);
+        if (stale.length > 0) await backend.remove(stale.map(row => row.id));
+        return stale.length;
+    }
+
+    return {
+        record,
+        getRecent,
+        prune,
+        clear: () => backend.clear(),
+    };
+}
+
+/**
+ * Turns the stream of playback positions into play entries. Only forward
+ * movement that roughly matches wall-clock time counts as heard, so seeks
+ * don't inflate the total; throttled ticks in a background tab still add up.
+ * Heard time is wall-clock time: stream time is divided by the playback rate.
+ * @param {object} deps
+ * @param {(entry: object) => void} deps.onPlayEnd
+ * @param {() => number} [deps.now]
+ * @param {() => number} [deps.getPlaybackRate]
+ */
+export function createPlayTracker({ onPlayEnd, now = () => Date.now(), getPlaybackRate = () => 1 }) {
+    let current = null;
+
+    function finish() {
+        if (!current) return;
+        const play = current;
+        current = null;
+        if (play.heard < MIN_HEARD_SECONDS) return;
+        const end = play.track.range ? play.track.range[1] : 0;
+        const start = play.track.range ? play.track.range[0] : 0;
+        // Unknown end (a whole stream whose duration hasn't loaded): never "skipped".
+        const skipped = end > start && play.furthest < end - Math.min(SKIP_TAIL_SECONDS, (end - start) / 2);
+        onPlayEnd({
+            videoId: play.track.videoId,
+            rIdx: play.track.rIdx,
+            name: play.track.name || '',
+            streamName: play.track.streamName || '',
+            startedAt: play.startedAt,
+            heardSeconds: Math.round(play.heard),
+            skipped,
+        });
+    }
+
+    function isRestart(track, time) {
+        // Loop Track: the same song jumps from its end back to its start.
+        const range = track.range;
+        return !!range && range[1] > range[0]
+            && current.lastTime >= range[1] - SKIP_TAIL_SECONDS && time < range[0] + 1;
+    }
+
+    /**
+     * @param {{videoId: string, rIdx: number, range?: number[], name?: string, streamName?: string}|null} track
+     * @param {number} time playback position in seconds
+     */
+    function observe(track, time) {
+        if (!Number.isFinite(time)) return;
+        const at = now();
+        if (current && (!track || track.videoId !== current.track.videoId
+            || track.rIdx !== current.track.rIdx || isRestart(track, time))) {
+            finish();
+        }
+        if (!track) return;
+        if (!current) {
+            current = { track, startedAt: at, heard: 0, furthest: time, lastTime: time, lastAt: at };
+            return;
+        }
+        const heard = (time - current.lastTime) / (getPlaybackRate() || 1);
+        const wall = (at - current.lastAt) / 1000;
+        if (heard > 0 && heard <= wall + 0.5) current.heard += heard;
+        current.furthest = Math.max(current.furthest, time);
+        current.lastTime = time;
+        current.lastAt = at;
+    }
+
+    return {
+        observe,
+        finish,
+    };
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    createMemoryBackend,
+    createIndexedDbBackend,
+    createListenHistory,
+    createPlayTracker,
+    MIN_HEARD_SECONDS,
+} from './listen-history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('createListenHistory', () => {
+    let clock, history;
+
+    beforeEach(() => {
+        clock = 100 * DAY_MS;
+        history = createListenHistory({
+            backend: createMemoryBackend(),
+            now: () => clock,
+            retentionDays: 30,
+        });
+    });
+
+    const play = (videoId, startedAt) => ({ videoId, rIdx: 0, startedAt, heardSeconds: 60, skipped: false });
+
+    it('lists plays newest first', async () => {
+        await history.record(play('a', clock - 2000));
+        await history.record(play('b', clock - 1000));
+        expect((await history.getRecent()).map(p => p.videoId)).toEqual(['b', 'a']);
+        expect(await history.getRecent(1)).toHaveLength(1);
+    });
+
+    it('prunes plays past the retention window, however many are left', async () => {
+        await history.record(play('old', clock - 31 * DAY_MS));
+        for (let i = 1; i <= 4; i++) await history.record(play(`p${i}`, clock - (10 - i) * 1000));
+        expect(await history.prune()).toBe(1);
+        expect((await history.getRecent()).map(p => p.videoId)).toEqual(['p4', 'p3', 'p2', 'p1']);
+    });
+
+    it('keeps a full year by default', async () => {
+        const defaults = createListenHistory({ backend: createMemoryBackend(), now: () => clock + 400 * DAY_MS });
+        await defaults.record(play('a', clock + 34 * DAY_MS));
+        await defaults.record(play('b', clock - DAY_MS));
+        expect(await defaults.prune()).toBe(1);
+        expect((await defaults.getRecent()).map(p => p.videoId)).toEqual(['a']);
+    });
+
+    it('clears everything', async () => {
+        await history.record(play('a', clock));
+        await history.clear();
+        expect(await history.getRecent()).toEqual([]);
+    });
+
+    it('has no IndexedDB backend where IndexedDB is missing', () => {
+        expect(createIndexedDbBackend({ indexedDB: null })).toBeNull();
+    });
+});
+
+describe('createPlayTracker', () => {
+    let clock, onPlayEnd, tracker;
+    const SONG = { videoId: 'v1', rIdx: 0, range: [100, 200], name: 'Song', streamName: 'Stream' };
+    const NEXT = { videoId: 'v1', rIdx: 1, range: [200, 300], name: 'Next', streamName: 'Stream' };
+
+    // Play `track` from `from` to `to` in one-second ticks.
+    function playThrough(track, from, to) {
+        for (let t = from; t <= to; t++) {
+            tracker.observe(track, t);
+            clock += 1000;
+        }
+    }
+
+    beforeEach(() => {
+        clock = 5000;
+        onPlayEnd = vi.fn();
+        tracker = createPlayTracker({ onPlayEnd, now: () => clock });
+    });
+
+    it('logs a finished song when the next one starts', () => {
+        playThrough(SONG, 100, 199);
+        tracker.observe(NEXT, 200);
+        expect(onPlayEnd).toHaveBeenCalledWith({
+            videoId: 'v1', rIdx: 0, name: 'Song', streamName: 'Stream',
+            startedAt: 5000, heardSeconds: 99, skipped: false,
+        });
+    });
+
+    it('marks a song left early as skipped and ignores seeks in the heard time', () => {
+        playThrough(SONG, 100, 120);
+        tracker.observe(SONG, 170); // seek forward
+        clock += 1000;
+        tracker.observe(NEXT, 200);
+        expect(onPlayEnd.mock.calls[0][0]).toMatchObject({ heardSeconds: 20, skipped: true });
+    });
+
+    it('counts wall-clock time heard at a faster speed', () => {
+        tracker = createPlayTracker({ onPlayEnd, now: () => clock, getPlaybackRate: () => 1.5 });
+        // 90 s of the song in 60 s of listening.
+        for (let t = 100; t <= 190; t += 1.5) {
+            tracker.observe(SONG, t);
+            clock += 1000;
+        }
+        tracker.observe(NEXT, 200);
+        expect(onPlayEnd.mock.calls[0][0]).toMatchObject({ heardSeconds: 60, skipped: false });
+    });
+
+    it('drops plays shorter than the minimum', () => {
+        playThrough(SONG, 100, 100 + MIN_HEARD_SECONDS - 2);
+        tracker.finish();
+        expect(onPlayEnd).not.toHaveBeenCalled();
+    });
+
+    it('counts a Loop Track repeat as a new play', () => {
+        playThrough(SONG, 100, 199);
+        tracker.observe(SONG, 100);
+        expect(onPlayEnd).toHaveBeenCalledTimes(1);
+        clock += 1000;
+        playThrough(SONG, 101, 150);
+        tracker.finish();
+        expect(onPlayEnd).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,176 @@
+import { getSongMeta, normalizeSongBaseName } from './search-helpers.js';
+
+// Listening statistics over the play log kept by listen-history.js. Everything
+// here is pure: entries in, numbers out, so the dashboard and the exported
+// card read the same figures.
+
+export const STATS_PERIODS = ['month', 'year', 'twelveMonths'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(ms) {
+    const d = new Date(ms);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+}
+
+/**
+ * Start of the calendar month/year containing `now` (local time), or the same
+ * day a year back for 'twelveMonths'. All of them lie inside the history's
+ * retention window.
+ * @param {'month'|'year'|'twelveMonths'} period
+ * @param {number} now
+ * @returns {number}
+ */
+export function getPeriodStart(period, now) {
+    const d = new Date(now);
+    if (period === 'month') return new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+    if (period === 'year') return new Date(d.getFullYear(), 0, 1).getTime();
+    return new Date(d.getFullYear() - 1, d.getMonth(), d.getDate()).getTime();
+}
+
+/**
+ * "May 2026", "2026" or "Past 12 Months".
+ * @param {'month'|'year'|'twelveMonths'} period
+ * @param {number} now
+ * @returns {string}
+ */
+export function getPeriodLabel(period, now) {
+    const d = new Date(now);
+    if (period === 'month') return d.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    if (period === 'year') return String(d.getFullYear());
+    return 'Past 12 Months';
+}
+
+// Song identity across performances: the same title and artist sung in two
+// streams (or as a "(Live)" take) counts as one song.
+function describeSong(entry, stream) {
+    let song;
+    if (stream) song = stream.songs ? stream.songs[entry.rIdx] : { name: stream.title || stream.name };
+    if (!song) song = { name: entry.name || '' };
+    const meta = getSongMeta(song);
+    const title = normalizeSongBaseName(meta.title) || song.name || `Track ${entry.rIdx + 1}`;
+    const artist = normalizeSongBaseName(meta.artist);
+    return {
+        key: `${title}\u0000${artist}`.toLocaleLowerCase('en-US'),
+        title,
+        artist,
+    };
+}
+
+function longestStreak(entries) {
+    const days = [...new Set(entries.map(e => startOfDay(e.startedAt)))].sort((a, b) => a - b);
+    let best = { days: 0, start: 0, end: 0 };
+    let runStart = 0;
+    for (let i = 0; i < days.length; i++) {
+        // Rounded: a DST change makes one day 23 or 25 hours long.
+        if (i === 0 || Math.round((days[i] - days[i - 1]) / DAY_MS) !== 1) runStart = i;
+        const length = i - runStart + 1;
+        if (length > best.days) best = { days: length, start: days[runStart], end: days[i] };
+    }
+    return best;
+}
+
+/**
+ * @param {Array<{videoId: string, rIdx: number, startedAt: number, heardSeconds: number,
+ *                skipped: boolean, name?: string}>} entries
+ * @param {Array} playlist
+ * @returns {{plays: number, skips: number, totalSeconds: number, activeDays: number,
+ *   songs: Array<{key: string, title: string, artist: string, plays: number, skips: number,
+ *                 skipRate: number, heardSeconds: number}>,
+ *   artists: Array<{name: string, plays: number, heardSeconds: number}>,
+ *   completedStreams: Array<{videoId: string, name: string}>,
+ *   longestStreak: {days: number, start: number, end: number}}}
+ *   songs and artists are sorted most played first
+ */
+export function computeListenStats(entries, playlist) {
+    const byVideoId = new Map(playlist.map(stream => [stream.videoId, stream]));
+    const songs = new Map();
+    const artists = new Map();
+    const heardSongs = new Map(); // videoId → Set of rIdx heard without skipping
+    let skips = 0;
+    let totalSeconds = 0;
+
+    for (const entry of entries) {
+        const stream = byVideoId.get(entry.videoId);
+        const song = describeSong(entry, stream);
+        const heard = Number.isFinite(entry.heardSeconds) ? entry.heardSeconds : 0;
+        totalSeconds += heard;
+        if (entry.skipped) skips++;
+
+        if (!songs.has(song.key)) songs.set(song.key, { key: song.key, title: song.title, artist: song.artist, plays: 0, skips: 0, heardSeconds: 0 });
+        const songStats = songs.get(song.key);
+        songStats.plays++;
+        songStats.heardSeconds += heard;
+        if (entry.skipped) songStats.skips++;
+
+        if (song.artist) {
+            const artistKey = song.artist.toLocaleLowerCase('en-US');
+            if (!artists.has(artistKey)) artists.set(artistKey, { name: song.artist, plays: 0, heardSeconds: 0 });
+            artists.get(artistKey).plays++;
+            artists.get(artistKey).heardSeconds += heard;
+        }
+
+        if (!entry.skipped) {
+            if (!heardSongs.has(entry.videoId)) heardSongs.set(entry.videoId, new Set());
+            heardSongs.get(entry.videoId).add(entry.rIdx);
+        }
+    }
+
+    const completedStreams = [];
+    for (const [videoId, heard] of heardSongs) {
+        const stream = byVideoId.get(videoId);
+        if (!stream) continue;
+        const count = stream.songs && stream.songs.length > 0 ? stream.songs.length : 1;
+        let complete = true;
+        for (let i = 0; i < count && complete; i++) complete = heard.has(i);
+        if (complete) completedStreams.push({ videoId, name: stream.name || stream.title || videoId });
+    }
+
+    const mostPlayed = (a, b) => b.plays - a.plays || b.heardSeconds - a.heardSeconds;
+    return {
+        plays: entries.length,
+        skips,
+        totalSeconds,
+        activeDays: new Set(entries.map(e => startOfDay(e.startedAt))).size,
+        songs: [...songs.values()]
+            .map(s => ({ ...s, skipRate: s.plays ? s.skips / s.plays : 0 }))
+            .sort(mostPlayed),
+        artists: [...artists.values()].sort(mostPlayed),
+        completedStreams,
+        longestStreak: longestStreak(entries),
+    };
+}
+
+/**
+ * Stats for one calendar period ending now.
+ * @param {Array} entries
+ * @param {Array} playlist
+ * @param {'month'|'year'|'twelveMonths'} period
+ * @param {number} now
+ */
+export function computePeriodStats(entries, playlist, period, now) {
+    const start = getPeriodStart(period, now);
+    return computeListenStats(entries.filter(e => e.startedAt >= start && e.startedAt <= now), playlist);
+}
+
+/**
+ * Songs skipped most often, among those played at least `minPlays` times.
+ * @param {ReturnType<typeof computeListenStats>} stats
+ * @param {number} [minPlays]
+ */
+export function getMostSkipped(stats, minPlays = 3) {
+    return stats.songs
+        .filter(s => s.plays >= minPlays && s.skips > 0)
+        .sort((a, b) => b.skipRate - a.skipRate || b.plays - a.plays);
+}
+
+/**
+ * "12.5 h" above an hour, "42 min" below.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatListenTime(seconds) {
+    if (seconds >= 3600) return `${(seconds / 3600).toFixed(1).replace(/\.0$/, '')} h`;
+    return `${Math.round(seconds / 60)} min`;
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import {
+    computeListenStats,
+    computePeriodStats,
+    getPeriodStart,
+    getPeriodLabel,
+    getMostSkipped,
+    formatListenTime,
+} from './listen-stats.js';
+
+const PLAYLIST = [
+    { videoId: 'v1', name: 'Stream 1', songs: [{ name: 'Love Song - Zed', range: [0, 10] }, { name: 'Ballad - Abba', range: [20, 30] }] },
+    { videoId: 'v2', name: 'Stream 2', songs: [{ name: 'Love Song (Live) - Zed', range: [0, 10] }] },
+    { videoId: 'v3', title: 'Zatsudan', songs: null },
+];
+
+const at = (y, m, d, h = 20) => new Date(y, m - 1, d, h).getTime();
+const play = (videoId, rIdx, startedAt, extra = {}) => ({ videoId, rIdx, startedAt, heardSeconds: 180, skipped: false, ...extra });
+
+describe('computeListenStats', () => {
+    it('counts performances of the same song together and ranks artists', () => {
+        const stats = computeListenStats([
+            play('v1', 0, at(2026, 5, 1)),
+            play('v2', 0, at(2026, 5, 2)),
+            play('v1', 1, at(2026, 5, 2), { skipped: true, heardSeconds: 20 }),
+        ], PLAYLIST);
+        expect(stats.plays).toBe(3);
+        expect(stats.skips).toBe(1);
+        expect(stats.totalSeconds).toBe(380);
+        expect(stats.songs.map(s => [s.title, s.artist, s.plays])).toEqual([['Love Song', 'Zed', 2], ['Ballad', 'Abba', 1]]);
+        expect(stats.songs[1].skipRate).toBe(1);
+        expect(stats.artists.map(a => [a.name, a.plays])).toEqual([['Zed', 2], ['Abba', 1]]);
+    });
+
+    it('counts a stream as finished once every song was heard without skipping', () => {
+        const stats = computeListenStats([
+            play('v1', 0, at(2026, 5, 1)),
+            play('v1', 1, at(2026, 5, 1), { skipped: true }),
+            play('v2', 0, at(2026, 5, 1)),
+            play('v3', 0, at(2026, 5, 1)),
+        ], PLAYLIST);
+        expect(stats.completedStreams.map(s => s.name)).toEqual(['Stream 2', 'Zatsudan']);
+    });
+
+    it('finds the longest run of consecutive listening days', () => {
+        const stats = computeListenStats([
+            play('v1', 0, at(2026, 5, 1)),
+            play('v1', 0, at(2026, 5, 3)),
+            play('v1', 0, at(2026, 5, 4, 9)),
+            play('v1', 0, at(2026, 5, 4, 23)),
+            play('v1', 0, at(2026, 5, 5)),
+        ], PLAYLIST);
+        expect(stats.longestStreak.days).toBe(3);
+        expect(stats.activeDays).toBe(4);
+    });
+
+    it('keeps songs from streams no longer in the playlist by their saved name', () => {
+        const stats = computeListenStats([play('gone', 0, at(2026, 5, 1), { name: 'Old Tune - Abba' })], PLAYLIST);
+        expect(stats.songs[0]).toMatchObject({ title: 'Old Tune', artist: 'Abba' });
+        expect(stats.completedStreams).toEqual([]);
+    });
+});
+
+describe('periods', () => {
+    const NOW = at(2026, 5, 15);
+
+    it('starts months and years on the calendar boundary', () => {
+        expect(getPeriodStart('month', NOW)).toBe(new Date(2026, 4, 1).getTime());
+        expect(getPeriodStart('year', NOW)).toBe(new Date(2026, 0, 1).getTime());
+        expect(getPeriodStart('twelveMonths', NOW)).toBe(new Date(2025, 4, 15).getTime());
+        expect(getPeriodLabel('month', NOW)).toBe('May 2026');
+        expect(getPeriodLabel('year', NOW)).toBe('2026');
+        expect(getPeriodLabel('twelveMonths', NOW)).toBe('Past 12 Months');
+    });
+
+    it('only counts plays inside the period', () => {
+        const entries = [
+            play('v1', 0, at(2025, 5, 1)), play('v1', 0, at(2025, 12, 31)),
+            play('v1', 0, at(2026, 4, 30)), play('v1', 0, at(2026, 5, 2)),
+        ];
+        expect(computePeriodStats(entries, PLAYLIST, 'month', NOW).plays).toBe(1);
+        expect(computePeriodStats(entries, PLAYLIST, 'year', NOW).plays).toBe(2);
+        expect(computePeriodStats(entries, PLAYLIST, 'twelveMonths', NOW).plays).toBe(3);
+    });
+});
+
+describe('helpers', () => {
+    it('ranks skipped songs by skip rate among often-played ones', () => {
+        const stats = computeListenStats([
+            ...[0, 1, 2].map(i => play('v1', 1, at(2026, 5, 1 + i), { skipped: i > 0 })),
+            ...[0, 1, 2, 3].map(i => play('v1', 0, at(2026, 5, 1 + i), { skipped: i === 0 })),
+            play('v3', 0, at(2026, 5, 1), { skipped: true }),
+        ], PLAYLIST);
+        expect(getMostSkipped(stats).map(s => s.title)).toEqual(['Ballad', 'Love Song']);
+    });
+
+    it('formats listening time', () => {
+        expect(formatListenTime(42 * 60)).toBe('42 min');
+        expect(formatListenTime(3600)).toBe('1 h');
+        expect(formatListenTime(45000)).toBe('12.5 h');
+    });
+});
@@ -1,7 +1,7 @@
-// Coarse-pointer long-press → reveal an "armed" action button (add / remove) on a
-// list item, instead of acting immediately. Tapping the revealed button performs the
-// action; tapping anywhere else dismisses it with no other effect. Only one item is
-// armed at a time, app-wide.
+// Coarse-pointer long-press → reveal "armed" action buttons (add and play next, or
+// remove) on a list item, instead of acting immediately. Tapping a revealed button
+// performs its action; tapping anywhere else dismisses them with no other effect. Only
+// one item is armed at a time, app-wide.
 //
 // The reveal/dismiss machinery is gated to coarse pointers (touch): fine-pointer users
 // keep their always-visible inline +/− buttons, so this code stays dormant for them.
@@ -78,9 +78,9 @@ export function attachLongPress(item, onLongPress) {
     });
 }
 
-function getArmedActionButton() {
-    if (!armedItem) return null;
-    return armedItem.querySelector('.enqueue-btn, .queue-item-remove');
+function getArmedActionButtons() {
+    if (!armedItem) return [];
+    return [...armedItem.querySelectorAll('.enqueue-btn, .play-next-btn, .queue-item-remove')];
 }
 
 function teardownDocListeners() {
@@ -111,9 +111,8 @@ function onDocClick(e) {
         teardownDocListeners();
         return;
     }
-    const btn = getArmedActionButton();
-    if (btn && (e.target === btn || btn.contains(e.target))) {
-        // Tap on the armed action button: let its own handler run the action (it calls
+    if (getArmedActionButtons().some(btn => btn.contains(e.target))) {
+        // Tap on an armed action button: let its own handler run the action (it calls
         // disarm() afterward). Don't consume.
         return;
     }
@@ -125,7 +124,7 @@ function onDocClick(e) {
 }
 
 /**
- * Reveal the armed action button for `item`. Disarms any previously armed item.
+ * Reveal the armed action buttons for `item`. Disarms any previously armed item.
  * @param {HTMLElement} item
  * @param {{inQueue?: boolean}} [opts] inQueue tints the + box to signal it's already queued.
  */
@@ -214,5 +214,24 @@ describe('long-press-arm', () => {
             expect(click.defaultPrevented).toBe(false);
             expect(isArmed()).toBe(true); // module leaves disarm() to the button's handler
         });
+
+        it('lets a tap on the armed play-next button through too', () => {
+            const item = makeItem(true);
+            const playNext = document.createElement('button');
+            playNext.className = 'play-next-btn';
+            item.appendChild(playNext);
+            const playNextClick = vi.fn();
+            playNext.addEventListener('click', playNextClick);
+
+            attachLongPress(item, () => arm(item));
+            fire(item, 'pointerdown');
+            vi.advanceTimersByTime(LONG_PRESS_MS);
+            fire(item, 'click'); // trailing click, ignored
+
+            fire(playNext, 'pointerdown');
+            const click = fire(playNext, 'click');
+            expect(playNextClick).toHaveBeenCalledTimes(1);
+            expect(click.defaultPrevented).toBe(false);
+        });
     });
 });
@@ -0,0 +1,139 @@
+// Lock-screen / hardware media-key integration (Media Session API). Metadata and
+// position state describe the active *song* — its segment range — rather than the
+// whole VOD, so the OS title and scrubber follow the radio's notion of a track.
+// Everything no-ops where the API is missing (older browsers, tests).
+
+const ACTIONS = ['play', 'pause', 'previoustrack', 'nexttrack', 'seekbackward', 'seekforward', 'seekto'];
+
+// Seek step when the OS doesn't say how far (details.seekOffset).
+export const DEFAULT_SEEK_OFFSET = 10;
+
+/**
+ * YouTube thumbnail artwork for a video, smallest first.
+ * @param {string} videoId
+ * @returns {Array<{src: string, sizes: string, type: string}>}
+ */
+export function getYouTubeArtwork(videoId) {
+    if (!videoId) return [];
+    return [
+        { src: `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`, sizes: '320x180', type: 'image/jpeg' },
+        { src: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`, sizes: '480x360', type: 'image/jpeg' },
+    ];
+}
+
+/**
+ * Position of `currentTime` inside a song's range, clamped to it. Returns null
+ * when the range has no usable length (e.g. a Rule 0 stream before YouTube has
+ * reported its duration), so the caller can skip setPositionState.
+ * @param {[number, number]|undefined} range
+ * @param {number} currentTime
+ * @returns {{duration: number, position: number}|null}
+ */
+export function getSongPositionState(range, currentTime) {
+    if (!Array.isArray(range)) return null;
+    const [start, end] = range;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return null;
+    const duration = end - start;
+    const offset = Number.isFinite(currentTime) ? currentTime - start : 0;
+    return { duration, position: Math.min(Math.max(offset, 0), duration) };
+}
+
+/**
+ * @param {object} deps
+ * @param {MediaSession|null} [deps.mediaSession] defaults to navigator.mediaSession
+ * @param {(init: object) => object} [deps.createMetadata] defaults to `new MediaMetadata`
+ * @param {() => void} deps.onPlay
+ * @param {() => void} deps.onPause
+ * @param {() => void} deps.onNextSong
+ * @param {() => void} deps.onPrevSong
+ * @param {(deltaSeconds: number) => void} deps.onSeekBy relative seek, negative = back
+ * @param {(offsetSeconds: number) => void} deps.onSeekTo offset from the song start
+ */
+export function createMediaSessionController({
+    mediaSession = typeof navigator !== 'undefined' ? navigator.mediaSession : null,
+    createMetadata = (init) => (typeof MediaMetadata === 'function' ? new MediaMetadata(init) : init),
+    onPlay, onPause, onNextSong, onPrevSong, onSeekBy, onSeekTo,
+}) {
+    let lastMetadataKey = '';
+
+    function isSupported() {
+        return !!mediaSession && typeof mediaSession.setActionHandler === 'function';
+    }
+
+    function setHandler(action, handler) {
+        try {
+            mediaSession.setActionHandler(action, handler);
+        } catch {
+            // Browsers throw for actions they don't implement; the rest still work.
+        }
+    }
+
+    function seekOffset(details) {
+        return details && Number.isFinite(details.seekOffset) && details.seekOffset > 0
+            ? details.seekOffset : DEFAULT_SEEK_OFFSET;
+    }
+
+    function init() {
+        if (!isSupported()) return;
+        const handlers = {
+            play: () => onPlay(),
+            pause: () => onPause(),
+            previoustrack: () => onPrevSong(),
+            nexttrack: () => onNextSong(),
+            seekbackward: (details) => onSeekBy(-seekOffset(details)),
+            seekforward: (details) => onSeekBy(seekOffset(details)),
+            seekto: (details) => {
+                if (details && Number.isFinite(details.seekTime)) onSeekTo(details.seekTime);
+            },
+        };
+        for (const action of ACTIONS) setHandler(action, handlers[action]);
+    }
+
+    /**
+     * Publish the active song. Metadata is only replaced when the song changes
+     * (the OS re-renders artwork on every assignment); position state is cheap
+     * and refreshed on every call so the scrubber tracks seeks.
+     * @param {object} state
+     * @param {{videoId: string, name?: string, title?: string}|null} state.stream
+     * @param {string} state.songName
+     * @param {[number, number]} [state.range]
+     * @param {number} [state.currentTime]
+     * @param {number} [state.playbackRate]
+     */
+    function update({ stream, songName, range, currentTime, playbackRate = 1 }) {
+        if (!isSupported() || !stream) return;
+
+        const artist = stream.name || stream.title || '';
+        const key = `${stream.videoId}\u0000${songName}\u0000${artist}`;
+        if (key !== lastMetadataKey) {
+            lastMetadataKey = key;
+            mediaSession.metadata = createMetadata({
+                title: songName || artist,
+                artist,
+                album: 'Rourin Radio',
+                artwork: getYouTubeArtwork(stream.videoId),
+            });
+        }
+
+        if (typeof mediaSession.setPositionState !== 'function') return;
+        const pos = getSongPositionState(range, currentTime);
+        if (!pos) return;
+        try {
+            mediaSession.setPositionState({ ...pos, playbackRate });
+        } catch (err) {
+            console.warn('[MediaSession] Failed to set position state', err.message);
+        }
+    }
+
+    function setPlaybackState(state) {
+        if (!isSupported()) return;
+        mediaSession.playbackState = state;
+    }
+
+    return {
+        init,
+        update,
+        setPlaybackState,
+        isSupported,
+    };
+}
@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+    createMediaSessionController, getSongPositionState, getYouTubeArtwork, DEFAULT_SEEK_OFFSET,
+} from './media-session.js';
+
+function makeMediaSession() {
+    const handlers = {};
+    return {
+        handlers,
+        metadata: null,
+        playbackState: 'none',
+        setActionHandler: vi.fn((action, handler) => { handlers[action] = handler; }),
+        setPositionState: vi.fn(),
+    };
+}
+
+describe('createMediaSessionController', () => {
+    let mediaSession, deps, ctrl;
+
+    beforeEach(() => {
+        mediaSession = makeMediaSession();
+        deps = {
+            mediaSession,
+            createMetadata: (init) => ({ ...init }),
+            onPlay: vi.fn(),
+            onPause: vi.fn(),
+            onNextSong: vi.fn(),
+            onPrevSong: vi.fn(),
+            onSeekBy: vi.fn(),
+            onSeekTo: vi.fn(),
+        };
+        ctrl = createMediaSessionController(deps);
+    });
+
+    describe('action handlers', () => {
+        beforeEach(() => ctrl.init());
+
+        it('maps track keys to song navigation', () => {
+            mediaSession.handlers.nexttrack();
+            mediaSession.handlers.previoustrack();
+            expect(deps.onNextSong).toHaveBeenCalledTimes(1);
+            expect(deps.onPrevSong).toHaveBeenCalledTimes(1);
+        });
+
+        it('maps seek keys to relative seeks, 10 s unless the OS says otherwise', () => {
+            mediaSession.handlers.seekforward({ action: 'seekforward' });
+            mediaSession.handlers.seekbackward({ action: 'seekbackward' });
+            mediaSession.handlers.seekforward({ action: 'seekforward', seekOffset: 30 });
+            mediaSession.handlers.seekbackward({ action: 'seekbackward', seekOffset: 5 });
+            expect(deps.onSeekBy.mock.calls).toEqual([[DEFAULT_SEEK_OFFSET], [-DEFAULT_SEEK_OFFSET], [30], [-5]]);
+            expect(DEFAULT_SEEK_OFFSET).toBe(10);
+        });
+
+        it('forwards play/pause', () => {
+            mediaSession.handlers.play();
+            mediaSession.handlers.pause();
+            expect(deps.onPlay).toHaveBeenCalled();
+            expect(deps.onPause).toHaveBeenCalled();
+        });
+
+        it('forwards seekto with the song-relative offset, ignoring bad payloads', () => {
+            mediaSession.handlers.seekto({ seekTime: 42 });
+            mediaSession.handlers.seekto({});
+            expect(deps.onSeekTo).toHaveBeenCalledTimes(1);
+            expect(deps.onSeekTo).toHaveBeenCalledWith(42);
+        });
+
+        it('survives browsers that reject an action', () => {
+            const picky = makeMediaSession();
+            picky.setActionHandler.mockImplementation((action, handler) => {
+                if (action === 'seekto') throw new Error('unsupported');
+                picky.handlers[action] = handler;
+            });
+            createMediaSessionController({ ...deps, mediaSession: picky }).init();
+            expect(picky.handlers.nexttrack).toBeTypeOf('function');
+        });
+    });
+
+    describe('update', () => {
+        const stream = { videoId: 'abcdefghijk', name: 'Karaoke Night' };
+
+        it('publishes song, stream and thumbnail as metadata', () => {
+            ctrl.update({ stream, songName: 'Song A', range: [100, 200], currentTime: 150 });
+            expect(mediaSession.metadata).toEqual({
+                title: 'Song A',
+                artist: 'Karaoke Night',
+                album: 'Rourin Radio',
+                artwork: getYouTubeArtwork('abcdefghijk'),
+            });
+        });
+
+        it('only replaces metadata when the song changes', () => {
+            ctrl.update({ stream, songName: 'Song A', range: [100, 200], currentTime: 150 });
+            const first = mediaSession.metadata;
+            ctrl.update({ stream, songName: 'Song A', range: [100, 200], currentTime: 151 });
+            expect(mediaSession.metadata).toBe(first);
+            ctrl.update({ stream, songName: 'Song B', range: [300, 400], currentTime: 301 });
+            expect(mediaSession.metadata).not.toBe(first);
+            expect(mediaSession.metadata.title).toBe('Song B');
+        });
+
+        it('reports position relative to the segment, not the VOD', () => {
+            ctrl.update({ stream, songName: 'Song A', range: [100, 200], currentTime: 130 });
+            expect(mediaSession.setPositionState).toHaveBeenCalledWith({
+                duration: 100, position: 30, playbackRate: 1,
+            });
+        });
+
+        it('skips position state for a range without length', () => {
+            ctrl.update({ stream, songName: 'Whole stream', range: [0, 0], currentTime: 10 });
+            expect(mediaSession.setPositionState).not.toHaveBeenCalled();
+        });
+
+        it('does nothing without the API', () => {
+            const bare = createMediaSessionController({ ...deps, mediaSession: null });
+            expect(bare.isSupported()).toBe(false);
+            expect(() => {
+                bare.init();
+                bare.update({ stream, songName: 'x', range: [0, 10], currentTime: 1 });
+                bare.setPlaybackState('playing');
+            }).not.toThrow();
+        });
+    });
+
+    it('setPlaybackState mirrors the player state', () => {
+        ctrl.setPlaybackState('paused');
+        expect(mediaSession.playbackState).toBe('paused');
+    });
+});
+
+describe('getSongPositionState', () => {
+    it('clamps positions in the gaps around a song', () => {
+        expect(getSongPositionState([100, 200], 50)).toEqual({ duration: 100, position: 0 });
+        expect(getSongPositionState([100, 200], 250)).toEqual({ duration: 100, position: 100 });
+    });
+
+    it('returns null for missing or empty ranges', () => {
+        expect(getSongPositionState(undefined, 10)).toBeNull();
+        expect(getSongPositionState([50, 50], 50)).toBeNull();
+    });
+});
@@ -0,0 +1,239 @@
+// Playback backends: the single surface playback.js and app.js drive, so the
+// thing actually producing sound can be the YouTube iframe or a plain HTML5
+// media element (archived rips of deleted VODs, self-hosted files). A stream
+// entry picks its backend: one carrying a `src` URL plays through the media
+// element, everything else through YouTube. `videoId` stays the stream's
+// identity either way, so queue/history/favorites keys are backend-agnostic.
+//
+// Every backend exposes:
+//   kind                                 BACKEND_YOUTUBE | BACKEND_MEDIA
+//   isReady()                            can accept load() right now
+//   load({videoId, src, startSeconds, endSeconds})
+//   seek(seconds) / play() / pause()
+//   getTime() / getDuration()            seconds (0 when unknown)
+//   getState()                           one of PLAYER_STATE
+//   getTitle()                           media title when known, else ''
+//   getVolume() / setVolume(percent)     0–100, like YouTube's
+//   setPlaybackRate(rate)                speed, 1 = normal; kept across load()
+//   setVisible(visible)                  show/hide its element when switching
+// and reports onReady(), onStateChange(state) and onError(code) to its owner.
+
+// Values match YT.PlayerState so YouTube events pass through untranslated.
+export const PLAYER_STATE = Object.freeze({
+    UNSTARTED: -1,
+    ENDED: 0,
+    PLAYING: 1,
+    PAUSED: 2,
+    BUFFERING: 3,
+    CUED: 5,
+});
+
+export const BACKEND_YOUTUBE = 'youtube';
+export const BACKEND_MEDIA = 'media';
+
+/**
+ * Which backend plays `stream`.
+ * @param {{src?: string}|null|undefined} stream
+ * @returns {string}
+ */
+export function getBackendKind(stream) {
+    return stream && typeof stream.src === 'string' && stream.src ? BACKEND_MEDIA : BACKEND_YOUTUBE;
+}
+
+/**
+ * Wraps a YT.Player. The iframe API must already be loaded (YT.Player defined).
+ * @param {object} deps
+ * @param {string} deps.elementId element the iframe replaces
+ * @param {object} deps.playerVars
+ * @param {() => void} [deps.onReady]
+ * @param {(state: number) => void} [deps.onStateChange]
+ * @param {(code: number) => void} [deps.onError]
+ * @param {object} [deps.YTApi] defaults to window.YT
+ */
+export function createYouTubeBackend({
+    elementId, playerVars,
+    onReady = () => {}, onStateChange = () => {}, onError = () => {},
+    YTApi = window.YT,
+}) {
+    let ready = false;
+    let rate = 1;
+
+    const player = new YTApi.Player(elementId, {
+        videoId: '',
+        host: 'https://www.youtube.com',
+        playerVars,
+        events: {
+            onReady: () => {
+                ready = true;
+                onReady();
+            },
+            onStateChange: (ev) => onStateChange(ev.data),
+            onError: (ev) => onError(ev.data),
+        },
+    });
+
+    // The YT.Player object only grows its methods once the iframe handshakes,
+    // so every call is guarded rather than trusting `ready` alone.
+    function call(method, ...args) {
+        return player && typeof player[method] === 'function' ? player[method](...args) : undefined;
+    }
+
+    return {
+        kind: BACKEND_YOUTUBE,
+        isReady: () => ready,
+        load({ videoId, startSeconds, endSeconds }) {
+            const payload = { videoId, startSeconds, suggestedQuality: 'default' };
+            if (endSeconds !== undefined) payload.endSeconds = endSeconds;
+            call('loadVideoById', payload);
+            // A new video can come up at normal speed; set it every time.
+            call('setPlaybackRate', rate);
+        },
+        seek: (seconds) => call('seekTo', seconds, true),
+        play: () => call('playVideo'),
+        pause: () => call('pauseVideo'),
+        getTime: () => call('getCurrentTime') ?? 0,
+        getDuration: () => call('getDuration') || 0,
+        getState: () => call('getPlayerState') ?? PLAYER_STATE.UNSTARTED,
+        getTitle() {
+            const data = call('getVideoData');
+            return (data && data.title) || '';
+        },
+        getVolume: () => call('getVolume') ?? 100,
+        setVolume: (percent) => call('setVolume', percent),
+        setPlaybackRate(next) {
+            rate = next;
+            call('setPlaybackRate', rate);
+        },
+        setVisible(visible) {
+            const el = document.getElementById(elementId);
+            if (el) el.hidden = !visible;
+        },
+    };
+}
+
+/**
+ * HTML5 media element backend for streams with a `src`. YouTube's endSeconds is
+ * emulated by pausing at the bound and reporting ENDED, so the rest of the app
+ * can't tell the two apart.
+ * @param {object} deps
+ * @param {HTMLElement} deps.container where the element is mounted (lazily)
+ * @param {(state: number) => void} [deps.onStateChange]
+ * @param {(code: number) => void} [deps.onError]
+ * @param {() => HTMLMediaElement} [deps.createElement]
+ */
+export function createMediaElementBackend({
+    container,
+    onStateChange = () => {}, onError = () => {},
+    createElement = () => document.createElement('video'),
+}) {
+    let el = null;
+    let state = PLAYER_STATE.UNSTARTED;
+    let endBound;
+    let endedByBound = false;
+    // Kept here too so a volume or speed set before the element exists
+    // still applies.
+    let volume = 100;
+    let rate = 1;
+    // The loadedmetadata handler of a load still in flight.
+    let pendingSeek = null;
+
+    function setState(next) {
+        if (next === state) return;
+        state = next;
+        onStateChange(next);
+    }
+
+    function ensureElement() {
+        if (el) return el;
+        el = createElement();
+        el.id = 'media-player';
+        el.controls = true;
+        el.playsInline = true;
+        el.preload = 'auto';
+        el.volume = volume / 100;
+        el.defaultPlaybackRate = rate;
+        el.addEventListener('playing', () => setState(PLAYER_STATE.PLAYING));
+        el.addEventListener('waiting', () => setState(PLAYER_STATE.BUFFERING));
+        el.addEventListener('pause', () => {
+            if (!endedByBound) setState(PLAYER_STATE.PAUSED);
+        });
+        el.addEventListener('ended', () => setState(PLAYER_STATE.ENDED));
+        el.addEventListener('timeupdate', () => {
+            if (endBound !== undefined && !endedByBound && el.currentTime >= endBound) {
+                endedByBound = true;
+                el.pause();
+                setState(PLAYER_STATE.ENDED);
+            }
+        });
+        el.addEventListener('error', () => onError(el.error ? el.error.code : 0));
+        if (container) container.appendChild(el);
+        return el;
+    }
+
+    function play() {
+        if (!el) return;
+        endedByBound = false;
+        const result = el.play();
+        // Autoplay policies reject the promise instead of throwing.
+        if (result && typeof result.catch === 'function') {
+            result.catch((err) => console.warn('[Media] play() rejected:', err.message));
+        }
+    }
+
+    return {
+        kind: BACKEND_MEDIA,
+        isReady: () => true,
+        load({ src, startSeconds, endSeconds }) {
+            const media = ensureElement();
+            endBound = endSeconds;
+            endedByBound = false;
+            setState(PLAYER_STATE.BUFFERING);
+            const start = Number.isFinite(startSeconds) ? startSeconds : 0;
+            // A handler left by an earlier load would seek to its old start.
+            if (pendingSeek) media.removeEventListener('loadedmetadata', pendingSeek);
+            pendingSeek = null;
+            if (media.getAttribute('src') !== src) {
+                media.src = src;
+                pendingSeek = () => {
+                    pendingSeek = null;
+                    media.currentTime = start;
+                    play();
+                };
+                media.addEventListener('loadedmetadata', pendingSeek, { once: true });
+                // load() resets the speed to defaultPlaybackRate.
+                media.load();
+            } else {
+                media.currentTime = start;
+                play();
+            }
+        },
+        seek(seconds) {
+            if (!el) return;
+            const wasEnded = state === PLAYER_STATE.ENDED;
+            endedByBound = false;
+            el.currentTime = seconds;
+            // YouTube resumes when seeking out of ENDED (Loop Track relies on it).
+            if (wasEnded) play();
+        },
+        play,
+        pause: () => { if (el) el.pause(); },
+        getTime: () => (el ? el.currentTime : 0),
+        getDuration: () => (el && Number.isFinite(el.duration) ? el.duration : 0),
+        getState: () => state,
+        getTitle: () => '',
+        getVolume: () => (el ? Math.round(el.volume * 100) : volume),
+        setVolume(percent) {
+            volume = Math.min(100, Math.max(0, percent));
+            if (el) el.volume = volume / 100;
+        },
+        setPlaybackRate(next) {
+            rate = next;
+            if (!el) return;
+            el.defaultPlaybackRate = rate;
+            el.playbackRate = rate;
+        },
+        setVisible(visible) {
+            if (el) el.hidden = !visible;
+        },
+    };
+}
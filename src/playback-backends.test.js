@@ -0,0 +1,202 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+    PLAYER_STATE, BACKEND_YOUTUBE, BACKEND_MEDIA,
+    getBackendKind, createYouTubeBackend, createMediaElementBackend,
+} from './playback-backends.js';
+
+describe('getBackendKind', () => {
+    it('routes streams with a src to the media element', () => {
+        expect(getBackendKind({ videoId: 'a', src: 'https://example.com/a.mp3' })).toBe(BACKEND_MEDIA);
+    });
+
+    it('defaults to YouTube', () => {
+        expect(getBackendKind({ videoId: 'a' })).toBe(BACKEND_YOUTUBE);
+        expect(getBackendKind({ videoId: 'a', src: '' })).toBe(BACKEND_YOUTUBE);
+        expect(getBackendKind(null)).toBe(BACKEND_YOUTUBE);
+    });
+});
+
+describe('createYouTubeBackend', () => {
+    let ytPlayer, config, events, YTApi;
+
+    beforeEach(() => {
+        ytPlayer = {
+            loadVideoById: vi.fn(),
+            seekTo: vi.fn(),
+            getCurrentTime: vi.fn(() => 12),
+            getPlayerState: vi.fn(() => 1),
+            getDuration: vi.fn(() => 300),
+            getVideoData: vi.fn(() => ({ title: 'Karaoke' })),
+            getVolume: vi.fn(() => 80),
+            setVolume: vi.fn(),
+            setPlaybackRate: vi.fn(),
+        };
+        YTApi = {
+            Player: vi.fn(function (el, cfg) {
+                config = cfg;
+                return ytPlayer;
+            }),
+        };
+        events = { onReady: vi.fn(), onStateChange: vi.fn(), onError: vi.fn() };
+    });
+
+    it('is not ready until the iframe reports in', () => {
+        const backend = createYouTubeBackend({ elementId: 'player', playerVars: {}, YTApi, ...events });
+        expect(backend.isReady()).toBe(false);
+        config.events.onReady();
+        expect(backend.isReady()).toBe(true);
+        expect(events.onReady).toHaveBeenCalled();
+    });
+
+    it('unwraps YouTube event payloads', () => {
+        createYouTubeBackend({ elementId: 'player', playerVars: {}, YTApi, ...events });
+        config.events.onStateChange({ data: PLAYER_STATE.ENDED });
+        config.events.onError({ data: 150 });
+        expect(events.onStateChange).toHaveBeenCalledWith(PLAYER_STATE.ENDED);
+        expect(events.onError).toHaveBeenCalledWith(150);
+    });
+
+    it('translates load/seek and reads', () => {
+        const backend = createYouTubeBackend({ elementId: 'player', playerVars: {}, YTApi, ...events });
+        backend.load({ videoId: 'abc', startSeconds: 5, endSeconds: 50 });
+        backend.load({ videoId: 'def', startSeconds: 0, endSeconds: undefined });
+        backend.seek(9);
+        expect(ytPlayer.loadVideoById).toHaveBeenNthCalledWith(1,
+            { videoId: 'abc', startSeconds: 5, endSeconds: 50, suggestedQuality: 'default' });
+        expect(ytPlayer.loadVideoById).toHaveBeenNthCalledWith(2,
+            { videoId: 'def', startSeconds: 0, suggestedQuality: 'default' });
+        expect(ytPlayer.seekTo).toHaveBeenCalledWith(9, true);
+        expect(backend.getTime()).toBe(12);
+        expect(backend.getDuration()).toBe(300);
+        expect(backend.getState()).toBe(PLAYER_STATE.PLAYING);
+        expect(backend.getTitle()).toBe('Karaoke');
+        backend.setVolume(40);
+        expect(ytPlayer.setVolume).toHaveBeenCalledWith(40);
+        expect(backend.getVolume()).toBe(80);
+    });
+
+    it('sets the speed at once and again after every load', () => {
+        const backend = createYouTubeBackend({ elementId: 'player', playerVars: {}, YTApi, ...events });
+        backend.setPlaybackRate(1.25);
+        expect(ytPlayer.setPlaybackRate).toHaveBeenCalledWith(1.25);
+        backend.load({ videoId: 'abc', startSeconds: 0 });
+        expect(ytPlayer.setPlaybackRate).toHaveBeenCalledTimes(2);
+        expect(ytPlayer.setPlaybackRate).toHaveBeenLastCalledWith(1.25);
+    });
+
+    it('tolerates calls before the player grows its methods', () => {
+        ytPlayer = {};
+        const backend = createYouTubeBackend({ elementId: 'player', playerVars: {}, YTApi, ...events });
+        expect(backend.getTime()).toBe(0);
+        expect(backend.getState()).toBe(PLAYER_STATE.UNSTARTED);
+        expect(backend.getTitle()).toBe('');
+        expect(backend.getVolume()).toBe(100);
+        expect(() => backend.seek(3)).not.toThrow();
+    });
+});
+
+describe('createMediaElementBackend', () => {
+    let element, container, onStateChange, backend;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        element = document.createElement('video');
+        element.play = vi.fn(() => Promise.resolve());
+        element.pause = vi.fn(() => element.dispatchEvent(new Event('pause')));
+        element.load = vi.fn();
+        onStateChange = vi.fn();
+        backend = createMediaElementBackend({ container, onStateChange, createElement: () => element });
+    });
+
+    it('mounts its element lazily on first load', () => {
+        expect(container.children.length).toBe(0);
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 0 });
+        expect(container.firstChild).toBe(element);
+        expect(element.getAttribute('src')).toBe('https://example.com/a.mp3');
+    });
+
+    it('seeks to the start once metadata arrives, then plays', () => {
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 42 });
+        expect(element.play).not.toHaveBeenCalled();
+        element.dispatchEvent(new Event('loadedmetadata'));
+        expect(element.currentTime).toBe(42);
+        expect(element.play).toHaveBeenCalled();
+    });
+
+    it('seeks only to the latest start when loads overlap', () => {
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 42 });
+        backend.load({ src: 'https://example.com/b.mp3', startSeconds: 7 });
+        element.dispatchEvent(new Event('loadedmetadata'));
+        expect(element.currentTime).toBe(7);
+        expect(element.play).toHaveBeenCalledTimes(1);
+
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 42 });
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 12 });
+        element.dispatchEvent(new Event('loadedmetadata'));
+        expect(element.currentTime).toBe(12);
+        expect(element.play).toHaveBeenCalledTimes(2);
+    });
+
+    it('maps element events onto PLAYER_STATE', () => {
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 0 });
+        element.dispatchEvent(new Event('playing'));
+        expect(backend.getState()).toBe(PLAYER_STATE.PLAYING);
+        element.dispatchEvent(new Event('pause'));
+        expect(backend.getState()).toBe(PLAYER_STATE.PAUSED);
+        element.dispatchEvent(new Event('ended'));
+        expect(onStateChange).toHaveBeenLastCalledWith(PLAYER_STATE.ENDED);
+    });
+
+    it('emulates endSeconds by ending at the bound', () => {
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 0, endSeconds: 30 });
+        element.dispatchEvent(new Event('playing'));
+        element.currentTime = 30;
+        element.dispatchEvent(new Event('timeupdate'));
+        expect(element.pause).toHaveBeenCalled();
+        expect(backend.getState()).toBe(PLAYER_STATE.ENDED);
+        // The pause it issued itself must not demote ENDED to PAUSED.
+        expect(onStateChange).not.toHaveBeenLastCalledWith(PLAYER_STATE.PAUSED);
+    });
+
+    it('resumes when seeking out of ENDED, like YouTube', () => {
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 0, endSeconds: 30 });
+        element.currentTime = 31;
+        element.dispatchEvent(new Event('timeupdate'));
+        element.play.mockClear();
+        backend.seek(0);
+        expect(element.currentTime).toBe(0);
+        expect(element.play).toHaveBeenCalled();
+    });
+
+    it('reuses the loaded source when only the start moves', () => {
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 0 });
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 60 });
+        expect(element.load).toHaveBeenCalledTimes(1);
+        expect(element.currentTime).toBe(60);
+    });
+
+    it('keeps a volume set before mounting, clamped to 0–100', () => {
+        backend.setVolume(30);
+        expect(backend.getVolume()).toBe(30);
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 0 });
+        expect(element.volume).toBeCloseTo(0.3);
+        backend.setVolume(150);
+        expect(backend.getVolume()).toBe(100);
+    });
+
+    it('keeps a speed set before mounting, through source changes', () => {
+        backend.setPlaybackRate(0.75);
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 0 });
+        expect(element.defaultPlaybackRate).toBe(0.75);
+        backend.setPlaybackRate(1.5);
+        expect(element.playbackRate).toBe(1.5);
+        expect(element.defaultPlaybackRate).toBe(1.5);
+    });
+
+    it('toggles visibility only once mounted', () => {
+        expect(() => backend.setVisible(false)).not.toThrow();
+        backend.load({ src: 'https://example.com/a.mp3', startSeconds: 0 });
+        backend.setVisible(false);
+        expect(element.hidden).toBe(true);
+    });
+});
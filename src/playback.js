@@ -1,6 +1,9 @@
+import { PLAYER_STATE } from './playback-backends.js';
+
 /**
  * @param {object} deps
- * @param {() => YT.Player|null} deps.getPlayer
+ * @param {(stream?: object) => object|null} deps.getBackend backend for `stream`
+ *        (see playback-backends.js), defaulting to the current stream's
  * @param {() => object|null} deps.getCurrentStream
  * @param {(time: number, stream?: object) => number} deps.sanitizeStartTime
  * @param {() => boolean} deps.isYapMode
@@ -11,34 +14,44 @@
  * @param {number} deps.TITLE_REFRESH_MS
  */
 export function createPlaybackController({
-    getPlayer, getCurrentStream, sanitizeStartTime,
+    getBackend, getCurrentStream, sanitizeStartTime,
     isYapMode, onTick, onSeek,
     TICK_MS, VIDEO_LOAD_DEBOUNCE_MS, TITLE_REFRESH_MS,
 }) {
     let tickHandle = null;
     let lastKnownTime = 0;
     let currentLoadedVideoId = null;
+    let activeBackend = null;
     let lastVideoLoadTime = 0;
     let titleRefreshHandle = null;
+    // Volume is the user's own level times factors that features apply on
+    // top (segment fades, the sleep fade), keyed by feature. The user's level
+    // is read from the player when the first factor goes on and written back
+    // when the last comes off; a change they make mid-fade becomes the new
+    // level. Either way the fades never drift it.
+    const volumeFactors = new Map();
+    let userVolume = null; // null while no factor is applied
+    let appliedVolume = null;
+    let playbackRate = 1;
 
     function seekToSafe(time, stream) {
         const resolvedStream = stream || getCurrentStream();
         const safeStart = sanitizeStartTime(time, resolvedStream);
-        const player = getPlayer();
-        if (player && player.seekTo) {
-            player.seekTo(safeStart, true);
+        const backend = getBackend(resolvedStream);
+        if (backend) {
+            backend.seek(safeStart);
         }
         lastKnownTime = safeStart;
         onSeek(safeStart);
     }
 
     function getSafeCurrentTime() {
-        const player = getPlayer();
-        if (!player) {
+        const backend = getBackend();
+        if (!backend) {
             return lastKnownTime;
         }
 
-        const playerTime = player.getCurrentTime();
+        const playerTime = backend.getTime();
 
         if (Number.isFinite(playerTime) && playerTime > 0) {
             lastKnownTime = playerTime;
@@ -60,10 +73,10 @@ export function createPlaybackController({
             safeEnd = undefined;
         }
 
-        const player = getPlayer();
-        if (!player || !player.loadVideoById) return;
+        const backend = getBackend(stream);
+        if (!backend || !backend.isReady()) return;
 
-        const isSameVideo = currentLoadedVideoId === stream.videoId;
+        const isSameVideo = backend === activeBackend && currentLoadedVideoId === stream.videoId;
         if (isSameVideo && !forceReload) {
             seekToSafe(safeStart, stream);
             return;
@@ -82,15 +95,70 @@ export function createPlaybackController({
         lastKnownTime = safeStart;
         currentLoadedVideoId = stream.videoId;
 
-        const payload = {
+        // Switching backends: silence and hide the outgoing one so only the
+        // element actually playing is on screen.
+        if (activeBackend && activeBackend !== backend) {
+            activeBackend.pause();
+            activeBackend.setVisible(false);
+        }
+        backend.setVisible(true);
+        activeBackend = backend;
+        if (userVolume !== null) {
+            appliedVolume = null;
+            applyVolume();
+        }
+
+        backend.setPlaybackRate(playbackRate);
+        backend.load({
             videoId: stream.videoId,
+            src: stream.src,
             startSeconds: safeStart,
-            suggestedQuality: 'default'
-        };
-        if (safeEnd !== undefined) {
-            payload.endSeconds = safeEnd;
+            endSeconds: safeEnd,
+        });
+    }
+
+    /**
+     * Scale the volume for `key` (e.g. 'fade'); 1 removes the factor.
+     * @param {string} key
+     * @param {number} factor 0 = silent
+     */
+    function setVolumeFactor(key, factor) {
+        const value = Number.isFinite(factor) ? Math.max(0, factor) : 1;
+        if (value === 1) volumeFactors.delete(key);
+        else volumeFactors.set(key, value);
+        applyVolume();
+    }
+
+    function applyVolume() {
+        const backend = activeBackend || getBackend();
+        if (!backend) return;
+        let factor = 1;
+        for (const value of volumeFactors.values()) factor *= value;
+
+        if (userVolume === null) {
+            if (factor === 1) return;
+            userVolume = backend.getVolume();
+        } else if (appliedVolume !== null && Math.abs(backend.getVolume() - appliedVolume) > 1) {
+            userVolume = backend.getVolume();
+        }
+
+        const target = Math.round(Math.min(100, userVolume * factor));
+        if (target !== appliedVolume) backend.setVolume(target);
+        appliedVolume = target;
+        if (factor === 1) {
+            userVolume = null;
+            appliedVolume = null;
         }
-        player.loadVideoById(payload);
+    }
+
+    /**
+     * Playback speed, kept across loads and backend switches.
+     * @param {number} rate 1 = normal
+     */
+    function setPlaybackRate(rate) {
+        playbackRate = rate;
+        const backend = activeBackend || getBackend();
+        if (backend) backend.setPlaybackRate(rate);
     }
 
     function startTickLoop() {
@@ -105,12 +173,10 @@ export function createPlaybackController({
     }
 
     function shouldTickRun() {
-        const player = getPlayer();
-        if (!player || typeof player.getPlayerState !== 'function') return false;
-        if (typeof YT === 'undefined' || !YT.PlayerState) return false;
+        const backend = getBackend();
+        if (!backend) return false;
 
-        const state = player.getPlayerState();
-        if (state !== YT.PlayerState.PLAYING) return false;
+        if (backend.getState() !== PLAYER_STATE.PLAYING) return false;
 
         if (document.hidden) {
             const stream = getCurrentStream();
@@ -132,9 +198,9 @@ export function createPlaybackController({
     }
 
     function tick() {
-        const player = getPlayer();
-        if (!player || !player.getCurrentTime) return;
-        const t = player.getCurrentTime();
+        const backend = getBackend();
+        if (!backend) return;
+        const t = backend.getTime();
         if (Number.isFinite(t)) lastKnownTime = t;
 
         onTick(t);
@@ -143,8 +209,8 @@ export function createPlaybackController({
     function ensureTitleRefreshLoop(updateFn) {
         if (titleRefreshHandle) return;
         titleRefreshHandle = setInterval(() => {
-            const player = getPlayer();
-            const t = player && player.getCurrentTime ? player.getCurrentTime() : lastKnownTime;
+            const backend = getBackend();
+            const t = backend ? backend.getTime() : lastKnownTime;
             updateFn(t);
         }, TITLE_REFRESH_MS);
     }
@@ -165,6 +231,10 @@ export function createPlaybackController({
         currentLoadedVideoId = null;
     }
 
+    function getActiveBackend() {
+        return activeBackend;
+    }
+
     return {
         seekToSafe,
         getSafeCurrentTime,
@@ -177,5 +247,8 @@ export function createPlaybackController({
         setLastKnownTime,
         getCurrentLoadedVideoId,
         resetLoadedVideoId,
+        getActiveBackend,
+        setVolumeFactor,
+        setPlaybackRate,
     };
 }
@@ -1,21 +1,20 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { createPlaybackController } from './playback.js';
+import { getBackendKind } from './playback-backends.js';
+import { createFakeBackend } from './test-setup.js';
 
 describe('createPlaybackController', () => {
     let ctrl;
     let deps;
-    let mockPlayer;
+    let backend;
 
     beforeEach(() => {
-        mockPlayer = {
-            seekTo: vi.fn(),
-            loadVideoById: vi.fn(),
-            getCurrentTime: vi.fn(() => 50),
-            getPlayerState: vi.fn(() => 1),
-        };
+        backend = createFakeBackend();
+        backend.setTime(50);
+        backend.setState(1); // PLAYING
 
         deps = {
-            getPlayer: () => mockPlayer,
+            getBackend: () => backend,
             getCurrentStream: () => ({ videoId: 'abc', songs: [{ name: 'S1', range: [10, 60] }] }),
             sanitizeStartTime: vi.fn((time) => time),
             isYapMode: () => false,
@@ -42,11 +41,146 @@ describe('createPlaybackController', () => {
             expect(ctrl.getLastKnownTime()).toBe(42);
         });
 
-        it('delegates to player.seekTo with sanitized time', () => {
+        it('delegates to backend.seek with sanitized time', () => {
             deps.sanitizeStartTime.mockReturnValue(25);
             ctrl.seekToSafe(25);
 
-            expect(mockPlayer.seekTo).toHaveBeenCalledWith(25, true);
+            expect(backend.seek).toHaveBeenCalledWith(25);
+        });
+    });
+
+    describe('playVideoAt', () => {
+        it('loads through the backend with start and end bounds', () => {
+            ctrl.playVideoAt({ videoId: 'abc' }, 10, 60);
+            expect(backend.loads).toEqual([{ videoId: 'abc', src: undefined, startSeconds: 10, endSeconds: 60 }]);
+            expect(ctrl.getCurrentLoadedVideoId()).toBe('abc');
+            expect(ctrl.getActiveBackend()).toBe(backend);
+        });
+
+        it('seeks instead of reloading the same video on the same backend', () => {
+            ctrl.playVideoAt({ videoId: 'abc' }, 10, 60);
+            ctrl.playVideoAt({ videoId: 'abc' }, 20, 60);
+            expect(backend.loads.length).toBe(1);
+            expect(backend.seek).toHaveBeenCalledWith(20);
+        });
+
+        it('waits for a backend that is not ready', () => {
+            backend.ready = false;
+            ctrl.playVideoAt({ videoId: 'abc' }, 10, 60);
+            expect(backend.loads).toEqual([]);
+        });
+
+        describe('switching backends', () => {
+            let media;
+
+            beforeEach(() => {
+                vi.useFakeTimers();
+                media = createFakeBackend({ kind: 'media' });
+                deps.getBackend = (stream) => (getBackendKind(stream) === 'media' ? media : backend);
+                ctrl = createPlaybackController(deps);
+            });
+
+            afterEach(() => {
+                vi.useRealTimers();
+            });
+
+            it('pauses and hides the outgoing backend', () => {
+                ctrl.playVideoAt({ videoId: 'abc' }, 10, 60);
+                vi.advanceTimersByTime(300);
+                ctrl.playVideoAt({ videoId: 'rip', src: 'https://example.com/rip.ogg' }, 0, 100);
+
+                expect(backend.pause).toHaveBeenCalled();
+                expect(backend.visible).toBe(false);
+                expect(media.visible).toBe(true);
+                expect(media.loads).toEqual([{
+                    videoId: 'rip', src: 'https://example.com/rip.ogg', startSeconds: 0, endSeconds: 100,
+                }]);
+                expect(ctrl.getActiveBackend()).toBe(media);
+            });
+
+            it('reloads a video id seen before once the backend changed', () => {
+                ctrl.playVideoAt({ videoId: 'same' }, 10, 60);
+                vi.advanceTimersByTime(300);
+                ctrl.playVideoAt({ videoId: 'same', src: 'https://example.com/a.mp4' }, 10, 60);
+                expect(media.loads.length).toBe(1);
+            });
+
+            it('keeps the playback speed on the backend taking over', () => {
+                ctrl.setPlaybackRate(1.25);
+                expect(backend.playbackRate).toBe(1.25);
+                ctrl.playVideoAt({ videoId: 'rip', src: 'https://example.com/rip.ogg' }, 0, 100);
+                expect(media.playbackRate).toBe(1.25);
+            });
+        });
+    });
+
+    describe('volume factors', () => {
+        it('scales the user volume and puts it back when the last factor lifts', () => {
+            backend.volume = 80;
+            ctrl.setVolumeFactor('fade', 0.5);
+            expect(backend.volume).toBe(40);
+            ctrl.setVolumeFactor('sleep', 0.5);
+            expect(backend.volume).toBe(20);
+            ctrl.setVolumeFactor('fade', 1);
+            expect(backend.volume).toBe(40);
+            ctrl.setVolumeFactor('sleep', 1);
+            expect(backend.volume).toBe(80);
+        });
+
+        it('leaves the volume alone while nothing is applied', () => {
+            ctrl.setVolumeFactor('fade', 1);
+            expect(backend.setVolume).not.toHaveBeenCalled();
+        });
+
+        it('adopts a volume the user sets mid-fade instead of drifting', () => {
+            backend.volume = 80;
+            ctrl.setVolumeFactor('fade', 0.5);
+            backend.volume = 60; // the user turned it down in the player
+            ctrl.setVolumeFactor('fade', 0.25);
+            expect(backend.volume).toBe(15);
+            ctrl.setVolumeFactor('fade', 1);
+            expect(backend.volume).toBe(60);
+        });
+
+        it('carries a fade over to the backend taking over', () => {
+            vi.useFakeTimers();
+            const media = createFakeBackend({ kind: 'media' });
+            deps.getBackend = (stream) => (getBackendKind(stream) === 'media' ? media : backend);
+            ctrl = createPlaybackController(deps);
+            ctrl.playVideoAt({ videoId: 'abc' }, 10, 60);
+            backend.volume = 80;
+            ctrl.setVolumeFactor('fade', 0.5);
+            vi.advanceTimersByTime(300);
+            ctrl.playVideoAt({ videoId: 'rip', src: 'https://example.com/rip.ogg' }, 0, 100);
+            expect(media.volume).toBe(40);
+            ctrl.setVolumeFactor('fade', 1);
+            expect(media.volume).toBe(80);
+            vi.useRealTimers();
+        });
+    });
+
+    describe('tick loop', () => {
+        beforeEach(() => {
+            vi.useFakeTimers();
+        });
+
+        afterEach(() => {
+            ctrl.stopTickLoop();
+            vi.useRealTimers();
+        });
+
+        it('ticks with backend time while playing', () => {
+            ctrl.evaluateTickLoop();
+            backend.setTime(55);
+            vi.advanceTimersByTime(200);
+            expect(deps.onTick).toHaveBeenCalledWith(55);
+        });
+
+        it('stays stopped while the backend is paused', () => {
+            backend.setState(2); // PAUSED
+            ctrl.evaluateTickLoop();
+            vi.advanceTimersByTime(1000);
+            expect(deps.onTick).not.toHaveBeenCalled();
         });
     });
 });
@@ -1,6 +1,10 @@
 export const LOOP_NONE = 0;
 export const LOOP_TRACK = 1;
 export const LOOP_STREAM = 2;
+// Entered by setting A-B points or picking songs in the song list rather than
+// through the loop button's cycle (see abLoop / loopSelection).
+export const LOOP_AB = 3;
+export const LOOP_SELECTION = 4;
 export const RESTART_THRESHOLD_SECONDS = 5;
 const HISTORY_LIMIT = 20;
 // Max shuffle anti-repeat history: the recentTracks ring holds up to this many
@@ -16,6 +20,37 @@ const RECENT_LIMIT = 10;
 // keeps a fresh candidate available while still barring recent repeats.
 const QUEUE_RECENT_RATIO = 0.5;
 const SEAMLESS_GAP_SECONDS = 1.0; // Threshold to treat neighboring segments as seamless in Yap Off
+// How far ahead of a song's end playback moves on: one 200 ms tick at 1x, so
+// a late tick can't overshoot into the gap. Stream time, so it scales with
+// the playback rate (see _seekEarly).
+const SEEK_EARLY_SECONDS = 0.2;
+// Speeds on offer; persisted with the other settings.
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5];
+// Repeat counts offered for a song (total plays, this one included).
+export const REPEAT_COUNTS = [2, 3, 4, 5];
+// Shortest A-B loop; closer points would just stutter.
+const AB_LOOP_MIN_SECONDS = 1;
+// How far past B a tick may land and still count as playing into it (ticks
+// are late in background tabs). Further out is a seek away from the loop.
+const AB_LOOP_CATCH_SECONDS = 1.5;
+
+// Shuffle strategies: how a shuffled pick chooses among the candidates the
+// anti-repeat window leaves (§1). Uniform is the classic pick. Songs is radio
+// mode: song by song across every stream in Yap Off instead of picking a stream.
+// Least-recent narrows to whatever was heard longest ago. Favorites weights the
+// draw toward streams with favorites; Newer toward recent release dates, with
+// undated streams getting the middle weight.
+export const SHUFFLE_UNIFORM = 'uniform';
+export const SHUFFLE_SONGS = 'songs';
+export const SHUFFLE_LEAST_RECENT = 'least-recent';
+export const SHUFFLE_FAVORITES = 'favorites';
+export const SHUFFLE_NEWER = 'newer';
+export const SHUFFLE_STRATEGIES = [
+    SHUFFLE_UNIFORM, SHUFFLE_SONGS, SHUFFLE_LEAST_RECENT, SHUFFLE_FAVORITES, SHUFFLE_NEWER,
+];
+// Favorites-weighted shuffle: each favorite song adds this many draws on top
+// of the one every candidate gets.
+const FAVORITE_SHUFFLE_WEIGHT = 3;
 
 // Resolve a stored/incoming rIdx to a valid song index for `stream`. Any invalid
 // value — out of range, negative, non-integer, or a Rule-0 stream (no songs) —
@@ -27,6 +62,12 @@ export function resolveRIdx(stream, rIdx) {
     return Number.isInteger(rIdx) && rIdx >= 0 && rIdx < stream.songs.length ? rIdx : 0;
 }
 
+// "2 more times", "1 more time", "last time".
+function formatRepeatsLeft(remaining) {
+    if (remaining === 0) return 'last time';
+    return `${remaining} more time${remaining === 1 ? '' : 's'}`;
+}
+
 export class PlayerCore {
   constructor(callbacks = {}) {
     this.cb = {
@@ -38,6 +79,33 @@ export class PlayerCore {
       getSessionData: callbacks.getSessionData || (() => ({})),
       now: callbacks.now || (() => Date.now()), // Mockable time
       onStatus: callbacks.onStatus || (() => {}),
+      // Blocklist ("never auto-play"): consulted by every automatic pick —
+      // auto-advance, Next, next-stream and queue picks. Explicit picks
+      // (search, song list, queue modal) still play a blocked song.
+      isBlocked: callbacks.isBlocked || (() => false),
+      // Called before every user edit of the queue (not playback consuming
+      // it) with the kind of edit — 'enqueue', 'playNext', 'enqueueMany',
+      // 'move', 'remove', 'clear', 'replace' or 'append' — so the app can
+      // snapshot the queue for undo.
+      beforeQueueEdit: callbacks.beforeQueueEdit || (() => {}),
+      // Auto-DJ candidates to follow `seed` ({videoId, rIdx} of the queue's
+      // last item, or of the current song when the queue is empty). A track
+      // listed more than once is proportionally more likely to be picked.
+      getAutoDjCandidates: callbacks.getAutoDjCandidates || (() => []),
+      // Source of randomness for every shuffle pick, [0, 1) like Math.random.
+      // Inject a seeded one to make picks deterministic.
+      random: callbacks.random || (() => Math.random()),
+      // Inputs to the favorites-weighted and least-recent shuffle strategies.
+      // getLastPlayed returns when a song (rIdx null: any song of the stream)
+      // was last heard, 0 for never; plays this session are tracked here too.
+      isFavorite: callbacks.isFavorite || (() => false),
+      getLastPlayed: callbacks.getLastPlayed || (() => 0),
+      // Radio mode's song filter (favorites only, one artist, …). When it
+      // leaves nothing to play, radio draws from the whole catalogue.
+      isRadioCandidate: callbacks.isRadioCandidate || (() => true),
+      // The sleep timer ran out at a song or stream boundary (see
+      // setSleepAfter): the app pauses instead of letting the next one play.
+      onSleep: callbacks.onSleep || (() => {}),
     };
 
     this.playlist = [];
@@ -47,7 +115,9 @@ export class PlayerCore {
     this.loopMode = LOOP_NONE;
     this.yapMode = false;
     this.shuffleMode = false;
+    this.shuffleStrategy = SHUFFLE_UNIFORM;
     this.memberMode = false;
+    this.playbackRate = 1;
 
     // Stream history powers deterministic back navigation (behavior §4C).
     // Session-only: cleared when tab closes, capped at HISTORY_LIMIT.
@@ -60,10 +130,15 @@ export class PlayerCore {
     // by videoId+rIdx (track-level), so distinct songs of one stream stay distinct
     // (§1, §13).
     this.recentTracks = [];
+    // When tracks ("videoId:rIdx") and streams ("videoId") were left this
+    // session, for least-recent shuffle. Session-only, not persisted.
+    this._playedAt = new Map();
     // Persistent queue: FIFO of {videoId, rIdx} items (behavior §13).
-    // Arrangement is stable: only enqueue (append), removal, and Loop None
-    // consumption may mutate the array. Playback never reorders it — the
-    // cycle position lives entirely in the cursor below.
+    // Arrangement is stable: only enqueue and Auto-DJ top-ups (append),
+    // play-next insertion, user reordering, removal, and Loop None consumption
+    // may mutate the array. Items added with enqueueNext carry `playNext: true`
+    // until they play; Auto-DJ picks carry `autoDj: true`. Playback never
+    // reorders it — the cycle position lives entirely in the cursor below.
     this.queue = [];
     // Index of the queue item currently playing, or null when playback is
     // not attached to a queue slot. With _cursorDetached, the item that was
@@ -72,6 +147,26 @@ export class PlayerCore {
     // so the cycle continues from the gap instead of resetting.
     this._queueCursor = null;
     this._cursorDetached = false;
+    // Smart list being played like a stream (e.g. Favorites), or null:
+    // {name, items: [{videoId, rIdx}], pos, played: [pos…]}. Session-only.
+    this.smartList = null;
+    // Auto-DJ settings ({minQueue}) while it's on, else null. The app owns the
+    // setting and re-applies it after init; session state here.
+    this.autoDj = null;
+    // Sleep timer counted in songs ({songs: remaining}) or waiting for a
+    // stream to end ({videoId}), else null. Timed sleep lives in the app.
+    // Session-only.
+    this.sleepAfter = null;
+    // A-B loop ({videoId, a, b}; b is null while only A is marked) and the
+    // songs picked to loop ({videoId, rIdxs}, in set-list order), played
+    // under LOOP_AB / LOOP_SELECTION. Both belong to their stream: playback
+    // moving to another one drops them. Session-only.
+    this.abLoop = null;
+    this.loopSelection = null;
+    // Repeat count on one song ({videoId, rIdx, times, remaining}): it plays
+    // `remaining` more times, then playback carries on as usual. Moving to
+    // another song drops it. Session-only.
+    this.repeat = null;
     // Rule 0 streams cache their durations once YouTube reports them.
     this.durations = {};
   }
@@ -80,7 +175,11 @@ export class PlayerCore {
     const saved = this.cb.getSettings();
     this.yapMode = saved.yapMode === 'true' || saved.yapMode === true;
     this.shuffleMode = saved.shuffleMode === 'true' || saved.shuffleMode === true;
+    this.shuffleStrategy = SHUFFLE_STRATEGIES.includes(saved.shuffleStrategy)
+        ? saved.shuffleStrategy : SHUFFLE_UNIFORM;
     this.memberMode = saved.memberMode === 'true' || saved.memberMode === true;
+    const savedRate = Number(saved.playbackRate);
+    this.playbackRate = PLAYBACK_RATES.includes(savedRate) ? savedRate : 1;
 
     // Filter out member-only streams unless member mode is enabled.
     const filtered = this.memberMode ? segmentData : segmentData.filter(v => !v.memberOnly);
@@ -91,7 +190,13 @@ export class PlayerCore {
       name: v.name || '',
       title: v.title || v.videoId, // Fallback title if provided or ID
       songs: (v.songs && v.songs.length > 0) ? v.songs : null,
-      memberOnly: !!v.memberOnly
+      memberOnly: !!v.memberOnly,
+      // Self-hosted media URL; selects the HTML5 backend (playback-backends.js).
+      src: typeof v.src === 'string' && v.src ? v.src : null,
+      // Loudness correction in dB for the whole VOD; songs can add their own.
+      gain: Number.isFinite(v.gain) ? v.gain : 0,
+      // Release time in ms for the Newer Streams shuffle; null when undated.
+      released: Number.isFinite(Date.parse(v.released)) ? Date.parse(v.released) : null
     }));
     
     // Parse Loop Mode (default to 0)
@@ -154,6 +259,73 @@ export class PlayerCore {
         this.recentTracks = [];
     }
 
+    // Restore the smart list (session-only). Items are re-checked against the
+    // rebuilt playlist, and the list only resumes if it still owns the current
+    // track — otherwise playback has moved on and the list is dropped.
+    this.smartList = null;
+    try {
+        const rawList = sessionData.smartList ? JSON.parse(sessionData.smartList) : null;
+        if (rawList && Array.isArray(rawList.items)) {
+            const items = this._resolveSmartListItems(rawList.items);
+            const [saved] = this._resolveSmartListItems([rawList.items[rawList.pos]]);
+            const cur = this.playlist[this.vIdx];
+            const pos = saved && cur && saved.videoId === cur.videoId
+                ? items.findIndex(t => t.videoId === saved.videoId && t.rIdx === saved.rIdx)
+                : -1;
+            if (pos !== -1) {
+                this.smartList = {
+                    name: typeof rawList.name === 'string' ? rawList.name : '',
+                    items,
+                    pos,
+                    played: [pos],
+                };
+                this.rIdx = items[pos].rIdx;
+            }
+        }
+    } catch {
+        this.smartList = null;
+    }
+
+    // Restore the A-B loop and song selection (session-only). They only come
+    // back on the stream they were set on; a loop mode saved without one (a
+    // new session) falls back to Loop None.
+    this.abLoop = null;
+    this.loopSelection = null;
+    try {
+        const cur = this.playlist[this.vIdx];
+        const rawAb = sessionData.abLoop ? JSON.parse(sessionData.abLoop) : null;
+        if (rawAb && cur && rawAb.videoId === cur.videoId && Number.isFinite(rawAb.a)
+            && (rawAb.b === null || Number.isFinite(rawAb.b))) {
+            this.abLoop = { videoId: rawAb.videoId, a: rawAb.a, b: rawAb.b };
+        }
+        const rawSelection = sessionData.loopSelection ? JSON.parse(sessionData.loopSelection) : null;
+        if (rawSelection && cur && rawSelection.videoId === cur.videoId && Array.isArray(rawSelection.rIdxs)) {
+            const rIdxs = this._pickLoopSongs(cur, rawSelection.rIdxs);
+            if (rIdxs.length) this.loopSelection = { videoId: cur.videoId, rIdxs };
+        }
+    } catch {
+        this.abLoop = null;
+        this.loopSelection = null;
+    }
+    this.repeat = null;
+    try {
+        const cur = this.playlist[this.vIdx];
+        const rawRepeat = sessionData.repeat ? JSON.parse(sessionData.repeat) : null;
+        if (rawRepeat && cur && rawRepeat.videoId === cur.videoId && rawRepeat.rIdx === resolveRIdx(cur, rawRepeat.rIdx)
+            && REPEAT_COUNTS.includes(rawRepeat.times) && Number.isInteger(rawRepeat.remaining)
+            && rawRepeat.remaining >= 0 && rawRepeat.remaining < rawRepeat.times) {
+            const { videoId, rIdx, times, remaining } = rawRepeat;
+            this.repeat = { videoId, rIdx, times, remaining };
+        }
+    } catch {
+        this.repeat = null;
+    }
+    if ((this.loopMode === LOOP_AB && !(this.abLoop && this.abLoop.b !== null))
+        || (this.loopMode === LOOP_SELECTION && !this.loopSelection)
+        || ![LOOP_NONE, LOOP_TRACK, LOOP_STREAM, LOOP_AB, LOOP_SELECTION].includes(this.loopMode)) {
+        this.loopMode = LOOP_NONE;
+    }
+
     // Restore queue from localStorage (persistent across sessions, §13)
     if (saved.queue) {
         try {
@@ -205,7 +377,9 @@ export class PlayerCore {
       this.cb.saveSettings({
           yapMode: this.yapMode,
           shuffleMode: this.shuffleMode,
+          shuffleStrategy: this.shuffleStrategy,
           memberMode: this.memberMode,
+          playbackRate: this.playbackRate,
           loopMode: this.loopMode,
           vIdx: this.vIdx,
           videoId: stream ? stream.videoId : '',
@@ -217,7 +391,11 @@ export class PlayerCore {
       // Session-only history + recent ring (cleared on tab close)
       this.cb.saveSessionData({
           history: JSON.stringify(this.history),
-          recent: JSON.stringify(this.recentTracks)
+          recent: JSON.stringify(this.recentTracks),
+          smartList: this.smartList ? JSON.stringify(this.smartList) : '',
+          abLoop: this.abLoop ? JSON.stringify(this.abLoop) : '',
+          loopSelection: this.loopSelection ? JSON.stringify(this.loopSelection) : '',
+          repeat: this.repeat ? JSON.stringify(this.repeat) : ''
       });
   }
 
@@ -321,12 +499,212 @@ export class PlayerCore {
     return this.yapMode;
   }
 
+  // Cycles None → Track → Stream. From an A-B loop or song selection it
+  // turns looping off instead.
   toggleLoop() {
+    this._reconcileCustomLoop();
+    if (this.loopMode === LOOP_AB || this.loopMode === LOOP_SELECTION) {
+        this.clearCustomLoop();
+        return this.loopMode;
+    }
     this.loopMode = (this.loopMode + 1) % 3;
     this._saveState();
     return this.loopMode;
   }
 
+  // ================= REPEAT COUNT =================
+
+  /**
+   * Play the current song `times` times in all, counting the play under
+   * way, then carry on. Anything not in REPEAT_COUNTS turns it off.
+   * @param {number} times
+   * @returns {number} the count now set, 0 when off
+   */
+  setRepeat(times) {
+      const stream = this.getCurrentStream();
+      this.repeat = stream && REPEAT_COUNTS.includes(times)
+          ? { videoId: stream.videoId, rIdx: this.rIdx, times, remaining: times - 1 }
+          : null;
+      this._saveState();
+      return this.repeat ? times : 0;
+  }
+
+  // Off → 2× → 3× → 4× → 5× → off, starting the count over each step.
+  cycleRepeat() {
+      const current = this._activeRepeat();
+      const next = current ? REPEAT_COUNTS[REPEAT_COUNTS.indexOf(current.times) + 1] : REPEAT_COUNTS[0];
+      return this.setRepeat(next);
+  }
+
+  /** @returns {{times: number, remaining: number}|null} for the current song */
+  getRepeat() {
+      const repeat = this._activeRepeat();
+      return repeat ? { times: repeat.times, remaining: repeat.remaining } : null;
+  }
+
+  // Lazily dropped, like the smart list, once another song is playing.
+  _activeRepeat() {
+      const stream = this.getCurrentStream();
+      if (this.repeat && (!stream || stream.videoId !== this.repeat.videoId || this.rIdx !== this.repeat.rIdx)) {
+          this.repeat = null;
+      }
+      return this.repeat;
+  }
+
+  // Whether the current song still has plays to go, so its end restarts it.
+  _repeatPending() {
+      const repeat = this._activeRepeat();
+      return !!repeat && repeat.remaining > 0;
+  }
+
+  // At the end of the song: true (and back to its start) when it repeats,
+  // otherwise the count is used up and dropped.
+  _repeatAtSongEnd() {
+      const repeat = this._activeRepeat();
+      if (!repeat) return false;
+      if (repeat.remaining === 0) {
+          this.repeat = null;
+          return false;
+      }
+      repeat.remaining -= 1;
+      const start = this.getCurrentSong().range[0];
+      this._saveState(start);
+      this.cb.seekTo(start);
+      return true;
+  }
+
+  // ================= A-B LOOP & SONG SELECTION =================
+
+  /**
+   * Mark the next A-B point at `time`: the first call sets A, the second sets
+   * B and starts looping (points given B-first are swapped), a third clears
+   * the loop. A B too close to A is ignored.
+   * @param {number} time
+   * @returns {{a: number, b: number|null}|null} the loop as it now stands
+   */
+  markAbLoop(time) {
+      this._reconcileCustomLoop();
+      const stream = this.getCurrentStream();
+      if (!stream || !Number.isFinite(time)) return this.getAbLoop();
+      if (!this.abLoop) {
+          this.abLoop = { videoId: stream.videoId, a: time, b: null };
+      } else if (this.abLoop.b === null) {
+          const { a } = this.abLoop;
+          if (Math.abs(time - a) < AB_LOOP_MIN_SECONDS) return this.getAbLoop();
+          this.abLoop = { videoId: stream.videoId, a: Math.min(a, time), b: Math.max(a, time) };
+          this.loopSelection = null;
+          this.loopMode = LOOP_AB;
+      } else {
+          this.clearCustomLoop();
+          return null;
+      }
+      this._saveState(time);
+      return this.getAbLoop();
+  }
+
+  /** @returns {{a: number, b: number|null}|null} */
+  getAbLoop() {
+      this._reconcileCustomLoop();
+      return this.abLoop ? { a: this.abLoop.a, b: this.abLoop.b } : null;
+  }
+
+  /**
+   * Loop just these songs of the current stream, in set-list order. An empty
+   * list (or a stream without songs) turns the selection loop off.
+   * @param {number[]} rIdxs
+   * @returns {number[]} the songs now looped
+   */
+  setLoopSelection(rIdxs) {
+      this._reconcileCustomLoop();
+      const stream = this.getCurrentStream();
+      const picked = this._pickLoopSongs(stream, rIdxs || []);
+      if (picked.length) {
+          this.loopSelection = { videoId: stream.videoId, rIdxs: picked };
+          this.abLoop = null;
+          this.loopMode = LOOP_SELECTION;
+      } else {
+          this.loopSelection = null;
+          if (this.loopMode === LOOP_SELECTION) this.loopMode = LOOP_NONE;
+      }
+      this._saveState();
+      return this.getLoopSelection();
+  }
+
+  /** @returns {number[]} the looped songs of the current stream, or [] */
+  getLoopSelection() {
+      const selection = this._activeLoopSelection();
+      return selection ? [...selection] : [];
+  }
+
+  // Drops the A-B loop (A-only included) and the song selection.
+  clearCustomLoop() {
+      this.abLoop = null;
+      this.loopSelection = null;
+      if (this.loopMode === LOOP_AB || this.loopMode === LOOP_SELECTION) {
+          this.loopMode = LOOP_NONE;
+      }
+      this._saveState();
+  }
+
+  _pickLoopSongs(stream, rIdxs) {
+      if (!stream || !stream.songs) return [];
+      return [...new Set(rIdxs)]
+          .filter(i => Number.isInteger(i) && i >= 0 && i < stream.songs.length)
+          .sort((x, y) => x - y);
+  }
+
+  // Same lazy approach as _reconcileSmartList: once playback has moved to
+  // another stream, whatever loop was set on the old one is dropped.
+  _reconcileCustomLoop() {
+      const stream = this.getCurrentStream();
+      const videoId = stream ? stream.videoId : null;
+      if (this.abLoop && this.abLoop.videoId !== videoId) this.abLoop = null;
+      if (this.loopSelection && this.loopSelection.videoId !== videoId) this.loopSelection = null;
+      if ((this.loopMode === LOOP_AB && !this.abLoop) || (this.loopMode === LOOP_SELECTION && !this.loopSelection)) {
+          this.loopMode = LOOP_NONE;
+      }
+  }
+
+  _activeAbLoop() {
+      this._reconcileCustomLoop();
+      return this.loopMode === LOOP_AB ? this.abLoop : null;
+  }
+
+  _activeLoopSelection() {
+      this._reconcileCustomLoop();
+      return this.loopMode === LOOP_SELECTION ? this.loopSelection.rIdxs : null;
+  }
+
+  // Whether auto-advance may play song `rIdx`: any song, unless a selection
+  // loop leaves it out.
+  _inLoopSelection(rIdx) {
+      const selection = this._activeLoopSelection();
+      return !selection || selection.includes(rIdx);
+  }
+
+  // The picked song after (step 1) or before (step -1) the current one,
+  // wrapping around the selection.
+  _stepLoopSelection(step) {
+      const selection = this._activeLoopSelection();
+      if (step > 0) return selection.find(i => i > this.rIdx) ?? selection[0];
+      return [...selection].reverse().find(i => i < this.rIdx) ?? selection[selection.length - 1];
+  }
+
+  /**
+   * @param {number} rate one of PLAYBACK_RATES; anything else is 1x
+   * @returns {number} the rate now in effect
+   */
+  setPlaybackRate(rate) {
+      this.playbackRate = PLAYBACK_RATES.includes(rate) ? rate : 1;
+      this._saveState();
+      return this.playbackRate;
+  }
+
+  // SEEK_EARLY_SECONDS in stream time at the current speed.
+  _seekEarly() {
+      return SEEK_EARLY_SECONDS * this.playbackRate;
+  }
+
   toggleShuffle() {
       const wasOn = this.shuffleMode;
       this.shuffleMode = !this.shuffleMode;
@@ -338,6 +716,83 @@ export class PlayerCore {
       return this.shuffleMode;
   }
 
+  /**
+   * @param {string} strategy one of SHUFFLE_STRATEGIES; anything else is uniform
+   * @returns {string} the strategy now in effect
+   */
+  setShuffleStrategy(strategy) {
+      this.shuffleStrategy = SHUFFLE_STRATEGIES.includes(strategy) ? strategy : SHUFFLE_UNIFORM;
+      this._saveState();
+      return this.shuffleStrategy;
+  }
+
+  /**
+   * Pause after `songs` more songs end, or when the current stream does.
+   * Counted at auto-advance, so Next/Prev and picks don't use it up.
+   * @param {{songs: number}|{stream: true}|null} option null cancels
+   */
+  setSleepAfter(option) {
+      if (option && option.songs > 0) {
+          this.sleepAfter = { songs: Math.floor(option.songs) };
+      } else if (option && option.stream) {
+          const stream = this.getCurrentStream();
+          this.sleepAfter = stream ? { videoId: stream.videoId } : null;
+      } else {
+          this.sleepAfter = null;
+      }
+      return this.getSleepAfter();
+  }
+
+  getSleepAfter() {
+      return this.sleepAfter ? { ...this.sleepAfter } : null;
+  }
+
+  /**
+   * Stream time at which playback will stop for sleep, when that is the very
+   * next boundary, so the app can fade out ahead of it.
+   * @returns {number|null} seconds, null when sleep isn't due next (or the
+   *          time isn't known yet)
+   */
+  getSleepBoundaryTime() {
+      const sleep = this.sleepAfter;
+      const stream = this.getCurrentStream();
+      if (!sleep || !stream) return null;
+      if (sleep.songs ? sleep.songs !== 1 : !this._isLeavingSleepStream()) return null;
+      if (!stream.songs) return this.getDuration(stream.videoId) || null;
+      const songs = stream.songs;
+      const lastEnd = songs[songs.length - 1].range[1] - this._seekEarly();
+      if (this.yapMode) {
+          const next = songs[this.rIdx + 1];
+          return sleep.songs && next ? next.range[0] : lastEnd;
+      }
+      return songs[this.rIdx].range[1] - this._seekEarly();
+  }
+
+  // "After this stream" is over once its last playable song ends, or once
+  // playback has already moved off it (a queue pick elsewhere).
+  _isLeavingSleepStream() {
+      const stream = this.getCurrentStream();
+      if (!stream || stream.videoId !== this.sleepAfter.videoId || !stream.songs) return true;
+      return this._nextPlayableSong(stream, this.rIdx + 1) === -1;
+  }
+
+  // Count a finished song (or stream end) against the sleep timer. True when
+  // it has run out: the player pauses here instead of advancing. Resuming
+  // afterwards picks up with the next song, since the sleep is used up.
+  _sleepAtBoundary({ streamEnded = false } = {}) {
+      const sleep = this.sleepAfter;
+      if (!sleep) return false;
+      if (sleep.songs) {
+          sleep.songs -= 1;
+          if (sleep.songs > 0) return false;
+      } else if (!streamEnded && !this._isLeavingSleepStream()) {
+          return false;
+      }
+      this.sleepAfter = null;
+      this.cb.onSleep();
+      return true;
+  }
+
   toggleMemberMode() {
       this.memberMode = !this.memberMode;
       this.history = []; // Playlist indices change, history is invalid
@@ -348,18 +803,66 @@ export class PlayerCore {
   // ================= QUEUE (§13) =================
 
   enqueue(videoId, rIdx = 0) {
+      this.cb.beforeQueueEdit('enqueue');
       if (this.yapMode) {
           this.yapMode = false;
       }
-      // Additions always append (§13). Appends never shift existing indices,
-      // so the cycle cursor needs no adjustment — the new item simply plays
-      // last in the current cycle. Resolve rIdx at ingress so the stored value is
-      // always valid for the current playlist (unknown streams keep it verbatim).
-      const stream = this.playlist.find((p) => p.videoId === videoId);
-      this.queue.push({ videoId, rIdx: stream ? resolveRIdx(stream, rIdx) : rIdx });
+      // Appends never shift existing indices, so the cycle cursor needs no
+      // adjustment — the new item simply plays last in the current cycle.
+      this.queue.push(this._newQueueItem(videoId, rIdx));
       this._saveState();
   }
 
+  // Bulk add (a whole stream, a result list, every version of a song):
+  // appends in the given order, skipping tracks already queued — including
+  // repeats within the batch itself. Returns the counts for the UI summary.
+  enqueueMany(items) {
+      const fresh = [];
+      const isNew = (item) => !this.isQueued(item.videoId, item.rIdx)
+          && !fresh.some(f => f.videoId === item.videoId && f.rIdx === item.rIdx);
+      for (const { videoId, rIdx = 0 } of items) {
+          const item = this._newQueueItem(videoId, rIdx);
+          if (isNew(item)) fresh.push(item);
+      }
+      if (fresh.length > 0) {
+          this.cb.beforeQueueEdit('enqueueMany');
+          this.queue.push(...fresh);
+          this.yapMode = false;
+          this._saveState();
+      }
+      return { added: fresh.length, skipped: items.length - fresh.length };
+  }
+
+  // "Play next": insert right after the slot playing now, or at the front when
+  // playback isn't attached to the queue. A detached cursor is a gap before
+  // queue[cursor]; inserting at the cursor puts the item just after the gap,
+  // which is exactly the slot _nextQueueIndex picks. The item is flagged so a
+  // shuffled pick (or a cursor moved elsewhere) still plays it first.
+  enqueueNext(videoId, rIdx = 0) {
+      this.cb.beforeQueueEdit('playNext');
+      if (this.yapMode) {
+          this.yapMode = false;
+      }
+      this._reconcileQueueCursor();
+      const item = { ...this._newQueueItem(videoId, rIdx), playNext: true };
+      let at = 0;
+      if (this._queueCursor !== null) {
+          at = this._cursorDetached ? this._queueCursor : this._queueCursor + 1;
+      }
+      this.queue.splice(at, 0, item);
+      if (this._queueCursor !== null && at <= this._queueCursor && !this._cursorDetached) {
+          this._queueCursor++;
+      }
+      this._saveState();
+  }
+
+  // Resolve rIdx at ingress so the stored value is always valid for the
+  // current playlist (unknown streams keep it verbatim).
+  _newQueueItem(videoId, rIdx) {
+      const stream = this.playlist.find((p) => p.videoId === videoId);
+      return { videoId, rIdx: stream ? resolveRIdx(stream, rIdx) : rIdx };
+  }
+
   // Snap every queued item to a valid song index for the current playlist — a
   // persisted queue can outlive a segments.json change that shortened a stream.
   // Items whose stream isn't in the playlist (e.g. a member-only stream while
@@ -431,23 +934,113 @@ export class PlayerCore {
       return (this._queueCursor - 1 + n) % n;
   }
 
+  // Move queue[from] so it ends up at index `to` (a user reorder; playback
+  // itself never reorders, §13). The cursor follows the logical position:
+  // attached, it stays on the playing item wherever that item goes; detached,
+  // the gap keeps its neighbours, and an item dropped right onto the gap
+  // lands after it, i.e. plays next.
+  moveQueueItem(from, to) {
+      const n = this.queue.length;
+      if (!Number.isInteger(from) || !Number.isInteger(to)
+          || from < 0 || from >= n || to < 0 || to >= n || from === to) {
+          return false;
+      }
+      this.cb.beforeQueueEdit('move');
+      const [item] = this.queue.splice(from, 1);
+      this.queue.splice(to, 0, item);
+      if (this._queueCursor !== null) {
+          let cursor = this._queueCursor;
+          if (!this._cursorDetached && from === cursor) {
+              cursor = to;
+          } else {
+              // A detached cursor is a gap before queue[cursor]: removing an
+              // item ahead of it pulls it back, inserting one ahead pushes it on.
+              if (from < cursor) cursor--;
+              const inserted = this._cursorDetached ? to < cursor : to <= cursor;
+              if (inserted) cursor++;
+          }
+          this._queueCursor = cursor;
+      }
+      this._saveState();
+      return true;
+  }
+
   removeFromQueue(index) {
       if (index >= 0 && index < this.queue.length) {
+          this.cb.beforeQueueEdit('remove');
           this._removeQueueIndex(index);
           this._saveState();
       }
   }
 
   clearQueue() {
+      if (this.queue.length > 0) this.cb.beforeQueueEdit('clear');
       this.queue = [];
       this._clearQueueCursor();
       this._saveState();
   }
 
+  // Load a saved queue. Items go through the same ingress as enqueue: rIdx is
+  // resolved against the current playlist (so a save survives segment edits)
+  // and unknown streams are kept verbatim, to be dropped when they come up.
+  // Replace starts a fresh cycle; append leaves the cursor alone, as enqueue
+  // does. Returns how many items were added.
+  loadQueue(items, { append = false } = {}) {
+      const valid = (Array.isArray(items) ? items : []).filter(item =>
+          item && typeof item.videoId === 'string' && Number.isInteger(item.rIdx) && item.rIdx >= 0);
+      if (!append || valid.length > 0) this.cb.beforeQueueEdit(append ? 'append' : 'replace');
+      if (valid.length > 0 && this.yapMode) {
+          this.yapMode = false;
+      }
+      if (!append) {
+          this.queue = [];
+          this._clearQueueCursor();
+      }
+      for (const { videoId, rIdx } of valid) {
+          const stream = this.playlist.find((p) => p.videoId === videoId);
+          this.queue.push({ videoId, rIdx: stream ? resolveRIdx(stream, rIdx) : rIdx });
+      }
+      this._saveState();
+      return valid.length;
+  }
+
   getQueue() {
       return this.queue.slice();
   }
 
+  // The queue and its cycle position, copied for undo.
+  getQueueSnapshot() {
+      return {
+          items: this.queue.map(item => ({ ...item })),
+          cursor: this._queueCursor,
+          detached: this._cursorDetached,
+      };
+  }
+
+  // Put back a getQueueSnapshot() result. Not an edit (no beforeQueueEdit).
+  // Items are re-resolved against the current playlist, which an undone
+  // import may have changed, and the cursor is restored under the same rules
+  // as on reload: an attached one only while it still matches what's playing.
+  restoreQueueSnapshot({ items, cursor, detached } = {}) {
+      this.queue = (Array.isArray(items) ? items : [])
+          .filter(item => item && typeof item.videoId === 'string' && typeof item.rIdx === 'number')
+          .map(item => ({ ...item }));
+      this._normalizeQueueRIdx();
+      this._clearQueueCursor();
+      if (Number.isInteger(cursor) && cursor >= 0 && this.queue.length > 0) {
+          if (detached) {
+              if (cursor <= this.queue.length) {
+                  this._queueCursor = cursor;
+                  this._cursorDetached = true;
+              }
+          } else if (cursor < this.queue.length) {
+              this._queueCursor = cursor;
+              this._reconcileQueueCursor();
+          }
+      }
+      this._saveState();
+  }
+
   isQueueActive() {
       return this.queue.length > 0;
   }
@@ -459,21 +1052,32 @@ export class PlayerCore {
   }
 
   // Pick a queue item, resolve it to a playlist position, and play it.
-  // With shuffle on, a random item is chosen; otherwise Loop Queue continues
-  // the cycle from the cursor and other modes take the front. Playback never
+  // Pending "play next" items come first; after those, with shuffle on, a
+  // random item is chosen; otherwise Loop Queue continues the cycle from the
+  // cursor and other modes take the front. Playback never
   // reorders the queue: Loop Queue only moves the cursor, other modes consume
   // (remove) the played item. Invalid items are silently dropped until a
-  // valid one is found. Returns true if a valid item was loaded, false if
-  // queue exhausted.
+  // valid one is found. Blocked items are passed over but left in place, so
+  // unblocking one puts it straight back in rotation. Returns true if a valid
+  // item was loaded, false if queue exhausted (or everything left is blocked).
   _playFromQueue(pushHist) {
       // Forward-path mirror of prevSong's reconcile: drop a cursor left stale by
       // playback moving off the queue (a search jump, a loop-mode change, Loop
       // None consumption) so the non-shuffle Loop Queue pick below re-enters from
       // the front instead of advancing off a dangling cursor.
       this._reconcileQueueCursor();
+      // Invalid items count as eligible so the pick reaches them and drops them.
+      const isEligible = (i) => {
+          const item = this.queue[i];
+          const stream = this.playlist.find(p => p.videoId === item.videoId);
+          return !stream || !this._isSongBlocked(stream, resolveRIdx(stream, item.rIdx));
+      };
       while (this.queue.length > 0) {
-          let pickIdx;
-          if (this.shuffleMode) {
+          // Loop Queue walks the cycle from the cursor; other modes from the front.
+          const start = this.loopMode === LOOP_STREAM ? this._nextQueueIndex() : 0;
+          // A "play next" item goes first, ahead of shuffle and the cycle order.
+          let pickIdx = this._pendingPlayNextIndex(start, isEligible);
+          if (pickIdx === -1 && this.shuffleMode) {
               const current = this.getCurrentStream();
               // Same avoid-recent selection as playlist shuffle, but over a
               // queue-sized tail of the recent ring so a small cycling queue
@@ -485,18 +1089,25 @@ export class PlayerCore {
               const trackKey = (t) => `${t.videoId}:${t.rIdx}`;
               const windowSize = Math.min(
                   RECENT_LIMIT, Math.ceil(this.queue.length * QUEUE_RECENT_RATIO));
-              pickIdx = this._pickAvoidingRecent(
+              pickIdx = this._pickShuffled(
                   this.queue.length,
+                  (i) => this.queue[i],
                   (i) => trackKey(this.queue[i]),
                   (i) => !!current && this.queue[i].videoId === current.videoId
                       && this.queue[i].rIdx === this.rIdx,
                   windowSize,
-                  trackKey);
-          } else if (this.loopMode === LOOP_STREAM) {
-              pickIdx = this._nextQueueIndex();
-          } else {
-              pickIdx = 0;
+                  trackKey,
+                  isEligible);
+          } else if (pickIdx === -1) {
+              for (let step = 0; step < this.queue.length; step++) {
+                  const i = (start + step) % this.queue.length;
+                  if (isEligible(i)) {
+                      pickIdx = i;
+                      break;
+                  }
+              }
           }
+          if (pickIdx === -1) break;
           const item = this.queue[pickIdx];
           const idx = this.playlist.findIndex(p => p.videoId === item.videoId);
           if (idx === -1) {
@@ -505,6 +1116,7 @@ export class PlayerCore {
               continue;
           }
           if (pushHist) this.pushHistory();
+          delete item.playNext;
           if (this.loopMode === LOOP_STREAM) {
               // Loop Queue: the item stays in place; the cursor marks it as current.
               this._queueCursor = pickIdx;
@@ -515,6 +1127,8 @@ export class PlayerCore {
           this.vIdx = idx;
           const stream = this.playlist[idx];
           this.rIdx = resolveRIdx(stream, item.rIdx);
+          // Consuming an item can take the queue below Auto-DJ's minimum.
+          this._topUpAutoDj();
           const song = this.getCurrentSong();
           this._saveState(song ? song.range[0] : 0);
           return true;
@@ -523,6 +1137,17 @@ export class PlayerCore {
       return false;
   }
 
+  // First eligible item still flagged by enqueueNext, walking the cycle from
+  // `start`; -1 when none is pending.
+  _pendingPlayNextIndex(start, isEligible) {
+      const n = this.queue.length;
+      for (let step = 0; step < n; step++) {
+          const i = (start + step) % n;
+          if (this.queue[i].playNext && isEligible(i)) return i;
+      }
+      return -1;
+  }
+
   // Select a specific queue item by index (e.g. from the queue modal).
   // In Loop Queue the item stays in place and the cursor jumps to it, so the
   // arrangement is untouched and the cycle continues from that position; in
@@ -533,6 +1158,7 @@ export class PlayerCore {
       const streamIdx = this.playlist.findIndex(p => p.videoId === item.videoId);
       if (streamIdx === -1) return false;
       this.pushHistory();
+      delete item.playNext;
       if (this.loopMode === LOOP_STREAM) {
           this._queueCursor = index;
           this._cursorDetached = false;
@@ -556,6 +1182,220 @@ export class PlayerCore {
           ? this._queueCursor : -1;
   }
 
+  // ================= AUTO-DJ =================
+
+  /**
+   * Turn Auto-DJ on (keep at least `minQueue` items queued, topping up from
+   * cb.getAutoDjCandidates) or off (null). Songs it already queued stay.
+   * @param {{minQueue: number}|null} options
+   * @returns {number} how many songs were queued right away
+   */
+  setAutoDj(options) {
+      this.autoDj = options && options.minQueue > 0 ? { minQueue: options.minQueue } : null;
+      return this._topUpAutoDj();
+  }
+
+  isAutoDjActive() {
+      return this.autoDj !== null;
+  }
+
+  // Append Auto-DJ picks until the queue holds minQueue items. Each pick is
+  // seeded by the one before it, so "same artist" chains and mood alternation
+  // carry through a multi-song top-up. Not a user edit: no beforeQueueEdit.
+  _topUpAutoDj() {
+      if (!this.autoDj) return 0;
+      const trackKey = (t) => `${t.videoId}:${t.rIdx}`;
+      const current = this.getCurrentStream();
+      let added = 0;
+      while (this.queue.length < this.autoDj.minQueue) {
+          const tail = this.queue[this.queue.length - 1];
+          const seed = tail
+              ? { videoId: tail.videoId, rIdx: tail.rIdx }
+              : current ? { videoId: current.videoId, rIdx: this.rIdx } : null;
+          const candidates = [];
+          const blocked = [];
+          for (const { videoId, rIdx = 0 } of this.cb.getAutoDjCandidates(seed) || []) {
+              const stream = this.playlist.find(p => p.videoId === videoId);
+              if (!stream) continue;
+              const resolved = resolveRIdx(stream, rIdx);
+              candidates.push({ videoId, rIdx: resolved });
+              blocked.push(this._isSongBlocked(stream, resolved));
+          }
+          // Same anti-repeat pick as shuffle, over the whole recent ring. Queued
+          // and blocked tracks are never picked; the song playing now only when
+          // nothing else is left.
+          const pick = this._pickAvoidingRecent(
+              candidates.length,
+              (i) => trackKey(candidates[i]),
+              (i) => !!current && candidates[i].videoId === current.videoId
+                  && candidates[i].rIdx === this.rIdx,
+              RECENT_LIMIT,
+              trackKey,
+              (i) => !blocked[i] && !this.isQueued(candidates[i].videoId, candidates[i].rIdx));
+          if (pick === -1) break;
+          this.queue.push({ ...candidates[pick], autoDj: true });
+          added++;
+      }
+      if (added > 0) {
+          this.yapMode = false;
+          this._saveState();
+      }
+      return added;
+  }
+
+  // ================= SMART LISTS =================
+
+  // A smart list (Favorites) plays a fixed list of tracks as if it were a
+  // stream: Next and auto-advance walk it in order, or at random with shuffle;
+  // Loop Stream wraps it and Loop Track repeats the song. Unlike the queue it
+  // is never consumed. The queue still takes precedence, and playback landing
+  // anywhere the list didn't put it (search, stream nav, a queue item) ends it.
+
+  // Keep items whose stream is in the playlist, with rIdx snapped to it.
+  _resolveSmartListItems(items) {
+      const out = [];
+      for (const item of items) {
+          if (!item || typeof item.videoId !== 'string') continue;
+          const stream = this.playlist.find(p => p.videoId === item.videoId);
+          if (stream) out.push({ videoId: item.videoId, rIdx: resolveRIdx(stream, item.rIdx) });
+      }
+      return out;
+  }
+
+  /**
+   * Start playing `items` as a smart list. Returns false (and changes nothing)
+   * when none of them are in the playlist.
+   * @param {string} name
+   * @param {Array<{videoId: string, rIdx: number}>} items
+   * @returns {boolean}
+   */
+  startSmartList(name, items) {
+      const resolved = this._resolveSmartListItems(items || []);
+      if (!resolved.length) return false;
+      // Songs only, like the queue: Yap would play on past the song's end.
+      this.yapMode = false;
+      this.pushHistory();
+      this._clearQueueCursor();
+      this.smartList = { name, items: resolved, pos: 0, played: [] };
+      const start = this.shuffleMode
+          ? this._pickAvoidingRecent(resolved.length, (i) => `${resolved[i].videoId}:${resolved[i].rIdx}`,
+              () => false, RECENT_LIMIT, (t) => `${t.videoId}:${t.rIdx}`)
+          : 0;
+      this._playSmartListIndex(start);
+      return true;
+  }
+
+  stopSmartList() {
+      if (!this.smartList) return;
+      this.smartList = null;
+      this._saveState();
+  }
+
+  isSmartListActive() {
+      this._reconcileSmartList();
+      return this.smartList !== null;
+  }
+
+  // {name, position (1-based), total} for the status line, or null.
+  getSmartListInfo() {
+      if (!this._smartListOwnsCurrent()) return null;
+      const { name, pos, items } = this.smartList;
+      return { name, position: pos + 1, total: items.length };
+  }
+
+  _smartListOwnsCurrent() {
+      if (!this.smartList) return false;
+      const item = this.smartList.items[this.smartList.pos];
+      const current = this.getCurrentStream();
+      return !!item && !!current && item.videoId === current.videoId && item.rIdx === this.rIdx;
+  }
+
+  // Same lazy approach as _reconcileQueueCursor: rather than hooking every
+  // jump, drop the list at the point of use once playback has left it.
+  _reconcileSmartList() {
+      if (this.smartList && !this._smartListOwnsCurrent()) {
+          this.smartList = null;
+      }
+  }
+
+  // Whether the item's stream is still in the playlist (member mode or an
+  // import can drop it while the list plays). Missing items are stepped over.
+  _smartListItemPlayable(item) {
+      return this.playlist.some(p => p.videoId === item.videoId);
+  }
+
+  // Callers only pass playable indices (see _smartListItemPlayable).
+  _playSmartListIndex(index) {
+      const list = this.smartList;
+      const item = list.items[index];
+      list.pos = index;
+      list.played.push(index);
+      this.vIdx = this.playlist.findIndex(p => p.videoId === item.videoId);
+      // Re-snap like _playFromQueue: the stream may have been re-segmented
+      // since the list started.
+      item.rIdx = resolveRIdx(this.playlist[this.vIdx], item.rIdx);
+      this.rIdx = item.rIdx;
+      const song = this.getCurrentSong();
+      this._saveState(song ? song.range[0] : 0);
+  }
+
+  // Next position, or -1 when the list is finished. Without Loop Stream every
+  // track plays once (shuffle included); with it the list goes round forever.
+  // Items whose stream has left the playlist are skipped.
+  _nextSmartListIndex() {
+      const { items, pos, played } = this.smartList;
+      const looping = this.loopMode === LOOP_STREAM;
+      const playable = (i) => this._smartListItemPlayable(items[i]);
+      if (!this.shuffleMode) {
+          for (let i = pos + 1; i < items.length; i++) if (playable(i)) return i;
+          if (!looping) return -1;
+          for (let i = 0; i <= pos; i++) if (playable(i)) return i;
+          return -1;
+      }
+      let candidates = items.map((_, i) => i).filter(playable);
+      if (!looping) candidates = candidates.filter(i => !played.includes(i));
+      if (!candidates.length) return -1;
+      const trackKey = (t) => `${t.videoId}:${t.rIdx}`;
+      const pick = this._pickAvoidingRecent(
+          candidates.length,
+          (j) => trackKey(items[candidates[j]]),
+          (j) => candidates[j] === pos,
+          Math.min(RECENT_LIMIT, Math.ceil(items.length * QUEUE_RECENT_RATIO)),
+          trackKey);
+      return candidates[pick];
+  }
+
+  // Move to the next track of the smart list. Returns false when no list is
+  // playing or it just ran out; either way normal navigation takes over.
+  _advanceSmartList(pushHist) {
+      this._reconcileSmartList();
+      if (!this.smartList) return false;
+      const next = this._nextSmartListIndex();
+      if (next === -1) {
+          this.smartList = null;
+          return false;
+      }
+      if (pushHist) this.pushHistory();
+      this._playSmartListIndex(next);
+      return true;
+  }
+
+  // Previous track: the one played before in shuffle, the one above otherwise
+  // (wrapping with Loop Stream). Null when there is nowhere to go back to.
+  // Items whose stream has left the playlist are skipped, as going forward.
+  _prevSmartListIndex() {
+      const { items, pos, played } = this.smartList;
+      const playable = (i) => this._smartListItemPlayable(items[i]);
+      if (this.shuffleMode) {
+          for (let k = played.length - 2; k >= 0; k--) if (playable(played[k])) return played[k];
+          return null;
+      }
+      for (let i = pos - 1; i >= 0; i--) if (playable(i)) return i;
+      if (this.loopMode !== LOOP_STREAM) return null;
+      for (let i = items.length - 1; i >= pos; i--) if (playable(i)) return i;
+      return null;
+  }
+
   // ================= NAVIGATION =================
 
   pushHistory() {
@@ -570,7 +1410,12 @@ export class PlayerCore {
           this.history.shift();
       }
       // The track we're leaving is now "recently played" — shuffle avoids it.
-      if (stream) this._recordRecent(stream.videoId, this.rIdx);
+      if (stream) {
+          this._recordRecent(stream.videoId, this.rIdx);
+          const at = this.cb.now();
+          this._playedAt.set(stream.videoId, at);
+          this._playedAt.set(`${stream.videoId}:${this.rIdx}`, at);
+      }
   }
 
   // Move a track to the newest slot of the recent ring (de-duplicating by
@@ -606,25 +1451,188 @@ export class PlayerCore {
   // its comparison key; ringKey(entry) maps a stored {videoId, rIdx} ring entry to
   // the same key space — the two callers choose the granularity (videoId for
   // playlist, videoId+rIdx for queue). isCurrent(i) marks indices to never prefer.
-  _pickAvoidingRecent(count, keyOf, isCurrent, windowSize, ringKey) {
+  // isEligible(i) is a hard filter (the blocklist): ineligible indices are never
+  // picked, and -1 comes back when nothing is eligible. weightOf(i), when given,
+  // makes the final draw proportional to it instead of uniform.
+  _pickAvoidingRecent(count, keyOf, isCurrent, windowSize, ringKey, isEligible = () => true, weightOf = null) {
       // Floor at 1: slice(-0) === slice(0) returns the *whole* ring, which would
       // bar every candidate and invert the intended "recent tail" semantics.
       const recent = new Set(this.recentTracks.slice(-Math.max(1, windowSize)).map(ringKey));
       const fresh = [];
       const notCurrent = [];
+      const eligible = [];
       for (let i = 0; i < count; i++) {
+          if (!isEligible(i)) continue;
+          eligible.push(i);
           if (isCurrent(i)) continue;
           notCurrent.push(i);
           if (!recent.has(keyOf(i))) fresh.push(i);
       }
-      const pool = fresh.length > 0 ? fresh : notCurrent;
-      return pool.length > 0
-          ? pool[Math.floor(Math.random() * pool.length)]
-          : Math.floor(Math.random() * count);
+      const pool = fresh.length > 0 ? fresh : notCurrent.length > 0 ? notCurrent : eligible;
+      if (pool.length === 0) return -1;
+      const weights = weightOf ? pool.map(i => Math.max(0, weightOf(i))) : null;
+      const total = weights ? weights.reduce((sum, w) => sum + w, 0) : 0;
+      if (total <= 0) return pool[Math.floor(this.cb.random() * pool.length)];
+      let r = this.cb.random() * total;
+      for (let k = 0; k < pool.length; k++) {
+          r -= weights[k];
+          if (r < 0) return pool[k];
+      }
+      return pool[pool.length - 1];
+  }
+
+  // _pickAvoidingRecent under the shuffle strategy. trackOf(i) is the
+  // candidate as {videoId, rIdx}, rIdx null for a stream-level pick.
+  _pickShuffled(count, trackOf, keyOf, isCurrent, windowSize, ringKey, isEligible = () => true) {
+      let eligible = isEligible;
+      let weightOf = null;
+      if (this.shuffleStrategy === SHUFFLE_LEAST_RECENT) {
+          // Only the candidates heard longest ago (never counts as oldest)
+          // stay in the draw; ties are picked at random.
+          let oldest = Infinity;
+          for (let i = 0; i < count; i++) {
+              if (isEligible(i) && !isCurrent(i)) oldest = Math.min(oldest, this._lastPlayedAt(trackOf(i)));
+          }
+          if (oldest !== Infinity) {
+              eligible = (i) => isEligible(i) && (isCurrent(i) || this._lastPlayedAt(trackOf(i)) === oldest);
+          }
+      } else if (this.shuffleStrategy === SHUFFLE_FAVORITES) {
+          weightOf = (i) => 1 + FAVORITE_SHUFFLE_WEIGHT * this._favoriteCount(trackOf(i));
+      } else if (this.shuffleStrategy === SHUFFLE_NEWER) {
+          const ranks = this._releaseRanks();
+          weightOf = (i) => ranks.get(trackOf(i).videoId) ?? 1;
+      }
+      return this._pickAvoidingRecent(count, keyOf, isCurrent, windowSize, ringKey, eligible, weightOf);
+  }
+
+  // Newer Streams weights by release date, not playlist position (pins and
+  // covers sit at the top, imports come in any order): the newest of N dated
+  // streams gets N draws, the oldest one. Undated streams get the middle
+  // weight, neither favoured nor held back.
+  _releaseRanks() {
+      const dated = this.playlist.filter(p => p.released !== null).sort((a, b) => a.released - b.released);
+      const ranks = new Map(dated.map((p, k) => [p.videoId, k + 1]));
+      const neutral = (dated.length + 1) / 2;
+      this.playlist.forEach(p => {
+          if (!ranks.has(p.videoId)) ranks.set(p.videoId, neutral);
+      });
+      return ranks;
+  }
+
+  _lastPlayedAt({ videoId, rIdx }) {
+      const key = rIdx === null ? videoId : `${videoId}:${rIdx}`;
+      return Math.max(this.cb.getLastPlayed(videoId, rIdx) || 0, this._playedAt.get(key) || 0);
+  }
+
+  // Favorite songs among the candidate: the song itself, or a whole stream's.
+  _favoriteCount({ videoId, rIdx }) {
+      if (rIdx !== null) return this.cb.isFavorite(videoId, rIdx) ? 1 : 0;
+      const stream = this.playlist.find(p => p.videoId === videoId);
+      const songCount = stream && stream.songs ? stream.songs.length : 1;
+      let favorites = 0;
+      for (let i = 0; i < songCount; i++) {
+          if (this.cb.isFavorite(videoId, i)) favorites++;
+      }
+      return favorites;
+  }
+
+  // Radio mode (song-level shuffle): the next song is drawn from every song
+  // of every stream rather than finishing the stream first. Yap plays whole
+  // streams and Loop Stream asks to stay in one, so both suspend it; under
+  // Loop Track auto-advance repeats the song and Next moves to a new pick. An
+  // active queue still comes first.
+  _songShuffleActive() {
+      return this.shuffleMode && this.shuffleStrategy === SHUFFLE_SONGS
+          && !this.yapMode && this.loopMode !== LOOP_STREAM;
+  }
+
+  isRadioActive() {
+      return this._songShuffleActive();
+  }
+
+  // Jump to a shuffled song anywhere in the playlist, within the radio filter
+  // when it matches anything. Track-level anti-repeat, like the queue. Pushes
+  // history, so Prev walks back through the picks. False when every song is
+  // blocked.
+  _shuffleToSong() {
+      const tracks = [];
+      this.playlist.forEach((stream, vIdx) => {
+          const count = stream.songs ? stream.songs.length : 1;
+          for (let rIdx = 0; rIdx < count; rIdx++) {
+              if (this._isSongBlocked(stream, rIdx)) continue;
+              tracks.push({ vIdx, videoId: stream.videoId, rIdx, inFilter: this.cb.isRadioCandidate(stream, rIdx) });
+          }
+      });
+      const trackKey = (t) => `${t.videoId}:${t.rIdx}`;
+      const filtered = tracks.some(t => t.inFilter);
+      const pick = this._pickAvoidingRecent(
+          tracks.length,
+          (i) => trackKey(tracks[i]),
+          (i) => tracks[i].vIdx === this.vIdx && tracks[i].rIdx === this.rIdx,
+          RECENT_LIMIT,
+          trackKey,
+          (i) => !filtered || tracks[i].inFilter);
+      if (pick === -1) return false;
+      this.pushHistory();
+      this.vIdx = tracks[pick].vIdx;
+      this.rIdx = tracks[pick].rIdx;
+      const song = this.getCurrentSong();
+      this._saveState(song ? song.range[0] : 0);
+      return true;
+  }
+
+  // ================= BLOCKLIST =================
+
+  _isSongBlocked(stream, rIdx) {
+      return !!stream && this.cb.isBlocked(stream.videoId, rIdx);
+  }
+
+  // Index of the first song at or after `from` that may auto-play, or -1.
+  // A Rule 0 stream is a single song at index 0.
+  _nextPlayableSong(stream, from) {
+      const count = stream && stream.songs ? stream.songs.length : 1;
+      for (let i = Math.max(0, from); i < count; i++) {
+          if (!this._isSongBlocked(stream, i)) return i;
+      }
+      return -1;
+  }
+
+  _isStreamFullyBlocked(stream) {
+      return this._nextPlayableSong(stream, 0) === -1;
+  }
+
+  // Where a stream is entered by next-stream navigation: its first playable song.
+  _enterStream(vIdx) {
+      this.vIdx = vIdx;
+      this.rIdx = Math.max(0, this._nextPlayableSong(this.playlist[vIdx], 0));
   }
 
   // Helper to get next index
+  // Streams whose every song is blocked are skipped, unless that is all of
+  // them — then the blocklist is ignored rather than leaving nowhere to go.
   _getNextStreamIndex() {
+      const playable = (i) => !this._isStreamFullyBlocked(this.playlist[i]);
+      if (!this.playlist.some((_, i) => playable(i))) return this._getNextStreamIndexIgnoringBlocks();
+      if (this.shuffleMode) {
+          if (this.playlist.length <= 1) return 0;
+          const pick = this._pickShuffled(
+              this.playlist.length,
+              (i) => ({ videoId: this.playlist[i].videoId, rIdx: null }),
+              (i) => this.playlist[i].videoId,
+              (i) => i === this.vIdx,
+              RECENT_LIMIT,
+              (e) => e.videoId,
+              playable);
+          return pick === -1 ? this.vIdx : pick;
+      }
+      for (let step = 1; step <= this.playlist.length; step++) {
+          const i = (this.vIdx + step) % this.playlist.length;
+          if (playable(i)) return i;
+      }
+      return this.vIdx;
+  }
+
+  _getNextStreamIndexIgnoringBlocks() {
       if (this.shuffleMode) {
           // Pick random excluding current if possible
           if (this.playlist.length <= 1) return 0;
@@ -636,8 +1644,9 @@ export class PlayerCore {
           // stream is left, but playlist shuffle re-enters at song 0, so a
           // track-level match (videoId+rIdx) would never hit and stream avoidance
           // would silently break. Do NOT reuse the queue's track key here.
-          return this._pickAvoidingRecent(
+          return this._pickShuffled(
               this.playlist.length,
+              (i) => ({ videoId: this.playlist[i].videoId, rIdx: null }),
               (i) => this.playlist[i].videoId,
               (i) => i === this.vIdx,
               RECENT_LIMIT,
@@ -653,6 +1662,8 @@ export class PlayerCore {
 
   nextStream() {
       this.pushHistory();
+      this.smartList = null;
+      this._topUpAutoDj();
 
       if (this.isQueueActive()) {
           if (this._playFromQueue(false)) {
@@ -661,15 +1672,15 @@ export class PlayerCore {
       }
 
       this._clearQueueCursor();
-      this.vIdx = this._getNextStreamIndex();
-      this.rIdx = 0;
-      this._saveState(this.getStreamDefaultStart());
+      this._enterStream(this._getNextStreamIndex());
+      this._saveState(this._getHistoryPosition());
       return true;
   }
 
   prevStream(options = {}) {
     const { skipHistory = false } = options;
     this._clearQueueCursor();
+    this.smartList = null;
     let saveTime = 0;
 
     // Shift+prevStream: bypass history and jump straight to the sequential
@@ -704,8 +1715,7 @@ export class PlayerCore {
           // "Once we run out of history, we randomize even on the backwards direction"
           if (this.shuffleMode) {
               // Randomize
-              this.vIdx = this._getNextStreamIndex(); // Same logic as next for random
-              this.rIdx = 0;
+              this._enterStream(this._getNextStreamIndex()); // Same logic as next for random
           } else {
               // Standard prev behavior
               if (this.vIdx > 0) {
@@ -723,10 +1733,13 @@ export class PlayerCore {
 
   nextSong(currentTime) {
       const stream = this.getCurrentStream();
+      const selectionStep = this._stepSelectionNav(1, currentTime);
+      if (selectionStep) return selectionStep;
 
       // Queue active: skip directly to next queue item, bypassing within-stream
       // advancement. Avoids stale-time issues from _syncIndexToTime and ensures
       // "the next item to play always comes from the queue" (§13).
+      this._topUpAutoDj();
       if (this.isQueueActive()) {
           // Loop Track: repeat current song, don't advance or consume the queue
           if (this.loopMode === LOOP_TRACK) {
@@ -740,7 +1753,14 @@ export class PlayerCore {
           // Queue exhausted (all items invalid), fall through to normal navigation
       }
 
+      if (this._advanceSmartList(true)) {
+          return { type: 'load' };
+      }
+
       this._clearQueueCursor();
+      if (this._songShuffleActive() && this._shuffleToSong()) {
+          return { type: 'load' };
+      }
       const posContext = this._syncIndexToTime(currentTime, stream);
       const jumpToNextStreamStart = () => {
           this.nextStream();
@@ -757,7 +1777,7 @@ export class PlayerCore {
 
       // If before the first song, "next" goes TO song 0 (don't skip past it)
       if (posContext === 'before') {
-          this.rIdx = 0;
+          this.rIdx = this.yapMode ? 0 : Math.max(0, this._nextPlayableSong(stream, 0));
           return this.yapMode
               ? { type: 'seek', time: stream.songs[0].range[0] }
               : { type: 'load' };
@@ -766,7 +1786,7 @@ export class PlayerCore {
       // If after the last song, go to next stream
       if (posContext === 'after') {
           if (this.loopMode === LOOP_STREAM) {
-              this.rIdx = 0;
+              this.rIdx = Math.max(0, this._nextPlayableSong(stream, 0));
               return { type: 'load' };
           }
           return jumpToNextStreamStart();
@@ -784,22 +1804,54 @@ export class PlayerCore {
       }
 
       // Standard segmented playback reloads so end bounds remain enforced.
-      // For 'gap' context, rIdx points to the song that just ended, so rIdx++ goes to the next song.
-      if (this.rIdx < stream.songs.length - 1) {
-          this.rIdx++;
+      // For 'gap' context, rIdx points to the song that just ended, so the
+      // search starts at the next song.
+      if (this._advanceWithinStream(stream)) {
           return { type: 'load' };
-      } else {
-          if (this.loopMode === LOOP_STREAM) {
-              this.rIdx = 0;
-              return { type: 'load' };
-          } else {
-             return jumpToNextStreamStart();
-          }
       }
+      return jumpToNextStreamStart();
+  }
+
+  // Next/Prev leave an A-B loop (the song they land on may start right at B,
+  // where the loop would catch it) and walk a selection loop's picks, Prev
+  // restarting the song past the usual threshold. Null: navigate as normal.
+  _stepSelectionNav(step, currentTime) {
+      if (this.abLoop) {
+          this.abLoop = null;
+          if (this.loopMode === LOOP_AB) this.loopMode = LOOP_NONE;
+          this._saveState(currentTime);
+      }
+      if (!this._activeLoopSelection()) return null;
+      const songs = this.getCurrentStream().songs;
+      const start = songs[this.rIdx].range[0];
+      if (step < 0 && currentTime - start > RESTART_THRESHOLD_SECONDS) {
+          return { type: 'seek', time: start };
+      }
+      this.rIdx = this._stepLoopSelection(step);
+      return this.yapMode
+          ? { type: 'seek', time: songs[this.rIdx].range[0] }
+          : { type: 'load' };
+  }
+
+  // Move rIdx to the next song of `stream` that may auto-play, wrapping to
+  // the first one under Loop Stream. False means the stream is used up.
+  _advanceWithinStream(stream) {
+      const next = this._nextPlayableSong(stream, this.rIdx + 1);
+      if (next !== -1) {
+          this.rIdx = next;
+          return true;
+      }
+      if (this.loopMode === LOOP_STREAM) {
+          this.rIdx = Math.max(0, this._nextPlayableSong(stream, 0));
+          return true;
+      }
+      return false;
   }
 
   prevSong(currentTime = 0) {
       const stream = this.getCurrentStream();
+      const selectionStep = this._stepSelectionNav(-1, currentTime);
+      if (selectionStep) return selectionStep;
 
       if (this.isQueueActive()) {
           // Drop a stale cursor (playback moved off the queue item without
@@ -879,6 +1931,42 @@ export class PlayerCore {
           }
       }
 
+      this._reconcileSmartList();
+      if (this.smartList) {
+          const song = this.getCurrentSong();
+          const prevIdx = this._prevSmartListIndex();
+          if (prevIdx === null || currentTime - song.range[0] > RESTART_THRESHOLD_SECONDS) {
+              return { type: 'seek', time: song.range[0] };
+          }
+          // Step back along the trail so a further Prev keeps going back.
+          if (this.shuffleMode) {
+              const { played } = this.smartList;
+              played.length = played.lastIndexOf(prevIdx, played.length - 2);
+          }
+          this.pushHistory();
+          this._playSmartListIndex(prevIdx);
+          return { type: 'load' };
+      }
+
+      // Radio: Prev retraces the picks through history (past the restart
+      // threshold it restarts the song, as everywhere else).
+      if (this._songShuffleActive() && this.history.length > 0) {
+          const song = this.getCurrentSong();
+          if (song && currentTime - song.range[0] > RESTART_THRESHOLD_SECONDS) {
+              return { type: 'seek', time: song.range[0] };
+          }
+          const prev = this.history.pop();
+          const prevStream = this.playlist[prev.vIdx];
+          if (prevStream) {
+              this._clearQueueCursor();
+              this.vIdx = prev.vIdx;
+              this.rIdx = resolveRIdx(prevStream, prev.rIdx);
+              const prevSong = this.getCurrentSong();
+              this._saveState(prevSong ? prevSong.range[0] : 0);
+              return { type: 'load' };
+          }
+      }
+
       this._clearQueueCursor();
       const posContext = this._syncIndexToTime(currentTime, stream);
 
@@ -959,14 +2047,70 @@ export class PlayerCore {
       const stream = this.getCurrentStream();
       if (!stream) return;
 
+      // Inside an A-B loop nothing advances, gaps and song ends included;
+      // playing into B jumps back to A. A seek well away from the loop
+      // plays on as usual.
+      const ab = this._activeAbLoop();
+      if (ab) {
+          if (currentTime >= ab.a && currentTime < ab.b - this._seekEarly()) {
+              if (stream.songs) {
+                  const idx = stream.songs.findIndex(s => currentTime >= s.range[0] && currentTime < s.range[1]);
+                  if (idx !== -1) this.rIdx = idx;
+              }
+              return;
+          }
+          if (currentTime >= ab.b - this._seekEarly() && currentTime < ab.b + AB_LOOP_CATCH_SECONDS * this.playbackRate) {
+              this.cb.seekTo(ab.a);
+              return;
+          }
+      }
+
       if (!stream.songs) {
           return;
       }
 
       if (this.yapMode) {
-           this._syncIndexToTime(currentTime, stream);
+           const before = this.rIdx;
+           const position = this._syncIndexToTime(currentTime, stream);
            const lastSong = stream.songs[stream.songs.length - 1];
-           if (currentTime >= lastSong.range[1] - 0.2) { // SEEK_EARLY
+           let streamEnded = currentTime >= lastSong.range[1] - this._seekEarly();
+           // Blocked songs are jumped over as playback reaches them: on to
+           // the next playable one, or straight to the end of the stream.
+           if (position === 'inside' && this.rIdx === before + 1 && this._isSongBlocked(stream, this.rIdx)) {
+               const next = this._nextPlayableSong(stream, this.rIdx + 1);
+               if (next === -1) {
+                   streamEnded = true;
+               } else {
+                   this.rIdx = next;
+                   this.cb.seekTo(stream.songs[next].range[0]);
+                   if (this.sleepAfter && this.sleepAfter.songs) this._sleepAtBoundary();
+                   return;
+               }
+           }
+           // Yap plays through: a song counts for sleep once the next one
+           // starts, so the talk after it isn't cut.
+           if (!streamEnded && this.rIdx === before + 1 && this.sleepAfter && this.sleepAfter.songs
+               && this._sleepAtBoundary()) return;
+           if (this._activeRepeat() && currentTime >= stream.songs[this.rIdx].range[1] - this._seekEarly()
+               && this._repeatAtSongEnd()) {
+               return;
+           }
+           // Looping picked songs: the talk after one plays only when the
+           // next song is picked too; otherwise on to the next pick.
+           const selection = this._activeLoopSelection();
+           if (selection && selection.includes(this.rIdx) && !selection.includes(this.rIdx + 1)
+               && currentTime >= stream.songs[this.rIdx].range[1] - this._seekEarly()) {
+               this.rIdx = this._stepLoopSelection(1);
+               this.cb.seekTo(stream.songs[this.rIdx].range[0]);
+               return;
+           }
+           if (streamEnded) {
+               if (this._sleepAtBoundary({ streamEnded: true })) return;
+               if (selection) {
+                   this.rIdx = selection[0];
+                   this.cb.seekTo(stream.songs[this.rIdx].range[0]);
+                   return;
+               }
                this.nextStream();
                this.cb.playVideo(); // Trigger load
            }
@@ -978,36 +2122,120 @@ export class PlayerCore {
       if (currentTime < currentSong.range[0] - 1 || currentTime > currentSong.range[1] + 1) {
           const matchIdx = stream.songs.findIndex(s => currentTime >= s.range[0] && currentTime < s.range[1]);
           if (matchIdx !== -1) {
+              // Played on through a seamless boundary: the song it left
+              // still counts for sleep.
+              const playedThrough = matchIdx === this.rIdx + 1 && this._playsThroughEnd(stream);
               this.rIdx = matchIdx;
+              if (playedThrough && this.sleepAfter && this.sleepAfter.songs) this._sleepAtBoundary();
           } else {
               // Manual seeks into gaps should play uninterrupted (behavior §4E).
           }
           return; 
       }
 
-      const nextSong = stream.songs[this.rIdx + 1];
-      const hasSeamlessNext =
-          !!nextSong &&
-          Math.abs((nextSong.range[0] ?? 0) - (currentSong.range[1] ?? 0)) <= SEAMLESS_GAP_SECONDS;
-
       // In non-yap mode, if two segments neighbor each other seamlessly,
       // we do not auto-advance at that internal boundary – we just let
       // playback continue and rely on status text updating from rIdx tracking.
-      if (!hasSeamlessNext && currentTime >= currentSong.range[1] - 0.2) {
+      if (!this._playsThroughEnd(stream) && currentTime >= currentSong.range[1] - this._seekEarly()) {
           this.advanceAuto();
       }
   }
 
+  // Whether the current song runs on into the next one in Yap Off rather
+  // than auto-advancing. A blocked neighbour isn't played through, since
+  // advancing skips it, nor one left out of a selection loop. A pending
+  // repeat or a sleep timer running out needs the boundary. Radio draws
+  // every next song, and a smart list owns the song, not the stream, so
+  // both always advance.
+  _playsThroughEnd(stream) {
+      return this._isSeamless(stream, this.rIdx) && !this._isSongBlocked(stream, this.rIdx + 1)
+          && this._inLoopSelection(this.rIdx + 1) && !this._repeatPending()
+          && !(this.sleepAfter && this.sleepAfter.songs === 1)
+          && !this._songShuffleActive() && !this._smartListOwnsCurrent();
+  }
+
+  // Whether song `from` runs straight into the one after it (within
+  // SEAMLESS_GAP_SECONDS), so Yap Off plays through the boundary.
+  _isSeamless(stream, from) {
+      const song = stream.songs[from];
+      const next = stream.songs[from + 1];
+      return !!song && !!next && Math.abs((next.range[0] ?? 0) - (song.range[1] ?? 0)) <= SEAMLESS_GAP_SECONDS;
+  }
+
+  /**
+   * Volume level for fading songs in and out at their boundaries in Yap Off:
+   * up from 0 at a song's start, down to 0 where it auto-advances, each over
+   * `fadeSeconds`. Seamless neighbours play through, so they don't fade.
+   * @param {number} currentTime
+   * @param {number} fadeSeconds 0 turns fades off
+   * @returns {number} 0–1, 1 when no fade applies
+   */
+  getSegmentFadeLevel(currentTime, fadeSeconds) {
+      if (!(fadeSeconds > 0) || this.yapMode || !Number.isFinite(currentTime) || this._activeAbLoop()) return 1;
+      const stream = this.getCurrentStream();
+      if (!stream || !stream.songs) return 1;
+      const song = stream.songs[this.rIdx];
+      // Outside the song (a manual seek into a gap) nothing advances.
+      if (!song || currentTime < song.range[0] - 1 || currentTime > song.range[1] + 1) return 1;
+
+      // A smart list owns the song, not the stream, and radio drew it from
+      // anywhere: neighbours don't matter.
+      const owned = this._smartListOwnsCurrent() || this._songShuffleActive();
+      const seamlessIn = !owned && this._isSeamless(stream, this.rIdx - 1) && !this._isSongBlocked(stream, this.rIdx - 1)
+          && this._inLoopSelection(this.rIdx - 1);
+      const seamlessOut = this._playsThroughEnd(stream);
+      // Fades last `fadeSeconds` of listening, so more stream time when sped up.
+      const span = fadeSeconds * this.playbackRate;
+      const fadeIn = seamlessIn ? 1 : (currentTime - song.range[0]) / span;
+      const fadeOut = seamlessOut ? 1 : (song.range[1] - this._seekEarly() - currentTime) / span;
+      return Math.min(1, Math.max(0, Math.min(fadeIn, fadeOut)));
+  }
+
+  /**
+   * Volume factor for the loudness data at `currentTime`: the stream's `gain`
+   * plus the active song's, in dB. In Yap mode the active song follows the
+   * time, so the level changes as playback crosses ranges; talk between songs
+   * gets the stream's gain alone.
+   * @param {number} currentTime
+   * @returns {number} 1 when no gain is set; above 1 boosts
+   */
+  getGainLevel(currentTime) {
+      const stream = this.getCurrentStream();
+      if (!stream) return 1;
+      let db = stream.gain || 0;
+      if (stream.songs) {
+          const song = this.yapMode
+              ? stream.songs.find(s => currentTime >= s.range[0] && currentTime < s.range[1])
+              : stream.songs[this.rIdx];
+          if (song && Number.isFinite(song.gain)) db += song.gain;
+      }
+      return db === 0 ? 1 : 10 ** (db / 20);
+  }
+
   onVideoEnded() {
       this.advanceAuto();
   }
 
   advanceAuto() {
+      if (this._sleepAtBoundary()) return;
+      const ab = this._activeAbLoop();
+      if (ab) {
+          this.cb.seekTo(ab.a);
+          return;
+      }
+      if (this._repeatAtSongEnd()) return;
       if (this.loopMode === LOOP_TRACK) {
           this.cb.seekTo(this.getCurrentSong().range[0]);
           return;
       }
+      // Like Loop Track, a selection loop holds playback ahead of the queue.
+      if (this._activeLoopSelection()) {
+          this.rIdx = this._stepLoopSelection(1);
+          this.cb.playVideo();
+          return;
+      }
 
+      this._topUpAutoDj();
       if (this.isQueueActive()) {
           if (this._playFromQueue(true)) {
               this.cb.playVideo();
@@ -1016,7 +2244,16 @@ export class PlayerCore {
           // Queue exhausted, fall through to normal auto-advance
       }
 
+      if (this._advanceSmartList(true)) {
+          this.cb.playVideo();
+          return;
+      }
+
       this._clearQueueCursor();
+      if (this._songShuffleActive() && this._shuffleToSong()) {
+          this.cb.playVideo();
+          return;
+      }
       const stream = this.getCurrentStream();
       if (!stream.songs) {
            if (this.loopMode === LOOP_STREAM) {
@@ -1028,18 +2265,10 @@ export class PlayerCore {
            return;
       }
 
-      if (this.rIdx < stream.songs.length - 1) {
-          this.rIdx++;
-          this.cb.playVideo(); 
-      } else {
-          if (this.loopMode === LOOP_STREAM) {
-              this.rIdx = 0;
-              this.cb.playVideo();
-          } else {
-              this.nextStream();
-              this.cb.playVideo();
-          }
+      if (!this._advanceWithinStream(stream)) {
+          this.nextStream();
       }
+      this.cb.playVideo();
   }
 
   // Status Text Generation
@@ -1047,7 +2276,11 @@ export class PlayerCore {
       const stream = this.getCurrentStream();
       if (!stream) return "Loading...";
       
-      const suffix = this.yapMode ? ' with Yapping' : '';
+      const listInfo = this.getSmartListInfo();
+      const repeat = this.getRepeat();
+      const suffix = (this.yapMode ? ' with Yapping' : '') +
+          (listInfo ? ` · ${listInfo.name} ${listInfo.position}/${listInfo.total}` : '') +
+          (repeat ? ` · ${formatRepeatsLeft(repeat.remaining)}` : '');
 
       if (!stream.songs) {
           const text = stream.title || "Unknown Video";
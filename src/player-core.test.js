@@ -1,5 +1,8 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { PlayerCore, LOOP_NONE, LOOP_TRACK, LOOP_STREAM, RESTART_THRESHOLD_SECONDS, resolveRIdx } from './player-core.js';
+import {
+  PlayerCore, LOOP_NONE, LOOP_TRACK, LOOP_STREAM, LOOP_AB, LOOP_SELECTION, RESTART_THRESHOLD_SECONDS, resolveRIdx, REPEAT_COUNTS,
+  SHUFFLE_UNIFORM, SHUFFLE_SONGS, SHUFFLE_LEAST_RECENT, SHUFFLE_FAVORITES, SHUFFLE_NEWER,
+} from './player-core.js';
 
 const MOCK_SEGMENTS = [
   { videoId: 'v1', title: 'Video 1', songs: [{ name: 'S1T1', range: [0, 10] }, { name: 'S1T2', range: [20, 30] }] },
@@ -278,6 +281,100 @@ describe('PlayerCore', () => {
      });
   });
 
+  describe('Sleep timer', () => {
+      beforeEach(() => {
+          callbacks.onSleep = vi.fn();
+          core = new PlayerCore(callbacks);
+          core.init(MOCK_SEGMENTS);
+      });
+
+      it('pauses instead of advancing once the song count runs out', () => {
+          core.setSleepAfter({ songs: 2 });
+          core.advanceAuto();
+          expect(core.rIdx).toBe(1);
+          expect(core.getSleepAfter()).toEqual({ songs: 1 });
+          expect(core.getSleepBoundaryTime()).toBeCloseTo(29.8);
+
+          callbacks.playVideo.mockClear();
+          core.advanceAuto();
+          expect(callbacks.onSleep).toHaveBeenCalledTimes(1);
+          expect(callbacks.playVideo).not.toHaveBeenCalled();
+          expect([core.vIdx, core.rIdx]).toEqual([0, 1]);
+          expect(core.getSleepAfter()).toBeNull();
+
+          // Resuming carries on as usual.
+          core.advanceAuto();
+          expect(core.vIdx).toBe(1);
+      });
+
+      it('counts Loop Track repeats but not manual skips', () => {
+          core.setSleepAfter({ songs: 2 });
+          core.nextSong(5);
+          expect(core.getSleepAfter()).toEqual({ songs: 2 });
+          core.loopMode = LOOP_TRACK;
+          core.advanceAuto();
+          expect(callbacks.seekTo).toHaveBeenCalledTimes(1);
+          core.advanceAuto();
+          expect(callbacks.onSleep).toHaveBeenCalledTimes(1);
+          expect(callbacks.seekTo).toHaveBeenCalledTimes(1);
+      });
+
+      it('waits for the end of the stream it was set on', () => {
+          core.setSleepAfter({ stream: true });
+          expect(core.getSleepBoundaryTime()).toBeNull();
+          core.advanceAuto();
+          expect(core.rIdx).toBe(1);
+          expect(callbacks.onSleep).not.toHaveBeenCalled();
+          expect(core.getSleepBoundaryTime()).toBeCloseTo(29.8);
+          core.advanceAuto();
+          expect(callbacks.onSleep).toHaveBeenCalledTimes(1);
+          expect(core.vIdx).toBe(0);
+      });
+
+      it('counts songs in Yap mode as the next one starts, and stops at the stream end', () => {
+          core.toggleYap();
+          core.setSleepAfter({ songs: 1 });
+          expect(core.getSleepBoundaryTime()).toBe(20);
+          core.checkTick(15);
+          expect(callbacks.onSleep).not.toHaveBeenCalled();
+          core.checkTick(21);
+          expect(callbacks.onSleep).toHaveBeenCalledTimes(1);
+
+          core.setSleepAfter({ stream: true });
+          core.checkTick(29.9);
+          expect(callbacks.onSleep).toHaveBeenCalledTimes(2);
+          expect(core.vIdx).toBe(0);
+      });
+
+      it('counts seamless neighbours and stops at the boundary once due', () => {
+          core.init([{ videoId: 'v1', title: 'V', songs: [
+              { name: 'A', range: [0, 10] }, { name: 'B', range: [10, 20] }, { name: 'C', range: [20, 30] },
+          ] }]);
+          core.setSleepAfter({ songs: 2 });
+          expect(core.getSegmentFadeLevel(9.5, 2)).toBe(1);
+          core.checkTick(9.9);
+          core.checkTick(11.5);
+          expect(core.rIdx).toBe(1);
+          expect(core.getSleepAfter()).toEqual({ songs: 1 });
+          expect(callbacks.onSleep).not.toHaveBeenCalled();
+
+          expect(core.getSleepBoundaryTime()).toBeCloseTo(19.8);
+          expect(core.getSegmentFadeLevel(19.8, 2)).toBe(0);
+          core.checkTick(19.9);
+          expect(callbacks.onSleep).toHaveBeenCalledTimes(1);
+          expect(core.rIdx).toBe(1);
+          expect(core.getSleepAfter()).toBeNull();
+      });
+
+      it('cancels with null', () => {
+          core.setSleepAfter({ songs: 1 });
+          expect(core.setSleepAfter(null)).toBeNull();
+          core.advanceAuto();
+          expect(callbacks.onSleep).not.toHaveBeenCalled();
+          expect(core.rIdx).toBe(1);
+      });
+  });
+
   describe('Yap Mode', () => {
       it('includes "with Yapping" in status', () => {
           core.toggleYap();
@@ -528,6 +625,383 @@ describe('PlayerCore', () => {
       });
   });
 
+  describe('Segment fades (Yap Off)', () => {
+      it('fades in from the start and out toward the auto-advance point', () => {
+          expect(core.getSegmentFadeLevel(0, 2)).toBe(0);
+          expect(core.getSegmentFadeLevel(1, 2)).toBe(0.5);
+          expect(core.getSegmentFadeLevel(5, 2)).toBe(1);
+          expect(core.getSegmentFadeLevel(8.8, 2)).toBeCloseTo(0.5);
+          expect(core.getSegmentFadeLevel(9.8, 2)).toBe(0);
+      });
+
+      it('is off at 0 seconds, in Yap mode and in a gap', () => {
+          expect(core.getSegmentFadeLevel(9.5, 0)).toBe(1);
+          expect(core.getSegmentFadeLevel(15, 2)).toBe(1);
+          core.toggleYap();
+          expect(core.getSegmentFadeLevel(9.5, 2)).toBe(1);
+      });
+
+      it('plays through seamless neighbours without fading', () => {
+          core.playlist[0].songs = [
+              { name: 'S1T1', range: [0, 10] },
+              { name: 'S1T2', range: [10, 20] },
+          ];
+          expect(core.getSegmentFadeLevel(9.5, 2)).toBe(1);
+          core.rIdx = 1;
+          expect(core.getSegmentFadeLevel(10.2, 2)).toBe(1);
+          expect(core.getSegmentFadeLevel(19.3, 2)).toBeCloseTo(0.25);
+      });
+
+      it('fades out before a blocked seamless neighbour, since it is skipped', () => {
+          const c = new PlayerCore({ ...callbacks, isBlocked: (videoId, rIdx) => rIdx === 1 });
+          c.init([{ videoId: 'v1', title: 'V', songs: [
+              { name: 'A', range: [0, 10] }, { name: 'B', range: [10, 20] }, { name: 'C', range: [40, 50] },
+          ] }]);
+          expect(c.getSegmentFadeLevel(9.8, 2)).toBe(0);
+      });
+  });
+
+  describe('A-B loop', () => {
+      it('marks A, then B, and loops the window at the B boundary', () => {
+          expect(core.markAbLoop(3)).toEqual({ a: 3, b: null });
+          expect(core.loopMode).toBe(LOOP_NONE);
+          expect(core.markAbLoop(7)).toEqual({ a: 3, b: 7 });
+          expect(core.loopMode).toBe(LOOP_AB);
+
+          core.checkTick(6.7);
+          expect(callbacks.seekTo).not.toHaveBeenCalled();
+          core.checkTick(6.8); // B minus the early-advance margin
+          expect(callbacks.seekTo).toHaveBeenCalledWith(3);
+      });
+
+      it('holds song and gap boundaries inside the window, and lets go after a seek away', () => {
+          core.markAbLoop(28);
+          core.markAbLoop(5); // B before A: swapped
+          expect(core.getAbLoop()).toEqual({ a: 5, b: 28 });
+
+          core.checkTick(9.9); // song 1 ends inside the window
+          core.checkTick(15); // gap
+          expect(callbacks.playVideo).not.toHaveBeenCalled();
+          core.checkTick(25);
+          expect(core.rIdx).toBe(1);
+          expect(callbacks.seekTo).not.toHaveBeenCalled();
+
+          core.checkTick(29.2); // a late tick past B still loops
+          expect(callbacks.seekTo).toHaveBeenCalledWith(5);
+          callbacks.seekTo.mockClear();
+          core.rIdx = 0;
+          core.checkTick(2); // before A: plays on normally
+          expect(callbacks.seekTo).not.toHaveBeenCalled();
+      });
+
+      it('ignores a B too close to A and clears on the third mark', () => {
+          core.markAbLoop(3);
+          expect(core.markAbLoop(3.5)).toEqual({ a: 3, b: null });
+          core.markAbLoop(8);
+          expect(core.markAbLoop(9)).toBeNull();
+          expect(core.loopMode).toBe(LOOP_NONE);
+      });
+
+      it('seeks back to A when the video ends inside the loop', () => {
+          core.vIdx = 1; // Rule 0
+          core.markAbLoop(100);
+          core.markAbLoop(200);
+          core.onVideoEnded();
+          expect(callbacks.seekTo).toHaveBeenCalledWith(100);
+          expect(callbacks.playVideo).not.toHaveBeenCalled();
+      });
+
+      it('is left by Next, the loop button, or playback moving to another stream', () => {
+          core.markAbLoop(3);
+          core.markAbLoop(7);
+          core.nextSong(5);
+          expect(core.loopMode).toBe(LOOP_NONE);
+          expect(core.getAbLoop()).toBeNull();
+
+          core.markAbLoop(3);
+          core.markAbLoop(7);
+          core.toggleLoop();
+          expect(core.loopMode).toBe(LOOP_NONE);
+
+          core.markAbLoop(3);
+          core.markAbLoop(7);
+          core.vIdx = 2;
+          core.rIdx = 0;
+          core.checkTick(9.8);
+          expect(core.loopMode).toBe(LOOP_NONE);
+          expect(callbacks.seekTo).not.toHaveBeenCalled();
+      });
+
+      it('turns segment fades off while looping', () => {
+          core.markAbLoop(1);
+          core.markAbLoop(9.9);
+          expect(core.getSegmentFadeLevel(9.5, 2)).toBe(1);
+      });
+  });
+
+  describe('Loop selected songs', () => {
+      const SET_LIST = [
+          { videoId: 'sel', title: 'Set List', songs: [
+              { name: 'A', range: [0, 10] },
+              { name: 'B', range: [10, 20] },
+              { name: 'C', range: [20, 30] },
+              { name: 'D', range: [40, 50] },
+          ] },
+          { videoId: 'other', title: 'Other', songs: [{ name: 'X', range: [0, 10] }] },
+      ];
+
+      beforeEach(() => {
+          core.init(SET_LIST);
+      });
+
+      it('keeps only valid songs, in order, and turns off when empty', () => {
+          expect(core.setLoopSelection([3, 1, 1, 9, -1])).toEqual([1, 3]);
+          expect(core.loopMode).toBe(LOOP_SELECTION);
+          expect(core.setLoopSelection([])).toEqual([]);
+          expect(core.loopMode).toBe(LOOP_NONE);
+      });
+
+      it('advances past an unpicked seamless neighbour and wraps to the first pick', () => {
+          core.setLoopSelection([0, 3]);
+          core.checkTick(9.7);
+          expect(callbacks.playVideo).not.toHaveBeenCalled();
+          core.checkTick(9.8); // A runs straight into B, but B isn't picked
+          expect(core.rIdx).toBe(3);
+          expect(callbacks.playVideo).toHaveBeenCalledTimes(1);
+
+          core.checkTick(49.8);
+          expect(core.rIdx).toBe(0);
+          expect(callbacks.playVideo).toHaveBeenCalledTimes(2);
+          expect(core.vIdx).toBe(0);
+      });
+
+      it('plays through picked seamless neighbours', () => {
+          core.setLoopSelection([0, 1]);
+          core.checkTick(9.8);
+          expect(callbacks.playVideo).not.toHaveBeenCalled();
+          core.checkTick(12);
+          expect(core.rIdx).toBe(1);
+          core.checkTick(19.8);
+          expect(core.rIdx).toBe(0);
+          expect(callbacks.playVideo).toHaveBeenCalledTimes(1);
+      });
+
+      it('jumps between picks across the talk in Yap mode', () => {
+          core.toggleYap();
+          core.setLoopSelection([1, 2]);
+          core.rIdx = 1;
+          core.checkTick(19.8); // B into picked C: talk plays through
+          expect(callbacks.seekTo).not.toHaveBeenCalled();
+          core.checkTick(29.8); // C's successor D isn't picked
+          expect(core.rIdx).toBe(1);
+          expect(callbacks.seekTo).toHaveBeenCalledWith(10);
+      });
+
+      it('wraps at the end of the stream in Yap mode', () => {
+          core.toggleYap();
+          core.setLoopSelection([1, 3]);
+          core.checkTick(49.8);
+          expect(core.rIdx).toBe(1);
+          expect(callbacks.seekTo).toHaveBeenCalledWith(10);
+          expect(core.vIdx).toBe(0);
+      });
+
+      it('Next and Prev walk the picks', () => {
+          core.setLoopSelection([1, 3]);
+          core.rIdx = 1;
+          expect(core.nextSong(12)).toEqual({ type: 'load' });
+          expect(core.rIdx).toBe(3);
+          expect(core.nextSong(42)).toEqual({ type: 'load' });
+          expect(core.rIdx).toBe(1);
+          expect(core.prevSong(11)).toEqual({ type: 'load' });
+          expect(core.rIdx).toBe(3);
+          expect(core.prevSong(48)).toEqual({ type: 'seek', time: 40 });
+      });
+
+      it('holds playback ahead of the queue', () => {
+          core.enqueue('other', 0);
+          core.setLoopSelection([2]);
+          core.rIdx = 2;
+          core.checkTick(29.8);
+          expect(core.vIdx).toBe(0);
+          expect(core.rIdx).toBe(2);
+          expect(core.getQueue()).toHaveLength(1);
+      });
+
+      it('is dropped once playback moves to another stream', () => {
+          core.setLoopSelection([1]);
+          core.vIdx = 1;
+          expect(core.getLoopSelection()).toEqual([]);
+          expect(core.loopMode).toBe(LOOP_NONE);
+      });
+  });
+
+  describe('Repeat count', () => {
+      it('cycles through the counts and back off', () => {
+          const seen = REPEAT_COUNTS.map(() => core.cycleRepeat());
+          expect(seen).toEqual(REPEAT_COUNTS);
+          expect(core.cycleRepeat()).toBe(0);
+          expect(core.getRepeat()).toBeNull();
+      });
+
+      it('replays the song until the count runs out, then advances', () => {
+          core.setRepeat(3);
+          expect(core.getStatusText(5)).toBe('S1T1 (1/2) · 2 more times');
+
+          core.checkTick(9.8);
+          expect(callbacks.seekTo).toHaveBeenLastCalledWith(0);
+          expect(core.getStatusText(5)).toBe('S1T1 (1/2) · 1 more time');
+          core.checkTick(9.8);
+          expect(core.getStatusText(5)).toBe('S1T1 (1/2) · last time');
+          expect(callbacks.playVideo).not.toHaveBeenCalled();
+
+          core.checkTick(9.8);
+          expect(core.rIdx).toBe(1);
+          expect(callbacks.playVideo).toHaveBeenCalledTimes(1);
+          expect(callbacks.seekTo).toHaveBeenCalledTimes(2);
+          expect(core.getRepeat()).toBeNull();
+      });
+
+      it('stops at a seamless boundary while repeats remain', () => {
+          core.playlist[0].songs = [{ name: 'A', range: [0, 10] }, { name: 'B', range: [10, 20] }];
+          core.setRepeat(2);
+          core.checkTick(9.8);
+          expect(callbacks.seekTo).toHaveBeenCalledWith(0);
+          core.checkTick(9.8); // last play runs on into B
+          expect(callbacks.playVideo).not.toHaveBeenCalled();
+      });
+
+      it('restarts the song at its end in Yap mode', () => {
+          core.toggleYap();
+          core.setRepeat(2);
+          core.checkTick(9.8);
+          expect(callbacks.seekTo).toHaveBeenCalledWith(0);
+          core.checkTick(9.8);
+          core.checkTick(15); // the talk after the last play
+          expect(callbacks.seekTo).toHaveBeenCalledTimes(1);
+          expect(core.getRepeat()).toBeNull();
+      });
+
+      it('is dropped when another song plays', () => {
+          core.setRepeat(4);
+          core.nextSong(5);
+          expect(core.getRepeat()).toBeNull();
+          expect(core.getStatusText(25)).toBe('S1T2 (2/2)');
+      });
+
+      it('repeats a whole Rule 0 stream', () => {
+          core.vIdx = 1;
+          core.setRepeat(2);
+          core.onVideoEnded();
+          expect(callbacks.seekTo).toHaveBeenCalledWith(0);
+          expect(callbacks.playVideo).not.toHaveBeenCalled();
+      });
+  });
+
+  describe('Custom loop persistence', () => {
+      it('saves to session storage and restores on the same stream', () => {
+          core.setLoopSelection([1]);
+          const session = callbacks.saveSessionData.mock.calls.at(-1)[0];
+          const settings = callbacks.saveSettings.mock.calls.at(-1)[0];
+          expect(JSON.parse(session.loopSelection)).toEqual({ videoId: 'v1', rIdxs: [1] });
+
+          const restored = new PlayerCore({
+              ...callbacks,
+              getSettings: () => ({ ...settings, loopMode: String(settings.loopMode) }),
+              getSessionData: () => session,
+          });
+          restored.init(MOCK_SEGMENTS);
+          expect(restored.loopMode).toBe(LOOP_SELECTION);
+          expect(restored.getLoopSelection()).toEqual([1]);
+      });
+
+      it('restores an A-B loop, and falls back to Loop None in a new session', () => {
+          core.markAbLoop(2);
+          core.markAbLoop(6);
+          const session = callbacks.saveSessionData.mock.calls.at(-1)[0];
+          const settings = callbacks.saveSettings.mock.calls.at(-1)[0];
+
+          const sameSession = new PlayerCore({ ...callbacks, getSettings: () => settings, getSessionData: () => session });
+          sameSession.init(MOCK_SEGMENTS);
+          expect(sameSession.loopMode).toBe(LOOP_AB);
+          expect(sameSession.getAbLoop()).toEqual({ a: 2, b: 6 });
+
+          const newSession = new PlayerCore({ ...callbacks, getSettings: () => settings, getSessionData: () => ({}) });
+          newSession.init(MOCK_SEGMENTS);
+          expect(newSession.loopMode).toBe(LOOP_NONE);
+      });
+
+      it('restores a repeat count in progress', () => {
+          core.setRepeat(3);
+          core.checkTick(9.8);
+          const session = callbacks.saveSessionData.mock.calls.at(-1)[0];
+          const restored = new PlayerCore({ ...callbacks, getSessionData: () => session });
+          restored.init(MOCK_SEGMENTS);
+          expect(restored.getRepeat()).toEqual({ times: 3, remaining: 1 });
+      });
+  });
+
+  describe('Loudness gain', () => {
+      const GAIN_SEGMENTS = [
+          { videoId: 'g1', title: 'G1', gain: -6, songs: [
+              { name: 'Loud', range: [0, 10], gain: -6 },
+              { name: 'Plain', range: [20, 30] },
+          ] },
+          { videoId: 'g2', title: 'G2', songs: null },
+      ];
+
+      beforeEach(() => {
+          core.init(GAIN_SEGMENTS);
+      });
+
+      it('adds the song gain to the stream gain', () => {
+          expect(core.getGainLevel(5)).toBeCloseTo(10 ** (-12 / 20));
+          core.rIdx = 1;
+          expect(core.getGainLevel(25)).toBeCloseTo(10 ** (-6 / 20));
+          core.vIdx = 1;
+          core.rIdx = 0;
+          expect(core.getGainLevel(5)).toBe(1);
+      });
+
+      it('follows the time across ranges in Yap mode', () => {
+          core.toggleYap();
+          expect(core.getGainLevel(5)).toBeCloseTo(10 ** (-12 / 20));
+          expect(core.getGainLevel(15)).toBeCloseTo(10 ** (-6 / 20));
+          expect(core.getGainLevel(25)).toBeCloseTo(10 ** (-6 / 20));
+      });
+  });
+
+  describe('Playback speed', () => {
+      it('advances earlier at a faster speed, one tick ahead in stream time', () => {
+          core.checkTick(9.75);
+          expect(core.rIdx).toBe(0);
+          core.setPlaybackRate(1.5);
+          core.checkTick(9.75);
+          expect(core.rIdx).toBe(1);
+      });
+
+      it('stretches fades over the same wall-clock time', () => {
+          core.setPlaybackRate(1.5);
+          expect(core.getSegmentFadeLevel(1.5, 2)).toBe(0.5);
+          expect(core.getSegmentFadeLevel(8.2, 2)).toBeCloseTo(0.5);
+          expect(core.getSleepBoundaryTime()).toBeNull();
+          core.setSleepAfter({ songs: 1 });
+          expect(core.getSleepBoundaryTime()).toBeCloseTo(9.7);
+      });
+
+      it('is saved, restored, and falls back to 1x when unknown', () => {
+          expect(core.setPlaybackRate(1.25)).toBe(1.25);
+          expect(callbacks.saveSettings).toHaveBeenLastCalledWith(expect.objectContaining({ playbackRate: 1.25 }));
+          callbacks.getSettings.mockReturnValue({ playbackRate: 1.25 });
+          core.init(MOCK_SEGMENTS);
+          expect(core.playbackRate).toBe(1.25);
+          callbacks.getSettings.mockReturnValue({ playbackRate: 3 });
+          core.init(MOCK_SEGMENTS);
+          expect(core.playbackRate).toBe(1);
+          expect(core.setPlaybackRate(2)).toBe(1);
+      });
+  });
+
   describe('Rule 0 - Reactive Duration', () => {
       it('updates current song range when duration is set', () => {
           core.vIdx = 1; // Video 2 (No segments)
@@ -676,6 +1150,220 @@ describe('PlayerCore', () => {
       });
   });
 
+  describe('Shuffle strategies', () => {
+      // Five Rule 0 streams, newest first.
+      const FIVE = Array.from({ length: 5 }, (_, i) => ({
+          videoId: `s${i}`, title: `S${i}`, songs: [], released: `2025-0${9 - i}-01T00:00:00Z`,
+      }));
+      let rolls;
+
+      // A fixed sequence of rolls makes every pick reproducible.
+      function makeCore(extra = {}, streams = FIVE) {
+          rolls = [];
+          const c = new PlayerCore({ ...callbacks, random: () => rolls.shift() ?? 0, ...extra });
+          c.init(streams);
+          c.toggleShuffle();
+          return c;
+      }
+
+      it('defaults to uniform and persists the chosen strategy', () => {
+          const c = makeCore();
+          expect(c.shuffleStrategy).toBe(SHUFFLE_UNIFORM);
+          expect(c.setShuffleStrategy(SHUFFLE_NEWER)).toBe(SHUFFLE_NEWER);
+          expect(callbacks.saveSettings.mock.calls.at(-1)[0].shuffleStrategy).toBe(SHUFFLE_NEWER);
+          expect(c.setShuffleStrategy('bogus')).toBe(SHUFFLE_UNIFORM);
+
+          callbacks.getSettings.mockReturnValue({ shuffleStrategy: SHUFFLE_FAVORITES });
+          expect(makeCore().shuffleStrategy).toBe(SHUFFLE_FAVORITES);
+      });
+
+      it('uniform picks through the injected RNG', () => {
+          const c = makeCore();
+          rolls = [0.99];
+          expect(c._getNextStreamIndex()).toBe(4);
+          rolls = [0];
+          expect(c._getNextStreamIndex()).toBe(1);
+      });
+
+      it('newer streams get proportionally more draws', () => {
+          const c = makeCore();
+          c.setShuffleStrategy(SHUFFLE_NEWER);
+          c.vIdx = 4;
+          // Weights s0..s3 = 5, 4, 3, 2 (total 14).
+          rolls = [4.9 / 14];
+          expect(c._getNextStreamIndex()).toBe(0);
+          rolls = [5 / 14];
+          expect(c._getNextStreamIndex()).toBe(1);
+          rolls = [13.9 / 14];
+          expect(c._getNextStreamIndex()).toBe(3);
+      });
+
+      it('newer goes by release date, with undated streams in the middle', () => {
+          // Playlist order s0..s4; release order oldest → newest s3, s0, s1 (s2, s4 undated).
+          const c = makeCore({}, [
+              { ...FIVE[0], released: '2024-02-01T00:00:00Z' },
+              { ...FIVE[1], released: '2024-03-01T00:00:00Z' },
+              { ...FIVE[2], released: undefined },
+              { ...FIVE[3], released: '2024-01-01T00:00:00Z' },
+              { ...FIVE[4], released: 'someday' },
+          ]);
+          c.setShuffleStrategy(SHUFFLE_NEWER);
+          c.vIdx = 4;
+          // Weights s0..s3 = 2, 3, 2, 1 (total 8).
+          rolls = [1.9 / 8];
+          expect(c._getNextStreamIndex()).toBe(0);
+          rolls = [2 / 8];
+          expect(c._getNextStreamIndex()).toBe(1);
+          rolls = [5 / 8];
+          expect(c._getNextStreamIndex()).toBe(2);
+          rolls = [7 / 8];
+          expect(c._getNextStreamIndex()).toBe(3);
+      });
+
+      it('favorites weight streams by their favorite songs', () => {
+          const c = makeCore({ isFavorite: (videoId) => videoId === 's3' });
+          c.setShuffleStrategy(SHUFFLE_FAVORITES);
+          // Weights s1..s4 = 1, 1, 4, 1 (total 7): s3 covers rolls in [2/7, 6/7).
+          rolls = [2 / 7];
+          expect(c._getNextStreamIndex()).toBe(3);
+          rolls = [5.9 / 7];
+          expect(c._getNextStreamIndex()).toBe(3);
+          rolls = [6 / 7];
+          expect(c._getNextStreamIndex()).toBe(4);
+      });
+
+      it('least-recent narrows to what was heard longest ago', () => {
+          const lastPlayed = { s1: 500, s2: 100, s3: 300, s4: 100 };
+          const c = makeCore({ getLastPlayed: (videoId, rIdx) => (rIdx === null ? lastPlayed[videoId] : 0) });
+          c.setShuffleStrategy(SHUFFLE_LEAST_RECENT);
+          rolls = [0];
+          expect(c._getNextStreamIndex()).toBe(2);
+          rolls = [0.99];
+          expect(c._getNextStreamIndex()).toBe(4);
+      });
+
+      it('least-recent also counts streams left this session', () => {
+          const c = makeCore();
+          c.setShuffleStrategy(SHUFFLE_LEAST_RECENT);
+          callbacks.now.mockReturnValue(2000000);
+          // Leave s0 → s1 → s2 → s3; s4 is then the only stream never heard.
+          for (let vIdx = 1; vIdx <= 3; vIdx++) {
+              c.pushHistory();
+              c.vIdx = vIdx;
+          }
+          c.recentTracks = [];
+          rolls = [0];
+          expect(c._getNextStreamIndex()).toBe(4);
+      });
+
+      it('song by song draws from every song of every stream in Yap Off', () => {
+          const c = new PlayerCore({ ...callbacks, random: () => 0.99 });
+          c.init(MOCK_SEGMENTS);
+          c.toggleShuffle();
+          c.setShuffleStrategy(SHUFFLE_SONGS);
+          // Tracks: v1:0 (current), v1:1, v2:0, v3:0 → the last one.
+          expect(c.nextSong(5)).toEqual({ type: 'load' });
+          expect(c.getCurrentStream().videoId).toBe('v3');
+          expect(c.history).toHaveLength(1);
+
+          c.vIdx = 0;
+          c.rIdx = 0;
+          c.advanceAuto();
+          expect(callbacks.playVideo).toHaveBeenCalled();
+          expect(c.getCurrentStream().videoId).toBe('v3');
+      });
+
+      it('radio draws at a seamless boundary too, fading both sides', () => {
+          const c = new PlayerCore({ ...callbacks, random: () => 0.99 });
+          c.init([{ videoId: 'a', title: 'A', songs: [
+              { name: 'A0', range: [0, 10] }, { name: 'A1', range: [10, 20] },
+          ] }, MOCK_SEGMENTS[2]]);
+          c.toggleShuffle();
+          c.setShuffleStrategy(SHUFFLE_SONGS);
+          expect(c.getSegmentFadeLevel(9.8, 2)).toBe(0);
+          c.checkTick(9.9);
+          expect(callbacks.playVideo).toHaveBeenCalled();
+          expect(c.getCurrentStream().videoId).toBe('v3');
+
+          c.vIdx = 0;
+          c.rIdx = 1;
+          expect(c.getSegmentFadeLevel(10, 2)).toBe(0);
+      });
+
+      it('radio draws only from the filtered songs while any match', () => {
+          const c = new PlayerCore({
+              ...callbacks,
+              random: () => 0,
+              isRadioCandidate: (stream, rIdx) => stream.videoId === 'v1' && rIdx === 1,
+          });
+          c.init(MOCK_SEGMENTS);
+          c.toggleShuffle();
+          c.setShuffleStrategy(SHUFFLE_SONGS);
+          c.nextSong(5);
+          expect([c.getCurrentStream().videoId, c.rIdx]).toEqual(['v1', 1]);
+
+          const open = new PlayerCore({ ...callbacks, random: () => 0.99, isRadioCandidate: () => false });
+          open.init(MOCK_SEGMENTS);
+          open.toggleShuffle();
+          open.setShuffleStrategy(SHUFFLE_SONGS);
+          open.nextSong(5);
+          expect(open.getCurrentStream().videoId).toBe('v3'); // nothing matched: whole catalogue
+      });
+
+      it('radio Prev walks back through the picks, restarting a song past the threshold', () => {
+          const picks = [0.99, 0.5];
+          const c = new PlayerCore({ ...callbacks, random: () => picks.shift() ?? 0 });
+          c.init(MOCK_SEGMENTS);
+          c.toggleShuffle();
+          c.setShuffleStrategy(SHUFFLE_SONGS);
+          expect(c.isRadioActive()).toBe(true);
+          c.nextSong(5); // v1:0 → v3:0
+          c.nextSong(5); // → one of v1:1 / v2:0
+          const second = [c.getCurrentStream().videoId, c.rIdx];
+          expect(second).not.toEqual(['v3', 0]);
+
+          expect(c.prevSong(RESTART_THRESHOLD_SECONDS + 1)).toEqual({ type: 'seek', time: c.getCurrentSong().range[0] });
+          expect(c.prevSong(1)).toEqual({ type: 'load' });
+          expect([c.getCurrentStream().videoId, c.rIdx]).toEqual(['v3', 0]);
+          expect(c.prevSong(1)).toEqual({ type: 'load' });
+          expect([c.getCurrentStream().videoId, c.rIdx]).toEqual(['v1', 0]);
+      });
+
+      it('radio under Loop Track repeats on auto-advance but Next moves on', () => {
+          const c = new PlayerCore({ ...callbacks, random: () => 0.99 });
+          c.init(MOCK_SEGMENTS);
+          c.toggleShuffle();
+          c.setShuffleStrategy(SHUFFLE_SONGS);
+          c.loopMode = LOOP_TRACK;
+          c.advanceAuto();
+          expect(callbacks.seekTo).toHaveBeenCalledWith(0);
+          expect(c.vIdx).toBe(0);
+          c.nextSong(5);
+          expect(c.getCurrentStream().videoId).toBe('v3');
+      });
+
+      it('radio stays off while the queue is active', () => {
+          const c = new PlayerCore({ ...callbacks, random: () => 0.99 });
+          c.init(MOCK_SEGMENTS);
+          c.toggleShuffle();
+          c.setShuffleStrategy(SHUFFLE_SONGS);
+          c.enqueue('v1', 1);
+          c.nextSong(5);
+          expect([c.getCurrentStream().videoId, c.rIdx]).toEqual(['v1', 1]);
+      });
+
+      it('song by song leaves Yap mode and Loop Stream alone', () => {
+          const c = new PlayerCore({ ...callbacks, random: () => 0.99 });
+          c.init(MOCK_SEGMENTS);
+          c.toggleShuffle();
+          c.setShuffleStrategy(SHUFFLE_SONGS);
+          c.loopMode = LOOP_STREAM;
+          c.advanceAuto();
+          expect(c.vIdx).toBe(0);
+          expect(c.rIdx).toBe(1);
+      });
+  });
+
   describe('Arbitrary Seek Position Handling', () => {
       it('nextSong from before first song goes TO first song, not past it', () => {
           // Stream 0 has songs: S1T1 [0, 10], S1T2 [20, 30]
@@ -1109,6 +1797,275 @@ describe('PlayerCore', () => {
           core.playlist[0].songs[0].range[0] = originalStart;
       });
   });
+
+  describe('Smart Lists', () => {
+    const FAVORITES = [
+      { videoId: 'v3', rIdx: 0 },
+      { videoId: 'v1', rIdx: 1 },
+      { videoId: 'gone', rIdx: 0 },
+    ];
+
+    it('plays the first item and drops items whose stream is missing', () => {
+      core.yapMode = true;
+      expect(core.startSmartList('Favorites', FAVORITES)).toBe(true);
+      expect(core.vIdx).toBe(2);
+      expect(core.rIdx).toBe(0);
+      expect(core.yapMode).toBe(false);
+      expect(core.smartList.items).toHaveLength(2);
+      expect(core.getSmartListInfo()).toEqual({ name: 'Favorites', position: 1, total: 2 });
+    });
+
+    it('refuses a list with nothing playable', () => {
+      expect(core.startSmartList('Favorites', [{ videoId: 'gone', rIdx: 0 }])).toBe(false);
+      expect(core.smartList).toBeNull();
+      expect(core.vIdx).toBe(0);
+    });
+
+    it('walks the list on Next and auto-advance, then hands back to normal playback', () => {
+      core.startSmartList('Favorites', FAVORITES);
+      expect(core.nextSong(5)).toEqual({ type: 'load' });
+      expect([core.vIdx, core.rIdx]).toEqual([0, 1]);
+
+      // List exhausted without Loop Stream: normal navigation continues from here.
+      core.advanceAuto();
+      expect(core.isSmartListActive()).toBe(false);
+      expect(core.vIdx).toBe(1);
+    });
+
+    it('wraps with Loop Stream and repeats the song with Loop Track', () => {
+      core.loopMode = LOOP_STREAM;
+      core.startSmartList('Favorites', FAVORITES);
+      core.nextSong(5);
+      core.nextSong(25);
+      expect([core.vIdx, core.rIdx]).toEqual([2, 0]);
+
+      core.loopMode = LOOP_TRACK;
+      core.advanceAuto();
+      expect(callbacks.seekTo).toHaveBeenCalledWith(0);
+      expect(core.smartList.pos).toBe(0);
+    });
+
+    it('plays every item once under shuffle without loop', () => {
+      core.toggleShuffle();
+      const many = [
+        { videoId: 'v1', rIdx: 0 }, { videoId: 'v1', rIdx: 1 },
+        { videoId: 'v2', rIdx: 0 }, { videoId: 'v3', rIdx: 0 },
+      ];
+      core.startSmartList('Favorites', many);
+      const seen = [`${core.getCurrentStream().videoId}:${core.rIdx}`];
+      for (let i = 0; i < 3; i++) {
+        core.advanceAuto();
+        seen.push(`${core.getCurrentStream().videoId}:${core.rIdx}`);
+      }
+      expect(new Set(seen).size).toBe(4);
+      core.advanceAuto();
+      expect(core.smartList).toBeNull();
+    });
+
+    it('advances at the song end even when the next segment is seamless', () => {
+      core.init([{ videoId: 'sx', title: 'S', songs: [{ name: 'A', range: [0, 10] }, { name: 'B', range: [10, 20] }] },
+        ...MOCK_SEGMENTS]);
+      core.startSmartList('Favorites', [{ videoId: 'sx', rIdx: 0 }, { videoId: 'v3', rIdx: 0 }]);
+      core.checkTick(9.9);
+      expect(core.getCurrentStream().videoId).toBe('v3');
+      expect(callbacks.playVideo).toHaveBeenCalled();
+    });
+
+    it('goes back along the list on Prev, restarting past the threshold', () => {
+      core.startSmartList('Favorites', FAVORITES);
+      core.nextSong(5);
+      expect(core.prevSong(20 + RESTART_THRESHOLD_SECONDS + 1)).toEqual({ type: 'seek', time: 20 });
+      expect(core.prevSong(21)).toEqual({ type: 'load' });
+      expect([core.vIdx, core.rIdx]).toEqual([2, 0]);
+      expect(core.prevSong(1)).toEqual({ type: 'seek', time: 0 });
+    });
+
+    it('skips items whose stream left the playlist, and ends when none are left', () => {
+      core.startSmartList('Favorites', [{ videoId: 'v3', rIdx: 0 }, { videoId: 'v2', rIdx: 0 }, { videoId: 'v1', rIdx: 1 }]);
+      // e.g. Member Mode dropping a stream while the list plays
+      core.playlist = core.playlist.filter(p => p.videoId !== 'v2');
+      core.vIdx = 1;
+      core.playlist[0] = { ...core.playlist[0], songs: [{ name: 'Only', range: [0, 30] }] };
+
+      core.advanceAuto();
+      expect(core.getCurrentStream().videoId).toBe('v1');
+      expect(core.rIdx).toBe(0);
+      expect(core.getSmartListInfo()).toEqual({ name: 'Favorites', position: 3, total: 3 });
+      expect(core.prevSong(1)).toEqual({ type: 'load' });
+      expect(core.getCurrentStream().videoId).toBe('v3');
+
+      core.playlist = core.playlist.filter(p => p.videoId !== 'v1');
+      core.vIdx = 0;
+      core.advanceAuto();
+      expect(core.smartList).toBeNull();
+    });
+
+    it('ends when playback moves elsewhere', () => {
+      core.startSmartList('Favorites', FAVORITES);
+      core.vIdx = 0; // e.g. a search jump
+      core.rIdx = 0;
+      expect(core.isSmartListActive()).toBe(false);
+
+      core.startSmartList('Favorites', FAVORITES);
+      core.nextStream();
+      expect(core.smartList).toBeNull();
+    });
+
+    it('lets the queue play first', () => {
+      core.startSmartList('Favorites', FAVORITES);
+      core.enqueue('v2', 0);
+      core.advanceAuto();
+      expect(core.vIdx).toBe(1);
+      expect(core.isSmartListActive()).toBe(false);
+    });
+
+    it('shows the list position in the status text', () => {
+      core.startSmartList('Favorites', FAVORITES);
+      expect(core.getStatusText(5)).toBe('S3T1 (1/1) · Favorites 1/2');
+    });
+
+    it('resumes from session storage only while it owns the current track', () => {
+      core.startSmartList('Favorites', FAVORITES);
+      core.nextSong(5);
+      const session = callbacks.saveSessionData.mock.calls.at(-1)[0];
+      const settings = callbacks.saveSettings.mock.calls.at(-1)[0];
+
+      const restored = new PlayerCore({ ...callbacks, getSettings: () => settings, getSessionData: () => session });
+      restored.init(MOCK_SEGMENTS);
+      expect(restored.getSmartListInfo()).toEqual({ name: 'Favorites', position: 2, total: 2 });
+
+      const elsewhere = new PlayerCore({
+        ...callbacks, getSettings: () => ({ ...settings, videoId: 'v3', vIdx: '2' }), getSessionData: () => session,
+      });
+      elsewhere.init(MOCK_SEGMENTS);
+      expect(elsewhere.smartList).toBeNull();
+    });
+  });
+
+  describe('Blocklist', () => {
+    let blocked;
+
+    beforeEach(() => {
+      blocked = new Set();
+      core = new PlayerCore({ ...callbacks, isBlocked: (videoId, rIdx) => blocked.has(`${videoId}:${rIdx}`) });
+      core.init(MOCK_SEGMENTS);
+    });
+
+    it('auto-advance and Next skip a blocked song', () => {
+      blocked.add('v1:1');
+      core.advanceAuto();
+      expect([core.vIdx, core.rIdx]).toEqual([1, 0]);
+
+      core.vIdx = 0;
+      core.rIdx = 0;
+      expect(core.nextSong(5)).toEqual({ type: 'load' });
+      expect(core.vIdx).toBe(1);
+    });
+
+    it('Loop Stream wraps to the first playable song', () => {
+      blocked.add('v1:0');
+      core.loopMode = LOOP_STREAM;
+      core.rIdx = 1;
+      core.advanceAuto();
+      expect([core.vIdx, core.rIdx]).toEqual([0, 1]);
+    });
+
+    it('next-stream navigation skips fully blocked streams and enters at a playable song', () => {
+      blocked.add('v2:0');
+      core.nextStream();
+      expect(core.vIdx).toBe(2);
+
+      blocked.add('v1:0');
+      core.nextStream();
+      expect([core.vIdx, core.rIdx]).toEqual([0, 1]);
+    });
+
+    it('shuffle never picks a fully blocked stream', () => {
+      blocked.add('v2:0');
+      blocked.add('v3:0');
+      core.shuffleMode = true;
+      for (let i = 0; i < 5; i++) {
+        core.nextStream();
+        expect(core.vIdx).toBe(0);
+      }
+    });
+
+    it('ignores the blocklist when every stream is blocked', () => {
+      ['v1:0', 'v1:1', 'v2:0', 'v3:0'].forEach(k => blocked.add(k));
+      core.nextStream();
+      expect(core.vIdx).toBe(1);
+    });
+
+    it('plays through a seamless neighbour only when it is not blocked', () => {
+      core.init([{ videoId: 'v1', title: 'Video 1', songs: [{ name: 'A', range: [0, 10] }, { name: 'B', range: [10, 20] }] }, MOCK_SEGMENTS[2]]);
+      blocked.add('v1:1');
+      core.checkTick(9.9);
+      expect(core.vIdx).toBe(1);
+      expect(callbacks.playVideo).toHaveBeenCalled();
+    });
+
+    it('Yap jumps over a blocked song as playback reaches it', () => {
+      core.init([{ videoId: 'v1', title: 'Video 1', songs: [
+        { name: 'A', range: [0, 10] }, { name: 'B', range: [20, 30] }, { name: 'C', range: [40, 50] },
+      ] }, MOCK_SEGMENTS[2]]);
+      core.toggleYap();
+      blocked.add('v1:1');
+      core.checkTick(15);
+      expect(callbacks.seekTo).not.toHaveBeenCalled();
+      core.checkTick(20.5);
+      expect(callbacks.seekTo).toHaveBeenCalledWith(40);
+      expect(core.rIdx).toBe(2);
+
+      // A blocked last song ends the stream.
+      blocked.add('v1:2');
+      core.vIdx = 0;
+      core.rIdx = 0;
+      core.checkTick(20.5);
+      expect(core.vIdx).toBe(1);
+      expect(callbacks.playVideo).toHaveBeenCalled();
+    });
+
+    it('Yap still plays a blocked song picked by hand', () => {
+      blocked.add('v1:1');
+      core.toggleYap();
+      core.rIdx = 1;
+      core.checkTick(21);
+      expect(callbacks.seekTo).not.toHaveBeenCalled();
+      expect(core.rIdx).toBe(1);
+    });
+
+    it('queue picks pass over blocked items without removing them', () => {
+      blocked.add('v3:0');
+      core.enqueue('v3', 0);
+      core.enqueue('v1', 1);
+      core.advanceAuto();
+      expect([core.vIdx, core.rIdx]).toEqual([0, 1]);
+      expect(core.getQueue()).toEqual([{ videoId: 'v3', rIdx: 0 }]);
+
+      // Only blocked items left: fall through to normal auto-advance.
+      core.advanceAuto();
+      expect(core.vIdx).toBe(1);
+    });
+
+    it('shuffled Loop Queue only picks unblocked items', () => {
+      blocked.add('v3:0');
+      core.shuffleMode = true;
+      core.loopMode = LOOP_STREAM;
+      core.enqueue('v3', 0);
+      core.enqueue('v1', 1);
+      const spy = vi.spyOn(Math, 'random').mockReturnValue(0.99);
+      core.advanceAuto();
+      expect([core.vIdx, core.rIdx]).toEqual([0, 1]);
+      spy.mockRestore();
+    });
+
+    it('a manual pick still plays a blocked song', () => {
+      blocked.add('v3:0');
+      core.enqueue('v3', 0);
+      expect(core.selectQueueItem(0)).toBe(true);
+      expect(core.vIdx).toBe(2);
+    });
+  });
 });
 
 describe('resolveRIdx', () => {
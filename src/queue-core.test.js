@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { PlayerCore, LOOP_NONE, LOOP_TRACK, LOOP_STREAM } from './player-core.js';
+import { PlayerCore, LOOP_NONE, LOOP_TRACK, LOOP_STREAM, SHUFFLE_FAVORITES } from './player-core.js';
 
 const MOCK_SEGMENTS = [
   { videoId: 'v1', title: 'Video 1', songs: [{ name: 'S1T1', range: [0, 10] }, { name: 'S1T2', range: [20, 30] }] },
@@ -101,6 +101,408 @@ describe('Queue (§13)', () => {
     });
   });
 
+  describe('loadQueue (saved queues)', () => {
+    it('replaces the queue and resets the cycle cursor', () => {
+      core.loopMode = LOOP_STREAM;
+      core.enqueue('v3', 0);
+      core.advanceAuto();
+      expect(core.getNowPlayingQueueIndex()).toBe(0);
+
+      expect(core.loadQueue([{ videoId: 'v1', rIdx: 1 }, { videoId: 'v2', rIdx: 0 }])).toBe(2);
+      expect(core.getQueue()).toEqual([{ videoId: 'v1', rIdx: 1 }, { videoId: 'v2', rIdx: 0 }]);
+      expect(core.getNowPlayingQueueIndex()).toBe(-1);
+    });
+
+    it('appends behind the current items', () => {
+      core.enqueue('v3', 0);
+      core.loadQueue([{ videoId: 'v1', rIdx: 0 }], { append: true });
+      expect(core.getQueue()).toEqual([{ videoId: 'v3', rIdx: 0 }, { videoId: 'v1', rIdx: 0 }]);
+    });
+
+    it('resolves rIdx against the current playlist and skips malformed items', () => {
+      core.yapMode = true;
+      const added = core.loadQueue([
+        { videoId: 'v1', rIdx: 7 },     // song removed by a segment edit
+        { videoId: 'gone', rIdx: 3 },   // unknown stream kept verbatim
+        { videoId: 'v3', rIdx: -1 },
+        null,
+      ]);
+      expect(added).toBe(2);
+      expect(core.getQueue()).toEqual([{ videoId: 'v1', rIdx: 0 }, { videoId: 'gone', rIdx: 3 }]);
+      expect(core.yapMode).toBe(false);
+    });
+  });
+
+  describe('moveQueueItem (reordering)', () => {
+    const ids = () => core.getQueue().map(item => item.videoId);
+
+    beforeEach(() => {
+      core.enqueue('v1', 0);
+      core.enqueue('v2', 0);
+      core.enqueue('v3', 0);
+    });
+
+    it('moves an item up or down and rejects out-of-range moves', () => {
+      expect(core.moveQueueItem(0, 2)).toBe(true);
+      expect(ids()).toEqual(['v2', 'v3', 'v1']);
+      expect(core.moveQueueItem(2, 0)).toBe(true);
+      expect(ids()).toEqual(['v1', 'v2', 'v3']);
+      expect(core.moveQueueItem(1, 1)).toBe(false);
+      expect(core.moveQueueItem(-1, 0)).toBe(false);
+      expect(core.moveQueueItem(0, 3)).toBe(false);
+      expect(ids()).toEqual(['v1', 'v2', 'v3']);
+    });
+
+    it('Loop Queue: the cursor follows the playing item to its new slot', () => {
+      core.loopMode = LOOP_STREAM;
+      core.nextSong(5); // v1
+      core.nextSong(5); // v2 — cursor on index 1
+
+      core.moveQueueItem(1, 2);
+      expect(ids()).toEqual(['v1', 'v3', 'v2']);
+      expect(core.getNowPlayingQueueIndex()).toBe(2);
+
+      // Next wraps around from the moved item.
+      core.nextSong(5);
+      expect(core.vIdx).toBe(0); // v1
+    });
+
+    it('Loop Queue: moving other items across the playing one shifts the cursor', () => {
+      core.loopMode = LOOP_STREAM;
+      core.nextSong(5); // v1
+      core.nextSong(5); // v2 — cursor on index 1
+
+      core.moveQueueItem(0, 2); // v1 jumps over v2
+      expect(ids()).toEqual(['v2', 'v3', 'v1']);
+      expect(core.getNowPlayingQueueIndex()).toBe(0);
+
+      core.moveQueueItem(2, 0); // and back in front of it
+      expect(ids()).toEqual(['v1', 'v2', 'v3']);
+      expect(core.getNowPlayingQueueIndex()).toBe(1);
+
+      core.nextSong(5);
+      expect(core.vIdx).toBe(2); // v3 still follows v2
+    });
+
+    it('Loop Queue: an item dropped onto the gap left by a removal plays next', () => {
+      core.loopMode = LOOP_STREAM;
+      core.enqueue('v1', 1);
+      core.nextSong(5); // v1
+      core.nextSong(5); // v2 — cursor on index 1
+      core.removeFromQueue(1); // gap before v3
+      expect(ids()).toEqual(['v1', 'v3', 'v1']);
+
+      core.moveQueueItem(2, 1); // v1#1 into the gap's slot
+      expect(core.getQueue()[1]).toEqual({ videoId: 'v1', rIdx: 1 });
+      core.nextSong(5);
+      expect(core.vIdx).toBe(0);
+      expect(core.rIdx).toBe(1);
+      expect(core.getNowPlayingQueueIndex()).toBe(1);
+    });
+
+    it('Loop Queue: moving an item out from behind the gap keeps the next pick', () => {
+      core.loopMode = LOOP_STREAM;
+      core.nextSong(5); // v1 — cursor on index 0
+      core.removeFromQueue(0); // gap before v2
+      expect(ids()).toEqual(['v2', 'v3']);
+
+      core.moveQueueItem(0, 1); // v2 behind v3; the gap now sits before v3
+      expect(ids()).toEqual(['v3', 'v2']);
+      core.nextSong(5);
+      expect(core.vIdx).toBe(2); // v3
+    });
+
+    it('persists the new order', () => {
+      callbacks.saveSessionData.mockClear();
+      core.moveQueueItem(0, 1);
+      expect(callbacks.saveSessionData).toHaveBeenCalled();
+    });
+  });
+
+  describe('enqueueMany (queue all)', () => {
+    it('appends in order, skipping tracks already queued or repeated in the batch', () => {
+      core.enqueue('v1', 1);
+      const result = core.enqueueMany([
+        { videoId: 'v1', rIdx: 0 },
+        { videoId: 'v1', rIdx: 1 },
+        { videoId: 'v3', rIdx: 0 },
+        { videoId: 'v1', rIdx: 0 },
+      ]);
+      expect(result).toEqual({ added: 2, skipped: 2 });
+      expect(core.getQueue()).toEqual([
+        { videoId: 'v1', rIdx: 1 },
+        { videoId: 'v1', rIdx: 0 },
+        { videoId: 'v3', rIdx: 0 },
+      ]);
+    });
+
+    it('de-duplicates after resolving rIdx against the playlist', () => {
+      core.enqueue('v2', 0);
+      expect(core.enqueueMany([{ videoId: 'v2', rIdx: 4 }])).toEqual({ added: 0, skipped: 1 });
+    });
+
+    it('turns yap off only when something was added', () => {
+      core.enqueue('v1', 0);
+      core.yapMode = true;
+      core.enqueueMany([{ videoId: 'v1', rIdx: 0 }]);
+      expect(core.yapMode).toBe(true);
+      core.enqueueMany([{ videoId: 'v3', rIdx: 0 }]);
+      expect(core.yapMode).toBe(false);
+    });
+  });
+
+  describe('enqueueNext (play next)', () => {
+    const ids = () => core.getQueue().map(item => item.videoId);
+
+    it('inserts at the front when playback is not attached to the queue', () => {
+      core.enqueue('v1', 0);
+      core.enqueue('v2', 0);
+      core.enqueueNext('v3', 0);
+      expect(ids()).toEqual(['v3', 'v1', 'v2']);
+
+      core.loopMode = LOOP_NONE;
+      core.nextSong(5);
+      expect(core.vIdx).toBe(2); // v3
+      expect(ids()).toEqual(['v1', 'v2']);
+    });
+
+    it('Loop Queue: inserts after the playing slot and the cycle continues from it', () => {
+      core.loopMode = LOOP_STREAM;
+      core.enqueue('v1', 0);
+      core.enqueue('v2', 0);
+      core.enqueue('v3', 0);
+      core.nextSong(5); // v1 — cursor on index 0
+
+      core.enqueueNext('v1', 1);
+      expect(core.getQueue()[1]).toEqual({ videoId: 'v1', rIdx: 1, playNext: true });
+      expect(core.getNowPlayingQueueIndex()).toBe(0);
+
+      core.nextSong(5);
+      expect(core.rIdx).toBe(1);
+      expect(core.getNowPlayingQueueIndex()).toBe(1);
+      expect(core.getQueue()[1]).toEqual({ videoId: 'v1', rIdx: 1 }); // flag spent
+
+      core.nextSong(5);
+      expect(core.vIdx).toBe(1); // v2, the old successor
+    });
+
+    it('Loop Queue: a detached cursor plays the inserted item next', () => {
+      core.loopMode = LOOP_STREAM;
+      core.enqueue('v1', 0);
+      core.enqueue('v2', 0);
+      core.nextSong(5); // v1
+      core.removeFromQueue(0); // gap before v2
+
+      core.enqueueNext('v3', 0);
+      expect(ids()).toEqual(['v3', 'v2']);
+      core.nextSong(5);
+      expect(core.vIdx).toBe(2);
+      core.nextSong(5);
+      expect(core.vIdx).toBe(1); // v2
+    });
+
+    it('repeated play-nexts stack, newest first', () => {
+      core.loopMode = LOOP_NONE;
+      core.enqueue('v2', 0);
+      core.enqueueNext('v1', 0);
+      core.enqueueNext('v3', 0);
+      expect(ids()).toEqual(['v3', 'v1', 'v2']);
+    });
+
+    it('is picked before random picks with shuffle on', () => {
+      core.shuffleMode = true;
+      core.loopMode = LOOP_STREAM;
+      core.enqueue('v1', 0);
+      core.enqueue('v2', 0);
+      core.enqueue('v3', 0);
+      const spy = vi.spyOn(Math, 'random').mockReturnValue(0);
+      core.nextSong(5); // random pick: v1 at index 0
+
+      core.enqueueNext('v1', 1);
+      spy.mockReturnValue(0.99);
+      core.nextSong(5);
+      expect(core.vIdx).toBe(0);
+      expect(core.rIdx).toBe(1);
+      expect(core.getQueue().some(item => item.playNext)).toBe(false);
+
+      core.nextSong(5); // back to random picks
+      expect(core.vIdx).not.toBe(0);
+      spy.mockRestore();
+    });
+
+    it('still plays next after the cursor is moved elsewhere', () => {
+      core.loopMode = LOOP_STREAM;
+      core.enqueue('v1', 0);
+      core.enqueue('v2', 0);
+      core.enqueue('v3', 0);
+      core.nextSong(5); // v1
+      core.enqueueNext('v1', 1); // index 1
+      core.selectQueueItem(3); // v3
+
+      core.nextSong(5);
+      expect(core.vIdx).toBe(0);
+      expect(core.rIdx).toBe(1);
+    });
+
+    it('skips a blocked play-next item like any other', () => {
+      core.cb.isBlocked = (videoId, rIdx) => videoId === 'v3' && rIdx === 0;
+      core.loopMode = LOOP_NONE;
+      core.enqueue('v1', 0);
+      core.enqueueNext('v3', 0);
+      core.nextSong(5);
+      expect(core.vIdx).toBe(0);
+      expect(ids()).toEqual(['v3']);
+    });
+
+    it('turns yap off and persists the flag', () => {
+      core.yapMode = true;
+      core.enqueueNext('v1', 0);
+      expect(core.yapMode).toBe(false);
+      const saved = callbacks.saveSettings.mock.calls.at(-1)[0];
+      expect(JSON.parse(saved.queue)).toEqual([{ videoId: 'v1', rIdx: 0, playNext: true }]);
+    });
+  });
+
+  describe('Undo hooks (beforeQueueEdit and snapshots)', () => {
+    beforeEach(() => {
+      callbacks.beforeQueueEdit = vi.fn();
+      core = new PlayerCore(callbacks);
+      core.init(MOCK_SEGMENTS);
+    });
+
+    it('announces each kind of edit before it happens', () => {
+      callbacks.beforeQueueEdit.mockImplementation(() => {
+        // Called before the mutation, so an undo snapshot taken here is the old state.
+        expect(core.getQueue().length).toBeLessThan(3);
+      });
+      core.enqueue('v1', 0);
+      core.enqueueNext('v3', 0);
+      core.enqueueMany([{ videoId: 'v2', rIdx: 0 }]);
+      callbacks.beforeQueueEdit.mockImplementation(() => {});
+      core.moveQueueItem(0, 2);
+      core.removeFromQueue(0);
+      core.loadQueue([{ videoId: 'v1', rIdx: 1 }], { append: true });
+      core.loadQueue([{ videoId: 'v1', rIdx: 1 }]);
+      core.clearQueue();
+      expect(callbacks.beforeQueueEdit.mock.calls.map(c => c[0])).toEqual([
+        'enqueue', 'playNext', 'enqueueMany', 'move', 'remove', 'append', 'replace', 'clear',
+      ]);
+    });
+
+    it('stays quiet for edits that change nothing', () => {
+      core.enqueue('v1', 0);
+      callbacks.beforeQueueEdit.mockClear();
+      core.enqueueMany([{ videoId: 'v1', rIdx: 0 }]);
+      core.removeFromQueue(5);
+      core.moveQueueItem(0, 0);
+      core.loadQueue([{ videoId: 'missing', rIdx: 0 }], { append: true });
+      core.clearQueue();
+      callbacks.beforeQueueEdit.mockClear();
+      core.clearQueue();
+      expect(callbacks.beforeQueueEdit).not.toHaveBeenCalled();
+    });
+
+    it('restores a snapshot, cursor included, without announcing an edit', () => {
+      core.loopMode = LOOP_STREAM;
+      core.enqueue('v1', 0);
+      core.enqueue('v3', 0);
+      core.advanceAuto();
+      const snapshot = core.getQueueSnapshot();
+      expect(snapshot.cursor).toBe(0);
+      expect(snapshot.detached).toBe(false);
+
+      core.clearQueue();
+      callbacks.beforeQueueEdit.mockClear();
+      core.restoreQueueSnapshot(JSON.parse(JSON.stringify(snapshot)));
+
+      expect(callbacks.beforeQueueEdit).not.toHaveBeenCalled();
+      expect(core.getQueue()).toEqual([{ videoId: 'v1', rIdx: 0 }, { videoId: 'v3', rIdx: 0 }]);
+      expect(core.getNowPlayingQueueIndex()).toBe(0);
+      core.advanceAuto();
+      expect(core.getNowPlayingQueueIndex()).toBe(1);
+    });
+
+    it('drops invalid items and an out-of-range cursor from a snapshot', () => {
+      core.restoreQueueSnapshot({ items: [{ videoId: 'v1', rIdx: 0 }, { rIdx: 1 }, null], cursor: 7, detached: false });
+      expect(core.getQueue()).toEqual([{ videoId: 'v1', rIdx: 0 }]);
+      expect(core.getQueueSnapshot().cursor).toBeNull();
+    });
+  });
+
+  describe('Auto-DJ top-up', () => {
+    const ALL_TRACKS = [
+      { videoId: 'v1', rIdx: 0 }, { videoId: 'v1', rIdx: 1 },
+      { videoId: 'v2', rIdx: 0 }, { videoId: 'v3', rIdx: 0 },
+    ];
+
+    beforeEach(() => {
+      callbacks.getAutoDjCandidates = vi.fn(() => ALL_TRACKS);
+      callbacks.beforeQueueEdit = vi.fn();
+      core = new PlayerCore(callbacks);
+      core.init(MOCK_SEGMENTS);
+    });
+
+    it('fills the queue to the minimum when turned on, flagging the picks', () => {
+      expect(core.setAutoDj({ minQueue: 2 })).toBe(2);
+      expect(core.isAutoDjActive()).toBe(true);
+      const queue = core.getQueue();
+      expect(queue).toHaveLength(2);
+      expect(queue.every(item => item.autoDj)).toBe(true);
+      // Never the song playing now (v1:0) while something else is available.
+      expect(queue.some(item => item.videoId === 'v1' && item.rIdx === 0)).toBe(false);
+      // Not a user edit, so nothing lands on the undo stack.
+      expect(callbacks.beforeQueueEdit).not.toHaveBeenCalled();
+    });
+
+    it('seeds each pick with the queue tail, or the current song', () => {
+      core.setAutoDj({ minQueue: 2 });
+      const seeds = callbacks.getAutoDjCandidates.mock.calls.map(c => c[0]);
+      expect(seeds[0]).toEqual({ videoId: 'v1', rIdx: 0 });
+      const [first] = core.getQueue();
+      expect(seeds[1]).toEqual({ videoId: first.videoId, rIdx: first.rIdx });
+    });
+
+    it('tops up again after playback consumes an item', () => {
+      core.setAutoDj({ minQueue: 2 });
+      core.advanceAuto();
+      expect(core.getQueue()).toHaveLength(2);
+    });
+
+    it('refills an emptied queue on the next advance', () => {
+      core.setAutoDj({ minQueue: 1 });
+      core.clearQueue();
+      expect(core.getQueue()).toHaveLength(0);
+      core.nextSong(0);
+      expect(callbacks.playVideo).not.toHaveBeenCalled();
+      expect(core.getQueue()).toHaveLength(1);
+    });
+
+    it('skips queued and blocked tracks, takes the current song last, then stops', () => {
+      callbacks.isBlocked = (videoId) => videoId === 'v2';
+      core = new PlayerCore(callbacks);
+      core.init(MOCK_SEGMENTS);
+      core.enqueue('v1', 1);
+      expect(core.setAutoDj({ minQueue: 5 })).toBe(2);
+      expect(core.getQueue().map(item => `${item.videoId}:${item.rIdx}`)).toEqual(['v1:1', 'v3:0', 'v1:0']);
+    });
+
+    it('ignores candidates outside the playlist and snaps rIdx', () => {
+      callbacks.getAutoDjCandidates = vi.fn(() => [{ videoId: 'gone', rIdx: 0 }, { videoId: 'v3', rIdx: 9 }]);
+      core = new PlayerCore(callbacks);
+      core.init(MOCK_SEGMENTS);
+      core.setAutoDj({ minQueue: 3 });
+      expect(core.getQueue()).toEqual([{ videoId: 'v3', rIdx: 0, autoDj: true }]);
+    });
+
+    it('keeps what it queued when turned off', () => {
+      core.setAutoDj({ minQueue: 2 });
+      expect(core.setAutoDj(null)).toBe(0);
+      expect(core.isAutoDjActive()).toBe(false);
+      core.advanceAuto();
+      expect(core.getQueue()).toHaveLength(1);
+    });
+  });
+
   describe('Persistence', () => {
     it('saves queue to localStorage via saveSettings', () => {
       core.enqueue('v1', 0);
@@ -1220,6 +1622,23 @@ describe('Queue (§13)', () => {
       spy.mockRestore();
     });
 
+    it('weights a shuffled queue pick by the shuffle strategy', () => {
+      callbacks.random = () => 0.5;
+      callbacks.isFavorite = (videoId, rIdx) => videoId === 'v1' && rIdx === 1;
+      core = new PlayerCore(callbacks);
+      core.init(MOCK_SEGMENTS);
+      core.shuffleMode = true;
+      core.setShuffleStrategy(SHUFFLE_FAVORITES);
+      core.enqueue('v3', 0);
+      core.enqueue('v1', 1);
+      core.enqueue('v2', 0);
+
+      // Weights 1, 4, 1: the middle of the draw lands on the favorite.
+      core.nextSong(5);
+      expect(core.getCurrentStream().videoId).toBe('v1');
+      expect(core.rIdx).toBe(1);
+    });
+
     it('picks from front when shuffle is off (FIFO)', () => {
       core.shuffleMode = false;
       core.loopMode = LOOP_NONE;
@@ -6,7 +6,7 @@ import { attachLongPress, arm, disarm } from './long-press-arm.js';
  * @param {HTMLElement} deps.overlay
  * @param {HTMLElement} deps.queueList
  * @param {HTMLElement} deps.clearAllBtn
- * @param {() => Array<{videoId: string, rIdx: number}>} deps.getQueue
+ * @param {() => Array<{videoId: string, rIdx: number, autoDj?: boolean}>} deps.getQueue
  * @param {() => Array} deps.getPlaylist
  * @param {(index: number) => void} deps.onRemoveItem
  * @param {(index: number) => void} deps.onSelectItem
@@ -14,14 +14,19 @@ import { attachLongPress, arm, disarm } from './long-press-arm.js';
  * @param {() => number} [deps.getNowPlayingIndex] index of the queue item
  *        currently playing (Loop Queue cycling), -1 when none
  * @param {HTMLInputElement} [deps.searchInput] optional in-modal filter box
+ * @param {(from: number, to: number) => void} [deps.onMoveItem] reorders the
+ *        queue; rows get drag handles and Alt+Up/Down when provided
  */
 export function createQueueModalController({
     overlay, queueList, clearAllBtn,
     getQueue, getPlaylist, onRemoveItem, onSelectItem, onClearAll,
-    getNowPlayingIndex = () => -1, searchInput = null,
+    getNowPlayingIndex = () => -1, searchInput = null, onMoveItem = null,
 }) {
     let selIdx = 0;
     let filterQuery = '';
+    // Active handle drag: {from, insertBefore, pointerId}; insertBefore is the
+    // row index the item would be dropped in front of (rows.length = the end).
+    let drag = null;
 
     function toggle() {
         const wasOpen = overlay.classList.contains('open');
@@ -95,7 +100,7 @@ export function createQueueModalController({
         const matches = [];
         queue.forEach((item, idx) => {
             const info = _resolveDisplayInfo(item);
-            if (_matchesFilter(info, query)) matches.push({ idx, info });
+            if (_matchesFilter(info, query)) matches.push({ idx, info, autoDj: !!item.autoDj });
         });
 
         if (matches.length === 0) {
@@ -106,7 +111,7 @@ export function createQueueModalController({
             return;
         }
 
-        matches.forEach(({ idx, info }, visIdx) => {
+        matches.forEach(({ idx, info, autoDj }, visIdx) => {
             const div = document.createElement('div');
             div.className = 'queue-item';
             div.dataset.qidx = String(idx);
@@ -118,6 +123,18 @@ export function createQueueModalController({
                 <span class="queue-item-name">${info.songName}</span>
                 <span class="queue-item-stream">${info.streamName}</span>
             `;
+            if (autoDj) {
+                div.classList.add('auto-added');
+                const badge = document.createElement('span');
+                badge.className = 'queue-item-badge';
+                badge.textContent = 'DJ';
+                badge.title = 'Added by Auto-DJ';
+                div.querySelector('.queue-item-name').after(badge);
+            }
+
+            // Reordering a filtered view would be ambiguous, so handles only
+            // appear on the full queue.
+            if (_canReorder()) div.prepend(_createDragHandle(idx, info.songName));
 
             // Minus button (hidden on touch devices via CSS — they use long-press)
             const removeBtn = document.createElement('button');
@@ -146,6 +163,88 @@ export function createQueueModalController({
         });
     }
 
+    function _canReorder() {
+        return !!onMoveItem && !filterQuery.trim();
+    }
+
+    // Re-render after a move with the moved item still highlighted.
+    function _moveItem(from, to) {
+        if (from === to) return;
+        onMoveItem(from, to);
+        render();
+        selIdx = to;
+        _updateSelection();
+    }
+
+    function _clearDropMarkers() {
+        queueList.querySelectorAll('.drop-before, .drop-after').forEach((row) => {
+            row.classList.remove('drop-before', 'drop-after');
+        });
+    }
+
+    // Row the pointer is over, by halves: the top half drops before the row,
+    // the bottom half before the next one.
+    function _insertIndexAt(clientY) {
+        const rows = queueList.querySelectorAll('.queue-item');
+        for (let i = 0; i < rows.length; i++) {
+            const rect = rows[i].getBoundingClientRect();
+            if (clientY < rect.top + rect.height / 2) return i;
+        }
+        return rows.length;
+    }
+
+    // Pointer drag on the ⠿ handle (mouse, pen and touch alike). The handle
+    // swallows its pointerdown so the row's long-press arming never starts, and
+    // uses pointer capture so the drag survives leaving the handle.
+    function _createDragHandle(idx, songName) {
+        const handle = document.createElement('span');
+        handle.className = 'queue-item-handle';
+        handle.textContent = '⠿';
+        handle.title = 'Drag to reorder (Alt+↑/↓)';
+        handle.setAttribute('aria-label', `Move ${songName}`);
+
+        handle.addEventListener('pointerdown', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            disarm();
+            drag = { from: idx, insertBefore: idx, pointerId: e.pointerId };
+            if (handle.setPointerCapture) {
+                try {
+                    handle.setPointerCapture(e.pointerId);
+                } catch {
+                    // Synthetic pointers can't be captured; the drag still works.
+                }
+            }
+            handle.closest('.queue-item').classList.add('dragging');
+        });
+
+        handle.addEventListener('pointermove', (e) => {
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            drag.insertBefore = _insertIndexAt(e.clientY);
+            _clearDropMarkers();
+            const rows = queueList.querySelectorAll('.queue-item');
+            if (drag.insertBefore < rows.length) rows[drag.insertBefore].classList.add('drop-before');
+            else if (rows.length > 0) rows[rows.length - 1].classList.add('drop-after');
+        });
+
+        const endDrag = (commit) => (e) => {
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            const { from, insertBefore } = drag;
+            drag = null;
+            _clearDropMarkers();
+            queueList.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+            if (!commit) return;
+            // Dropping below its own row shifts the target up by one.
+            const to = insertBefore > from ? insertBefore - 1 : insertBefore;
+            _moveItem(from, to);
+        };
+        handle.addEventListener('pointerup', endDrag(true));
+        handle.addEventListener('pointercancel', endDrag(false));
+        // The press isn't a row click: don't play the item on release.
+        handle.addEventListener('click', e => e.stopPropagation());
+        return handle;
+    }
+
     // Repaint only the now-playing marker (▶ / index number and the now-playing
     // class) on the already-rendered rows. Song changes route here instead of a
     // full render() so the ▶ follows playback while leaving the user's selection,
@@ -184,6 +283,19 @@ export function createQueueModalController({
 
         const rows = queueList.querySelectorAll('.queue-item');
 
+        // Alt+Up/Down moves the highlighted item one slot.
+        if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown') && onMoveItem) {
+            e.preventDefault();
+            if (!_canReorder() || !rows[selIdx]) return true;
+            const from = Number(rows[selIdx].dataset.qidx);
+            const to = from + (e.key === 'ArrowUp' ? -1 : 1);
+            if (to >= 0 && to < rows.length) {
+                if (searchInput && document.activeElement === searchInput) searchInput.blur();
+                _moveItem(from, to);
+            }
+            return true;
+        }
+
         // Delete/Backspace removes the highlighted item — but never while the
         // filter box has focus, where those keys must edit the query text.
         if ((e.key === 'Delete' || e.key === 'Backspace') && document.activeElement !== searchInput) {
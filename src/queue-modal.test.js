@@ -117,6 +117,20 @@ describe('Queue Modal Controller', () => {
             expect(dom.clearAllBtn.disabled).toBe(false);
         });
 
+        it('marks songs Auto-DJ queued', () => {
+            mockQueue = [
+                { videoId: 'v1', rIdx: 1 },
+                { videoId: 'v3', rIdx: 0, autoDj: true },
+            ];
+            ctrl.toggle();
+
+            const items = dom.queueList.querySelectorAll('.queue-item');
+            expect(items[0].classList.contains('auto-added')).toBe(false);
+            expect(items[0].querySelector('.queue-item-badge')).toBeNull();
+            expect(items[1].classList.contains('auto-added')).toBe(true);
+            expect(items[1].querySelector('.queue-item-badge').title).toBe('Added by Auto-DJ');
+        });
+
         it('shows stream title for Rule 0 items', () => {
             mockQueue = [{ videoId: 'v2', rIdx: 0 }];
             ctrl.toggle();
@@ -557,4 +571,128 @@ describe('Queue Modal Controller', () => {
             expect(dom.queueList.querySelectorAll('.queue-item').length).toBe(3);
         });
     });
+
+    describe('reordering', () => {
+        let onMoveItem;
+
+        beforeEach(() => {
+            document.body.innerHTML = '';
+            dom = makeDOM();
+            mockQueue = [
+                { videoId: 'v1', rIdx: 0 },
+                { videoId: 'v1', rIdx: 1 },
+                { videoId: 'v3', rIdx: 0 },
+            ];
+            onMoveItem = vi.fn((from, to) => {
+                const [item] = mockQueue.splice(from, 1);
+                mockQueue.splice(to, 0, item);
+            });
+            ctrl = createQueueModalController({
+                overlay: dom.overlay,
+                queueList: dom.queueList,
+                clearAllBtn: dom.clearAllBtn,
+                searchInput: dom.searchInput,
+                getQueue: () => mockQueue,
+                getPlaylist: () => MOCK_PLAYLIST,
+                onRemoveItem,
+                onSelectItem,
+                onClearAll,
+                onMoveItem,
+            });
+            ctrl.toggle();
+        });
+
+        const names = () => [...dom.queueList.querySelectorAll('.queue-item-name')].map(el => el.textContent);
+        const selectedName = () => dom.queueList.querySelector('.queue-item.selected .queue-item-name').textContent;
+        const altKey = (key) => {
+            const e = new KeyboardEvent('keydown', { key, altKey: true });
+            e.preventDefault = vi.fn();
+            return e;
+        };
+
+        // Rows stacked 40px apart from y=0, so a row's midpoint is 20px into it.
+        function layOutRows() {
+            dom.queueList.querySelectorAll('.queue-item').forEach((row, i) => {
+                row.getBoundingClientRect = () => ({ top: i * 40, height: 40, bottom: i * 40 + 40, left: 0, right: 100, width: 100 });
+            });
+        }
+
+        function pointer(target, type, clientY) {
+            target.dispatchEvent(new PointerEvent(type, { bubbles: true, pointerId: 1, clientY }));
+        }
+
+        it('renders a drag handle on each row', () => {
+            expect(dom.queueList.querySelectorAll('.queue-item-handle').length).toBe(3);
+        });
+
+        it('Alt+ArrowDown moves the highlighted item and keeps it highlighted', () => {
+            expect(ctrl.handleKeyEvent(altKey('ArrowDown'))).toBe(true);
+            expect(onMoveItem).toHaveBeenCalledWith(0, 1);
+            expect(names()).toEqual(['S1T2', 'S1T1', 'S3T1']);
+            expect(selectedName()).toBe('S1T1');
+
+            ctrl.handleKeyEvent(altKey('ArrowDown'));
+            expect(names()).toEqual(['S1T2', 'S3T1', 'S1T1']);
+            expect(selectedName()).toBe('S1T1');
+        });
+
+        it('Alt+ArrowUp at the top is swallowed without moving', () => {
+            expect(ctrl.handleKeyEvent(altKey('ArrowUp'))).toBe(true);
+            expect(onMoveItem).not.toHaveBeenCalled();
+        });
+
+        it('does not reorder a filtered view', () => {
+            typeFilter(dom.searchInput, 'S1');
+            expect(dom.queueList.querySelectorAll('.queue-item-handle').length).toBe(0);
+            expect(ctrl.handleKeyEvent(altKey('ArrowDown'))).toBe(true);
+            expect(onMoveItem).not.toHaveBeenCalled();
+        });
+
+        it('dragging a handle below a row drops the item after it', () => {
+            layOutRows();
+            const handle = dom.queueList.querySelectorAll('.queue-item-handle')[0];
+            pointer(handle, 'pointerdown', 20);
+            expect(dom.queueList.querySelector('.queue-item').classList.contains('dragging')).toBe(true);
+
+            pointer(handle, 'pointermove', 70); // lower half of row 1
+            expect(dom.queueList.querySelectorAll('.queue-item')[2].classList.contains('drop-before')).toBe(true);
+
+            pointer(handle, 'pointerup', 70);
+            expect(onMoveItem).toHaveBeenCalledWith(0, 1);
+            expect(names()).toEqual(['S1T2', 'S1T1', 'S3T1']);
+            expect(dom.queueList.querySelector('.dragging, .drop-before, .drop-after')).toBeNull();
+        });
+
+        it('dragging past the last row moves the item to the end', () => {
+            layOutRows();
+            const handle = dom.queueList.querySelectorAll('.queue-item-handle')[0];
+            pointer(handle, 'pointerdown', 20);
+            pointer(handle, 'pointermove', 200);
+            expect(dom.queueList.querySelectorAll('.queue-item')[2].classList.contains('drop-after')).toBe(true);
+            pointer(handle, 'pointerup', 200);
+            expect(onMoveItem).toHaveBeenCalledWith(0, 2);
+        });
+
+        it('a cancelled drag, or a drop back in place, leaves the queue alone', () => {
+            layOutRows();
+            const handle = dom.queueList.querySelectorAll('.queue-item-handle')[1];
+            pointer(handle, 'pointerdown', 60);
+            pointer(handle, 'pointermove', 110);
+            pointer(handle, 'pointercancel', 110);
+
+            pointer(handle, 'pointerdown', 60);
+            pointer(handle, 'pointermove', 50); // own row's top half
+            pointer(handle, 'pointerup', 50);
+            expect(onMoveItem).not.toHaveBeenCalled();
+        });
+
+        it('pressing the handle neither plays the item nor arms the row', () => {
+            const handle = dom.queueList.querySelectorAll('.queue-item-handle')[0];
+            pointer(handle, 'pointerdown', 20);
+            pointer(handle, 'pointerup', 20);
+            handle.click();
+            expect(onSelectItem).not.toHaveBeenCalled();
+            expect(dom.queueList.querySelector('.armed')).toBeNull();
+        });
+    });
 });
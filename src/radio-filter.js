@@ -0,0 +1,85 @@
+import { getSongMeta, normalizeSongBaseName } from './search-helpers.js';
+
+// Which songs radio mode (song-by-song shuffle) draws from. The artist filter
+// is pinned to the artist of the song playing when it was chosen.
+
+export const RADIO_FILTERS = ['all', 'favorites', 'rated', 'artist'];
+
+/**
+ * Artist of a song as radio compares it ("Song (Live) - Artist" style names
+ * included); '' when the song has none.
+ * @param {{songs: Array|null, title?: string, name?: string}} stream
+ * @param {number} rIdx
+ * @returns {string}
+ */
+export function getRadioArtist(stream, rIdx) {
+    if (!stream) return '';
+    const song = stream.songs ? stream.songs[rIdx] : { name: stream.title || stream.name };
+    return normalizeSongBaseName(getSongMeta(song).artist);
+}
+
+/**
+ * @param {string|null} raw JSON previously stored for the filter
+ * @returns {{kind: string, artist: string}}
+ */
+export function parseRadioFilter(raw) {
+    try {
+        const parsed = JSON.parse(raw || 'null');
+        if (parsed && RADIO_FILTERS.includes(parsed.kind)) {
+            const artist = typeof parsed.artist === 'string' ? parsed.artist : '';
+            if (parsed.kind !== 'artist' || artist) return { kind: parsed.kind, artist };
+        }
+    } catch {
+        // fall through to the default
+    }
+    return { kind: 'all', artist: '' };
+}
+
+/**
+ * Next filter in the cycle. Choosing "artist" pins the current song's
+ * artist, and is skipped when it has none.
+ * @param {{kind: string, artist: string}} filter
+ * @param {string} currentArtist
+ * @returns {{kind: string, artist: string}}
+ */
+export function nextRadioFilter(filter, currentArtist) {
+    const next = RADIO_FILTERS[(RADIO_FILTERS.indexOf(filter.kind) + 1) % RADIO_FILTERS.length];
+    if (next === 'artist') {
+        return currentArtist ? { kind: 'artist', artist: currentArtist } : { kind: 'all', artist: '' };
+    }
+    return { kind: next, artist: '' };
+}
+
+/**
+ * @param {{kind: string, artist: string}} filter
+ * @param {object} stream
+ * @param {number} rIdx
+ * @param {object} marks
+ * @param {(videoId: string, rIdx: number) => boolean} marks.isFavorite
+ * @param {(videoId: string, rIdx: number) => number} marks.getRating
+ * @returns {boolean}
+ */
+export function matchesRadioFilter(filter, stream, rIdx, { isFavorite, getRating }) {
+    switch (filter.kind) {
+        case 'favorites':
+            return isFavorite(stream.videoId, rIdx);
+        case 'rated':
+            return getRating(stream.videoId, rIdx) > 0;
+        case 'artist':
+            return getRadioArtist(stream, rIdx).toLocaleLowerCase('en-US') === filter.artist.toLocaleLowerCase('en-US');
+        default:
+            return true;
+    }
+}
+
+/**
+ * "All Songs", "Favorites", "Rated", or the pinned artist's name.
+ * @param {{kind: string, artist: string}} filter
+ * @returns {string}
+ */
+export function formatRadioFilter(filter) {
+    if (filter.kind === 'favorites') return 'Favorites';
+    if (filter.kind === 'rated') return 'Rated';
+    if (filter.kind === 'artist') return filter.artist;
+    return 'All Songs';
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseRadioFilter,
+    nextRadioFilter,
+    matchesRadioFilter,
+    formatRadioFilter,
+    getRadioArtist,
+} from './radio-filter.js';
+
+const STREAM = {
+    videoId: 'v1',
+    songs: [
+        { name: 'Fast One (Live) - Alice' },
+        { name: 'Slow One', artist: 'Bob' },
+        { name: 'Untitled' },
+    ],
+};
+
+const marks = {
+    isFavorite: (videoId, rIdx) => rIdx === 0,
+    getRating: (videoId, rIdx) => (rIdx === 1 ? 4 : 0),
+};
+
+describe('radio filter', () => {
+    it('reads the artist from structured or legacy names', () => {
+        expect(getRadioArtist(STREAM, 0)).toBe('Alice');
+        expect(getRadioArtist(STREAM, 1)).toBe('Bob');
+        expect(getRadioArtist(STREAM, 2)).toBe('');
+        expect(getRadioArtist({ videoId: 'v2', title: 'Karaoke - Carol', songs: null }, 0)).toBe('Carol');
+        expect(getRadioArtist(null, 0)).toBe('');
+    });
+
+    it('parses a stored filter, defaulting to all songs', () => {
+        expect(parseRadioFilter(JSON.stringify({ kind: 'favorites' }))).toEqual({ kind: 'favorites', artist: '' });
+        expect(parseRadioFilter(JSON.stringify({ kind: 'artist', artist: 'Alice' }))).toEqual({ kind: 'artist', artist: 'Alice' });
+        expect(parseRadioFilter(JSON.stringify({ kind: 'artist' }))).toEqual({ kind: 'all', artist: '' });
+        expect(parseRadioFilter('{oops')).toEqual({ kind: 'all', artist: '' });
+        expect(parseRadioFilter(null)).toEqual({ kind: 'all', artist: '' });
+    });
+
+    it('cycles all → favorites → rated → artist → all', () => {
+        let filter = { kind: 'all', artist: '' };
+        filter = nextRadioFilter(filter, 'Alice');
+        expect(filter.kind).toBe('favorites');
+        filter = nextRadioFilter(filter, 'Alice');
+        expect(filter.kind).toBe('rated');
+        filter = nextRadioFilter(filter, 'Alice');
+        expect(filter).toEqual({ kind: 'artist', artist: 'Alice' });
+        expect(nextRadioFilter(filter, 'Alice')).toEqual({ kind: 'all', artist: '' });
+    });
+
+    it('skips the artist filter when the current song has no artist', () => {
+        expect(nextRadioFilter({ kind: 'rated', artist: '' }, '')).toEqual({ kind: 'all', artist: '' });
+    });
+
+    it('matches songs against each filter', () => {
+        const matches = (filter) => [0, 1, 2].filter(rIdx => matchesRadioFilter(filter, STREAM, rIdx, marks));
+        expect(matches({ kind: 'all', artist: '' })).toEqual([0, 1, 2]);
+        expect(matches({ kind: 'favorites', artist: '' })).toEqual([0]);
+        expect(matches({ kind: 'rated', artist: '' })).toEqual([1]);
+        expect(matches({ kind: 'artist', artist: 'alice' })).toEqual([0]);
+    });
+
+    it('labels each filter', () => {
+        expect(formatRadioFilter({ kind: 'all', artist: '' })).toBe('All Songs');
+        expect(formatRadioFilter({ kind: 'rated', artist: '' })).toBe('Rated');
+        expect(formatRadioFilter({ kind: 'artist', artist: 'Alice' })).toBe('Alice');
+    });
+});
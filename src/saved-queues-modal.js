@@ -0,0 +1,247 @@
+import { resolveListNavigation, NAV_ACTION_MOVE, NAV_ACTION_SELECT } from './list-navigation.js';
+
+/**
+ * Saved queues manager: save the current queue under a name, then load
+ * (replace or append), rename, duplicate or delete saved ones.
+ * @param {object} deps
+ * @param {HTMLElement} deps.overlay
+ * @param {HTMLElement} deps.list
+ * @param {HTMLInputElement} deps.nameInput name for "Save current queue"
+ * @param {HTMLButtonElement} deps.saveBtn
+ * @param {() => Array<{id: number, name: string, items: Array}>} deps.getSaved
+ * @param {() => number} deps.getQueueLength
+ * @param {(name: string) => void} deps.onSave
+ * @param {(id: number, options: {append: boolean}) => void} deps.onLoad
+ * @param {(id: number, name: string) => boolean} deps.onRename false rejects the name
+ * @param {(id: number) => void} deps.onDuplicate
+ * @param {(id: number) => void} deps.onDelete
+ */
+export function createSavedQueuesModalController({
+    overlay, list, nameInput, saveBtn,
+    getSaved, getQueueLength, onSave, onLoad, onRename, onDuplicate, onDelete,
+}) {
+    let saved = [];
+    let selIdx = 0;
+    let renamingId = null;
+
+    function toggle() {
+        const wasOpen = overlay.classList.contains('open');
+        overlay.classList.toggle('open');
+        overlay.inert = wasOpen;
+        if (!wasOpen) {
+            selIdx = 0;
+            renamingId = null;
+            nameInput.value = '';
+            render();
+            if (getQueueLength() > 0) nameInput.focus();
+        }
+    }
+
+    function isOpen() {
+        return overlay.classList.contains('open');
+    }
+
+    function _updateSaveState() {
+        const hasQueue = getQueueLength() > 0;
+        nameInput.disabled = !hasQueue;
+        nameInput.placeholder = hasQueue ? 'Name this queue...' : 'Queue is empty';
+        saveBtn.disabled = !hasQueue || !nameInput.value.trim();
+    }
+
+    function _actionButton(label, title, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'saved-queue-action';
+        btn.textContent = label;
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return btn;
+    }
+
+    function _renderNameEditor(entry) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'saved-queue-rename';
+        input.value = entry.name;
+        input.setAttribute('aria-label', `Rename ${entry.name}`);
+        const commit = () => {
+            if (renamingId !== entry.id) return;
+            if (input.value.trim() === entry.name || onRename(entry.id, input.value)) {
+                renamingId = null;
+                render();
+            } else {
+                input.classList.add('invalid');
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                commit();
+            } else if (e.key === 'Escape') {
+                // Cancel the rename without closing the modal.
+                e.preventDefault();
+                e.stopPropagation();
+                renamingId = null;
+                render();
+            }
+        });
+        input.addEventListener('input', () => input.classList.remove('invalid'));
+        input.addEventListener('click', e => e.stopPropagation());
+        return input;
+    }
+
+    function render() {
+        saved = getSaved();
+        list.innerHTML = '';
+        _updateSaveState();
+
+        if (saved.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'queue-empty';
+            empty.textContent = '(..◜ᴗ◝..)';
+            list.appendChild(empty);
+            return;
+        }
+
+        if (selIdx >= saved.length) selIdx = saved.length - 1;
+        saved.forEach((entry, idx) => {
+            const div = document.createElement('div');
+            div.className = 'queue-item saved-queue-item';
+            if (idx === selIdx) div.classList.add('selected');
+
+            if (entry.id === renamingId) {
+                div.appendChild(_renderNameEditor(entry));
+            } else {
+                const name = document.createElement('span');
+                name.className = 'queue-item-name';
+                name.textContent = entry.name;
+                div.appendChild(name);
+            }
+            const count = document.createElement('span');
+            count.className = 'queue-item-stream';
+            count.textContent = `${entry.items.length} song${entry.items.length === 1 ? '' : 's'}`;
+            div.appendChild(count);
+
+            div.append(
+                _actionButton('+', `Append ${entry.name} to the queue`, () => onLoad(entry.id, { append: true })),
+                _actionButton('✎', `Rename ${entry.name}`, () => startRename(idx)),
+                _actionButton('⧉', `Duplicate ${entry.name}`, () => {
+                    onDuplicate(entry.id);
+                    render();
+                }),
+                _actionButton('−', `Delete ${entry.name}`, () => _delete(idx)),
+            );
+
+            // The row itself loads the queue in place of the current one.
+            div.title = 'Replace the queue with this one';
+            div.addEventListener('click', () => {
+                selIdx = idx;
+                onLoad(entry.id, { append: false });
+            });
+            list.appendChild(div);
+        });
+
+        const editor = list.querySelector('.saved-queue-rename');
+        if (editor) {
+            editor.focus();
+            editor.select();
+        }
+    }
+
+    /**
+     * Turn a row's name into an input (F2 on the highlighted row).
+     * @param {number} [idx]
+     */
+    function startRename(idx = selIdx) {
+        const entry = saved[idx];
+        if (!entry) return;
+        selIdx = idx;
+        renamingId = entry.id;
+        render();
+    }
+
+    function _delete(idx) {
+        const entry = saved[idx];
+        if (!entry) return;
+        selIdx = idx;
+        onDelete(entry.id);
+        render();
+    }
+
+    function _updateSelection() {
+        list.querySelectorAll('.saved-queue-item').forEach((r, i) => {
+            r.classList.toggle('selected', i === selIdx);
+            if (i === selIdx) r.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    function handleKeyEvent(e) {
+        if (!isOpen()) return false;
+        // Typing a name or a rename owns the keyboard.
+        if (document.activeElement === nameInput || renamingId !== null) return false;
+
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            if (saved[selIdx]) {
+                e.preventDefault();
+                _delete(selIdx);
+                return true;
+            }
+        }
+        if (e.key === 'F2' && saved[selIdx]) {
+            e.preventDefault();
+            startRename();
+            return true;
+        }
+
+        const nav = resolveListNavigation(e.key, selIdx, saved.length);
+        if (!nav.handled) return false;
+
+        e.preventDefault();
+
+        if (nav.action === NAV_ACTION_MOVE) {
+            selIdx = nav.nextIndex;
+            _updateSelection();
+        } else if (nav.action === NAV_ACTION_SELECT) {
+            if (saved[selIdx]) onLoad(saved[selIdx].id, { append: false });
+        }
+
+        return true;
+    }
+
+    function _save() {
+        const name = nameInput.value.trim();
+        if (!name || getQueueLength() === 0) return;
+        onSave(name);
+        nameInput.value = '';
+        render();
+    }
+
+    nameInput.addEventListener('input', () => _updateSaveState());
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            _save();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            // Same hand-off as the queue filter box: arrows move into the list.
+            nameInput.blur();
+        }
+    });
+    saveBtn.addEventListener('click', () => _save());
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            toggle();
+        }
+    });
+
+    return {
+        toggle,
+        isOpen,
+        render,
+        startRename,
+        handleKeyEvent,
+    };
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createSavedQueuesModalController } from './saved-queues-modal.js';
+import { createSavedQueueStore } from './saved-queues.js';
+
+const key = (k) => new KeyboardEvent('keydown', { key: k, bubbles: true });
+
+describe('Saved Queues Modal Controller', () => {
+    let overlay, list, nameInput, saveBtn, store, queue, ctrl, onLoad;
+
+    const rowNames = () => [...list.querySelectorAll('.queue-item-name')].map(el => el.textContent);
+    const rows = () => list.querySelectorAll('.saved-queue-item');
+    const action = (row, label) => [...row.querySelectorAll('.saved-queue-action')].find(b => b.textContent === label);
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        overlay = document.createElement('div');
+        overlay.inert = true;
+        nameInput = document.createElement('input');
+        saveBtn = document.createElement('button');
+        list = document.createElement('div');
+        overlay.append(nameInput, saveBtn, list);
+        document.body.appendChild(overlay);
+
+        let stored = null;
+        store = createSavedQueueStore({ load: () => stored, save: (json) => { stored = json; } });
+        store.saveAs('Rock set', [{ videoId: 'v1', rIdx: 0 }, { videoId: 'v2', rIdx: 0 }]);
+        queue = [{ videoId: 'v3', rIdx: 0 }];
+        onLoad = vi.fn();
+        ctrl = createSavedQueuesModalController({
+            overlay, list, nameInput, saveBtn,
+            getSaved: () => store.list(),
+            getQueueLength: () => queue.length,
+            onSave: (name) => store.saveAs(name, queue),
+            onLoad,
+            onRename: (id, name) => store.rename(id, name),
+            onDuplicate: (id) => store.duplicate(id),
+            onDelete: (id) => store.remove(id),
+        });
+        ctrl.toggle();
+    });
+
+    it('lists saved queues with their sizes', () => {
+        expect(ctrl.isOpen()).toBe(true);
+        expect(rowNames()).toEqual(['Rock set']);
+        expect(rows()[0].querySelector('.queue-item-stream').textContent).toBe('2 songs');
+        expect(document.activeElement).toBe(nameInput);
+    });
+
+    it('saves the current queue under the typed name', () => {
+        expect(saveBtn.disabled).toBe(true);
+        nameInput.value = 'Ballads';
+        nameInput.dispatchEvent(new Event('input'));
+        expect(saveBtn.disabled).toBe(false);
+        nameInput.dispatchEvent(key('Enter'));
+        expect(rowNames()).toEqual(['Ballads', 'Rock set']);
+        expect(nameInput.value).toBe('');
+    });
+
+    it('disables saving while the queue is empty', () => {
+        queue = [];
+        ctrl.render();
+        expect(nameInput.disabled).toBe(true);
+        expect(saveBtn.disabled).toBe(true);
+    });
+
+    it('loads by replacing on row click and appending with +', () => {
+        const id = store.list()[0].id;
+        rows()[0].click();
+        expect(onLoad).toHaveBeenCalledWith(id, { append: false });
+        action(rows()[0], '+').click();
+        expect(onLoad).toHaveBeenCalledWith(id, { append: true });
+    });
+
+    it('renames inline, rejecting a taken name', () => {
+        store.saveAs('Ballads', queue);
+        ctrl.render();
+        action(rows()[1], '✎').click();
+        const input = list.querySelector('.saved-queue-rename');
+        expect(input.value).toBe('Rock set');
+
+        input.value = 'ballads';
+        input.dispatchEvent(key('Enter'));
+        expect(input.classList.contains('invalid')).toBe(true);
+
+        input.value = 'Birthday set';
+        input.dispatchEvent(key('Enter'));
+        expect(rowNames()).toEqual(['Ballads', 'Birthday set']);
+    });
+
+    it('duplicates and deletes', () => {
+        action(rows()[0], '⧉').click();
+        expect(rowNames()).toEqual(['Rock set', 'Rock set (copy)']);
+        action(rows()[0], '−').click();
+        expect(rowNames()).toEqual(['Rock set (copy)']);
+    });
+
+    it('navigates with the keyboard once the name box is left', () => {
+        store.saveAs('Ballads', queue);
+        ctrl.render();
+        expect(ctrl.handleKeyEvent(key('ArrowDown'))).toBe(false); // name box focused
+        nameInput.blur();
+        expect(ctrl.handleKeyEvent(key('ArrowDown'))).toBe(true);
+        expect(rows()[1].classList.contains('selected')).toBe(true);
+        ctrl.handleKeyEvent(key('Enter'));
+        expect(onLoad).toHaveBeenCalledWith(store.list()[1].id, { append: false });
+        ctrl.handleKeyEvent(key('Delete'));
+        expect(rowNames()).toEqual(['Ballads']);
+    });
+});
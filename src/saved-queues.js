@@ -0,0 +1,131 @@
+// Named snapshots of the queue ("birthday set", "ballads"), kept in
+// localStorage. Items are stored as plain videoId + rIdx; PlayerCore.loadQueue
+// resolves them against the playlist of the day when one is loaded.
+
+function isValidItem(item) {
+    return !!item && typeof item.videoId === 'string' && Number.isInteger(item.rIdx) && item.rIdx >= 0;
+}
+
+function isValidEntry(entry) {
+    return !!entry && Number.isInteger(entry.id) && typeof entry.name === 'string' && Array.isArray(entry.items);
+}
+
+const sameName = (a, b) => a.trim().toLocaleLowerCase('en-US') === b.trim().toLocaleLowerCase('en-US');
+
+/**
+ * @param {object} deps
+ * @param {() => string|null} deps.load raw JSON previously passed to save
+ * @param {(json: string) => void} deps.save
+ * @param {() => number} [deps.now]
+ */
+export function createSavedQueueStore({ load, save, now = () => Date.now() }) {
+    // [{id, name, items: [{videoId, rIdx}], created, updated}]
+    let entries = [];
+
+    try {
+        const parsed = JSON.parse(load() || '[]');
+        if (Array.isArray(parsed)) {
+            entries = parsed.filter(isValidEntry).map(entry => ({ ...entry, items: entry.items.filter(isValidItem) }));
+        }
+    } catch {
+        entries = [];
+    }
+
+    let nextId = entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+
+    function persist() {
+        save(JSON.stringify(entries));
+    }
+
+    const copyItems = (items) => items.filter(isValidItem).map(({ videoId, rIdx }) => ({ videoId, rIdx }));
+
+    function findByName(name, exceptId = null) {
+        return entries.find(entry => entry.id !== exceptId && sameName(entry.name, name)) || null;
+    }
+
+    // "Ballads (copy)", then "Ballads (copy 2)", …
+    function copyName(name) {
+        if (!findByName(`${name} (copy)`)) return `${name} (copy)`;
+        let n = 2;
+        while (findByName(`${name} (copy ${n})`)) n++;
+        return `${name} (copy ${n})`;
+    }
+
+    /**
+     * Saved queues, alphabetical.
+     * @returns {Array<{id: number, name: string, items: Array<{videoId: string, rIdx: number}>}>}
+     */
+    function list() {
+        return [...entries].sort((a, b) => a.name.localeCompare(b.name, 'en-US', { sensitivity: 'base' }));
+    }
+
+    function get(id) {
+        return entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Save items under a name. Saving over an existing name (case-insensitive)
+     * replaces that queue's items.
+     * @param {string} name
+     * @param {Array<{videoId: string, rIdx: number}>} items
+     * @returns {object|null} the saved entry, null for a blank name
+     */
+    function saveAs(name, items) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return null;
+        let entry = findByName(trimmed);
+        if (entry) {
+            entry.items = copyItems(items);
+            entry.updated = now();
+        } else {
+            const at = now();
+            entry = { id: nextId++, name: trimmed, items: copyItems(items), created: at, updated: at };
+            entries.push(entry);
+        }
+        persist();
+        return entry;
+    }
+
+    /**
+     * @returns {boolean} false for a blank name or one another queue already uses
+     */
+    function rename(id, name) {
+        const entry = get(id);
+        const trimmed = String(name || '').trim();
+        if (!entry || !trimmed || findByName(trimmed, id)) return false;
+        entry.name = trimmed;
+        entry.updated = now();
+        persist();
+        return true;
+    }
+
+    /**
+     * @returns {object|null} the copy
+     */
+    function duplicate(id) {
+        const entry = get(id);
+        if (!entry) return null;
+        const at = now();
+        const copy = { id: nextId++, name: copyName(entry.name), items: copyItems(entry.items), created: at, updated: at };
+        entries.push(copy);
+        persist();
+        return copy;
+    }
+
+    function remove(id) {
+        const before = entries.length;
+        entries = entries.filter(entry => entry.id !== id);
+        if (entries.length === before) return false;
+        persist();
+        return true;
+    }
+
+    return {
+        list,
+        get,
+        saveAs,
+        rename,
+        duplicate,
+        remove,
+    };
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createSavedQueueStore } from './saved-queues.js';
+
+describe('createSavedQueueStore', () => {
+    let stored, clock, store;
+
+    function makeStore() {
+        return createSavedQueueStore({
+            load: () => stored,
+            save: (json) => { stored = json; },
+            now: () => clock++,
+        });
+    }
+
+    const ITEMS = [{ videoId: 'v1', rIdx: 1 }, { videoId: 'v3', rIdx: 0 }];
+
+    beforeEach(() => {
+        stored = null;
+        clock = 1;
+        store = makeStore();
+    });
+
+    it('saves queues by name and lists them alphabetically', () => {
+        store.saveAs('Rock set', ITEMS);
+        store.saveAs('  ballads ', [ITEMS[0]]);
+        expect(store.list().map(q => [q.name, q.items.length])).toEqual([['ballads', 1], ['Rock set', 2]]);
+        expect(store.saveAs('   ', ITEMS)).toBeNull();
+    });
+
+    it('overwrites a queue saved again under the same name', () => {
+        const first = store.saveAs('Rock set', ITEMS);
+        const again = store.saveAs('ROCK SET', [ITEMS[1]]);
+        expect(again.id).toBe(first.id);
+        expect(store.list()).toHaveLength(1);
+        expect(store.get(first.id).items).toEqual([{ videoId: 'v3', rIdx: 0 }]);
+    });
+
+    it('snapshots items instead of keeping the live queue', () => {
+        const queue = [{ ...ITEMS[0] }];
+        const entry = store.saveAs('Live', queue);
+        queue[0].rIdx = 5;
+        queue.push({ videoId: 'v2', rIdx: 0 });
+        expect(store.get(entry.id).items).toEqual([{ videoId: 'v1', rIdx: 1 }]);
+    });
+
+    it('renames unless the name is blank or taken', () => {
+        const rock = store.saveAs('Rock set', ITEMS);
+        store.saveAs('Ballads', ITEMS);
+        expect(store.rename(rock.id, 'ballads')).toBe(false);
+        expect(store.rename(rock.id, '')).toBe(false);
+        expect(store.rename(rock.id, 'Birthday set')).toBe(true);
+        expect(store.get(rock.id).name).toBe('Birthday set');
+    });
+
+    it('duplicates with a unique name and deletes', () => {
+        const rock = store.saveAs('Rock set', ITEMS);
+        const copy = store.duplicate(rock.id);
+        const copy2 = store.duplicate(rock.id);
+        expect([copy.name, copy2.name]).toEqual(['Rock set (copy)', 'Rock set (copy 2)']);
+        expect(copy.items).toEqual(ITEMS);
+        expect(copy.items).not.toBe(store.get(rock.id).items);
+
+        expect(store.remove(rock.id)).toBe(true);
+        expect(store.remove(rock.id)).toBe(false);
+        expect(store.list().map(q => q.name)).toEqual(['Rock set (copy 2)', 'Rock set (copy)']);
+    });
+
+    it('persists across instances and drops malformed data', () => {
+        const rock = store.saveAs('Rock set', ITEMS);
+        const reloaded = makeStore();
+        expect(reloaded.get(rock.id).items).toEqual(ITEMS);
+        // New ids continue after the stored ones.
+        expect(reloaded.saveAs('Other', ITEMS).id).toBeGreaterThan(rock.id);
+
+        stored = JSON.stringify([{ id: 1, name: 'Ok', items: [{ videoId: 'v1', rIdx: -1 }, ITEMS[0]] }, { name: 'no id' }]);
+        expect(makeStore().list()).toEqual([expect.objectContaining({ name: 'Ok', items: [ITEMS[0]] })]);
+        stored = 'not json';
+        expect(makeStore().list()).toEqual([]);
+    });
+});
@@ -1,6 +1,11 @@
 export const FUSE_CONFIG = {
   keys: [
     { name: 'name', weight: 2 },
+    { name: 'title', weight: 2 },
+    { name: 'artist', weight: 1.5 },
+    { name: 'originalArtist', weight: 1 },
+    { name: 'tags', weight: 1 },
+    { name: 'language', weight: 0.5 },
     { name: 'streamName', weight: 1 }
   ],
   threshold: 0.35,
@@ -17,6 +22,66 @@ export function normalizeSongBaseName(name) {
   return base;
 }
 
+const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : '');
+
+/**
+ * Structured metadata for a song. Explicit fields (title, artist, originalArtist,
+ * language, tags, duet) win; otherwise title/artist come from the legacy
+ * "Title - Artist" name, split on the *last* " - " so titles containing one
+ * survive.
+ * @param {{name?: string, title?: string, artist?: string, originalArtist?: string,
+ *          language?: string, tags?: string[], duet?: boolean}|null} song
+ * @returns {{title: string, artist: string, originalArtist: string, language: string,
+ *            tags: string[], duet: boolean}}
+ */
+export function getSongMeta(song) {
+  const name = song && typeof song.name === 'string' ? song.name.trim() : '';
+  let parsedTitle = name;
+  let parsedArtist = '';
+  const sep = name.lastIndexOf(' - ');
+  if (sep > 0) {
+    parsedTitle = name.slice(0, sep).trim();
+    parsedArtist = name.slice(sep + 3).trim();
+  }
+  return {
+    title: optionalText(song && song.title) || parsedTitle,
+    artist: optionalText(song && song.artist) || parsedArtist,
+    originalArtist: optionalText(song && song.originalArtist),
+    language: optionalText(song && song.language),
+    tags: song && Array.isArray(song.tags) ? song.tags.filter((t) => optionalText(t)) : [],
+    duet: !!(song && song.duet === true),
+  };
+}
+
+/**
+ * "Artist (duet) · orig. Someone" — the credit line shown under a song title.
+ * @param {ReturnType<typeof getSongMeta>} meta
+ * @returns {string}
+ */
+export function formatSongCredit(meta) {
+  const parts = [];
+  if (meta.artist) parts.push(meta.duet ? `${meta.artist} (duet)` : meta.artist);
+  else if (meta.duet) parts.push('Duet');
+  if (meta.originalArtist) parts.push(`orig. ${meta.originalArtist}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Grouping key source for "other versions of this song". Songs with a structured
+ * title group as "Title - Artist" so they meet their legacy-named twins; the rest
+ * keep the name-based grouping.
+ * @param {{name?: string, title?: string, artist?: string}} song
+ * @returns {string}
+ */
+export function getSongBaseName(song) {
+  if (!song) return '';
+  const title = optionalText(song.title);
+  if (!title) return normalizeSongBaseName(song.name);
+  const artist = optionalText(song.artist);
+  const base = normalizeSongBaseName(title);
+  return artist ? `${base} - ${artist}` : base;
+}
+
 export function buildSearchIndexFromPlaylist(playlist) {
   const searchIndex = [];
 
@@ -25,8 +90,16 @@ export function buildSearchIndexFromPlaylist(playlist) {
 
     if (stream.songs) {
       stream.songs.forEach((song, songIdx) => {
+        const meta = getSongMeta(song);
         searchIndex.push({
           name: song.name || 'Unknown',
+          // Only explicit titles take part in duplicate grouping (getSongBaseName).
+          title: optionalText(song.title),
+          artist: meta.artist,
+          originalArtist: meta.originalArtist,
+          language: meta.language,
+          tags: meta.tags,
+          duet: meta.duet,
           streamId: sIdx,
           streamName: streamDisplayName,
           songId: songIdx,
@@ -39,7 +112,8 @@ export function buildSearchIndexFromPlaylist(playlist) {
         streamId: sIdx,
         streamName: streamDisplayName,
         songId: 0,
-        type: 'song' // Treat as song for unified search
+        type: 'song', // Treat as song for unified search
+        wholeStream: true // ...but its name is a stream title, not "Title - Artist"
       });
     }
   });
@@ -51,8 +125,7 @@ export function buildDuplicateNameIndex(items) {
   const map = new Map();
 
   for (const item of items) {
-    const rawName = item.name || '';
-    const baseName = normalizeSongBaseName(rawName);
+    const baseName = getSongBaseName(item);
     if (!baseName) continue;
     const key = baseName.toLocaleLowerCase('en-US');
     const existing = map.get(key);
@@ -79,7 +152,7 @@ export function sortSearchResultsByCurrentStream(items, currentStreamId) {
   const groups = new Map();
 
   items.forEach((item) => {
-    const baseName = normalizeSongBaseName(item.name).toLocaleLowerCase('en-US');
+    const baseName = getSongBaseName(item).toLocaleLowerCase('en-US');
     if (!groups.has(baseName)) {
       groups.set(baseName, []);
     }
@@ -99,4 +172,47 @@ export function sortSearchResultsByCurrentStream(items, currentStreamId) {
   });
 
   return sorted;
-}
\ No newline at end of file
+}
+
+export const UNKNOWN_ARTIST = 'Unknown Artist';
+
+const byLabel = (a, b) => a.localeCompare(b, 'en-US', { sensitivity: 'base' });
+
+/**
+ * Every song in the playlist grouped by artist, then by song (performances of
+ * the same song across streams grouped via buildDuplicateNameIndex). Whole-stream
+ * entries have no song to attribute and are left out. Artists sort by name, with
+ * songs lacking an artist collected under UNKNOWN_ARTIST at the end.
+ * @param {Array} playlist
+ * @returns {Array<{key: string, name: string, performanceCount: number,
+ *   songs: Array<{key: string, title: string, count: number, performances: Array}>}>}
+ */
+export function buildArtistCatalogue(playlist) {
+  const byArtist = new Map();
+  for (const item of buildSearchIndexFromPlaylist(playlist)) {
+    if (item.wholeStream) continue;
+    // "Title - Artist (Live)" parses the suffix onto the artist; strip it the same
+    // way duplicate grouping does.
+    const artist = normalizeSongBaseName(item.artist);
+    const name = artist || UNKNOWN_ARTIST;
+    const key = artist ? name.toLocaleLowerCase('en-US') : '';
+    if (!byArtist.has(key)) byArtist.set(key, { key, name, items: [] });
+    byArtist.get(key).items.push(item);
+  }
+
+  const artists = [...byArtist.values()].map(({ key, name, items }) => {
+    const songs = [...buildDuplicateNameIndex(items).values()].map((entry) => ({
+      key: entry.key,
+      title: normalizeSongBaseName(getSongMeta(entry.items[0]).title) || entry.baseName,
+      count: entry.count,
+      performances: entry.items,
+    }));
+    songs.sort((a, b) => byLabel(a.title, b.title));
+    return { key, name, performanceCount: items.length, songs };
+  });
+
+  return artists.sort((a, b) => {
+    if (!a.key !== !b.key) return a.key ? -1 : 1;
+    return byLabel(a.name, b.name);
+  });
+}
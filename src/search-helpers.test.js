@@ -2,8 +2,13 @@ import { describe, it, expect } from 'vitest';
 import Fuse from 'fuse.js';
 import {
   normalizeSongBaseName,
+  getSongMeta,
+  getSongBaseName,
+  formatSongCredit,
   buildSearchIndexFromPlaylist,
   buildDuplicateNameIndex,
+  buildArtistCatalogue,
+  UNKNOWN_ARTIST,
   FUSE_CONFIG
 } from './search-helpers.js';
 
@@ -24,6 +29,61 @@ describe('search helpers', () => {
     });
   });
 
+  describe('getSongMeta', () => {
+    it('parses "Title - Artist" when no structured fields exist', () => {
+      expect(getSongMeta({ name: 'Is this Love - Whitesnake' })).toMatchObject({
+        title: 'Is this Love', artist: 'Whitesnake', tags: [], duet: false,
+      });
+    });
+
+    it('splits on the last separator so titles keep their own " - "', () => {
+      expect(getSongMeta({ name: 'Play On! - NTE Launch Theme - Somebody' })).toMatchObject({
+        title: 'Play On! - NTE Launch Theme', artist: 'Somebody',
+      });
+    });
+
+    it('treats a name without a separator as a bare title', () => {
+      expect(getSongMeta({ name: 'Jingle Bells' })).toMatchObject({ title: 'Jingle Bells', artist: '' });
+    });
+
+    it('prefers structured fields over the parsed name', () => {
+      const meta = getSongMeta({
+        name: 'Tell Me - Why - Band',
+        title: 'Tell Me - Why', artist: 'Band', originalArtist: 'Someone Else',
+        language: 'en', tags: ['rock', ''], duet: true,
+      });
+      expect(meta).toEqual({
+        title: 'Tell Me - Why', artist: 'Band', originalArtist: 'Someone Else',
+        language: 'en', tags: ['rock'], duet: true,
+      });
+    });
+
+    it('falls back per field', () => {
+      expect(getSongMeta({ name: 'Song - Parsed Artist', title: 'Real Title' })).toMatchObject({
+        title: 'Real Title', artist: 'Parsed Artist',
+      });
+    });
+  });
+
+  describe('formatSongCredit', () => {
+    it('joins artist, duet and original artist', () => {
+      expect(formatSongCredit(getSongMeta({ name: 'x', artist: 'A', duet: true, originalArtist: 'O' })))
+        .toBe('A (duet) · orig. O');
+      expect(formatSongCredit(getSongMeta({ name: 'Jingle Bells' }))).toBe('');
+    });
+  });
+
+  describe('getSongBaseName', () => {
+    it('keeps name-based grouping for legacy songs', () => {
+      expect(getSongBaseName({ name: 'Love Song (Live)' })).toBe('Love Song');
+    });
+
+    it('builds "Title - Artist" from structured fields', () => {
+      expect(getSongBaseName({ name: 'whatever', title: 'Love Song (Live)', artist: 'Band' }))
+        .toBe('Love Song - Band');
+    });
+  });
+
   describe('buildSearchIndexFromPlaylist', () => {
     it('creates entries for each song and stream', () => {
       const playlist = [
@@ -53,7 +113,19 @@ describe('search helpers', () => {
       expect(index).toHaveLength(4);
       expect(index[0]).toMatchObject({ name: 'Song A', streamId: 0, songId: 0 });
       expect(index[2]).toMatchObject({ name: '終わりなき旅', streamId: 1, songId: 0 });
-      expect(index[3]).toMatchObject({ name: 'Rule 0 Video', streamId: 2, songId: 0 });
+      expect(index[3]).toMatchObject({ name: 'Rule 0 Video', streamId: 2, songId: 0, wholeStream: true });
+    });
+
+    it('carries song metadata, parsed or structured', () => {
+      const index = buildSearchIndexFromPlaylist([{
+        videoId: 'v1', title: 'S',
+        songs: [
+          { name: 'Maneater - Daryl Hall & John Oates', range: [0, 10] },
+          { name: 'x', range: [10, 20], title: 'Title', artist: 'Artist', tags: ['pop'], language: 'ja', duet: true },
+        ],
+      }]);
+      expect(index[0]).toMatchObject({ title: '', artist: 'Daryl Hall & John Oates' });
+      expect(index[1]).toMatchObject({ title: 'Title', artist: 'Artist', tags: ['pop'], language: 'ja', duet: true });
     });
   });
 
@@ -78,6 +150,14 @@ describe('search helpers', () => {
       ]);
     });
 
+    it('groups a structured song with its legacy-named twin', () => {
+      const map = buildDuplicateNameIndex([
+        { name: 'Is this Love - Whitesnake', streamId: 0, songId: 0 },
+        { name: 'Is this Love (acoustic)', title: 'Is this Love', artist: 'Whitesnake', streamId: 1, songId: 0 },
+      ]);
+      expect(map.get('is this love - whitesnake').count).toBe(2);
+    });
+
     it('supports Japanese titles as duplicates', () => {
       const items = [
         { name: '終わりなき旅', streamId: 0, songId: 0 },
@@ -103,7 +183,57 @@ describe('search helpers', () => {
     });
   });
 
+  describe('buildArtistCatalogue', () => {
+    const playlist = [
+      { name: 'Stream A', videoId: 'a', songs: [
+        { name: 'Love Song - Zed', range: [0, 1] },
+        { name: 'Ballad - Abba', range: [1, 2] },
+        { name: 'Mystery Track', range: [2, 3] },
+      ] },
+      { name: 'Stream B', videoId: 'b', songs: [
+        { name: 'Love Song - Zed (Live)', range: [0, 1] },
+        { name: 'Other', title: 'Another One', artist: 'abba', range: [1, 2] },
+      ] },
+      { name: 'Whole', videoId: 'c' },
+    ];
+
+    it('groups songs by artist, sorted by name with unknown artists last', () => {
+      const catalogue = buildArtistCatalogue(playlist);
+      expect(catalogue.map(a => a.name)).toEqual(['Abba', 'Zed', UNKNOWN_ARTIST]);
+      expect(catalogue[0].songs.map(s => s.title)).toEqual(['Another One', 'Ballad']);
+      expect(catalogue[0].performanceCount).toBe(2);
+      expect(catalogue[2].songs[0].title).toBe('Mystery Track');
+    });
+
+    it('counts performances of the same song across streams', () => {
+      const zed = buildArtistCatalogue(playlist).find(a => a.name === 'Zed');
+      expect(zed.songs).toHaveLength(1);
+      expect(zed.songs[0]).toMatchObject({ title: 'Love Song', count: 2 });
+      expect(zed.songs[0].performances.map(p => [p.streamId, p.songId])).toEqual([[0, 0], [1, 0]]);
+    });
+
+    it('leaves out whole-stream entries', () => {
+      const catalogue = buildArtistCatalogue(playlist);
+      const streams = catalogue.flatMap(a => a.songs.flatMap(s => s.performances.map(p => p.streamName)));
+      expect(streams).not.toContain('Whole');
+      expect(buildArtistCatalogue([{ videoId: 'x' }])).toEqual([]);
+    });
+  });
+
   describe('Fuse search integration', () => {
+    it('finds songs by structured artist and tag', () => {
+      const index = buildSearchIndexFromPlaylist([{
+        videoId: 'v1', title: 'Stream',
+        songs: [
+          { name: 'Alpha', range: [0, 1], artist: 'Whitesnake', tags: ['hair metal'] },
+          { name: 'Beta', range: [1, 2], artist: 'Madonna', tags: ['pop'] },
+        ],
+      }]);
+      const fuse = new Fuse(index, FUSE_CONFIG);
+      expect(fuse.search('whitesnake')[0].item.name).toBe('Alpha');
+      expect(fuse.search('hair metal')[0].item.name).toBe('Alpha');
+    });
+
     it('finds songs with Japanese titles using the same config as the app', () => {
       const items = [
         { name: 'Love Song', streamId: 0, songId: 0, streamName: 'Stream A' },
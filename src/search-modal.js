@@ -1,8 +1,9 @@
 import Fuse from 'fuse.js';
-import { normalizeSongBaseName, buildSearchIndexFromPlaylist, buildDuplicateNameIndex, sortSearchResultsByCurrentStream, FUSE_CONFIG } from './search-helpers.js';
+import { getSongBaseName, getSongMeta, formatSongCredit, buildSearchIndexFromPlaylist, buildDuplicateNameIndex, sortSearchResultsByCurrentStream, FUSE_CONFIG } from './search-helpers.js';
 import { resolveListNavigation, NAV_ACTION_MOVE, NAV_ACTION_SELECT } from './list-navigation.js';
-import { flashEnqueue as _flashEnqueue } from './enqueue-flash.js';
+import { flashEnqueue as _flashEnqueue, flashEnqueueSummary } from './enqueue-flash.js';
 import { attachLongPress, arm, disarm } from './long-press-arm.js';
+import { createFavoriteButton, setFavoriteButtonState } from './favorite-button.js';
 
 /**
  * @param {object} deps
@@ -15,20 +16,32 @@ import { attachLongPress, arm, disarm } from './long-press-arm.js';
  * @param {() => object|null} deps.getCurrentSong
  * @param {(vIdx: number, rIdx: number) => void} deps.onSelectResult
  * @param {((vIdx: number, rIdx: number) => void)|undefined} deps.onEnqueueResult
+ * @param {((vIdx: number, rIdx: number) => void)|undefined} deps.onPlayNextResult
+ *        Shift+click on a result's + plays it next instead
  * @param {((vIdx: number, rIdx: number) => boolean)|undefined} deps.isResultQueued
+ * @param {HTMLButtonElement} [deps.enqueueAllBtn] "queue all" for the shown results
+ * @param {((items: Array<{streamId: number, songId: number}>) => {added: number, skipped: number})|undefined} deps.onEnqueueAllResults
+ * @param {((vIdx: number, rIdx: number) => boolean)|undefined} deps.onToggleFavoriteResult
+ *        returns the new favorite state; results get a heart button when provided
+ * @param {((vIdx: number, rIdx: number) => boolean)|undefined} deps.isResultFavorite
+ * @param {((vIdx: number, rIdx: number) => number)|undefined} deps.getResultRating
  */
 export function createSearchController({
     modal, searchInput, resultsContainer, btnSearch, btnDuplicates,
     getCurrentStreamIdx, getCurrentSong, onSelectResult, onEnqueueResult,
-    isResultQueued = () => false,
+    onPlayNextResult, isResultQueued = () => false,
+    enqueueAllBtn = null, onEnqueueAllResults,
+    onToggleFavoriteResult, isResultFavorite = () => false, getResultRating = () => 0,
 }) {
     let fuse = null;
     let searchResults = [];
     let searchSelIdx = 0;
     let duplicateNameIndex = new Map();
     let duplicateSearchName = '';
+    // Every version of the song behind the ♪ duplicates button while its results
+    // are showing, so "queue all" takes exactly those rather than fuzzy matches.
+    let duplicateVersions = null;
     let modalToggleTime = 0;
-    let lastShiftTime = 0;
 
     function toggle() {
         const wasOpen = modal.classList.contains('open');
@@ -36,6 +49,7 @@ export function createSearchController({
         modal.inert = wasOpen;
         if (!wasOpen) {
             searchInput.value = '';
+            duplicateVersions = null;
             renderResults([]);
             searchInput.focus();
         }
@@ -51,6 +65,7 @@ export function createSearchController({
         fuse = new Fuse(searchIndex, FUSE_CONFIG);
         searchResults = [];
         searchSelIdx = 0;
+        duplicateVersions = null;
     }
 
     function renderResults(items) {
@@ -67,33 +82,62 @@ export function createSearchController({
             div.className = 'result-item';
             if (idx === 0) div.classList.add('selected');
 
+            const meta = item.wholeStream ? null : getSongMeta(item);
+            const credit = meta ? formatSongCredit(meta) : '';
+            const tags = meta && meta.tags.length ? ` • ${meta.tags.map(t => `#${t}`).join(' ')}` : '';
             div.innerHTML = `
-                <span class="result-title">${item.name}</span>
-                <span class="result-sub">${item.streamName} • Song ${item.songId + 1}</span>
+                <span class="result-title">${(meta && meta.title) || item.name}</span>
+                <span class="result-sub">${credit ? `${credit} • ` : ''}${item.streamName} • Song ${item.songId + 1}${tags}</span>
             `;
 
+            if (onToggleFavoriteResult) {
+                div.appendChild(createFavoriteButton({
+                    label: item.name,
+                    favorite: isResultFavorite(item.streamId, item.songId),
+                    rating: getResultRating(item.streamId, item.songId),
+                    onToggle: () => onToggleFavoriteResult(item.streamId, item.songId),
+                    getRating: () => getResultRating(item.streamId, item.songId),
+                }));
+            }
+
             if (onEnqueueResult) {
                 const enqueueBtn = document.createElement('button');
                 enqueueBtn.className = 'enqueue-btn';
                 enqueueBtn.textContent = '+';
-                enqueueBtn.title = 'Add to queue';
+                enqueueBtn.title = onPlayNextResult ? 'Add to queue (Shift+click: play next)' : 'Add to queue';
                 enqueueBtn.setAttribute('aria-label', `Add ${item.name} to queue`);
 
-                const doEnqueue = () => {
-                    if (enqueueBtn.classList.contains('enqueue-ok')) return;
-                    onEnqueueResult(item.streamId, item.songId);
-                    _flashEnqueue(enqueueBtn, disarm);
+                // Touch has no Shift+click: play next gets its own button,
+                // shown next to the + box while the row is armed.
+                const playNextBtn = onPlayNextResult ? document.createElement('button') : null;
+                const doEnqueue = (playNext, clicked) => {
+                    if (div.querySelector('.enqueue-ok')) return;
+                    if (playNext) onPlayNextResult(item.streamId, item.songId);
+                    else onEnqueueResult(item.streamId, item.songId);
+                    _flashEnqueue(clicked, disarm);
                 };
 
+                if (playNextBtn) {
+                    playNextBtn.className = 'play-next-btn';
+                    playNextBtn.textContent = '⏭\uFE0E';
+                    playNextBtn.title = 'Play next';
+                    playNextBtn.setAttribute('aria-label', `Play ${item.name} next`);
+                    playNextBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        doEnqueue(true, playNextBtn);
+                    });
+                    div.appendChild(playNextBtn);
+                }
+
                 enqueueBtn.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    doEnqueue();
+                    doEnqueue(e.shiftKey && !!onPlayNextResult, enqueueBtn);
                 });
                 div.appendChild(enqueueBtn);
 
-                // Coarse pointer: long-press reveals the + box (tinted if already queued);
-                // tapping it enqueues. Registered before the select handler below so its
-                // trailing-click suppressor can cancel the select.
+                // Coarse pointer: long-press reveals the + box (tinted if already queued)
+                // and play next; tapping one acts. Registered before the select handler
+                // below so its trailing-click suppressor can cancel the select.
                 attachLongPress(div, () => arm(div, { inQueue: isResultQueued(item.streamId, item.songId) }));
             }
 
@@ -103,6 +147,34 @@ export function createSearchController({
             });
             resultsContainer.appendChild(div);
         });
+        updateEnqueueAllButton();
+    }
+
+    function getEnqueueAllTargets() {
+        return (duplicateVersions || searchResults).map(item => ({ streamId: item.streamId, songId: item.songId }));
+    }
+
+    function updateEnqueueAllButton() {
+        if (!enqueueAllBtn || !onEnqueueAllResults) return;
+        const count = getEnqueueAllTargets().length;
+        enqueueAllBtn.style.display = count > 1 ? 'flex' : 'none';
+        enqueueAllBtn.title = duplicateVersions
+            ? `Add all ${count} versions of "${duplicateSearchName}" to the queue`
+            : `Add all ${count} results to the queue`;
+    }
+
+    /**
+     * Enqueue every shown result in display order, or every version of the
+     * song when the duplicates button filled the list.
+     * @returns {{added: number, skipped: number}|null}
+     */
+    function enqueueAllResults() {
+        if (!onEnqueueAllResults) return null;
+        const targets = getEnqueueAllTargets();
+        if (targets.length === 0) return null;
+        const result = onEnqueueAllResults(targets);
+        flashEnqueueSummary(enqueueAllBtn, result);
+        return result;
     }
 
     function updateSelection() {
@@ -124,6 +196,16 @@ export function createSearchController({
         return { streamId: item.streamId, songId: item.songId };
     }
 
+    // Repaint the hearts after a keyboard favorite/rating change.
+    function refreshFavorites() {
+        resultsContainer.querySelectorAll('.result-item').forEach((row, i) => {
+            const item = searchResults[i];
+            if (!item) return;
+            setFavoriteButtonState(row.querySelector('.fav-btn'),
+                isResultFavorite(item.streamId, item.songId), getResultRating(item.streamId, item.songId));
+        });
+    }
+
     function updateDuplicateButton() {
         if (!btnDuplicates) return;
 
@@ -135,7 +217,7 @@ export function createSearchController({
             return;
         }
 
-        const baseName = normalizeSongBaseName(song.name);
+        const baseName = getSongBaseName(song);
         const key = baseName.toLocaleLowerCase('en-US');
         const entry = duplicateNameIndex.get(key);
 
@@ -176,15 +258,6 @@ export function createSearchController({
     }
 
     function handleKeyEvent(e) {
-        // Double-shift opens search
-        if (e.key === 'Shift' && !e.repeat) {
-            const now = Date.now();
-            if (now - lastShiftTime < 300) {
-                toggle();
-            }
-            lastShiftTime = now;
-        }
-
         if (!isOpen()) return false;
 
         const nav = resolveListNavigation(e.key, searchSelIdx, searchResults.length);
@@ -222,6 +295,10 @@ export function createSearchController({
             }
 
             searchInput.value = duplicateSearchName;
+            const entry = duplicateNameIndex.get(duplicateSearchName.toLocaleLowerCase('en-US'));
+            duplicateVersions = entry
+                ? sortSearchResultsByCurrentStream(entry.items, getCurrentStreamIdx())
+                : null;
             if (fuse) {
                 const results = fuse.search(duplicateSearchName, { limit: 20 });
                 renderResults(results.map(r => r.item));
@@ -235,7 +312,12 @@ export function createSearchController({
         }
     });
 
+    if (enqueueAllBtn) {
+        enqueueAllBtn.addEventListener('click', () => enqueueAllResults());
+    }
+
     searchInput.addEventListener('input', (e) => {
+        duplicateVersions = null;
         if (!fuse) return;
         const query = e.target.value;
         if (!query) {
@@ -259,5 +341,7 @@ export function createSearchController({
         handleKeyEvent,
         isOpen,
         enqueueHighlighted,
+        enqueueAllResults,
+        refreshFavorites,
     };
 }
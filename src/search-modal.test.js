@@ -79,4 +79,112 @@ describe('createSearchController', () => {
             expect(dom.modal.classList.contains('open')).toBe(false);
         });
     });
+
+    describe('result rows', () => {
+        function searchFor(query) {
+            dom.searchInput.value = query;
+            dom.searchInput.dispatchEvent(new Event('input'));
+            return dom.resultsContainer.querySelector('.result-item');
+        }
+
+        it('shows title with artist credit and tags', () => {
+            ctrl.rebuild([{
+                videoId: 'v1', name: 'Stream 1', title: 'Stream 1',
+                songs: [{
+                    name: 'Is this Love - Whitesnake', range: [0, 100],
+                    originalArtist: 'Someone', tags: ['rock'],
+                }],
+            }]);
+            const row = searchFor('Is this Love');
+            expect(row.querySelector('.result-title').textContent).toBe('Is this Love');
+            expect(row.querySelector('.result-sub').textContent)
+                .toBe('Whitesnake · orig. Someone • Stream 1 • Song 1 • #rock');
+        });
+
+        it('leaves whole-stream entries unsplit', () => {
+            ctrl.rebuild([{ videoId: 'v1', name: 'Karaoke - Night', title: 'Karaoke - Night', songs: null }]);
+            const row = searchFor('Karaoke');
+            expect(row.querySelector('.result-title').textContent).toBe('Karaoke - Night');
+        });
+
+        it('has a play-next button beside the + for touch', () => {
+            const onEnqueueResult = vi.fn();
+            const onPlayNextResult = vi.fn();
+            const onSelectResult = vi.fn();
+            ctrl = createSearchController({
+                ...dom,
+                getCurrentStreamIdx: () => 0,
+                getCurrentSong: () => ({ name: 'Test Song', range: [10, 60] }),
+                onSelectResult, onEnqueueResult, onPlayNextResult,
+            });
+            ctrl.rebuild([{ videoId: 'v1', name: 'Stream 1', title: 'Stream 1', songs: [{ name: 'Love Song', range: [0, 100] }] }]);
+            searchFor('Love').querySelector('.play-next-btn').click();
+            expect(onPlayNextResult).toHaveBeenCalledWith(0, 0);
+            expect(onEnqueueResult).not.toHaveBeenCalled();
+            expect(onSelectResult).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('queue all', () => {
+        const PLAYLIST = [
+            { videoId: 'v1', name: 'Stream 1', title: 'Stream 1', songs: [{ name: 'Love Song', range: [0, 100] }, { name: 'Lovely Day', range: [100, 200] }] },
+            { videoId: 'v2', name: 'Stream 2', title: 'Stream 2', songs: [{ name: 'Love Song', range: [0, 100] }] },
+        ];
+        let enqueueAllBtn, onEnqueueAllResults;
+
+        beforeEach(() => {
+            document.body.innerHTML = '';
+            dom = makeDOM();
+            enqueueAllBtn = document.createElement('button');
+            enqueueAllBtn.textContent = '+ Queue All';
+            dom.modal.appendChild(enqueueAllBtn);
+            onEnqueueAllResults = vi.fn(() => ({ added: 2, skipped: 1 }));
+            ctrl = createSearchController({
+                ...dom,
+                getCurrentStreamIdx: () => 0,
+                getCurrentSong: () => ({ name: 'Love Song', range: [0, 100] }),
+                onSelectResult: vi.fn(),
+                enqueueAllBtn,
+                onEnqueueAllResults,
+            });
+            ctrl.rebuild(PLAYLIST);
+        });
+
+        function shownResults() {
+            return [...dom.resultsContainer.querySelectorAll('.result-sub')].map(el => el.textContent);
+        }
+
+        it('is hidden until there are several results', () => {
+            ctrl.toggle();
+            expect(enqueueAllBtn.style.display).toBe('none');
+            dom.searchInput.value = 'Love';
+            dom.searchInput.dispatchEvent(new Event('input'));
+            expect(enqueueAllBtn.style.display).toBe('flex');
+        });
+
+        it('enqueues the shown results in display order and flashes the summary', () => {
+            ctrl.toggle();
+            dom.searchInput.value = 'Love';
+            dom.searchInput.dispatchEvent(new Event('input'));
+            enqueueAllBtn.click();
+
+            const items = onEnqueueAllResults.mock.calls[0][0];
+            expect(items.map(({ streamId, songId }) => `Stream ${streamId + 1} • Song ${songId + 1}`))
+                .toEqual(shownResults());
+            expect(enqueueAllBtn.textContent).toBe('✓ 2 added · 1 already queued');
+        });
+
+        it('takes exactly the versions of the song from the duplicates button', () => {
+            ctrl.updateDuplicateButton();
+            dom.btnDuplicates.click();
+            expect(enqueueAllBtn.title).toBe('Add all 2 versions of "Love Song" to the queue');
+
+            expect(ctrl.enqueueAllResults()).toEqual({ added: 2, skipped: 1 });
+            // Same order as search shows versions: other streams before the current one.
+            expect(onEnqueueAllResults).toHaveBeenCalledWith([
+                { streamId: 1, songId: 0 },
+                { streamId: 0, songId: 0 },
+            ]);
+        });
+    });
 });
@@ -0,0 +1,378 @@
+import { SegmentDraft, NUDGE_STEPS, PREVIEW_SECONDS, formatTimestamp } from './segment-editor.js';
+import { parseVideoIdInput, validateSegmentData } from './import-helpers.js';
+
+const NUDGE_LABELS = { '-1': '−1', '-0.5': '−½', '0.5': '+½', '1': '+1' };
+
+/**
+ * Editor mode panel: load a video, tap out song boundaries, fine-tune them and
+ * copy the resulting segments.json entry. While the editor's video is loaded the
+ * app hands it the tick (see onTick) instead of the core, so gap skipping and
+ * auto-advance never fight the timestamper.
+ * @param {object} deps
+ * @param {HTMLElement} deps.panel container the editor renders into
+ * @param {() => number} deps.getTime current player time
+ * @param {() => string|null} deps.getLoadedVideoId video the player has loaded
+ * @param {(videoId: string) => object|null} deps.findStream existing entry to seed a draft from
+ * @param {(videoId: string) => boolean} deps.onLoadVideo false if the player isn't ready
+ * @param {(time: number) => void} deps.seek
+ * @param {() => void} deps.play
+ * @param {() => void} deps.pause
+ * @param {(text: string) => Promise<void>} deps.copyText
+ * @param {(data: object|null) => void} deps.saveDraft
+ * @param {() => object|null} deps.loadDraft
+ */
+export function createSegmentEditorController({
+    panel, getTime, getLoadedVideoId, findStream, onLoadVideo,
+    seek, play, pause, copyText, saveDraft, loadDraft,
+}) {
+    let draft = SegmentDraft.fromJSON(loadDraft()) || new SegmentDraft();
+    let previewUntil = null;
+    // Two-step confirm for actions that throw away marked songs.
+    let confirmAction = null;
+
+    let videoInput, streamNameInput, clockEl, pendingEl, nextNameInput, songList, statusEl;
+
+    function el(tag, props = {}, children = []) {
+        const node = document.createElement(tag);
+        Object.assign(node, props);
+        for (const child of children) node.appendChild(child);
+        return node;
+    }
+
+    function button(text, action, title, extra = {}) {
+        const btn = el('button', { type: 'button', textContent: text, title: title || '', ...extra });
+        btn.dataset.action = action;
+        return btn;
+    }
+
+    function build() {
+        panel.textContent = '';
+        videoInput = el('input', {
+            id: 'editor-video-input', type: 'text', autocomplete: 'off',
+            placeholder: 'YouTube URL or video ID',
+        });
+        streamNameInput = el('input', {
+            id: 'editor-stream-name', type: 'text', autocomplete: 'off',
+            placeholder: 'Stream title',
+        });
+        clockEl = el('span', { id: 'editor-clock', textContent: formatTimestamp(0) });
+        pendingEl = el('span', { id: 'editor-pending' });
+        nextNameInput = el('input', {
+            id: 'editor-next-name', type: 'text', autocomplete: 'off',
+            placeholder: 'Song name (optional)',
+        });
+        songList = el('ol', { id: 'editor-song-list' });
+        statusEl = el('div', { id: 'editor-status', textContent: ' ' });
+
+        panel.append(
+            el('div', { id: 'editor-header' }, [
+                el('span', { className: 'editor-heading', textContent: 'Segment Editor' }),
+                videoInput,
+                button('Load', 'load', 'Load video'),
+                streamNameInput,
+            ]),
+            el('div', { id: 'editor-mark-row' }, [
+                clockEl,
+                button('Mark Start', 'mark-start', 'Mark start ([)'),
+                nextNameInput,
+                button('Mark End', 'mark-end', 'Mark end (])'),
+                pendingEl,
+            ]),
+            songList,
+            el('div', { id: 'editor-footer' }, [
+                statusEl,
+                button('Copy JSON', 'export', 'Copy the stream entry for segments.json'),
+                button('Clear', 'clear', 'Discard all marked songs'),
+            ]),
+        );
+
+        panel.addEventListener('click', onClick);
+        panel.addEventListener('input', onInput);
+        videoInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                loadFromInput();
+            }
+        });
+    }
+
+    function setStatus(msg, type) {
+        if (!statusEl) return;
+        statusEl.textContent = msg || ' ';
+        statusEl.className = type || '';
+    }
+
+    function persist() {
+        saveDraft(draft.videoId || draft.songs.length ? draft.toJSON() : null);
+    }
+
+    function renderPending() {
+        pendingEl.textContent = draft.pendingStart === null
+            ? ''
+            : `Start ${formatTimestamp(draft.pendingStart)} — mark the end`;
+    }
+
+    function renderBound(index, edge, time) {
+        const bound = el('span', { className: 'editor-bound' });
+        bound.dataset.edge = edge;
+        bound.dataset.index = String(index);
+        const [before, after] = [NUDGE_STEPS.filter(d => d < 0), NUDGE_STEPS.filter(d => d > 0)];
+        for (const delta of before) {
+            bound.appendChild(button(NUDGE_LABELS[delta], 'nudge', `Nudge ${edge} ${delta}s`, { value: String(delta) }));
+        }
+        bound.appendChild(button(formatTimestamp(time), 'preview',
+            edge === 'start' ? `Preview first ${PREVIEW_SECONDS}s` : `Preview last ${PREVIEW_SECONDS}s`,
+            { className: 'editor-time' }));
+        for (const delta of after) {
+            bound.appendChild(button(NUDGE_LABELS[delta], 'nudge', `Nudge ${edge} +${delta}s`, { value: String(delta) }));
+        }
+        bound.appendChild(button('⌖', 'set', `Set ${edge} to the playhead`));
+        return bound;
+    }
+
+    function renderSongs() {
+        songList.textContent = '';
+        draft.songs.forEach((song, i) => {
+            const nameInput = el('input', {
+                type: 'text', className: 'editor-song-name', value: song.name, autocomplete: 'off',
+            });
+            nameInput.dataset.index = String(i);
+            const row = el('li', { className: 'editor-song' }, [
+                nameInput,
+                renderBound(i, 'start', song.range[0]),
+                renderBound(i, 'end', song.range[1]),
+                button('▲', 'up', 'Move up', { disabled: i === 0 }),
+                button('▼', 'down', 'Move down', { disabled: i === draft.songs.length - 1 }),
+                button('✕', 'delete', 'Delete song', { className: 'editor-delete' }),
+            ]);
+            row.dataset.index = String(i);
+            songList.appendChild(row);
+        });
+    }
+
+    function render() {
+        videoInput.value = draft.videoId;
+        streamNameInput.value = draft.name;
+        renderPending();
+        renderSongs();
+    }
+
+    function changed() {
+        persist();
+        renderPending();
+        renderSongs();
+    }
+
+    function confirmOnce(key, message) {
+        if (confirmAction === key) {
+            confirmAction = null;
+            return true;
+        }
+        confirmAction = key;
+        setStatus(message, 'warning');
+        return false;
+    }
+
+    function isVideoLoaded() {
+        return !!draft.videoId && getLoadedVideoId() === draft.videoId;
+    }
+
+    function loadVideo(videoId) {
+        if (videoId !== draft.videoId) {
+            if (draft.songs.length &&
+                !confirmOnce(`load:${videoId}`, `Unsaved songs for ${draft.videoId} — Load again to discard them`)) {
+                return;
+            }
+            const existing = findStream(videoId);
+            draft = existing ? SegmentDraft.fromStreamEntry(existing) : new SegmentDraft({ videoId });
+            persist();
+            render();
+        }
+        if (onLoadVideo(videoId)) {
+            setStatus(`Loaded ${videoId}`, 'ok');
+        } else {
+            setStatus('Player not ready — press Start first', 'error');
+        }
+    }
+
+    function loadFromInput() {
+        const videoId = parseVideoIdInput(videoInput.value);
+        if (!videoId) {
+            setStatus('Not a YouTube URL or video ID', 'error');
+            return;
+        }
+        loadVideo(videoId);
+    }
+
+    function requireLoaded() {
+        if (isVideoLoaded()) return true;
+        setStatus('Load the video first', 'error');
+        return false;
+    }
+
+    function markStart() {
+        if (!requireLoaded()) return;
+        const start = draft.markStart(getTime());
+        setStatus(`Start marked at ${formatTimestamp(start)}`);
+        persist();
+        renderPending();
+    }
+
+    function markEnd() {
+        if (!requireLoaded()) return;
+        if (draft.pendingStart === null) {
+            setStatus('Mark a start first', 'error');
+            return;
+        }
+        const idx = draft.markEnd(getTime(), nextNameInput.value);
+        if (idx === -1) {
+            setStatus('End must be after the start', 'error');
+            return;
+        }
+        nextNameInput.value = '';
+        setStatus(`Added “${draft.songs[idx].name}”`, 'ok');
+        changed();
+    }
+
+    function preview(index, edge) {
+        const song = draft.songs[index];
+        if (!song || !requireLoaded()) return;
+        const [start, end] = song.range;
+        const from = edge === 'start' ? start : Math.max(start, end - PREVIEW_SECONDS);
+        previewUntil = edge === 'start' ? Math.min(end, start + PREVIEW_SECONDS) : end;
+        seek(from);
+        play();
+    }
+
+    function exportEntry() {
+        const problems = draft.getProblems();
+        if (problems.length) {
+            setStatus(problems[0], 'error');
+            return;
+        }
+        const entry = draft.toStreamEntry();
+        if (!validateSegmentData([entry])) {
+            setStatus('Entry failed validation', 'error');
+            return;
+        }
+        // Pin the date so repeated exports of this draft stay identical.
+        draft.released = entry.released;
+        persist();
+        copyText(JSON.stringify(entry, null, 2)).then(() => {
+            setStatus(`Copied ${draft.songs.length} song(s) — paste into segments.json`, 'ok');
+        }).catch((err) => {
+            console.error('[Editor] Failed to copy entry', err);
+            setStatus('Copy failed — see console', 'error');
+        });
+    }
+
+    function clear() {
+        if (draft.songs.length && !confirmOnce('clear', `Clear ${draft.songs.length} song(s)? Click again to confirm`)) {
+            return;
+        }
+        draft = new SegmentDraft({ videoId: draft.videoId, name: draft.name });
+        setStatus('Cleared');
+        persist();
+        render();
+    }
+
+    function onClick(e) {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const { action } = btn.dataset;
+        if (confirmAction && action !== 'load' && action !== 'clear') confirmAction = null;
+
+        const holder = btn.closest('[data-index]');
+        const index = holder ? Number(holder.dataset.index) : -1;
+        const edge = holder ? holder.dataset.edge : undefined;
+
+        switch (action) {
+            case 'load': loadFromInput(); break;
+            case 'mark-start': markStart(); break;
+            case 'mark-end': markEnd(); break;
+            case 'export': exportEntry(); break;
+            case 'clear': clear(); break;
+            case 'nudge':
+                // Nudging previews straight away: that's how a boundary is judged.
+                if (draft.nudge(index, edge, Number(btn.value))) {
+                    changed();
+                    preview(index, edge);
+                } else {
+                    setStatus('That would leave the song empty', 'error');
+                }
+                break;
+            case 'set':
+                if (!requireLoaded()) break;
+                if (draft.setBoundary(index, edge, getTime())) changed();
+                else setStatus('That would leave the song empty', 'error');
+                break;
+            case 'preview': preview(index, edge); break;
+            case 'up': if (draft.move(index, -1)) changed(); break;
+            case 'down': if (draft.move(index, 1)) changed(); break;
+            case 'delete': if (draft.remove(index)) changed(); break;
+        }
+    }
+
+    function onInput(e) {
+        if (e.target === streamNameInput) {
+            draft.name = streamNameInput.value;
+            persist();
+        } else if (e.target.classList.contains('editor-song-name')) {
+            draft.rename(Number(e.target.dataset.index), e.target.value);
+            persist();
+        }
+    }
+
+    /**
+     * @param {string|null} [initialVideoId] from ?v=, takes over the saved draft's video
+     */
+    function init(initialVideoId) {
+        if (!panel) return;
+        build();
+        if (initialVideoId && initialVideoId !== draft.videoId && !draft.songs.length) {
+            const existing = findStream(initialVideoId);
+            draft = existing ? SegmentDraft.fromStreamEntry(existing) : new SegmentDraft({ videoId: initialVideoId });
+            persist();
+        }
+        render();
+        panel.hidden = false;
+    }
+
+    function onTick(t) {
+        if (clockEl) clockEl.textContent = formatTimestamp(t);
+        if (previewUntil !== null && t >= previewUntil) {
+            previewUntil = null;
+            pause();
+        }
+    }
+
+    function isTyping() {
+        const active = document.activeElement;
+        return !!panel && !!active && active.tagName === 'INPUT' && panel.contains(active);
+    }
+
+    function handleKeyEvent(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+        if (e.key === '[') {
+            e.preventDefault();
+            markStart();
+            return true;
+        }
+        if (e.key === ']') {
+            e.preventDefault();
+            markEnd();
+            return true;
+        }
+        return false;
+    }
+
+    return {
+        init,
+        onTick,
+        isTyping,
+        handleKeyEvent,
+        getVideoId: () => draft.videoId,
+        getStreamName: () => draft.name,
+        getDraft: () => draft,
+    };
+}
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSegmentEditorController } from './segment-editor-ui.js';
+
+describe('createSegmentEditorController', () => {
+    let panel, deps, ctrl, time, loadedVideoId, saved;
+
+    function click(action, rowIdx, edge) {
+        let scope = panel;
+        if (rowIdx !== undefined) {
+            scope = panel.querySelectorAll('.editor-song')[rowIdx];
+            if (edge) scope = scope.querySelector(`.editor-bound[data-edge="${edge}"]`);
+        }
+        scope.querySelector(`button[data-action="${action}"]`).click();
+    }
+
+    function load(videoId) {
+        panel.querySelector('#editor-video-input').value = videoId;
+        click('load');
+    }
+
+    beforeEach(() => {
+        panel = document.createElement('section');
+        panel.hidden = true;
+        document.body.appendChild(panel);
+        time = 0;
+        loadedVideoId = null;
+        saved = null;
+        deps = {
+            panel,
+            getTime: () => time,
+            getLoadedVideoId: () => loadedVideoId,
+            findStream: vi.fn(() => null),
+            onLoadVideo: vi.fn((videoId) => { loadedVideoId = videoId; return true; }),
+            seek: vi.fn(),
+            play: vi.fn(),
+            pause: vi.fn(),
+            copyText: vi.fn(() => Promise.resolve()),
+            saveDraft: vi.fn((data) => { saved = data; }),
+            loadDraft: () => saved,
+        };
+        ctrl = createSegmentEditorController(deps);
+        ctrl.init();
+    });
+
+    afterEach(() => {
+        panel.remove();
+    });
+
+    it('shows the panel on init', () => {
+        expect(panel.hidden).toBe(false);
+        expect(panel.querySelector('#editor-video-input')).not.toBeNull();
+    });
+
+    it('loads a video from a URL', () => {
+        load('https://youtu.be/abcdefghijk');
+        expect(deps.onLoadVideo).toHaveBeenCalledWith('abcdefghijk');
+        expect(ctrl.getVideoId()).toBe('abcdefghijk');
+        expect(panel.querySelector('#editor-status').textContent).toContain('Loaded');
+    });
+
+    it('rejects input that is not a video', () => {
+        load('not a video');
+        expect(deps.onLoadVideo).not.toHaveBeenCalled();
+        expect(panel.querySelector('#editor-status').className).toBe('error');
+    });
+
+    it('seeds the draft from an existing stream', () => {
+        deps.findStream.mockReturnValue({ videoId: 'abcdefghijk', name: 'Old', songs: [{ name: 'S', range: [1, 2] }] });
+        load('abcdefghijk');
+        expect(panel.querySelectorAll('.editor-song')).toHaveLength(1);
+        expect(panel.querySelector('#editor-stream-name').value).toBe('Old');
+    });
+
+    it('refuses to mark before the video is loaded', () => {
+        click('mark-start');
+        expect(panel.querySelector('#editor-status').textContent).toBe('Load the video first');
+    });
+
+    describe('with a loaded video', () => {
+        beforeEach(() => {
+            load('abcdefghijk');
+            time = 12.2;
+            click('mark-start');
+            panel.querySelector('#editor-next-name').value = 'Song - Artist';
+            time = 50;
+            click('mark-end');
+        });
+
+        it('marks a song from the playhead and persists the draft', () => {
+            expect(ctrl.getDraft().songs).toEqual([{ name: 'Song - Artist', range: [12, 50] }]);
+            expect(saved.songs).toHaveLength(1);
+            expect(panel.querySelector('#editor-next-name').value).toBe('');
+        });
+
+        it('supports [ and ] as mark keys', () => {
+            time = 60;
+            expect(ctrl.handleKeyEvent(new KeyboardEvent('keydown', { key: '[' }))).toBe(true);
+            time = 70;
+            expect(ctrl.handleKeyEvent(new KeyboardEvent('keydown', { key: ']' }))).toBe(true);
+            expect(ctrl.getDraft().songs[1].range).toEqual([60, 70]);
+        });
+
+        it('nudges a boundary and previews its first seconds', () => {
+            click('nudge', 0, 'start');
+            expect(ctrl.getDraft().songs[0].range).toEqual([11, 50]);
+            expect(deps.seek).toHaveBeenCalledWith(11);
+            expect(deps.play).toHaveBeenCalled();
+
+            ctrl.onTick(13);
+            expect(deps.pause).not.toHaveBeenCalled();
+            ctrl.onTick(14);
+            expect(deps.pause).toHaveBeenCalledTimes(1);
+        });
+
+        it('previews the last seconds of a song', () => {
+            click('preview', 0, 'end');
+            expect(deps.seek).toHaveBeenCalledWith(47);
+            ctrl.onTick(50);
+            expect(deps.pause).toHaveBeenCalled();
+        });
+
+        it('renames through the row input', () => {
+            const input = panel.querySelector('.editor-song-name');
+            input.value = 'Better Name';
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            expect(ctrl.getDraft().songs[0].name).toBe('Better Name');
+        });
+
+        it('exports a valid entry to the clipboard', async () => {
+            panel.querySelector('#editor-stream-name').value = 'Karaoke';
+            panel.querySelector('#editor-stream-name').dispatchEvent(new Event('input', { bubbles: true }));
+            click('export');
+            const entry = JSON.parse(deps.copyText.mock.calls[0][0]);
+            expect(entry).toMatchObject({
+                name: 'Karaoke',
+                videoId: 'abcdefghijk',
+                songs: [{ name: 'Song - Artist', range: [12, 50] }],
+            });
+            expect(entry.released).toMatch(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ$/);
+        });
+
+        it('asks twice before discarding songs for another video', () => {
+            load('zyxwvutsrqp');
+            expect(deps.onLoadVideo).toHaveBeenCalledTimes(1);
+            expect(ctrl.getVideoId()).toBe('abcdefghijk');
+            load('zyxwvutsrqp');
+            expect(ctrl.getVideoId()).toBe('zyxwvutsrqp');
+            expect(ctrl.getDraft().songs).toEqual([]);
+        });
+
+        it('asks twice before clearing', () => {
+            click('clear');
+            expect(ctrl.getDraft().songs).toHaveLength(1);
+            click('clear');
+            expect(ctrl.getDraft().songs).toHaveLength(0);
+        });
+
+        it('deletes and reorders rows', () => {
+            time = 60;
+            click('mark-start');
+            time = 70;
+            click('mark-end');
+            click('up', 1);
+            expect(ctrl.getDraft().songs.map(s => s.range[0])).toEqual([60, 12]);
+            click('delete', 0);
+            expect(ctrl.getDraft().songs.map(s => s.range[0])).toEqual([12]);
+        });
+    });
+
+    it('restores a saved draft', () => {
+        saved = { videoId: 'abcdefghijk', name: 'Saved', songs: [{ name: 'a', range: [0, 5] }], pendingStart: null };
+        const restored = createSegmentEditorController({ ...deps, panel: document.createElement('section') });
+        restored.init();
+        expect(restored.getDraft().songs).toHaveLength(1);
+        expect(restored.getStreamName()).toBe('Saved');
+    });
+
+    it('reports typing focus inside its inputs', () => {
+        const input = panel.querySelector('#editor-next-name');
+        input.focus();
+        expect(ctrl.isTyping()).toBe(true);
+        input.blur();
+        expect(ctrl.isTyping()).toBe(false);
+    });
+});
@@ -0,0 +1,205 @@
+// Segment authoring model behind editor mode (?editor=1). Pure: times come in
+// from the player, and the result goes out as a stream entry in the authored
+// src/data/segments.json shape, ready to paste into the source file or import.
+
+export const NUDGE_STEPS = [-1, -0.5, 0.5, 1];
+export const PREVIEW_SECONDS = 3;
+
+/**
+ * Snap a player time onto the half-second nudge grid, so tapped and nudged
+ * boundaries agree and the exported JSON stays readable.
+ * @param {number} seconds
+ * @returns {number}
+ */
+export function snapTime(seconds) {
+    if (!Number.isFinite(seconds)) return 0;
+    return Math.max(0, Math.round(seconds * 2) / 2);
+}
+
+/**
+ * `m:ss` / `h:mm:ss`, with a `.5` tail for half seconds.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+    const total = Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+    const whole = Math.floor(total);
+    const frac = total - whole >= 0.5 ? '.5' : '';
+    const h = Math.floor(whole / 3600);
+    const m = Math.floor((whole % 3600) / 60);
+    const s = String(whole % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}${frac}` : `${m}:${s}${frac}`;
+}
+
+// segments.json writes `released` without milliseconds.
+function toReleasedStamp(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+export class SegmentDraft {
+    constructor({ videoId = '', name = '', songs = [], pendingStart = null, released = null } = {}) {
+        this.videoId = videoId;
+        this.name = name;
+        this.songs = songs.map(s => ({ ...s, range: [s.range[0], s.range[1]] }));
+        this.pendingStart = Number.isFinite(pendingStart) ? pendingStart : null;
+        // Kept from a loaded entry so re-exporting an existing stream doesn't re-date it.
+        this.released = released;
+    }
+
+    /**
+     * Start from an existing stream entry (authored or runtime shape).
+     * @param {{videoId: string, name?: string, songs?: Array, released?: string}} entry
+     */
+    static fromStreamEntry(entry) {
+        const songs = Array.isArray(entry.songs) ? entry.songs : [];
+        return new SegmentDraft({
+            videoId: entry.videoId,
+            name: entry.name || '',
+            // Theme and metadata (title, artist, tags…) ride along untouched.
+            songs,
+            released: entry.released || null,
+        });
+    }
+
+    /**
+     * Restore a draft saved with toJSON(); null when the data is unusable.
+     * @param {*} data
+     * @returns {SegmentDraft|null}
+     */
+    static fromJSON(data) {
+        if (!data || typeof data.videoId !== 'string' || !Array.isArray(data.songs)) return null;
+        const songsValid = data.songs.every(s =>
+            s && typeof s.name === 'string' && Array.isArray(s.range) &&
+            Number.isFinite(s.range[0]) && Number.isFinite(s.range[1])
+        );
+        if (!songsValid) return null;
+        return new SegmentDraft(data);
+    }
+
+    toJSON() {
+        return {
+            videoId: this.videoId,
+            name: this.name,
+            songs: this.songs,
+            pendingStart: this.pendingStart,
+            released: this.released,
+        };
+    }
+
+    markStart(time) {
+        this.pendingStart = snapTime(time);
+        return this.pendingStart;
+    }
+
+    /**
+     * Close the pending start into a song. Returns the new song's index, or -1
+     * when there is no pending start or the end isn't after it.
+     * @param {number} time
+     * @param {string} [name]
+     * @returns {number}
+     */
+    markEnd(time, name) {
+        if (this.pendingStart === null) return -1;
+        const end = snapTime(time);
+        if (end <= this.pendingStart) return -1;
+        this.songs.push({
+            name: (name || '').trim() || `Song ${this.songs.length + 1}`,
+            range: [this.pendingStart, end],
+        });
+        this.pendingStart = null;
+        return this.songs.length - 1;
+    }
+
+    cancelPending() {
+        this.pendingStart = null;
+    }
+
+    /**
+     * Move one boundary of a song. Rejected (returns false) if it would leave
+     * the song empty or inverted.
+     * @param {number} index
+     * @param {'start'|'end'} edge
+     * @param {number} time
+     * @returns {boolean}
+     */
+    setBoundary(index, edge, time) {
+        const song = this.songs[index];
+        if (!song) return false;
+        const snapped = snapTime(time);
+        const [start, end] = song.range;
+        if (edge === 'start' && snapped < end) {
+            song.range = [snapped, end];
+            return true;
+        }
+        if (edge === 'end' && snapped > start) {
+            song.range = [start, snapped];
+            return true;
+        }
+        return false;
+    }
+
+    nudge(index, edge, delta) {
+        const song = this.songs[index];
+        if (!song) return false;
+        const current = edge === 'start' ? song.range[0] : song.range[1];
+        return this.setBoundary(index, edge, current + delta);
+    }
+
+    rename(index, name) {
+        const song = this.songs[index];
+        if (!song || typeof name !== 'string') return false;
+        song.name = name;
+        return true;
+    }
+
+    move(index, delta) {
+        const target = index + delta;
+        if (!this.songs[index] || target < 0 || target >= this.songs.length) return false;
+        [this.songs[index], this.songs[target]] = [this.songs[target], this.songs[index]];
+        return true;
+    }
+
+    remove(index) {
+        if (!this.songs[index]) return false;
+        this.songs.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Problems that would make the export wrong or unplayable. The player walks
+     * songs in array order, so overlaps and out-of-order songs are reported
+     * rather than silently sorted.
+     * @returns {string[]}
+     */
+    getProblems() {
+        const problems = [];
+        if (!this.videoId) problems.push('No video loaded');
+        if (!this.songs.length) problems.push('No songs marked');
+        this.songs.forEach((song, i) => {
+            if (!song.name.trim()) problems.push(`Song ${i + 1} has no name`);
+            const prev = this.songs[i - 1];
+            if (prev && song.range[0] < prev.range[1]) {
+                problems.push(`Song ${i + 1} starts before song ${i} ends`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * The authored stream entry (key order matches segments.json).
+     * @param {object} [options]
+     * @param {Date} [options.now] stamps `released` for new streams
+     * @returns {{name?: string, videoId: string, songs: Array, released: string}}
+     */
+    toStreamEntry({ now = new Date() } = {}) {
+        const entry = {};
+        const name = this.name.trim();
+        if (name) entry.name = name;
+        entry.videoId = this.videoId;
+        entry.songs = this.songs.map(({ name: songName, range, ...rest }) => ({
+            name: songName.trim(), range: [range[0], range[1]], ...rest,
+        }));
+        entry.released = this.released || toReleasedStamp(now);
+        return entry;
+    }
+}
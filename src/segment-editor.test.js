@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import { SegmentDraft, snapTime, formatTimestamp } from './segment-editor.js';
+import { validateSegmentData } from './import-helpers.js';
+import { transformSegments } from '../scripts/transform-segments.js';
+import source from './data/segments.json';
+
+function draftWithSongs() {
+    const draft = new SegmentDraft({ videoId: 'newVideo123', name: 'Karaoke Night' });
+    draft.markStart(10.2);
+    draft.markEnd(60.8, 'First Song - Artist');
+    draft.markStart(75);
+    draft.markEnd(130, 'Second Song - Artist');
+    return draft;
+}
+
+describe('snapTime / formatTimestamp', () => {
+    it('snaps onto the half-second grid, never negative', () => {
+        expect(snapTime(10.2)).toBe(10);
+        expect(snapTime(10.3)).toBe(10.5);
+        expect(snapTime(-3)).toBe(0);
+        expect(snapTime(NaN)).toBe(0);
+    });
+
+    it('formats minutes, hours and half seconds', () => {
+        expect(formatTimestamp(0)).toBe('0:00');
+        expect(formatTimestamp(65.5)).toBe('1:05.5');
+        expect(formatTimestamp(3723)).toBe('1:02:03');
+    });
+});
+
+describe('SegmentDraft', () => {
+    describe('marking', () => {
+        it('closes a pending start into a named song', () => {
+            const draft = draftWithSongs();
+            expect(draft.songs).toEqual([
+                { name: 'First Song - Artist', range: [10, 61] },
+                { name: 'Second Song - Artist', range: [75, 130] },
+            ]);
+            expect(draft.pendingStart).toBeNull();
+        });
+
+        it('falls back to a numbered name', () => {
+            const draft = new SegmentDraft({ videoId: 'x' });
+            draft.markStart(0);
+            draft.markEnd(5, '   ');
+            expect(draft.songs[0].name).toBe('Song 1');
+        });
+
+        it('rejects an end without a start or before it', () => {
+            const draft = new SegmentDraft({ videoId: 'x' });
+            expect(draft.markEnd(5)).toBe(-1);
+            draft.markStart(20);
+            expect(draft.markEnd(20)).toBe(-1);
+            expect(draft.pendingStart).toBe(20);
+        });
+    });
+
+    describe('editing', () => {
+        it('nudges boundaries in both directions', () => {
+            const draft = draftWithSongs();
+            expect(draft.nudge(0, 'start', -0.5)).toBe(true);
+            expect(draft.nudge(0, 'end', 1)).toBe(true);
+            expect(draft.songs[0].range).toEqual([9.5, 62]);
+        });
+
+        it('refuses nudges that would empty or invert a song', () => {
+            const draft = new SegmentDraft({ videoId: 'x', songs: [{ name: 'a', range: [10, 10.5] }] });
+            expect(draft.nudge(0, 'start', 0.5)).toBe(false);
+            expect(draft.nudge(0, 'end', -1)).toBe(false);
+            expect(draft.songs[0].range).toEqual([10, 10.5]);
+        });
+
+        it('clamps a start nudged below zero', () => {
+            const draft = new SegmentDraft({ videoId: 'x', songs: [{ name: 'a', range: [0.5, 10] }] });
+            draft.nudge(0, 'start', -1);
+            expect(draft.songs[0].range[0]).toBe(0);
+        });
+
+        it('renames, reorders and deletes', () => {
+            const draft = draftWithSongs();
+            draft.rename(1, 'Renamed');
+            expect(draft.move(1, -1)).toBe(true);
+            expect(draft.songs.map(s => s.name)).toEqual(['Renamed', 'First Song - Artist']);
+            expect(draft.move(0, -1)).toBe(false);
+            expect(draft.remove(0)).toBe(true);
+            expect(draft.songs.map(s => s.name)).toEqual(['First Song - Artist']);
+            expect(draft.remove(5)).toBe(false);
+        });
+    });
+
+    describe('getProblems', () => {
+        it('is empty for a well-formed draft', () => {
+            expect(draftWithSongs().getProblems()).toEqual([]);
+        });
+
+        it('reports missing video, songs, names and overlaps', () => {
+            expect(new SegmentDraft().getProblems()).toEqual(['No video loaded', 'No songs marked']);
+
+            const draft = draftWithSongs();
+            draft.rename(0, ' ');
+            draft.move(0, 1);
+            expect(draft.getProblems()).toEqual([
+                'Song 2 has no name',
+                'Song 2 starts before song 1 ends',
+            ]);
+        });
+    });
+
+    describe('toStreamEntry', () => {
+        const now = new Date('2026-03-04T05:06:07.890Z');
+
+        it('produces the authored shape with a released stamp', () => {
+            expect(draftWithSongs().toStreamEntry({ now })).toEqual({
+                name: 'Karaoke Night',
+                videoId: 'newVideo123',
+                songs: [
+                    { name: 'First Song - Artist', range: [10, 61] },
+                    { name: 'Second Song - Artist', range: [75, 130] },
+                ],
+                released: '2026-03-04T05:06:07Z',
+            });
+        });
+
+        it('passes validateSegmentData and transformSegments alongside the real source', () => {
+            const entry = draftWithSongs().toStreamEntry({ now });
+            expect(validateSegmentData([entry])).toBe(true);
+            const out = transformSegments([...source, entry]);
+            expect(out).toHaveLength(source.length + 1);
+            expect(out.find(e => e.videoId === 'newVideo123')).toEqual({
+                name: 'Karaoke Night',
+                videoId: 'newVideo123',
+                songs: entry.songs,
+                released: entry.released,
+            });
+        });
+
+        it('keeps an existing stream\'s date and song themes', () => {
+            const existing = source.find(e => Array.isArray(e.songs) && e.songs.some(s => s.theme)) ||
+                { videoId: 'themed12345', released: '2024-01-01T00:00:00Z', songs: [{ name: 'a', range: [0, 5], theme: 1 }] };
+            const entry = SegmentDraft.fromStreamEntry(existing).toStreamEntry({ now });
+            expect(entry.released).toBe(existing.released);
+            expect(entry.songs).toEqual(existing.songs);
+        });
+
+        it('omits an empty stream name', () => {
+            const draft = new SegmentDraft({ videoId: 'x', songs: [{ name: 'a', range: [0, 5] }] });
+            expect(draft.toStreamEntry({ now })).not.toHaveProperty('name');
+        });
+    });
+
+    describe('persistence', () => {
+        it('round-trips through JSON, including a pending start', () => {
+            const draft = draftWithSongs();
+            draft.markStart(200);
+            const restored = SegmentDraft.fromJSON(JSON.parse(JSON.stringify(draft)));
+            expect(restored.songs).toEqual(draft.songs);
+            expect(restored.pendingStart).toBe(200);
+            expect(restored.name).toBe('Karaoke Night');
+        });
+
+        it('rejects corrupt saved drafts', () => {
+            expect(SegmentDraft.fromJSON(null)).toBeNull();
+            expect(SegmentDraft.fromJSON({ videoId: 'x', songs: [{ name: 'a', range: ['0', 5] }] })).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,186 @@
+import {
+    SHORTCUT_ACTIONS, FIXED_SHORTCUTS, DOUBLE_SHIFT, DOUBLE_SHIFT_MS, comboFromEvent, formatCombo,
+} from './keymap.js';
+
+const EDIT_HINT = 'Click a shortcut, then press the new keys. Backspace clears it, Escape cancels.';
+
+function describeConflict(conflict) {
+    if (conflict.fixed) return conflict.fixed;
+    const action = SHORTCUT_ACTIONS.find(a => a.id === conflict.id);
+    return action ? action.label : conflict.id;
+}
+
+/**
+ * Keyboard shortcuts: the `?` overlay listing what every key does, which
+ * turns into the rebinding screen with Customize.
+ * @param {object} deps
+ * @param {HTMLElement} deps.overlay
+ * @param {HTMLElement} deps.list
+ * @param {HTMLButtonElement} deps.editBtn Customize / Done
+ * @param {HTMLButtonElement} deps.resetAllBtn shown while customizing
+ * @param {HTMLElement} deps.message hint, or why a key was refused
+ * @param {ReturnType<import('./keymap.js').createKeymap>} deps.keymap
+ * @param {() => number} [deps.now]
+ */
+export function createShortcutsModalController({
+    overlay, list, editBtn, resetAllBtn, message, keymap, now = () => Date.now(),
+}) {
+    let editing = false;
+    let recordingId = null;
+    let lastShiftAt = -Infinity;
+
+    /**
+     * @param {{edit?: boolean}} [options] open straight into customizing
+     */
+    function toggle({ edit = false } = {}) {
+        const wasOpen = overlay.classList.contains('open');
+        overlay.classList.toggle('open');
+        overlay.inert = wasOpen;
+        recordingId = null;
+        if (!wasOpen) {
+            editing = edit;
+            setMessage(editing ? EDIT_HINT : '');
+            render();
+        }
+    }
+
+    function isOpen() {
+        return overlay.classList.contains('open');
+    }
+
+    function isRecording() {
+        return recordingId !== null;
+    }
+
+    function setMessage(text, isError = false) {
+        message.textContent = text || '\u00A0';
+        message.classList.toggle('error', isError);
+    }
+
+    function _row(label, keyEl) {
+        const div = document.createElement('div');
+        div.className = 'shortcut-item';
+        const name = document.createElement('span');
+        name.className = 'shortcut-item-label';
+        name.textContent = label;
+        div.append(name, keyEl);
+        return div;
+    }
+
+    function _kbd(text) {
+        const key = document.createElement('kbd');
+        key.className = 'shortcut-key';
+        key.textContent = text;
+        return key;
+    }
+
+    function _actionRow({ id, label, combo, isDefault }) {
+        if (!editing) return _row(label, _kbd(formatCombo(combo)));
+
+        const keyBtn = document.createElement('button');
+        keyBtn.className = 'shortcut-key';
+        keyBtn.textContent = recordingId === id ? 'Press keys…' : formatCombo(combo);
+        keyBtn.classList.toggle('recording', recordingId === id);
+        keyBtn.setAttribute('aria-label', `Change shortcut for ${label}`);
+        keyBtn.addEventListener('click', () => {
+            recordingId = recordingId === id ? null : id;
+            lastShiftAt = -Infinity;
+            setMessage(EDIT_HINT);
+            render();
+        });
+
+        const row = _row(label, keyBtn);
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'shortcut-reset-btn';
+        resetBtn.textContent = '↺';
+        resetBtn.title = 'Back to the default';
+        resetBtn.setAttribute('aria-label', `Reset shortcut for ${label}`);
+        resetBtn.hidden = isDefault;
+        resetBtn.addEventListener('click', () => {
+            const conflict = keymap.resetCombo(id);
+            if (conflict) setMessage(`The default is taken by "${describeConflict(conflict)}"`, true);
+            render();
+        });
+        row.appendChild(resetBtn);
+        return row;
+    }
+
+    function render() {
+        list.innerHTML = '';
+        keymap.list().forEach(action => list.appendChild(_actionRow(action)));
+        FIXED_SHORTCUTS.forEach(({ label, keys }) => {
+            const row = _row(label, _kbd(keys));
+            row.classList.add('fixed');
+            list.appendChild(row);
+        });
+        overlay.classList.toggle('editing', editing);
+        editBtn.textContent = editing ? 'Done' : 'Customize';
+        resetAllBtn.hidden = !editing;
+    }
+
+    function _assign(combo) {
+        const conflict = keymap.setCombo(recordingId, combo);
+        if (conflict) {
+            setMessage(`${formatCombo(combo)} is already "${describeConflict(conflict)}". Try another, or Escape.`, true);
+            return;
+        }
+        recordingId = null;
+        setMessage(EDIT_HINT);
+        render();
+    }
+
+    /**
+     * While waiting for a new shortcut, every key is for it.
+     * @param {KeyboardEvent} e
+     * @returns {boolean} whether the event was consumed
+     */
+    function handleKeyEvent(e) {
+        if (!isOpen() || recordingId === null) return false;
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            recordingId = null;
+            setMessage(EDIT_HINT);
+            render();
+        } else if (e.key === 'Backspace' || e.key === 'Delete') {
+            _assign(null);
+        } else if (e.key === 'Shift') {
+            if (e.repeat) return true;
+            const t = now();
+            if (t - lastShiftAt < DOUBLE_SHIFT_MS) _assign(DOUBLE_SHIFT);
+            else lastShiftAt = t;
+        } else {
+            const combo = comboFromEvent(e);
+            if (combo) _assign(combo);
+        }
+        return true;
+    }
+
+    editBtn.addEventListener('click', () => {
+        editing = !editing;
+        recordingId = null;
+        setMessage(editing ? EDIT_HINT : '');
+        render();
+    });
+
+    resetAllBtn.addEventListener('click', () => {
+        keymap.resetAll();
+        recordingId = null;
+        setMessage('All shortcuts are back to the defaults');
+        render();
+    });
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            toggle();
+        }
+    });
+
+    return {
+        toggle,
+        isOpen,
+        isRecording,
+        handleKeyEvent,
+    };
+}
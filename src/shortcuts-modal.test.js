@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createShortcutsModalController } from './shortcuts-modal.js';
+import { createKeymap, SHORTCUT_ACTIONS, FIXED_SHORTCUTS } from './keymap.js';
+
+describe('Shortcuts Modal Controller', () => {
+    let overlay, list, editBtn, resetAllBtn, message, keymap, clock, ctrl;
+
+    const rows = () => [...list.querySelectorAll('.shortcut-item')];
+    const rowFor = (label) => rows().find(r => r.querySelector('.shortcut-item-label').textContent === label);
+    const press = (key, mods = {}) => ctrl.handleKeyEvent(new KeyboardEvent('keydown', { key, ...mods }));
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="shortcuts-overlay" inert>
+                <button id="reset" hidden>Reset All</button>
+                <button id="edit">Customize</button>
+                <div id="message"></div>
+                <div id="list"></div>
+            </div>`;
+        overlay = document.getElementById('shortcuts-overlay');
+        list = document.getElementById('list');
+        editBtn = document.getElementById('edit');
+        resetAllBtn = document.getElementById('reset');
+        message = document.getElementById('message');
+        let stored = null;
+        keymap = createKeymap({ load: () => stored, save: (json) => { stored = json; } });
+        clock = 1000;
+        ctrl = createShortcutsModalController({
+            overlay, list, editBtn, resetAllBtn, message, keymap, now: () => clock,
+        });
+    });
+
+    it('lists every binding from the registry, then the fixed keys', () => {
+        ctrl.toggle();
+        expect(ctrl.isOpen()).toBe(true);
+        expect(overlay.inert).toBe(false);
+        expect(rows().length).toBe(SHORTCUT_ACTIONS.length + FIXED_SHORTCUTS.length);
+        expect(rowFor('Open / close search').querySelector('kbd').textContent).toBe('Shift+S');
+        expect(rowFor('Open / close search (alternative)').querySelector('kbd').textContent).toBe('Double-tap Shift');
+        expect(list.querySelector('button')).toBeNull();
+        expect(resetAllBtn.hidden).toBe(true);
+        expect(press('A', { shiftKey: true })).toBe(false);
+    });
+
+    it('rebinds a shortcut from the keys pressed next', () => {
+        ctrl.toggle({ edit: true });
+        rowFor('Open / close search').querySelector('button.shortcut-key').click();
+        expect(ctrl.isRecording()).toBe(true);
+        expect(rowFor('Open / close search').querySelector('.shortcut-key').textContent).toBe('Press keys…');
+
+        expect(press('Shift', { shiftKey: true })).toBe(true);
+        expect(press('F', { shiftKey: true, altKey: true })).toBe(true);
+        expect(ctrl.isRecording()).toBe(false);
+        expect(keymap.getCombo('search')).toBe('Alt+Shift+F');
+        expect(rowFor('Open / close search').querySelector('.shortcut-reset-btn').hidden).toBe(false);
+    });
+
+    it('refuses a taken key and keeps listening', () => {
+        ctrl.toggle({ edit: true });
+        rowFor('Open / close search').querySelector('button.shortcut-key').click();
+        press('Q', { shiftKey: true });
+        expect(message.textContent).toBe('Shift+Q is already "Open / close queue manager". Try another, or Escape.');
+        expect(message.classList.contains('error')).toBe(true);
+        expect(ctrl.isRecording()).toBe(true);
+        press('Escape');
+        expect(ctrl.isRecording()).toBe(false);
+        expect(keymap.getCombo('search')).toBe('Shift+S');
+    });
+
+    it('records a double Shift tap and clears with Backspace', () => {
+        ctrl.toggle({ edit: true });
+        keymap.setCombo('searchAlt', null);
+        rowFor('Open / close queue manager').querySelector('button.shortcut-key').click();
+        press('Shift', { shiftKey: true });
+        clock += 150;
+        press('Shift', { shiftKey: true });
+        expect(keymap.getCombo('queue')).toBe('Shift Shift');
+
+        rowFor('Show keyboard shortcuts').querySelector('button.shortcut-key').click();
+        press('Backspace');
+        expect(keymap.getCombo('help')).toBeNull();
+        expect(rowFor('Show keyboard shortcuts').querySelector('.shortcut-key').textContent).toBe('—');
+    });
+
+    it('resets one shortcut or all of them', () => {
+        keymap.setCombo('queue', 'Shift+P');
+        keymap.setCombo('stats', 'Shift+Y');
+        ctrl.toggle();
+        editBtn.click();
+        expect(editBtn.textContent).toBe('Done');
+        expect(resetAllBtn.hidden).toBe(false);
+
+        rowFor('Open / close queue manager').querySelector('.shortcut-reset-btn').click();
+        expect(keymap.getCombo('queue')).toBe('Shift+Q');
+        resetAllBtn.click();
+        expect(keymap.getCombo('stats')).toBe('Shift+W');
+
+        editBtn.click();
+        expect(editBtn.textContent).toBe('Customize');
+        expect(list.querySelector('button')).toBeNull();
+    });
+
+    it('closes on a backdrop click, dropping a pending rebind', () => {
+        ctrl.toggle({ edit: true });
+        rowFor('Open / close search').querySelector('button.shortcut-key').click();
+        overlay.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        expect(ctrl.isOpen()).toBe(false);
+        expect(overlay.inert).toBe(true);
+        expect(ctrl.isRecording()).toBe(false);
+    });
+});
@@ -0,0 +1,106 @@
+import { SLEEP_MAX_MINUTES } from './sleep-timer.js';
+
+const MAX_SONGS = 99;
+
+function readCount(input, max) {
+    const value = Math.floor(Number(input.value));
+    return Number.isFinite(value) && value >= 1 && value <= max ? value : null;
+}
+
+/**
+ * Sleep timer picker: presets (15/30/60 min, after this song/stream), a custom
+ * number of minutes or songs, and whether to fade out first.
+ * @param {object} deps
+ * @param {HTMLElement} deps.overlay
+ * @param {HTMLButtonElement[]} deps.optionButtons `data-sleep-minutes` or
+ *        `data-sleep-after` ("song" | "stream") presets
+ * @param {HTMLInputElement} deps.minutesInput
+ * @param {HTMLButtonElement} deps.minutesBtn
+ * @param {HTMLInputElement} deps.songsInput
+ * @param {HTMLButtonElement} deps.songsBtn
+ * @param {HTMLInputElement} deps.fadeInput checkbox
+ * @param {HTMLElement} deps.currentLabel what's set right now
+ * @param {HTMLButtonElement} deps.offBtn
+ * @param {() => {label: string|null, fade: boolean}} deps.getState label of the
+ *        running sleep timer, null when off
+ * @param {(choice: {minutes: number}|{songs: number}|{stream: true}|null, options: {fade: boolean}) => void} deps.onChoose
+ *        null turns the timer off
+ * @param {(fade: boolean) => void} deps.onFadeChange
+ */
+export function createSleepModalController({
+    overlay, optionButtons, minutesInput, minutesBtn, songsInput, songsBtn,
+    fadeInput, currentLabel, offBtn, getState, onChoose, onFadeChange,
+}) {
+    function toggle() {
+        const wasOpen = overlay.classList.contains('open');
+        overlay.classList.toggle('open');
+        overlay.inert = wasOpen;
+        if (!wasOpen) {
+            minutesInput.value = '';
+            songsInput.value = '';
+            render();
+        }
+    }
+
+    function isOpen() {
+        return overlay.classList.contains('open');
+    }
+
+    function render() {
+        const { label, fade } = getState();
+        currentLabel.textContent = label ? `Pausing ${label}` : 'No sleep timer set';
+        offBtn.disabled = !label;
+        fadeInput.checked = fade;
+        minutesBtn.disabled = readCount(minutesInput, SLEEP_MAX_MINUTES) === null;
+        songsBtn.disabled = readCount(songsInput, MAX_SONGS) === null;
+    }
+
+    function choose(choice) {
+        onChoose(choice, { fade: fadeInput.checked });
+        if (isOpen()) toggle();
+    }
+
+    function chooseMinutes() {
+        const minutes = readCount(minutesInput, SLEEP_MAX_MINUTES);
+        if (minutes !== null) choose({ minutes });
+    }
+
+    function chooseSongs() {
+        const songs = readCount(songsInput, MAX_SONGS);
+        if (songs !== null) choose({ songs });
+    }
+
+    optionButtons.forEach((btn) => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.sleepMinutes) choose({ minutes: Number(btn.dataset.sleepMinutes) });
+            else if (btn.dataset.sleepAfter === 'song') choose({ songs: 1 });
+            else if (btn.dataset.sleepAfter === 'stream') choose({ stream: true });
+        });
+    });
+
+    [[minutesInput, chooseMinutes], [songsInput, chooseSongs]].forEach(([input, submit]) => {
+        input.addEventListener('input', () => render());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                submit();
+            }
+        });
+    });
+    minutesBtn.addEventListener('click', () => chooseMinutes());
+    songsBtn.addEventListener('click', () => chooseSongs());
+    offBtn.addEventListener('click', () => choose(null));
+    fadeInput.addEventListener('change', () => onFadeChange(fadeInput.checked));
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            toggle();
+        }
+    });
+
+    return {
+        toggle,
+        isOpen,
+        render,
+    };
+}
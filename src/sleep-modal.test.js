@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createSleepModalController } from './sleep-modal.js';
+
+describe('Sleep Modal Controller', () => {
+    let overlay, minutesInput, minutesBtn, songsInput, songsBtn, fadeInput, currentLabel, offBtn;
+    let state, onChoose, onFadeChange, ctrl;
+
+    const button = (selector) => overlay.querySelector(selector);
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="sleep-overlay" inert>
+                <button data-sleep-minutes="30">30 min</button>
+                <button data-sleep-after="song">After This Song</button>
+                <button data-sleep-after="stream">After This Stream</button>
+                <input id="minutes" type="number"><button id="minutes-btn">Start</button>
+                <input id="songs" type="number"><button id="songs-btn">Start</button>
+                <input id="fade" type="checkbox">
+                <span id="current"></span>
+                <button id="off">Turn Off</button>
+            </div>`;
+        overlay = document.getElementById('sleep-overlay');
+        minutesInput = document.getElementById('minutes');
+        minutesBtn = document.getElementById('minutes-btn');
+        songsInput = document.getElementById('songs');
+        songsBtn = document.getElementById('songs-btn');
+        fadeInput = document.getElementById('fade');
+        currentLabel = document.getElementById('current');
+        offBtn = document.getElementById('off');
+        state = { label: null, fade: true };
+        onChoose = vi.fn();
+        onFadeChange = vi.fn();
+        ctrl = createSleepModalController({
+            overlay,
+            optionButtons: [...overlay.querySelectorAll('[data-sleep-minutes], [data-sleep-after]')],
+            minutesInput, minutesBtn, songsInput, songsBtn, fadeInput, currentLabel, offBtn,
+            getState: () => state,
+            onChoose, onFadeChange,
+        });
+        ctrl.toggle();
+    });
+
+    it('shows what is set and the fade preference', () => {
+        expect(ctrl.isOpen()).toBe(true);
+        expect(overlay.inert).toBe(false);
+        expect(currentLabel.textContent).toBe('No sleep timer set');
+        expect(offBtn.disabled).toBe(true);
+        expect(fadeInput.checked).toBe(true);
+
+        state = { label: 'in 12:00', fade: false };
+        ctrl.render();
+        expect(currentLabel.textContent).toBe('Pausing in 12:00');
+        expect(offBtn.disabled).toBe(false);
+        expect(fadeInput.checked).toBe(false);
+    });
+
+    it('starts a preset and closes', () => {
+        button('[data-sleep-minutes="30"]').click();
+        expect(onChoose).toHaveBeenCalledWith({ minutes: 30 }, { fade: true });
+        expect(ctrl.isOpen()).toBe(false);
+
+        ctrl.toggle();
+        button('[data-sleep-after="song"]').click();
+        expect(onChoose).toHaveBeenLastCalledWith({ songs: 1 }, { fade: true });
+        ctrl.toggle();
+        button('[data-sleep-after="stream"]').click();
+        expect(onChoose).toHaveBeenLastCalledWith({ stream: true }, { fade: true });
+    });
+
+    it('accepts a custom number of minutes or songs', () => {
+        expect(minutesBtn.disabled).toBe(true);
+        minutesInput.value = '45';
+        minutesInput.dispatchEvent(new Event('input'));
+        expect(minutesBtn.disabled).toBe(false);
+        minutesInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+        expect(onChoose).toHaveBeenCalledWith({ minutes: 45 }, { fade: true });
+
+        ctrl.toggle();
+        songsInput.value = '0';
+        songsBtn.click();
+        expect(onChoose).toHaveBeenCalledTimes(1);
+        songsInput.value = '3';
+        songsInput.dispatchEvent(new Event('input'));
+        songsBtn.click();
+        expect(onChoose).toHaveBeenLastCalledWith({ songs: 3 }, { fade: true });
+    });
+
+    it('turns the timer off and reports fade changes', () => {
+        state = { label: 'after this song', fade: true };
+        ctrl.render();
+        fadeInput.click();
+        expect(onFadeChange).toHaveBeenCalledWith(false);
+        offBtn.click();
+        expect(onChoose).toHaveBeenCalledWith(null, { fade: false });
+    });
+
+    it('closes on a backdrop click', () => {
+        overlay.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        expect(ctrl.isOpen()).toBe(false);
+        expect(overlay.inert).toBe(true);
+    });
+});
@@ -0,0 +1,138 @@
+// Timed sleep ("pause in 30 minutes") and the volume fade before any sleep.
+// The song/stream-count variants are counted by PlayerCore at auto-advance
+// (setSleepAfter); this only owns the clock and the fade.
+//
+// Background tabs throttle timers (down to once a minute), so nothing here
+// counts ticks: the deadline is a wall-clock time, and every check compares
+// against it. A one-shot timeout armed at start fires close to the deadline
+// even when hidden; the app also calls check() from playback ticks and on
+// visibilitychange to catch up after a throttled stretch.
+
+export const SLEEP_PRESET_MINUTES = [15, 30, 60];
+export const SLEEP_FADE_SECONDS = 30;
+// Longest custom timer, in minutes.
+export const SLEEP_MAX_MINUTES = 12 * 60;
+const TICK_MS = 1000;
+
+/**
+ * Countdown text for the status row: "29:59", "1:05:00".
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatSleepCountdown(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * @param {object} deps
+ * @param {(level: number) => void} deps.setLevel volume factor for the fade,
+ *        0–1 on top of the user's volume; 1 when not fading
+ * @param {() => void} deps.onExpire the timed sleep ran out; pause the player
+ * @param {() => void} [deps.onChange] countdown moved or the timer started/stopped
+ * @param {() => number} [deps.now]
+ * @param {number} [deps.fadeMs]
+ */
+export function createSleepTimer({
+    setLevel, onExpire, onChange = () => {},
+    now = () => Date.now(), fadeMs = SLEEP_FADE_SECONDS * 1000,
+}) {
+    let deadline = null;
+    let fade = false;
+    let deadlineHandle = null;
+    let tickHandle = null;
+    let fading = false;
+
+    function clearTimers() {
+        clearTimeout(deadlineHandle);
+        clearTimeout(tickHandle);
+        deadlineHandle = null;
+        tickHandle = null;
+    }
+
+    function scheduleTick() {
+        tickHandle = setTimeout(() => {
+            tickHandle = null;
+            check();
+        }, TICK_MS);
+    }
+
+    /**
+     * Pause after `minutes`.
+     * @param {number} minutes
+     * @param {{fade?: boolean}} [options] fade the volume out over the last
+     *        SLEEP_FADE_SECONDS
+     */
+    function start(minutes, { fade: withFade = false } = {}) {
+        cancel();
+        deadline = now() + minutes * 60 * 1000;
+        fade = withFade;
+        deadlineHandle = setTimeout(check, deadline - now());
+        scheduleTick();
+        onChange();
+    }
+
+    /** Stop the timer and undo any fade in progress. */
+    function cancel() {
+        const wasActive = deadline !== null;
+        clearTimers();
+        deadline = null;
+        restoreVolume();
+        if (wasActive) onChange();
+    }
+
+    /**
+     * Catch up with the wall clock: fade, or expire when the deadline passed.
+     */
+    function check() {
+        if (deadline === null) return;
+        const remaining = deadline - now();
+        if (remaining <= 0) {
+            clearTimers();
+            deadline = null;
+            onExpire();
+            // After the pause, so the song doesn't blare back before stopping.
+            restoreVolume();
+            onChange();
+            return;
+        }
+        if (fade) fadeTo(remaining);
+        if (!tickHandle) scheduleTick();
+        onChange();
+    }
+
+    /**
+     * Set the volume for `remainingMs` left before sleep: a linear ramp down
+     * over the fade window, untouched before it. Also used for the
+     * end-of-song variants, where the app knows how long the song has left.
+     * @param {number} remainingMs
+     */
+    function fadeTo(remainingMs) {
+        if (remainingMs >= fadeMs) {
+            restoreVolume();
+            return;
+        }
+        fading = true;
+        setLevel(Math.max(0, remainingMs) / fadeMs);
+    }
+
+    function restoreVolume() {
+        if (!fading) return;
+        fading = false;
+        setLevel(1);
+    }
+
+    return {
+        start,
+        cancel,
+        check,
+        fadeTo,
+        restoreVolume,
+        isActive: () => deadline !== null,
+        /** @returns {number|null} ms left, null when no timed sleep is set */
+        getRemainingMs: () => (deadline === null ? null : Math.max(0, deadline - now())),
+    };
+}
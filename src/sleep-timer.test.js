@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createSleepTimer, formatSleepCountdown } from './sleep-timer.js';
+
+describe('formatSleepCountdown', () => {
+    it('shows minutes and seconds, with hours when needed', () => {
+        expect(formatSleepCountdown(29 * 60 * 1000 + 59500)).toBe('30:00');
+        expect(formatSleepCountdown(65 * 1000)).toBe('1:05');
+        expect(formatSleepCountdown(65 * 60 * 1000)).toBe('1:05:00');
+        expect(formatSleepCountdown(-5)).toBe('0:00');
+    });
+});
+
+describe('createSleepTimer', () => {
+    let level, setLevel, onExpire, onChange, timer;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        level = 1;
+        setLevel = vi.fn((value) => { level = value; });
+        onExpire = vi.fn();
+        onChange = vi.fn();
+        timer = createSleepTimer({ setLevel, onExpire, onChange });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('expires at the deadline', () => {
+        timer.start(15);
+        expect(timer.isActive()).toBe(true);
+        vi.advanceTimersByTime(15 * 60 * 1000 - 1000);
+        expect(timer.getRemainingMs()).toBe(1000);
+        expect(onExpire).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(1000);
+        expect(onExpire).toHaveBeenCalledTimes(1);
+        expect(timer.isActive()).toBe(false);
+        expect(timer.getRemainingMs()).toBeNull();
+        expect(setLevel).not.toHaveBeenCalled();
+    });
+
+    it('fades over the last 30 seconds and puts the volume back after pausing', () => {
+        timer.start(1, { fade: true });
+        vi.advanceTimersByTime(30 * 1000);
+        expect(setLevel).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(15 * 1000);
+        expect(level).toBe(0.5);
+        onExpire.mockImplementation(() => expect(level).toBeLessThan(0.1));
+        vi.advanceTimersByTime(15 * 1000);
+        expect(onExpire).toHaveBeenCalledTimes(1);
+        expect(level).toBe(1);
+    });
+
+    it('cancelling mid-fade restores the volume', () => {
+        timer.start(1, { fade: true });
+        vi.advanceTimersByTime(50 * 1000);
+        expect(level).toBeCloseTo(1 / 3);
+        timer.cancel();
+        expect(level).toBe(1);
+        vi.advanceTimersByTime(60 * 1000);
+        expect(onExpire).not.toHaveBeenCalled();
+    });
+
+    it('follows the wall clock when its timers were throttled', () => {
+        let clock = 0;
+        timer = createSleepTimer({ setLevel, onExpire, now: () => clock });
+        timer.start(30);
+        clock = 31 * 60 * 1000; // the tab slept through the deadline
+        timer.check();
+        expect(onExpire).toHaveBeenCalledTimes(1);
+    });
+
+    it('fades toward an end-of-song boundary on request', () => {
+        timer.fadeTo(10 * 1000);
+        expect(level).toBeCloseTo(1 / 3);
+        timer.fadeTo(0);
+        expect(level).toBe(0);
+        timer.fadeTo(60 * 1000); // seeked back out of the window
+        expect(level).toBe(1);
+    });
+
+    it('reports start, countdown and stop', () => {
+        timer.start(1);
+        expect(onChange).toHaveBeenCalledTimes(1);
+        vi.advanceTimersByTime(1000);
+        expect(onChange).toHaveBeenCalledTimes(2);
+        timer.cancel();
+        expect(onChange).toHaveBeenCalledTimes(3);
+        timer.cancel();
+        expect(onChange).toHaveBeenCalledTimes(3);
+    });
+});
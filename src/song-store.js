@@ -0,0 +1,205 @@
+// Favorites, 1–5 ratings and the "never auto-play" blocklist, keyed by
+// performance (videoId + rIdx) and kept
+// in localStorage next to the roxy_ settings. Entries remember the song and
+// stream names, so a mark survives a playlist import that drops or reorders
+// its stream: reconcile() re-finds a moved song by name, and flags (but keeps)
+// entries whose stream is gone until it comes back.
+
+export const RATING_MAX = 5;
+
+/**
+ * @param {string} videoId
+ * @param {number} rIdx
+ * @returns {string}
+ */
+export function songKey(videoId, rIdx) {
+    return `${videoId}:${rIdx}`;
+}
+
+function isValidEntry(entry) {
+    return !!entry && typeof entry.videoId === 'string' && Number.isInteger(entry.rIdx) && entry.rIdx >= 0;
+}
+
+function songName(stream, rIdx) {
+    if (!stream) return '';
+    if (!stream.songs) return stream.title || stream.name || '';
+    const song = stream.songs[rIdx];
+    return song && song.name ? song.name : '';
+}
+
+// One entry carrying both marks: either flag, the higher rating, the earlier
+// `added`, and the older entry's names.
+function mergeEntries(a, b) {
+    const [older, newer] = a.added <= b.added ? [a, b] : [b, a];
+    const merged = {
+        ...older,
+        favorite: !!(older.favorite || newer.favorite),
+        rating: Math.max(older.rating || 0, newer.rating || 0),
+        blocked: !!(older.blocked || newer.blocked),
+    };
+    const blockedAt = [older.blockedAt, newer.blockedAt].filter(Number.isFinite);
+    if (blockedAt.length) merged.blockedAt = Math.min(...blockedAt);
+    return merged;
+}
+
+/**
+ * @param {object} deps
+ * @param {() => string|null} deps.load raw JSON previously passed to save
+ * @param {(json: string) => void} deps.save
+ * @param {() => number} [deps.now]
+ */
+export function createSongStore({ load, save, now = () => Date.now() }) {
+    // songKey → {videoId, rIdx, favorite, rating, blocked, blockedAt?, name, streamName, added, orphaned?}
+    let entries = {};
+
+    try {
+        const parsed = JSON.parse(load() || '{}');
+        if (parsed && typeof parsed === 'object') {
+            for (const entry of Object.values(parsed)) {
+                if (isValidEntry(entry)) entries[songKey(entry.videoId, entry.rIdx)] = entry;
+            }
+        }
+    } catch {
+        entries = {};
+    }
+
+    function persist() {
+        save(JSON.stringify(entries));
+    }
+
+    function get(videoId, rIdx) {
+        return entries[songKey(videoId, rIdx)] || null;
+    }
+
+    // Create-or-update an entry; drops it once it carries no mark at all.
+    function update(videoId, rIdx, stream, change) {
+        const key = songKey(videoId, rIdx);
+        const entry = entries[key] || {
+            videoId, rIdx, favorite: false, rating: 0, blocked: false,
+            name: songName(stream, rIdx),
+            streamName: stream ? (stream.name || stream.title || '') : '',
+            added: now(),
+        };
+        change(entry);
+        if (!entry.favorite && !entry.rating && !entry.blocked) delete entries[key];
+        else entries[key] = entry;
+        persist();
+        return entry;
+    }
+
+    function isFavorite(videoId, rIdx) {
+        const entry = get(videoId, rIdx);
+        return !!entry && entry.favorite === true;
+    }
+
+    function getRating(videoId, rIdx) {
+        const entry = get(videoId, rIdx);
+        return entry && Number.isInteger(entry.rating) ? entry.rating : 0;
+    }
+
+    function isBlocked(videoId, rIdx) {
+        const entry = get(videoId, rIdx);
+        return !!entry && entry.blocked === true;
+    }
+
+    /**
+     * @param {string} videoId
+     * @param {number} rIdx
+     * @param {object} [stream] playlist stream, for the remembered names
+     * @returns {boolean} the new favorite state
+     */
+    function toggleFavorite(videoId, rIdx, stream) {
+        return update(videoId, rIdx, stream, (entry) => {
+            entry.favorite = !entry.favorite;
+            // Re-favoriting moves the song to the end of the Favorites list.
+            if (entry.favorite) entry.added = now();
+        }).favorite;
+    }
+
+    /**
+     * Step the rating 0 → 1 → … → RATING_MAX → 0.
+     * @returns {number} the new rating (0 = unrated)
+     */
+    function cycleRating(videoId, rIdx, stream) {
+        const next = (getRating(videoId, rIdx) + 1) % (RATING_MAX + 1);
+        return update(videoId, rIdx, stream, (entry) => { entry.rating = next; }).rating;
+    }
+
+    /**
+     * @param {string} videoId
+     * @param {number} rIdx
+     * @param {object} [stream] playlist stream, for the remembered names
+     * @returns {boolean} the new blocked state
+     */
+    function toggleBlocked(videoId, rIdx, stream) {
+        return update(videoId, rIdx, stream, (entry) => {
+            entry.blocked = !entry.blocked;
+            if (entry.blocked) entry.blockedAt = now();
+            else delete entry.blockedAt;
+        }).blocked;
+    }
+
+    /**
+     * Match entries against a freshly built playlist. Entries whose stream is
+     * missing are flagged `orphaned` (never removed); entries whose song moved
+     * to another index are re-keyed by name.
+     * @param {Array} playlist
+     */
+    function reconcile(playlist) {
+        const byVideoId = new Map(playlist.map(stream => [stream.videoId, stream]));
+        const next = {};
+        for (const entry of Object.values(entries)) {
+            const stream = byVideoId.get(entry.videoId);
+            if (!stream) {
+                entry.orphaned = true;
+            } else {
+                delete entry.orphaned;
+                if (entry.name && songName(stream, entry.rIdx) !== entry.name && stream.songs) {
+                    const moved = stream.songs.findIndex(song => song.name === entry.name);
+                    if (moved !== -1) entry.rIdx = moved;
+                }
+            }
+            const key = songKey(entry.videoId, entry.rIdx);
+            // Two entries can collide after a move; merge them so no mark is lost.
+            next[key] = next[key] ? mergeEntries(next[key], entry) : entry;
+        }
+        entries = next;
+        persist();
+    }
+
+    /**
+     * Favorited entries, oldest first.
+     * @param {object} [options]
+     * @param {boolean} [options.includeOrphaned=false]
+     * @returns {Array<{videoId: string, rIdx: number, rating: number, name: string, streamName: string, orphaned?: boolean}>}
+     */
+    function getFavorites({ includeOrphaned = false } = {}) {
+        return Object.values(entries)
+            .filter(entry => entry.favorite && (includeOrphaned || !entry.orphaned))
+            .sort((a, b) => a.added - b.added);
+    }
+
+    /**
+     * Blocked entries, most recently blocked first.
+     * @param {object} [options]
+     * @param {boolean} [options.includeOrphaned=false]
+     * @returns {Array<{videoId: string, rIdx: number, name: string, streamName: string, orphaned?: boolean}>}
+     */
+    function getBlocked({ includeOrphaned = false } = {}) {
+        return Object.values(entries)
+            .filter(entry => entry.blocked && (includeOrphaned || !entry.orphaned))
+            .sort((a, b) => (b.blockedAt || 0) - (a.blockedAt || 0));
+    }
+
+    return {
+        isFavorite,
+        getRating,
+        isBlocked,
+        toggleFavorite,
+        cycleRating,
+        toggleBlocked,
+        reconcile,
+        getFavorites,
+        getBlocked,
+    };
+}
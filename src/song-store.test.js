@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createSongStore, songKey, RATING_MAX } from './song-store.js';
+
+const PLAYLIST = [
+    { videoId: 'v1', name: 'Stream 1', songs: [{ name: 'Alpha', range: [0, 10] }, { name: 'Beta', range: [20, 30] }] },
+    { videoId: 'v2', name: '', title: 'Full Stream', songs: null },
+];
+
+describe('createSongStore', () => {
+    let stored, clock, store;
+
+    function makeStore() {
+        return createSongStore({
+            load: () => stored,
+            save: (json) => { stored = json; },
+            now: () => clock++,
+        });
+    }
+
+    beforeEach(() => {
+        stored = null;
+        clock = 1;
+        store = makeStore();
+    });
+
+    it('keys performances by videoId and song index', () => {
+        expect(songKey('v1', 2)).toBe('v1:2');
+    });
+
+    it('toggles favorites and remembers the names', () => {
+        expect(store.toggleFavorite('v1', 1, PLAYLIST[0])).toBe(true);
+        expect(store.isFavorite('v1', 1)).toBe(true);
+        expect(store.isFavorite('v1', 0)).toBe(false);
+        expect(JSON.parse(stored)['v1:1']).toMatchObject({ name: 'Beta', streamName: 'Stream 1', favorite: true });
+
+        expect(store.toggleFavorite('v1', 1, PLAYLIST[0])).toBe(false);
+        expect(JSON.parse(stored)).toEqual({});
+    });
+
+    it('cycles the rating through 1..5 back to unrated', () => {
+        const seen = [];
+        for (let i = 0; i <= RATING_MAX; i++) seen.push(store.cycleRating('v2', 0, PLAYLIST[1]));
+        expect(seen).toEqual([1, 2, 3, 4, 5, 0]);
+        expect(store.getRating('v2', 0)).toBe(0);
+    });
+
+    it('keeps a rating when the favorite is removed', () => {
+        store.toggleFavorite('v1', 0, PLAYLIST[0]);
+        store.cycleRating('v1', 0, PLAYLIST[0]);
+        store.toggleFavorite('v1', 0, PLAYLIST[0]);
+        expect(store.getRating('v1', 0)).toBe(1);
+        expect(store.getFavorites()).toEqual([]);
+    });
+
+    it('persists across instances and ignores corrupt data', () => {
+        store.toggleFavorite('v1', 0, PLAYLIST[0]);
+        expect(makeStore().isFavorite('v1', 0)).toBe(true);
+
+        stored = '{not json';
+        expect(makeStore().getFavorites()).toEqual([]);
+        stored = JSON.stringify({ bad: { videoId: 5 } });
+        expect(makeStore().getFavorites()).toEqual([]);
+    });
+
+    it('lists favorites oldest first', () => {
+        store.toggleFavorite('v2', 0, PLAYLIST[1]);
+        store.toggleFavorite('v1', 1, PLAYLIST[0]);
+        expect(store.getFavorites().map(f => f.name)).toEqual(['Full Stream', 'Beta']);
+    });
+
+    it('blocks songs independently of the other marks', () => {
+        store.toggleFavorite('v1', 0, PLAYLIST[0]);
+        expect(store.toggleBlocked('v1', 0, PLAYLIST[0])).toBe(true);
+        expect(store.isBlocked('v1', 0)).toBe(true);
+        expect(store.isFavorite('v1', 0)).toBe(true);
+
+        store.toggleFavorite('v1', 0, PLAYLIST[0]);
+        expect(makeStore().isBlocked('v1', 0)).toBe(true);
+        expect(store.toggleBlocked('v1', 0, PLAYLIST[0])).toBe(false);
+        expect(JSON.parse(stored)).toEqual({});
+    });
+
+    it('lists blocked songs newest first', () => {
+        store.toggleBlocked('v1', 0, PLAYLIST[0]);
+        store.toggleBlocked('v2', 0, PLAYLIST[1]);
+        store.reconcile([PLAYLIST[0]]);
+        expect(store.getBlocked().map(b => b.name)).toEqual(['Alpha']);
+        expect(store.getBlocked({ includeOrphaned: true }).map(b => b.name)).toEqual(['Full Stream', 'Alpha']);
+    });
+
+    describe('reconcile', () => {
+        beforeEach(() => {
+            store.toggleFavorite('v1', 1, PLAYLIST[0]);
+            store.toggleFavorite('v2', 0, PLAYLIST[1]);
+        });
+
+        it('flags entries of missing streams without dropping them', () => {
+            store.reconcile([PLAYLIST[0]]);
+            expect(store.getFavorites().map(f => f.videoId)).toEqual(['v1']);
+            const all = store.getFavorites({ includeOrphaned: true });
+            expect(all.find(f => f.videoId === 'v2').orphaned).toBe(true);
+
+            store.reconcile(PLAYLIST);
+            expect(store.getFavorites()).toHaveLength(2);
+            expect(store.getFavorites().some(f => f.orphaned)).toBe(false);
+        });
+
+        it('follows a song that moved within its stream', () => {
+            const reordered = { ...PLAYLIST[0], songs: [PLAYLIST[0].songs[1], PLAYLIST[0].songs[0]] };
+            store.reconcile([reordered, PLAYLIST[1]]);
+            expect(store.isFavorite('v1', 0)).toBe(true);
+            expect(store.isFavorite('v1', 1)).toBe(false);
+            expect(makeStore().isFavorite('v1', 0)).toBe(true);
+        });
+
+        it('merges a moved song into an entry already at its new index', () => {
+            store.cycleRating('v1', 1, PLAYLIST[0]);
+            store.cycleRating('v1', 1, PLAYLIST[0]);
+            store.toggleBlocked('v1', 0, PLAYLIST[0]);
+            // "Alpha" is gone and "Beta" moves up onto its index.
+            const moved = { ...PLAYLIST[0], songs: [PLAYLIST[0].songs[1]] };
+            store.reconcile([moved, PLAYLIST[1]]);
+
+            const entry = store.getFavorites().find(f => f.videoId === 'v1');
+            expect(entry).toMatchObject({ rIdx: 0, favorite: true, rating: 2, blocked: true, added: 2 });
+            expect(store.isBlocked('v1', 0)).toBe(true);
+            expect(store.getFavorites()).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,244 @@
+import {
+    STATS_PERIODS,
+    computePeriodStats,
+    getPeriodLabel,
+    getMostSkipped,
+    formatListenTime,
+} from './listen-stats.js';
+
+const TOP_COUNT = 5;
+const CARD_WIDTH = 1080;
+const CARD_HEIGHT = 1350;
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function themeColor(name, fallback) {
+    const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    return value || fallback;
+}
+
+/**
+ * Paint the shareable summary card.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ReturnType<import('./listen-stats.js').computeListenStats>} stats
+ * @param {string} label period label, e.g. "May 2026"
+ * @param {{width: number, height: number}} [size]
+ */
+export function drawStatsCard(ctx, stats, label, { width = CARD_WIDTH, height = CARD_HEIGHT } = {}) {
+    const bg = themeColor('--color-bg', '#0A0B0D');
+    const accent = themeColor('--color-focus', '#FE77FE');
+    const surface = themeColor('--color-surface', '#F4C2C1');
+    const bright = themeColor('--color-bright', '#fff');
+    const pad = 80;
+
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = accent;
+    ctx.fillRect(0, 0, width, 24);
+
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = accent;
+    ctx.font = 'bold 84px sans-serif';
+    ctx.fillText('Rourin Wrapped', pad, pad);
+    ctx.fillStyle = surface;
+    ctx.font = '48px sans-serif';
+    ctx.fillText(label, pad, pad + 110);
+
+    let y = pad + 230;
+    ctx.fillStyle = bright;
+    ctx.font = 'bold 64px sans-serif';
+    ctx.fillText(formatListenTime(stats.totalSeconds), pad, y);
+    ctx.font = '36px sans-serif';
+    ctx.fillStyle = surface;
+    ctx.fillText(`${plural(stats.plays, 'play')} · ${plural(stats.longestStreak.days, 'day')} streak`, pad, y + 80);
+
+    y += 190;
+    ctx.fillStyle = accent;
+    ctx.font = 'bold 44px sans-serif';
+    ctx.fillText('Top Songs', pad, y);
+    y += 70;
+    stats.songs.slice(0, TOP_COUNT).forEach((song, i) => {
+        ctx.fillStyle = bright;
+        ctx.font = 'bold 40px sans-serif';
+        ctx.fillText(`${i + 1}. ${song.title}`, pad, y, width - pad * 2);
+        ctx.fillStyle = surface;
+        ctx.font = '30px sans-serif';
+        ctx.fillText(`${song.artist ? `${song.artist} · ` : ''}${song.plays}×`, pad + 50, y + 50, width - pad * 2 - 50);
+        y += 100;
+    });
+
+    if (stats.artists.length > 0) {
+        y += 20;
+        ctx.fillStyle = accent;
+        ctx.font = 'bold 44px sans-serif';
+        ctx.fillText('Top Artist', pad, y);
+        ctx.fillStyle = bright;
+        ctx.font = 'bold 48px sans-serif';
+        ctx.fillText(stats.artists[0].name, pad, y + 64, width - pad * 2);
+    }
+}
+
+/**
+ * "Rourin Wrapped" statistics over the listening history, per month, year or
+ * the past 12 months, with an export of the summary card as a PNG.
+ * @param {object} deps
+ * @param {HTMLElement} deps.overlay
+ * @param {HTMLElement} deps.content
+ * @param {HTMLElement[]} deps.periodButtons buttons carrying data-period
+ * @param {HTMLButtonElement} [deps.exportBtn]
+ * @param {() => Promise<Array>} deps.getEntries
+ * @param {() => Array} deps.getPlaylist
+ * @param {() => number} [deps.now]
+ */
+export function createStatsModalController({
+    overlay, content, periodButtons, exportBtn = null,
+    getEntries, getPlaylist, now = () => Date.now(),
+}) {
+    let entries = [];
+    let period = 'month';
+    let stats = null;
+    let loadToken = 0;
+
+    function toggle() {
+        const wasOpen = overlay.classList.contains('open');
+        overlay.classList.toggle('open');
+        overlay.inert = wasOpen;
+        return wasOpen ? Promise.resolve() : refresh();
+    }
+
+    function isOpen() {
+        return overlay.classList.contains('open');
+    }
+
+    async function refresh() {
+        const token = ++loadToken;
+        let loaded;
+        try {
+            loaded = await getEntries();
+        } catch (err) {
+            console.warn('[Stats] Failed to load listening history:', err && err.message);
+            loaded = [];
+        }
+        if (token !== loadToken) return;
+        entries = loaded;
+        render();
+    }
+
+    function setPeriod(next) {
+        if (!STATS_PERIODS.includes(next)) return;
+        period = next;
+        render();
+    }
+
+    function _section(title, rows) {
+        const section = document.createElement('div');
+        section.className = 'stats-section';
+        const heading = document.createElement('div');
+        heading.className = 'stats-heading';
+        heading.textContent = title;
+        section.appendChild(heading);
+        for (const [name, detail] of rows) {
+            const row = document.createElement('div');
+            row.className = 'stats-row';
+            const nameEl = document.createElement('span');
+            nameEl.className = 'stats-row-name';
+            nameEl.textContent = name;
+            const detailEl = document.createElement('span');
+            detailEl.className = 'stats-row-detail';
+            detailEl.textContent = detail;
+            row.append(nameEl, detailEl);
+            section.appendChild(row);
+        }
+        content.appendChild(section);
+    }
+
+    function render() {
+        periodButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.period === period));
+        stats = computePeriodStats(entries, getPlaylist(), period, now());
+        content.innerHTML = '';
+        if (exportBtn) exportBtn.disabled = stats.plays === 0;
+
+        if (stats.plays === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'queue-empty';
+            empty.textContent = entries.length
+                ? '┐(￣ヘ￣)┌'
+                : 'Nothing yet: switch on Recording in Listening History (Shift+H).';
+            content.appendChild(empty);
+            return;
+        }
+
+        const summary = document.createElement('div');
+        summary.className = 'stats-summary';
+        summary.textContent = `${formatListenTime(stats.totalSeconds)} · ${plural(stats.plays, 'play')} · `
+            + `${percent(stats.skips / stats.plays)} skipped · longest streak ${plural(stats.longestStreak.days, 'day')}`;
+        content.appendChild(summary);
+
+        _section('Most Played', stats.songs.slice(0, TOP_COUNT).map(s =>
+            [s.artist ? `${s.title} — ${s.artist}` : s.title, `${s.plays}×`]));
+        if (stats.artists.length > 0) {
+            _section('Top Artists', stats.artists.slice(0, TOP_COUNT).map(a =>
+                [a.name, `${a.plays}× · ${formatListenTime(a.heardSeconds)}`]));
+        }
+        const skipped = getMostSkipped(stats).slice(0, TOP_COUNT);
+        if (skipped.length > 0) {
+            _section('Most Skipped', skipped.map(s => [s.title, `${percent(s.skipRate)} of ${s.plays}`]));
+        }
+        _section(`Streams Finished (${stats.completedStreams.length})`,
+            stats.completedStreams.slice(0, TOP_COUNT).map(s => [s.name, '']));
+    }
+
+    /**
+     * Draw the summary card and download it as a PNG.
+     * @returns {boolean} false when there is nothing to export or no canvas support
+     */
+    function exportCard() {
+        if (!stats || stats.plays === 0) return false;
+        const canvas = document.createElement('canvas');
+        canvas.width = CARD_WIDTH;
+        canvas.height = CARD_HEIGHT;
+        const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+        if (!ctx || !canvas.toBlob) return false;
+        const label = getPeriodLabel(period, now());
+        drawStatsCard(ctx, stats, label);
+        canvas.toBlob((blob) => {
+            if (!blob) return;
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `rourin-wrapped-${label.toLowerCase().replace(/\s+/g, '-')}.png`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }, 'image/png');
+        return true;
+    }
+
+    function handleKeyEvent(e) {
+        if (!isOpen()) return false;
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return false;
+        e.preventDefault();
+        const step = e.key === 'ArrowRight' ? 1 : -1;
+        const idx = STATS_PERIODS.indexOf(period);
+        setPeriod(STATS_PERIODS[(idx + step + STATS_PERIODS.length) % STATS_PERIODS.length]);
+        return true;
+    }
+
+    periodButtons.forEach(btn => btn.addEventListener('click', () => setPeriod(btn.dataset.period)));
+    if (exportBtn) exportBtn.addEventListener('click', () => exportCard());
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            toggle();
+        }
+    });
+
+    return {
+        toggle,
+        isOpen,
+        refresh,
+        setPeriod,
+        exportCard,
+        handleKeyEvent,
+    };
+}
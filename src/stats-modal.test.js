@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createStatsModalController, drawStatsCard } from './stats-modal.js';
+import { computeListenStats } from './listen-stats.js';
+
+const PLAYLIST = [
+    { videoId: 'v1', name: 'Stream 1', songs: [{ name: 'Love Song - Zed', range: [0, 10] }] },
+];
+const NOW = new Date(2026, 4, 15, 12).getTime();
+const play = (startedAt, extra = {}) => ({ videoId: 'v1', rIdx: 0, startedAt, heardSeconds: 1800, skipped: false, ...extra });
+
+describe('Stats Modal Controller', () => {
+    let overlay, content, periodButtons, exportBtn, entries, ctrl;
+
+    const headings = () => [...content.querySelectorAll('.stats-heading')].map(el => el.textContent);
+
+    beforeEach(async () => {
+        document.body.innerHTML = '';
+        overlay = document.createElement('div');
+        overlay.inert = true;
+        periodButtons = ['month', 'year', 'twelveMonths'].map((period) => {
+            const btn = document.createElement('button');
+            btn.dataset.period = period;
+            overlay.appendChild(btn);
+            return btn;
+        });
+        content = document.createElement('div');
+        exportBtn = document.createElement('button');
+        overlay.append(content, exportBtn);
+        document.body.appendChild(overlay);
+
+        entries = [play(new Date(2026, 4, 2).getTime()), play(new Date(2025, 11, 2).getTime())];
+        ctrl = createStatsModalController({
+            overlay, content, periodButtons, exportBtn,
+            getEntries: async () => entries,
+            getPlaylist: () => PLAYLIST,
+            now: () => NOW,
+        });
+        await ctrl.toggle();
+    });
+
+    it('opens on this month', () => {
+        expect(ctrl.isOpen()).toBe(true);
+        expect(periodButtons[0].classList.contains('active')).toBe(true);
+        expect(content.querySelector('.stats-summary').textContent).toContain('30 min · 1 play · 0% skipped');
+        expect(headings()).toEqual(['Most Played', 'Top Artists', 'Streams Finished (1)']);
+        expect(exportBtn.disabled).toBe(false);
+    });
+
+    it('switches periods by button and arrow keys', () => {
+        periodButtons[2].click();
+        expect(content.querySelector('.stats-summary').textContent).toContain('1 h · 2 plays');
+        expect(ctrl.handleKeyEvent(new KeyboardEvent('keydown', { key: 'ArrowRight' }))).toBe(true);
+        expect(periodButtons[0].classList.contains('active')).toBe(true);
+        expect(ctrl.handleKeyEvent(new KeyboardEvent('keydown', { key: 'x' }))).toBe(false);
+    });
+
+    it('explains how to get data when the log is empty', async () => {
+        entries = [];
+        await ctrl.refresh();
+        expect(content.querySelector('.queue-empty').textContent).toMatch(/Recording/);
+        expect(exportBtn.disabled).toBe(true);
+        expect(ctrl.exportCard()).toBe(false);
+    });
+});
+
+describe('drawStatsCard', () => {
+    it('writes the period, total time and top songs', () => {
+        const texts = [];
+        const ctx = {
+            fillRect: vi.fn(),
+            fillText: (text) => texts.push(text),
+        };
+        const stats = computeListenStats([play(NOW), play(NOW)], PLAYLIST);
+        drawStatsCard(ctx, stats, 'May 2026');
+        expect(texts).toEqual(expect.arrayContaining(['Rourin Wrapped', 'May 2026', '1 h', '2 plays · 1 day streak', '1. Love Song', 'Zed']));
+    });
+});
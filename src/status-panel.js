@@ -1,6 +1,8 @@
 import {resolveListNavigation, NAV_ACTION_MOVE, NAV_ACTION_SELECT} from './list-navigation.js';
-import {flashEnqueue as _flashEnqueue} from './enqueue-flash.js';
+import {flashEnqueue as _flashEnqueue, flashEnqueueSummary} from './enqueue-flash.js';
 import {attachLongPress, arm, disarm} from './long-press-arm.js';
+import {getSongMeta, formatSongCredit} from './search-helpers.js';
+import {createFavoriteButton, setFavoriteButtonState} from './favorite-button.js';
 
 /**
  * @param {object} deps
@@ -15,7 +17,22 @@ import {attachLongPress, arm, disarm} from './long-press-arm.js';
  * @param {() => boolean} deps.isPlaylistReady
  * @param {(rIdx: number) => void} deps.onSongPick
  * @param {((videoId: string, rIdx: number) => void)|undefined} deps.onEnqueueSong
+ * @param {((videoId: string, rIdx: number) => void)|undefined} deps.onPlayNextSong
+ *        Shift+click on a row's + plays it next instead
  * @param {((videoId: string, rIdx: number) => boolean)|undefined} deps.isSongQueued
+ * @param {HTMLButtonElement|undefined} deps.enqueueAllBtn "queue all" for the current stream
+ * @param {((items: Array<{videoId: string, rIdx: number}>) => {added: number, skipped: number})|undefined} deps.onEnqueueAll
+ * @param {((videoId: string, rIdx: number) => boolean)|undefined} deps.onToggleFavorite
+ *        returns the new favorite state; rows get a heart button when provided
+ * @param {((videoId: string, rIdx: number) => boolean)|undefined} deps.isSongFavorite
+ * @param {((videoId: string, rIdx: number) => number)|undefined} deps.getSongRating
+ * @param {((videoId: string, rIdx: number) => boolean)|undefined} deps.isSongBlocked
+ *        blocked rows get the `blocked` class
+ * @param {HTMLButtonElement|undefined} deps.loopSelectBtn starts picking songs to
+ *        loop, then applies the picks; Ctrl/⌘+click on a row starts picking too
+ * @param {(() => number[])|undefined} deps.getLoopSelection songs of the current
+ *        stream being looped, [] when none
+ * @param {((rIdxs: number[]) => void)|undefined} deps.onLoopSelection [] turns it off
  */
 export function createStatusPanelController({
                                                 statusEl,
@@ -29,9 +46,21 @@ export function createStatusPanelController({
                                                 isPlaylistReady,
                                                 onSongPick,
                                                 onEnqueueSong,
+                                                onPlayNextSong,
                                                 isSongQueued = () => false,
+                                                enqueueAllBtn,
+                                                onEnqueueAll,
+                                                onToggleFavorite,
+                                                isSongFavorite = () => false,
+                                                getSongRating = () => 0,
+                                                isSongBlocked = () => false,
+                                                loopSelectBtn,
+                                                getLoopSelection = () => [],
+                                                onLoopSelection,
                                             }) {
     let statusPanelOpen = false;
+    // Songs ticked while picking which ones to loop, or null when not picking.
+    let loopPicks = null;
     let statusPanelStreamId = '';
     let statusPanelSongCount = 0;
     let statusPanelSelIdx = -1;
@@ -151,6 +180,47 @@ export function createStatusPanelController({
         applySelection(false);
     }
 
+    // Rows ticked for looping: the picks while picking, else what's looping.
+    function renderLoopPicks() {
+        if (!statusSongList) return;
+        const picked = loopPicks || new Set(getLoopSelection());
+        statusSongList.querySelectorAll('.status-song').forEach((row) => {
+            row.classList.toggle('loop-picked', picked.has(Number(row.dataset.songIndex)));
+        });
+        statusSongList.classList.toggle('picking', !!loopPicks);
+        if (!loopSelectBtn) return;
+        const stream = getCurrentStream();
+        loopSelectBtn.hidden = !onLoopSelection || !stream || !stream.songs;
+        if (!loopPicks) {
+            loopSelectBtn.textContent = '⟲ Loop Songs…';
+        } else if (loopPicks.size) {
+            loopSelectBtn.textContent = `⟲ Loop ${loopPicks.size} Song${loopPicks.size === 1 ? '' : 's'}`;
+        } else {
+            loopSelectBtn.textContent = getLoopSelection().length ? '⟲ Stop Looping' : 'Cancel';
+        }
+    }
+
+    function startLoopPicking() {
+        const stream = getCurrentStream();
+        if (!onLoopSelection || !stream || !stream.songs) return false;
+        loopPicks = new Set(getLoopSelection());
+        renderLoopPicks();
+        return true;
+    }
+
+    function toggleLoopPick(songIndex) {
+        if (loopPicks.has(songIndex)) loopPicks.delete(songIndex);
+        else loopPicks.add(songIndex);
+        renderLoopPicks();
+    }
+
+    function applyLoopPicks() {
+        const picks = [...loopPicks];
+        loopPicks = null;
+        onLoopSelection(picks);
+        renderLoopPicks();
+    }
+
     function handleSongPick(songIndex) {
         const stream = getCurrentStream();
         if (!stream) return;
@@ -181,6 +251,8 @@ export function createStatusPanelController({
 
         statusPanelStreamId = streamId;
         statusPanelSongCount = songs.length;
+        // Picks belong to the stream they were made on.
+        loopPicks = null;
 
         // Rebuilding the list detaches any armed item; clear global armed state first.
         disarm();
@@ -188,41 +260,81 @@ export function createStatusPanelController({
         songs.forEach((song, idx) => {
             const item = document.createElement('li');
             item.className = 'status-song';
+            if (isSongBlocked(stream.videoId, idx)) item.classList.add('blocked');
             item.dataset.songIndex = String(idx);
             item.tabIndex = 0;
             item.setAttribute('role', 'option');
+            // The whole-stream stand-in is titled after the stream, so only real
+            // songs get the title/artist split.
+            const meta = stream.songs ? getSongMeta(song) : null;
+            const credit = meta ? formatSongCredit(meta) : '';
             item.innerHTML = `
             <span class="status-song-index">${idx + 1}.</span>
-            <span class="status-song-name">${song.name || `Track ${idx + 1}`}</span>
+            <span class="status-song-name">${(meta && meta.title) || song.name || `Track ${idx + 1}`}</span>
+            ${credit ? `<span class="status-song-credit">${credit}</span>` : ''}
         `;
 
+            if (onToggleFavorite) {
+                item.appendChild(createFavoriteButton({
+                    label: song.name || `Track ${idx + 1}`,
+                    favorite: isSongFavorite(stream.videoId, idx),
+                    rating: getSongRating(stream.videoId, idx),
+                    onToggle: () => onToggleFavorite(stream.videoId, idx),
+                    getRating: () => getSongRating(stream.videoId, idx),
+                }));
+            }
+
             if (onEnqueueSong) {
                 const enqueueBtn = document.createElement('button');
                 enqueueBtn.className = 'enqueue-btn';
                 enqueueBtn.textContent = '+';
-                enqueueBtn.title = 'Add to queue';
+                enqueueBtn.title = onPlayNextSong ? 'Add to queue (Shift+click: play next)' : 'Add to queue';
                 enqueueBtn.setAttribute('aria-label', `Add ${song.name || `Track ${idx + 1}`} to queue`);
 
-                const doEnqueue = () => {
-                    if (enqueueBtn.classList.contains('enqueue-ok')) return;
-                    onEnqueueSong(stream.videoId, idx);
-                    _flashEnqueue(enqueueBtn, disarm);
+                // Touch has no Shift+click: play next gets its own button,
+                // shown next to the + box while the row is armed.
+                const playNextBtn = onPlayNextSong ? document.createElement('button') : null;
+                const doEnqueue = (playNext, clicked) => {
+                    if (item.querySelector('.enqueue-ok')) return;
+                    if (playNext) onPlayNextSong(stream.videoId, idx);
+                    else onEnqueueSong(stream.videoId, idx);
+                    _flashEnqueue(clicked, disarm);
                 };
 
+                if (playNextBtn) {
+                    playNextBtn.className = 'play-next-btn';
+                    playNextBtn.textContent = '⏭\uFE0E';
+                    playNextBtn.title = 'Play next';
+                    playNextBtn.setAttribute('aria-label', `Play ${song.name || `Track ${idx + 1}`} next`);
+                    playNextBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        doEnqueue(true, playNextBtn);
+                    });
+                    item.appendChild(playNextBtn);
+                }
+
                 enqueueBtn.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    doEnqueue();
+                    doEnqueue(e.shiftKey && !!onPlayNextSong, enqueueBtn);
                 });
                 item.appendChild(enqueueBtn);
 
-                // Coarse pointer: long-press reveals the + box (tinted if already queued);
-                // tapping it enqueues. Registered before the pick handler below so its
-                // trailing-click suppressor can cancel the pick.
+                // Coarse pointer: long-press reveals the + box (tinted if already queued)
+                // and play next; tapping one acts. Registered before the pick handler
+                // below so its trailing-click suppressor can cancel the pick.
                 attachLongPress(item, () => arm(item, { inQueue: isSongQueued(stream.videoId, idx) }));
             }
 
             item.addEventListener('click', (e) => {
                 if (e.target.classList.contains('enqueue-btn')) return;
+                if (!loopPicks && (e.ctrlKey || e.metaKey) && startLoopPicking()) {
+                    toggleLoopPick(idx);
+                    return;
+                }
+                if (loopPicks) {
+                    toggleLoopPick(idx);
+                    return;
+                }
                 handleSongPick(idx);
             });
 
@@ -235,6 +347,7 @@ export function createStatusPanelController({
         });
 
         syncActiveState();
+        renderLoopPicks();
         if (statusPanelOpen) {
             initializeSelection();
         }
@@ -261,6 +374,11 @@ export function createStatusPanelController({
             initializeSelection(true);
         } else {
             clearSelection();
+            // Closing without applying drops the picks.
+            if (loopPicks) {
+                loopPicks = null;
+                renderLoopPicks();
+            }
         }
     }
 
@@ -287,7 +405,8 @@ export function createStatusPanelController({
             applySelection(true);
         } else if (nav.action === NAV_ACTION_SELECT) {
             statusPanelSelIdx = nav.nextIndex;
-            handleSongPick(nav.nextIndex);
+            if (loopPicks) toggleLoopPick(nav.nextIndex);
+            else handleSongPick(nav.nextIndex);
         }
 
         return true;
@@ -310,6 +429,18 @@ export function createStatusPanelController({
         });
     }
 
+    if (enqueueAllBtn) {
+        if (onEnqueueAll) enqueueAllBtn.addEventListener('click', () => enqueueAll());
+        else enqueueAllBtn.style.display = 'none';
+    }
+
+    if (loopSelectBtn) {
+        loopSelectBtn.addEventListener('click', () => {
+            if (loopPicks) applyLoopPicks();
+            else startLoopPicking();
+        });
+    }
+
     document.addEventListener('pointerdown', handleGlobalPointerDown, true);
     window.addEventListener('blur', () => {
         if (statusPanelOpen) {
@@ -317,6 +448,20 @@ export function createStatusPanelController({
         }
     });
 
+    /**
+     * Enqueue every song of the current stream, in set-list order.
+     * @returns {{added: number, skipped: number}|null}
+     */
+    function enqueueAll() {
+        const stream = getCurrentStream();
+        if (!stream || !onEnqueueAll) return null;
+        const songs = getStatusSongsForStream(stream);
+        if (!songs.length) return null;
+        const result = onEnqueueAll(songs.map((_, idx) => ({videoId: stream.videoId, rIdx: idx})));
+        flashEnqueueSummary(enqueueAllBtn, result);
+        return result;
+    }
+
     function enqueueHighlighted() {
         const stream = getCurrentStream();
         if (!stream) return null;
@@ -330,14 +475,31 @@ export function createStatusPanelController({
         return {videoId: stream.videoId, rIdx: idx};
     }
 
+    // Repaint the hearts and blocked marks after a change made elsewhere
+    // (keyboard shortcut, the current-song cell) without rebuilding the list.
+    function refreshFavorites() {
+        const stream = getCurrentStream();
+        if (!statusSongList || !stream) return;
+        statusSongList.querySelectorAll('.status-song').forEach((row) => {
+            const idx = Number(row.dataset.songIndex);
+            row.classList.toggle('blocked', isSongBlocked(stream.videoId, idx));
+            setFavoriteButtonState(row.querySelector('.fav-btn'),
+                isSongFavorite(stream.videoId, idx), getSongRating(stream.videoId, idx));
+        });
+    }
+
     return {
         toggle,
         refresh,
+        refreshFavorites,
         syncActiveState,
         handleKeyEvent,
         isOpen: () => statusPanelOpen,
         close,
         handleGlobalPointerDown,
         enqueueHighlighted,
+        enqueueAll,
+        renderLoopPicks,
+        isPickingLoop: () => !!loopPicks,
     };
 }
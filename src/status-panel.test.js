@@ -73,4 +73,265 @@ describe('createStatusPanelController', () => {
             spy.mockRestore();
         });
     });
+
+    describe('song rows', () => {
+        function render(stream) {
+            document.body.innerHTML = '';
+            const dom = makeDOM();
+            const ctrl = createStatusPanelController({
+                ...dom,
+                getCurrentStream: () => stream,
+                getCurrentStreamIdx: () => 0,
+                getCoreRIdx: () => 0,
+                getStreamDefaultStart: () => 0,
+                getPlayerTime: () => 0,
+                isPlaylistReady: () => true,
+                onSongPick: vi.fn(),
+            });
+            ctrl.refresh(true);
+            return dom.statusSongList.querySelector('.status-song');
+        }
+
+        it('splits songs into title and credit', () => {
+            const row = render({
+                videoId: 'v1',
+                songs: [{ name: 'Song - Parsed', range: [0, 10], artist: 'Real Artist', duet: true }],
+            });
+            expect(row.querySelector('.status-song-name').textContent).toBe('Song');
+            expect(row.querySelector('.status-song-credit').textContent).toBe('Real Artist (duet)');
+        });
+
+        it('omits the credit when there is none', () => {
+            const row = render({ videoId: 'v1', songs: [{ name: 'Jingle Bells', range: [0, 10] }] });
+            expect(row.querySelector('.status-song-credit')).toBeNull();
+        });
+
+        it('adds a heart button that toggles without picking the song', () => {
+            document.body.innerHTML = '';
+            const dom = makeDOM();
+            const favorites = new Set();
+            const onSongPick = vi.fn();
+            const ctrl = createStatusPanelController({
+                ...dom,
+                getCurrentStream: () => ({ videoId: 'v1', songs: [{ name: 'A', range: [0, 10] }] }),
+                getCurrentStreamIdx: () => 0,
+                getCoreRIdx: () => 0,
+                getStreamDefaultStart: () => 0,
+                getPlayerTime: () => 0,
+                isPlaylistReady: () => true,
+                onSongPick,
+                onToggleFavorite: (videoId, rIdx) => {
+                    const key = `${videoId}:${rIdx}`;
+                    if (favorites.has(key)) favorites.delete(key); else favorites.add(key);
+                    return favorites.has(key);
+                },
+                isSongFavorite: (videoId, rIdx) => favorites.has(`${videoId}:${rIdx}`),
+                getSongRating: () => 3,
+            });
+            ctrl.refresh(true);
+            const btn = dom.statusSongList.querySelector('.fav-btn');
+            expect(btn.textContent).toBe('♡3★');
+
+            btn.click();
+            expect(favorites.has('v1:0')).toBe(true);
+            expect(btn.classList.contains('is-favorite')).toBe(true);
+            expect(onSongPick).not.toHaveBeenCalled();
+
+            favorites.clear();
+            ctrl.refreshFavorites();
+            expect(btn.classList.contains('is-favorite')).toBe(false);
+        });
+
+        it('plays a song next on Shift+click of its + button, or its own button on touch', () => {
+            document.body.innerHTML = '';
+            const dom = makeDOM();
+            const onEnqueueSong = vi.fn();
+            const onPlayNextSong = vi.fn();
+            const onSongPick = vi.fn();
+            const ctrl = createStatusPanelController({
+                ...dom,
+                getCurrentStream: () => ({ videoId: 'v1', songs: [
+                    { name: 'A', range: [0, 10] }, { name: 'B', range: [10, 20] }, { name: 'C', range: [20, 30] },
+                ] }),
+                getCurrentStreamIdx: () => 0,
+                getCoreRIdx: () => 0,
+                getStreamDefaultStart: () => 0,
+                getPlayerTime: () => 0,
+                isPlaylistReady: () => true,
+                onSongPick,
+                onEnqueueSong,
+                onPlayNextSong,
+            });
+            ctrl.refresh(true);
+            const [first, second] = dom.statusSongList.querySelectorAll('.enqueue-btn');
+
+            first.click();
+            expect(onEnqueueSong).toHaveBeenCalledWith('v1', 0);
+            second.dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: true }));
+            expect(onPlayNextSong).toHaveBeenCalledWith('v1', 1);
+            expect(onEnqueueSong).toHaveBeenCalledTimes(1);
+            expect(onSongPick).not.toHaveBeenCalled();
+
+            // Touch: the play-next button revealed by a long-press.
+            const playNextBtn = dom.statusSongList.querySelectorAll('.play-next-btn')[2];
+            expect(playNextBtn.getAttribute('aria-label')).toBe('Play C next');
+            playNextBtn.click();
+            expect(onPlayNextSong).toHaveBeenLastCalledWith('v1', 2);
+            expect(playNextBtn.textContent).toBe('✓');
+            expect(onEnqueueSong).toHaveBeenCalledTimes(1);
+            expect(onSongPick).not.toHaveBeenCalled();
+        });
+
+        it('queues every song of the stream from its Queue All button', () => {
+            document.body.innerHTML = '';
+            const dom = makeDOM();
+            const enqueueAllBtn = document.createElement('button');
+            enqueueAllBtn.textContent = '+ Queue All';
+            dom.statusPanel.prepend(enqueueAllBtn);
+            const onEnqueueAll = vi.fn(() => ({ added: 1, skipped: 1 }));
+            createStatusPanelController({
+                ...dom,
+                getCurrentStream: () => ({ videoId: 'v1', songs: [{ name: 'A', range: [0, 10] }, { name: 'B', range: [10, 20] }] }),
+                getCurrentStreamIdx: () => 0,
+                getCoreRIdx: () => 0,
+                getStreamDefaultStart: () => 0,
+                getPlayerTime: () => 0,
+                isPlaylistReady: () => true,
+                onSongPick: vi.fn(),
+                enqueueAllBtn,
+                onEnqueueAll,
+            });
+
+            enqueueAllBtn.click();
+            expect(onEnqueueAll).toHaveBeenCalledWith([{ videoId: 'v1', rIdx: 0 }, { videoId: 'v1', rIdx: 1 }]);
+            expect(enqueueAllBtn.textContent).toBe('✓ 1 added · 1 already queued');
+        });
+
+        it('marks blocked songs and repaints the mark on refresh', () => {
+            document.body.innerHTML = '';
+            const dom = makeDOM();
+            const blocked = new Set(['v1:1']);
+            const ctrl = createStatusPanelController({
+                ...dom,
+                getCurrentStream: () => ({ videoId: 'v1', songs: [{ name: 'A', range: [0, 10] }, { name: 'B', range: [20, 30] }] }),
+                getCurrentStreamIdx: () => 0,
+                getCoreRIdx: () => 0,
+                getStreamDefaultStart: () => 0,
+                getPlayerTime: () => 0,
+                isPlaylistReady: () => true,
+                onSongPick: vi.fn(),
+                isSongBlocked: (videoId, rIdx) => blocked.has(`${videoId}:${rIdx}`),
+            });
+            ctrl.refresh(true);
+            const rows = dom.statusSongList.querySelectorAll('.status-song');
+            expect([...rows].map(r => r.classList.contains('blocked'))).toEqual([false, true]);
+
+            blocked.clear();
+            ctrl.refreshFavorites();
+            expect(rows[1].classList.contains('blocked')).toBe(false);
+        });
+
+        it('shows a whole-stream entry by its full title', () => {
+            const row = render({ videoId: 'v1', title: 'Singing - Stream', songs: null });
+            expect(row.querySelector('.status-song-name').textContent).toBe('Singing - Stream');
+        });
+    });
+
+    describe('loop selection', () => {
+        let dom, ctrl, loopSelectBtn, looping, onLoopSelection, onSongPick;
+
+        const rows = () => [...dom.statusSongList.querySelectorAll('.status-song')];
+        const picked = () => rows().map(r => r.classList.contains('loop-picked'));
+
+        beforeEach(() => {
+            document.body.innerHTML = '';
+            dom = makeDOM();
+            loopSelectBtn = document.createElement('button');
+            dom.statusPanel.prepend(loopSelectBtn);
+            looping = [];
+            onLoopSelection = vi.fn((rIdxs) => { looping = rIdxs; });
+            onSongPick = vi.fn();
+            ctrl = createStatusPanelController({
+                ...dom,
+                getCurrentStream: () => ({ videoId: 'v1', songs: [
+                    { name: 'A', range: [0, 10] }, { name: 'B', range: [10, 20] }, { name: 'C', range: [20, 30] },
+                ] }),
+                getCurrentStreamIdx: () => 0,
+                getCoreRIdx: () => 0,
+                getStreamDefaultStart: () => 0,
+                getPlayerTime: () => 0,
+                isPlaylistReady: () => true,
+                onSongPick,
+                loopSelectBtn,
+                getLoopSelection: () => looping,
+                onLoopSelection,
+            });
+            ctrl.toggle(true);
+        });
+
+        it('ticks rows instead of playing them, then loops the picks', () => {
+            expect(loopSelectBtn.textContent).toBe('⟲ Loop Songs…');
+            loopSelectBtn.click();
+            expect(ctrl.isPickingLoop()).toBe(true);
+            rows()[0].click();
+            rows()[2].click();
+            expect(onSongPick).not.toHaveBeenCalled();
+            expect(picked()).toEqual([true, false, true]);
+            expect(loopSelectBtn.textContent).toBe('⟲ Loop 2 Songs');
+
+            loopSelectBtn.click();
+            expect(onLoopSelection).toHaveBeenCalledWith([0, 2]);
+            expect(ctrl.isPickingLoop()).toBe(false);
+            expect(picked()).toEqual([true, false, true]); // now showing what loops
+
+            rows()[1].click();
+            expect(onSongPick).toHaveBeenCalledWith(1);
+        });
+
+        it('starts picking on Ctrl+click and toggles with Enter', () => {
+            rows()[1].dispatchEvent(new MouseEvent('click', { ctrlKey: true, bubbles: true }));
+            expect(ctrl.isPickingLoop()).toBe(true);
+            expect(picked()).toEqual([false, true, false]);
+            ctrl.handleKeyEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+            ctrl.handleKeyEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+            ctrl.handleKeyEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+            expect(picked()).toEqual([false, true, true]);
+            expect(onSongPick).not.toHaveBeenCalled();
+        });
+
+        it('stops looping when every pick is unticked, and drops picks on close', () => {
+            looping = [1];
+            loopSelectBtn.click();
+            rows()[1].click();
+            expect(loopSelectBtn.textContent).toBe('⟲ Stop Looping');
+            loopSelectBtn.click();
+            expect(onLoopSelection).toHaveBeenCalledWith([]);
+
+            loopSelectBtn.click();
+            rows()[0].click();
+            ctrl.toggle(false);
+            expect(ctrl.isPickingLoop()).toBe(false);
+            expect(onLoopSelection).toHaveBeenCalledTimes(1);
+        });
+
+        it('is hidden for a stream without songs', () => {
+            document.body.innerHTML = '';
+            dom = makeDOM();
+            loopSelectBtn = document.createElement('button');
+            ctrl = createStatusPanelController({
+                ...dom,
+                getCurrentStream: () => ({ videoId: 'v2', title: 'Whole', songs: null }),
+                getCurrentStreamIdx: () => 0,
+                getCoreRIdx: () => 0,
+                getStreamDefaultStart: () => 0,
+                getPlayerTime: () => 0,
+                isPlaylistReady: () => true,
+                onSongPick: vi.fn(),
+                loopSelectBtn,
+                onLoopSelection: vi.fn(),
+            });
+            ctrl.refresh(true);
+            expect(loopSelectBtn.hidden).toBe(true);
+        });
+    });
 });
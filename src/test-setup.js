@@ -60,6 +60,60 @@ export function mockYouTubeAPI() {
   return mockPlayer;
 }
 
+/**
+ * Creates a deterministic in-memory playback backend (see playback-backends.js).
+ * Time only moves when a test sets it, loads are recorded, and state changes are
+ * reported through the same onStateChange hook the real backends use.
+ * @param {Object} options
+ * @param {string} [options.kind] - Backend kind reported to callers
+ * @param {(state: number) => void} [options.onStateChange]
+ * @returns {Object} Backend plus test controls (setTime, setState, loads, seeks)
+ */
+export function createFakeBackend({ kind = 'youtube', onStateChange = () => {} } = {}) {
+  const backend = {
+    kind,
+    time: 0,
+    duration: 0,
+    state: -1, // UNSTARTED
+    title: '',
+    volume: 100,
+    playbackRate: 1,
+    ready: true,
+    visible: true,
+    loads: [],
+    seeks: [],
+    isReady: vi.fn(() => backend.ready),
+    load: vi.fn((request) => {
+      backend.loads.push(request);
+      backend.time = request.startSeconds;
+      backend.setState(1); // PLAYING
+    }),
+    seek: vi.fn((seconds) => {
+      backend.seeks.push(seconds);
+      backend.time = seconds;
+    }),
+    play: vi.fn(() => backend.setState(1)),
+    pause: vi.fn(() => backend.setState(2)),
+    getTime: vi.fn(() => backend.time),
+    getDuration: vi.fn(() => backend.duration),
+    getState: vi.fn(() => backend.state),
+    getTitle: vi.fn(() => backend.title),
+    setVisible: vi.fn((visible) => { backend.visible = visible; }),
+    getVolume: vi.fn(() => backend.volume),
+    setVolume: vi.fn((percent) => { backend.volume = percent; }),
+    setPlaybackRate: vi.fn((rate) => { backend.playbackRate = rate; }),
+    setTime(seconds) {
+      backend.time = seconds;
+    },
+    setState(state) {
+      if (state === backend.state) return;
+      backend.state = state;
+      onStateChange(state);
+    },
+  };
+  return backend;
+}
+
 /**
  * Dispatches a keyboard event on the document.
  * @param {string} key - The key value (e.g., 'Enter', 'Escape', 'ArrowDown')
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { transformSegments, RUNTIME_FIELDS } from '../scripts/transform-segments.js';
+import { transformSegments, RUNTIME_FIELDS, RUNTIME_SONG_FIELDS } from '../scripts/transform-segments.js';
 import { HALO_PINS, COVERS } from '../scripts/order-config.js';
 import source from './data/segments.json';
 
@@ -24,19 +24,42 @@ describe('transformSegments — ordering + strip', () => {
     expect(after).toEqual(['streamNew000', COVERS[0], 'streamOld000', COVERS[1], ...COVERS.slice(2)]);
   });
 
-  it('drops top-level author fields (released) but keeps nested song theme + memberOnly', () => {
+  it('drops unknown top-level fields but keeps released, nested song theme + memberOnly', () => {
     const src = validSource().map((e) =>
       e.videoId === 'streamNew000'
-        ? { ...e, songs: [{ name: 'x', range: [0, 10], theme: 3 }], memberOnly: true }
+        ? { ...e, songs: [{ name: 'x', range: [0, 10], theme: 3 }], memberOnly: true, draftNote: 'recheck' }
         : e,
     );
     const out = transformSegments(src);
-    expect(out.every((e) => !('released' in e))).toBe(true);
+    expect(out.some((e) => 'draftNote' in e)).toBe(false);
+    expect(out.every((e) => typeof e.released === 'string')).toBe(true);
     const s = out.find((e) => e.videoId === 'streamNew000');
     expect(s.songs[0].theme).toBe(3);
     expect(s.memberOnly).toBe(true);
   });
 
+  it('ships structured song metadata and strips unknown song fields', () => {
+    const meta = { title: 'T', artist: 'A', originalArtist: 'O', language: 'ja', tags: ['rock'], duet: true };
+    const src = validSource().map((e) =>
+      e.videoId === 'streamNew000'
+        ? { ...e, songs: [{ name: 'T - A', range: [0, 10], ...meta, draftNote: 'check ending' }] }
+        : e,
+    );
+    const s = transformSegments(src).find((e) => e.videoId === 'streamNew000');
+    expect(s.songs[0]).toEqual({ name: 'T - A', range: [0, 10], ...meta });
+  });
+
+  it('ships stream and song loudness gain', () => {
+    const src = validSource().map((e) =>
+      e.videoId === 'streamNew000'
+        ? { ...e, gain: -4.5, songs: [{ name: 'x', range: [0, 10], gain: 2 }] }
+        : e,
+    );
+    const s = transformSegments(src).find((e) => e.videoId === 'streamNew000');
+    expect(s.gain).toBe(-4.5);
+    expect(s.songs[0].gain).toBe(2);
+  });
+
   it('throws on a duplicate videoId', () => {
     expect(() => transformSegments([...validSource(), mk(HALO_PINS[0], '2019-06-01T00:00:00Z')]))
       .toThrow(/duplicate videoId/);
@@ -58,7 +81,7 @@ describe('transformSegments — against the real source', () => {
     const out = transformSegments(source);
     expect(out.length).toBe(source.length);
     expect(new Set(out.map((e) => e.videoId)).size).toBe(source.length);
-    expect(out.some((e) => 'released' in e)).toBe(false);
+    expect(out.every((e) => typeof e.released === 'string')).toBe(true);
     const themes = (a) => a.flatMap((e) => e.songs || []).filter((s) => 'theme' in s).length;
     expect(themes(out)).toBe(themes(source));
     expect(out.slice(0, HALO_PINS.length).map((e) => e.videoId)).toEqual(HALO_PINS);
@@ -68,11 +91,19 @@ describe('transformSegments — against the real source', () => {
   // to the source is dropped from the payload with no error. This forces the drop to be a
   // decision — every source field must be either shipped (RUNTIME_FIELDS) or listed here as
   // deliberately author-only. Adding a field to the data without classifying it fails here.
-  const AUTHOR_ONLY_FIELDS = ['released']; // derives ordering; intentionally never shipped
+  const AUTHOR_ONLY_FIELDS = [];
   it('classifies every top-level source field as runtime-shipped or author-only', () => {
     const classified = new Set([...Object.keys(RUNTIME_FIELDS), ...AUTHOR_ONLY_FIELDS]);
     const sourceFields = [...new Set(source.flatMap((e) => Object.keys(e)))];
     const unclassified = sourceFields.filter((k) => !classified.has(k));
     expect(unclassified, 'add each new source field to RUNTIME_FIELDS (to ship it) or AUTHOR_ONLY_FIELDS').toEqual([]);
   });
+
+  const AUTHOR_ONLY_SONG_FIELDS = [];
+  it('classifies every song-level source field as runtime-shipped or author-only', () => {
+    const classified = new Set([...Object.keys(RUNTIME_SONG_FIELDS), ...AUTHOR_ONLY_SONG_FIELDS]);
+    const songFields = [...new Set(source.flatMap((e) => (e.songs || []).flatMap((s) => Object.keys(s))))];
+    const unclassified = songFields.filter((k) => !classified.has(k));
+    expect(unclassified, 'add each new song field to RUNTIME_SONG_FIELDS (to ship it) or AUTHOR_ONLY_SONG_FIELDS').toEqual([]);
+  });
 });
@@ -0,0 +1,91 @@
+// Undo/redo for queue edits, playlist imports/reset and member-mode toggles.
+// Every entry is a snapshot of the state *before* a change, so undoing puts it
+// back wholesale and the state it replaces becomes the redo entry. The newest
+// undo snapshot is persisted: a reload right after a mistake can still take
+// it back. Redo is session-only.
+
+export const UNDO_LIMIT = 30;
+
+function isValidEntry(entry) {
+    return !!entry && typeof entry.label === 'string' && !!entry.snapshot && typeof entry.snapshot === 'object';
+}
+
+/**
+ * @param {object} deps
+ * @param {(like?: object) => object} deps.capture snapshot of the current state
+ *        (JSON-serializable). On undo and redo, `like` is the snapshot being
+ *        put back, so the one kept in its place can cover the same parts.
+ * @param {(snapshot: object) => void} deps.restore
+ * @param {() => string|null} [deps.load] raw JSON previously passed to save
+ * @param {(json: string|null) => void} [deps.save] null clears the persisted entry
+ * @param {number} [deps.limit]
+ */
+export function createUndoHistory({
+    capture, restore, load = () => null, save = () => {}, limit = UNDO_LIMIT,
+}) {
+    // [{label, snapshot}], oldest first
+    let undoStack = [];
+    let redoStack = [];
+
+    try {
+        const parsed = JSON.parse(load() || 'null');
+        if (isValidEntry(parsed)) undoStack = [parsed];
+    } catch {
+        undoStack = [];
+    }
+
+    function persist() {
+        try {
+            save(undoStack.length ? JSON.stringify(undoStack[undoStack.length - 1]) : null);
+        } catch (err) {
+            // A replaced playlist can be large; losing the reload safety net is
+            // better than failing the change itself.
+            console.warn('[Undo] Failed to persist the undo snapshot:', err && err.message);
+        }
+    }
+
+    /**
+     * Remember the state before a change. Call it right before mutating.
+     * @param {string} label what the change was, e.g. "Queue cleared"
+     * @param {object} [before] snapshot taken earlier, when the change had to
+     *        start before it was known to succeed
+     */
+    function record(label, before = capture()) {
+        undoStack.push({ label, snapshot: before });
+        if (undoStack.length > limit) undoStack = undoStack.slice(-limit);
+        redoStack = [];
+        persist();
+    }
+
+    /**
+     * @returns {string|null} label of the undone change, null when there is none
+     */
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) return null;
+        redoStack.push({ label: entry.label, snapshot: capture(entry.snapshot) });
+        restore(entry.snapshot);
+        persist();
+        return entry.label;
+    }
+
+    /**
+     * @returns {string|null} label of the redone change, null when there is none
+     */
+    function redo() {
+        const entry = redoStack.pop();
+        if (!entry) return null;
+        undoStack.push({ label: entry.label, snapshot: capture(entry.snapshot) });
+        restore(entry.snapshot);
+        persist();
+        return entry.label;
+    }
+
+    return {
+        record,
+        undo,
+        redo,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+    };
+}
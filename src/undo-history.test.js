@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createUndoHistory } from './undo-history.js';
+
+describe('createUndoHistory', () => {
+    let state, stored, history;
+
+    function makeHistory(options = {}) {
+        return createUndoHistory({
+            capture: () => ({ ...state }),
+            restore: (snapshot) => { state = { ...snapshot }; },
+            load: () => stored,
+            save: (json) => { stored = json; },
+            ...options,
+        });
+    }
+
+    function change(label, next) {
+        history.record(label);
+        state = next;
+    }
+
+    beforeEach(() => {
+        state = { queue: [] };
+        stored = null;
+        history = makeHistory();
+    });
+
+    it('undoes changes newest first and redoes them in order', () => {
+        change('Added a', { queue: ['a'] });
+        change('Added b', { queue: ['a', 'b'] });
+
+        expect(history.undo()).toBe('Added b');
+        expect(state).toEqual({ queue: ['a'] });
+        expect(history.undo()).toBe('Added a');
+        expect(state).toEqual({ queue: [] });
+        expect(history.undo()).toBeNull();
+
+        expect(history.redo()).toBe('Added a');
+        expect(state).toEqual({ queue: ['a'] });
+        expect(history.redo()).toBe('Added b');
+        expect(state).toEqual({ queue: ['a', 'b'] });
+        expect(history.redo()).toBeNull();
+    });
+
+    it('drops the redo stack when a new change is recorded', () => {
+        change('Added a', { queue: ['a'] });
+        history.undo();
+        expect(history.canRedo()).toBe(true);
+        change('Added c', { queue: ['c'] });
+        expect(history.canRedo()).toBe(false);
+    });
+
+    it('keeps a snapshot taken before the change was known to succeed', () => {
+        const before = { queue: ['old'] };
+        history.record('Playlist replaced', before);
+        expect(history.undo()).toBe('Playlist replaced');
+        expect(state).toEqual(before);
+    });
+
+    it('keeps only the newest entries up to the limit', () => {
+        history = makeHistory({ limit: 2 });
+        change('1', { queue: [1] });
+        change('2', { queue: [2] });
+        change('3', { queue: [3] });
+        expect(history.undo()).toBe('3');
+        expect(history.undo()).toBe('2');
+        expect(history.undo()).toBeNull();
+    });
+
+    it('persists only the newest undo entry and restores it on load', () => {
+        change('Added a', { queue: ['a'] });
+        change('Queue cleared', { queue: [] });
+        expect(JSON.parse(stored)).toEqual({ label: 'Queue cleared', snapshot: { queue: ['a'] } });
+
+        const reloaded = makeHistory();
+        expect(reloaded.canUndo()).toBe(true);
+        expect(reloaded.canRedo()).toBe(false);
+        expect(reloaded.undo()).toBe('Queue cleared');
+        expect(state).toEqual({ queue: ['a'] });
+        expect(stored).toBeNull();
+    });
+
+    it('keeps a queue edit\'s snapshots free of the playlist, through undo and redo', () => {
+        // Like the app: the playlist source only goes into snapshots that ask for it.
+        state = { queue: [], playlist: 'megabytes' };
+        const capture = vi.fn((like) => (like && 'playlist' in like ? { ...state } : { queue: state.queue }));
+        history = makeHistory({
+            capture,
+            restore: (snapshot) => { state = { ...state, ...snapshot }; },
+        });
+
+        history.record('Added a', capture());
+        state = { ...state, queue: ['a'] };
+        expect(JSON.parse(stored)).toEqual({ label: 'Added a', snapshot: { queue: [] } });
+
+        history.undo();
+        expect(state).toEqual({ queue: [], playlist: 'megabytes' });
+        history.redo();
+        expect(state.queue).toEqual(['a']);
+        expect(JSON.parse(stored).snapshot).toEqual({ queue: [] });
+
+        history.record('Playlist replaced', capture({ playlist: null }));
+        expect(JSON.parse(stored).snapshot).toEqual({ queue: ['a'], playlist: 'megabytes' });
+    });
+
+    it('ignores a corrupt persisted entry', () => {
+        stored = '{not json';
+        expect(makeHistory().canUndo()).toBe(false);
+        stored = JSON.stringify({ label: 'x' });
+        expect(makeHistory().canUndo()).toBe(false);
+    });
+
+    it('still records the change when saving fails', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        history = makeHistory({ save: () => { throw new Error('quota'); } });
+        change('Added a', { queue: ['a'] });
+        expect(warn).toHaveBeenCalled();
+        expect(history.undo()).toBe('Added a');
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,48 @@
+export const UNDO_TOAST_MS = 6000;
+
+/**
+ * Transient notice after an undoable change ("Queue cleared · Undo"), and after
+ * an undo itself ("Undid: Queue cleared · Redo").
+ * @param {object} deps
+ * @param {HTMLElement} deps.toast
+ * @param {HTMLElement} deps.message
+ * @param {HTMLButtonElement} deps.actionBtn
+ * @param {number} [deps.durationMs]
+ */
+export function createUndoToastController({ toast, message, actionBtn, durationMs = UNDO_TOAST_MS }) {
+    let hideTimer = null;
+    let onAction = null;
+
+    /**
+     * @param {string} text
+     * @param {{label: string, run: () => void}} [action] the toast's button
+     */
+    function show(text, action = null) {
+        message.textContent = text;
+        onAction = action ? action.run : null;
+        actionBtn.textContent = action ? action.label : '';
+        actionBtn.hidden = !action;
+        toast.hidden = false;
+        clearTimeout(hideTimer);
+        hideTimer = setTimeout(hide, durationMs);
+    }
+
+    function hide() {
+        clearTimeout(hideTimer);
+        hideTimer = null;
+        onAction = null;
+        toast.hidden = true;
+    }
+
+    actionBtn.addEventListener('click', () => {
+        const run = onAction;
+        hide();
+        if (run) run();
+    });
+
+    return {
+        show,
+        hide,
+        isVisible: () => !toast.hidden,
+    };
+}
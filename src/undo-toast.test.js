@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createUndoToastController } from './undo-toast.js';
+
+describe('createUndoToastController', () => {
+    let toast, message, actionBtn, ctrl;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="undo-toast" hidden>
+                <span id="undo-toast-message"></span>
+                <button id="undo-toast-btn">Undo</button>
+            </div>`;
+        toast = document.getElementById('undo-toast');
+        message = document.getElementById('undo-toast-message');
+        actionBtn = document.getElementById('undo-toast-btn');
+        ctrl = createUndoToastController({ toast, message, actionBtn, durationMs: 1000 });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('shows a message with its action and hides after the timeout', () => {
+        ctrl.show('Queue cleared', { label: 'Undo', run: () => {} });
+        expect(ctrl.isVisible()).toBe(true);
+        expect(message.textContent).toBe('Queue cleared');
+        expect(actionBtn.textContent).toBe('Undo');
+        expect(actionBtn.hidden).toBe(false);
+
+        vi.advanceTimersByTime(999);
+        expect(ctrl.isVisible()).toBe(true);
+        vi.advanceTimersByTime(1);
+        expect(ctrl.isVisible()).toBe(false);
+    });
+
+    it('restarts the timeout when shown again', () => {
+        ctrl.show('First');
+        vi.advanceTimersByTime(800);
+        ctrl.show('Second');
+        vi.advanceTimersByTime(800);
+        expect(ctrl.isVisible()).toBe(true);
+        expect(message.textContent).toBe('Second');
+    });
+
+    it('hides the button when there is no action', () => {
+        ctrl.show('Nothing to undo');
+        expect(actionBtn.hidden).toBe(true);
+    });
+
+    it('runs the action once and hides the toast', () => {
+        const run = vi.fn();
+        ctrl.show('Queue cleared', { label: 'Undo', run });
+        actionBtn.click();
+        actionBtn.click();
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(ctrl.isVisible()).toBe(false);
+    });
+});